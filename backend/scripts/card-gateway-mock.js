@@ -0,0 +1,226 @@
+// scripts/card-gateway-mock.js - Local stand-in for the Paystack card API (CommonJS)
+//
+// For development and testing only. Point the backend at it with
+//   PAYSTACK_BASE_URL=http://localhost:5060
+//   PAYSTACK_SECRET_KEY=<any value, used to sign the webhooks>
+// and run it with the same secret:
+//   PAYSTACK_SECRET_KEY=... node scripts/card-gateway-mock.js
+//
+// Checkouts open a page with Pay and Decline buttons. Either one sends the
+// charge webhook to CARD_MOCK_WEBHOOK_URL and returns the student to the
+// callback URL, as Paystack does. Refunds are processed after a short delay.
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+
+const DEFAULT_WEBHOOK_URL = 'http://localhost:5000/api/payments/card/webhook';
+const REFUND_DELAY_MS = 2000;
+
+function escapeHtml(str) {
+  return String(str).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+function createCardGatewayMock({ secretKey, webhookUrl = DEFAULT_WEBHOOK_URL, publicUrl, log = console.log } = {}) {
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: false }));
+
+  const transactions = new Map();
+  const byAccessCode = new Map();
+  const refunds = new Map();
+  const timers = new Set();
+  let nextId = 1000;
+
+  function later(fn, ms) {
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      fn();
+    }, ms);
+    timers.add(timer);
+  }
+
+  async function sendWebhook(event, data) {
+    const body = JSON.stringify({ event, data });
+    const signature = crypto.createHmac('sha512', secretKey).update(body).digest('hex');
+    try {
+      await axios.post(webhookUrl, body, {
+        headers: { 'Content-Type': 'application/json', 'x-paystack-signature': signature }
+      });
+      log(`[Card mock] ${event} webhook sent for ${data.reference || data.transaction_reference}`);
+    } catch (error) {
+      log(`[Card mock] ${event} webhook failed: ${error.response?.status || error.message}`);
+    }
+  }
+
+  function transactionData(tx) {
+    return {
+      id: tx.id,
+      reference: tx.reference,
+      status: tx.status,
+      amount: tx.amount,
+      currency: tx.currency,
+      gateway_response: tx.gatewayResponse,
+      paid_at: tx.paidAt,
+      customer: { email: tx.email },
+      metadata: tx.metadata
+    };
+  }
+
+  function requireAuth(req, res, next) {
+    if (req.headers.authorization !== `Bearer ${secretKey}`) {
+      return res.status(401).json({ status: false, message: 'Invalid key' });
+    }
+    next();
+  }
+
+  app.post('/transaction/initialize', requireAuth, (req, res) => {
+    const { email, amount, reference, callback_url: callbackUrl, currency = 'KES', metadata = {} } = req.body;
+    if (!email || !amount || !reference) {
+      return res.status(400).json({ status: false, message: 'email, amount and reference are required' });
+    }
+    if (transactions.has(reference)) {
+      return res.status(400).json({ status: false, message: 'Duplicate Transaction Reference' });
+    }
+
+    const accessCode = crypto.randomBytes(8).toString('hex');
+    const tx = {
+      id: nextId++,
+      reference,
+      accessCode,
+      email,
+      amount: parseInt(amount),
+      currency,
+      callbackUrl,
+      metadata,
+      status: 'abandoned',
+      gatewayResponse: null,
+      paidAt: null
+    };
+    transactions.set(reference, tx);
+    byAccessCode.set(accessCode, tx);
+
+    const host = publicUrl || `${req.protocol}://${req.get('host')}`;
+    res.json({
+      status: true,
+      message: 'Authorization URL created',
+      data: { authorization_url: `${host}/checkout/${accessCode}`, access_code: accessCode, reference }
+    });
+  });
+
+  app.get('/checkout/:accessCode', (req, res) => {
+    const tx = byAccessCode.get(req.params.accessCode);
+    if (!tx) return res.status(404).send('Unknown checkout');
+
+    res.send(`<!DOCTYPE html>
+<html><head><title>Card checkout (mock)</title></head>
+<body style="font-family: sans-serif; max-width: 420px; margin: 60px auto;">
+  <h2>Card checkout (mock)</h2>
+  <p>${escapeHtml(tx.email)} pays <strong>${escapeHtml(tx.currency)} ${(tx.amount / 100).toLocaleString()}</strong></p>
+  <p style="color: #666;">Reference ${escapeHtml(tx.reference)}</p>
+  ${tx.status === 'abandoned' ? `
+  <form method="post">
+    <button name="outcome" value="success">Pay</button>
+    <button name="outcome" value="failed">Decline</button>
+  </form>` : `<p>This checkout is ${escapeHtml(tx.status)}.</p>`}
+</body></html>`);
+  });
+
+  app.post('/checkout/:accessCode', async (req, res) => {
+    const tx = byAccessCode.get(req.params.accessCode);
+    if (!tx) return res.status(404).send('Unknown checkout');
+
+    if (tx.status === 'abandoned') {
+      const paid = req.body.outcome === 'success';
+      tx.status = paid ? 'success' : 'failed';
+      tx.gatewayResponse = paid ? 'Approved' : 'Declined';
+      tx.paidAt = paid ? new Date().toISOString() : null;
+      // Paystack only sends charge.success; declined cards are found on verify
+      if (paid) await sendWebhook('charge.success', transactionData(tx));
+    }
+
+    if (!tx.callbackUrl) return res.redirect(`/checkout/${tx.accessCode}`);
+    const separator = tx.callbackUrl.includes('?') ? '&' : '?';
+    res.redirect(`${tx.callbackUrl}${separator}trxref=${encodeURIComponent(tx.reference)}&reference=${encodeURIComponent(tx.reference)}`);
+  });
+
+  app.get('/transaction/verify/:reference', requireAuth, (req, res) => {
+    const tx = transactions.get(req.params.reference);
+    if (!tx) return res.status(400).json({ status: false, message: 'Transaction reference not found' });
+    res.json({ status: true, message: 'Verification successful', data: transactionData(tx) });
+  });
+
+  app.post('/refund', requireAuth, (req, res) => {
+    const tx = transactions.get(req.body.transaction);
+    if (!tx || tx.status !== 'success') {
+      return res.status(400).json({ status: false, message: 'Transaction not found or not refundable' });
+    }
+
+    const refundedSoFar = [...refunds.values()]
+      .filter(refund => refund.reference === tx.reference)
+      .reduce((sum, refund) => sum + refund.amount, 0);
+    const amount = parseInt(req.body.amount) || tx.amount - refundedSoFar;
+    if (amount <= 0 || refundedSoFar + amount > tx.amount) {
+      return res.status(400).json({ status: false, message: 'Refund amount is more than what is left on the transaction' });
+    }
+
+    const refund = { id: nextId++, reference: tx.reference, amount, status: 'pending' };
+    refunds.set(refund.id, refund);
+    later(() => {
+      refund.status = 'processed';
+      sendWebhook('refund.processed', {
+        id: refund.id,
+        transaction_reference: refund.reference,
+        amount: refund.amount,
+        status: 'processed'
+      });
+    }, REFUND_DELAY_MS);
+
+    res.json({ status: true, message: 'Refund has been queued for processing', data: { id: refund.id, status: refund.status } });
+  });
+
+  app.get('/mock/transactions', (req, res) => {
+    res.json({
+      transactions: [...transactions.values()].map(transactionData),
+      refunds: [...refunds.values()]
+    });
+  });
+
+  app.post('/mock/reset', (req, res) => {
+    for (const timer of timers) clearTimeout(timer);
+    timers.clear();
+    transactions.clear();
+    byAccessCode.clear();
+    refunds.clear();
+    res.json({ success: true });
+  });
+
+  app.close = () => {
+    for (const timer of timers) clearTimeout(timer);
+    timers.clear();
+  };
+
+  return app;
+}
+
+if (require.main === module) {
+  if (process.env.NODE_ENV === 'production') {
+    console.error('[Card mock] Refusing to run with NODE_ENV=production');
+    process.exit(1);
+  }
+  if (!process.env.PAYSTACK_SECRET_KEY) {
+    console.error('[Card mock] Set PAYSTACK_SECRET_KEY to the value the backend uses');
+    process.exit(1);
+  }
+
+  const port = parseInt(process.env.CARD_MOCK_PORT) || 5060;
+  const app = createCardGatewayMock({
+    secretKey: process.env.PAYSTACK_SECRET_KEY,
+    webhookUrl: process.env.CARD_MOCK_WEBHOOK_URL || DEFAULT_WEBHOOK_URL
+  });
+  app.listen(port, '127.0.0.1', () => {
+    console.log(`[Card mock] Listening on http://localhost:${port}, webhooks to ${process.env.CARD_MOCK_WEBHOOK_URL || DEFAULT_WEBHOOK_URL}`);
+    console.log(`[Card mock] Set PAYSTACK_BASE_URL=http://localhost:${port} for the backend`);
+  });
+}
+
+module.exports = { createCardGatewayMock };
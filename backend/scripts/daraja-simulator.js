@@ -0,0 +1,419 @@
+// scripts/daraja-simulator.js - Local stand-in for the Safaricom Daraja API (CommonJS)
+//
+// For development and testing only. Point the backend at it with
+//   MPESA_BASE_URL=http://localhost:5050
+// and any non-placeholder MPESA_CONSUMER_KEY, MPESA_CONSUMER_SECRET,
+// MPESA_SHORT_CODE and MPESA_PASSKEY, then run:
+//   node scripts/daraja-simulator.js
+//
+// It answers OAuth, STK push and query, C2B register/simulate and B2C
+// requests the way Daraja does, and sends the callbacks to the URLs given in
+// each request. How a payment ends is scripted through the /simulator
+// endpoints (see DEPLOYMENT.md):
+//   success, cancel, timeout, insufficient_funds, wrong_pin,
+//   delayed_callback, no_callback, pending
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+
+// What each scripted outcome looks like to the caller
+const OUTCOMES = {
+  success: { resultCode: 0, resultDesc: 'The service request is processed successfully.' },
+  cancel: { resultCode: 1032, resultDesc: 'Request cancelled by user' },
+  timeout: { resultCode: 1037, resultDesc: 'DS timeout user cannot be reached' },
+  insufficient_funds: { resultCode: 1, resultDesc: 'The balance is insufficient for the transaction.' },
+  wrong_pin: { resultCode: 2001, resultDesc: 'The initiator information is invalid.' },
+  delayed_callback: { resultCode: 0, resultDesc: 'The service request is processed successfully.', callbackDelayMs: 30000 },
+  no_callback: { resultCode: 0, resultDesc: 'The service request is processed successfully.', sendCallback: false },
+  pending: { pending: true }
+};
+
+const DEFAULT_PROCESSING_MS = 3000;
+
+function randomId(length, alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789') {
+  const bytes = crypto.randomBytes(length);
+  return Array.from(bytes, b => alphabet[b % alphabet.length]).join('');
+}
+
+function receiptNumber() {
+  return `S${randomId(9)}`;
+}
+
+// Daraja timestamps are EAT, formatted YYYYMMDDHHmmss
+function darajaTimestamp(date = new Date()) {
+  const eat = new Date(date.getTime() + 3 * 60 * 60 * 1000);
+  return eat.toISOString().slice(0, 19).replace(/[-T:]/g, '');
+}
+
+function createSimulator({ processingMs = DEFAULT_PROCESSING_MS, defaultScenario = 'success', log = console.log } = {}) {
+  const app = express();
+  app.use(express.json());
+
+  const state = {
+    defaultScenario,
+    queue: [],
+    byPhone: {},
+    tokens: new Set(),
+    stk: new Map(),
+    b2c: new Map(),
+    c2bUrls: {}
+  };
+  const timers = new Set();
+
+  function later(ms, fn) {
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      fn();
+    }, ms);
+    timers.add(timer);
+  }
+
+  // Next queued outcome first, then one set for the phone, then the default
+  function takeOutcome(phone) {
+    const next = state.queue.shift() || state.byPhone[String(phone)] || { scenario: state.defaultScenario };
+    const base = OUTCOMES[next.scenario] || OUTCOMES.success;
+    return { scenario: next.scenario, ...base, ...(next.callbackDelayMs !== undefined ? { callbackDelayMs: next.callbackDelayMs } : {}) };
+  }
+
+  async function post(url, body, label) {
+    try {
+      const response = await axios.post(url, body, { timeout: 10000 });
+      log(`[Daraja sim] ${label} -> ${url}: ${response.status}`);
+      return response.data;
+    } catch (error) {
+      log(`[Daraja sim] ${label} -> ${url} failed: ${error.response?.status || error.message}`);
+      return null;
+    }
+  }
+
+  function requireToken(req, res, next) {
+    const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+    if (!state.tokens.has(token)) {
+      return res.status(401).json({ requestId: randomId(8), errorCode: '404.001.03', errorMessage: 'Invalid Access Token' });
+    }
+    next();
+  }
+
+  function missingFields(body, fields) {
+    return fields.filter(f => body[f] === undefined || body[f] === null || body[f] === '');
+  }
+
+  function badRequest(res, message) {
+    return res.status(400).json({ requestId: randomId(8), errorCode: '400.002.02', errorMessage: message });
+  }
+
+  // ==================== DARAJA ENDPOINTS ====================
+
+  app.get('/oauth/v1/generate', (req, res) => {
+    if (!/^Basic .+/.test(req.headers.authorization || '') || req.query.grant_type !== 'client_credentials') {
+      return res.status(400).json({ errorCode: '400.008.01', errorMessage: 'Invalid Authentication passed' });
+    }
+    const token = randomId(28, 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789');
+    state.tokens.add(token);
+    res.json({ access_token: token, expires_in: '3599' });
+  });
+
+  app.post('/mpesa/stkpushquery/v1/query', requireToken, (req, res) => {
+    const stk = state.stk.get(req.body.CheckoutRequestID);
+    if (!stk) {
+      return badRequest(res, 'Invalid CheckoutRequestID');
+    }
+    if (!stk.completedAt || Date.now() < stk.completedAt) {
+      return res.status(500).json({ requestId: randomId(8), errorCode: '500.001.1001', errorMessage: 'The transaction is being processed' });
+    }
+    res.json({
+      ResponseCode: '0',
+      ResponseDescription: 'The service request has been accepted successsfully',
+      MerchantRequestID: stk.merchantRequestId,
+      CheckoutRequestID: stk.checkoutRequestId,
+      ResultCode: String(stk.outcome.resultCode),
+      ResultDesc: stk.outcome.resultDesc
+    });
+  });
+
+  function stkCallbackBody(stk) {
+    const callback = {
+      MerchantRequestID: stk.merchantRequestId,
+      CheckoutRequestID: stk.checkoutRequestId,
+      ResultCode: stk.outcome.resultCode,
+      ResultDesc: stk.outcome.resultDesc
+    };
+    if (stk.outcome.resultCode === 0) {
+      callback.CallbackMetadata = {
+        Item: [
+          { Name: 'Amount', Value: stk.amount },
+          { Name: 'MpesaReceiptNumber', Value: stk.receiptNumber },
+          { Name: 'Balance' },
+          { Name: 'TransactionDate', Value: Number(darajaTimestamp(new Date(stk.completedAt))) },
+          { Name: 'PhoneNumber', Value: Number(stk.phone) }
+        ]
+      };
+    }
+    return { Body: { stkCallback: callback } };
+  }
+
+  // Settles an STK push: the query starts answering at once and the callback
+  // follows after the outcome's delay (if it is sent at all)
+  function completeStk(stk, outcome) {
+    stk.outcome = outcome;
+    stk.completedAt = Date.now();
+    if (outcome.resultCode === 0) stk.receiptNumber = receiptNumber();
+    log(`[Daraja sim] STK ${stk.checkoutRequestId} ${outcome.scenario} (${outcome.resultCode})`);
+
+    if (outcome.sendCallback === false) return;
+    later(outcome.callbackDelayMs || 0, async () => {
+      stk.callbacksSent++;
+      await post(stk.callbackUrl, stkCallbackBody(stk), 'STK callback');
+    });
+  }
+
+  app.post('/mpesa/stkpush/v1/processrequest', requireToken, (req, res) => {
+    const body = req.body;
+    const missing = missingFields(body, ['BusinessShortCode', 'Password', 'Timestamp', 'TransactionType', 'Amount', 'PartyA', 'PhoneNumber', 'CallBackURL', 'AccountReference']);
+    if (missing.length) {
+      return badRequest(res, `Invalid ${missing[0]}`);
+    }
+    if (!/^2547\d{8}$|^2541\d{8}$/.test(String(body.PhoneNumber))) {
+      return badRequest(res, 'Invalid PhoneNumber');
+    }
+    if (!(Number(body.Amount) >= 1)) {
+      return badRequest(res, 'Invalid Amount');
+    }
+
+    const stk = {
+      merchantRequestId: `${randomId(5, '0123456789')}-${randomId(8, '0123456789')}-1`,
+      checkoutRequestId: `ws_CO_${darajaTimestamp()}${randomId(12, '0123456789')}`,
+      phone: String(body.PhoneNumber),
+      amount: Number(body.Amount),
+      accountReference: body.AccountReference,
+      callbackUrl: body.CallBackURL,
+      createdAt: Date.now(),
+      completedAt: null,
+      outcome: null,
+      receiptNumber: null,
+      callbacksSent: 0
+    };
+    state.stk.set(stk.checkoutRequestId, stk);
+
+    const outcome = takeOutcome(stk.phone);
+    if (!outcome.pending) {
+      later(processingMs, () => completeStk(stk, outcome));
+    }
+
+    res.json({
+      MerchantRequestID: stk.merchantRequestId,
+      CheckoutRequestID: stk.checkoutRequestId,
+      ResponseCode: '0',
+      ResponseDescription: 'Success. Request accepted for processing',
+      CustomerMessage: 'Success. Request accepted for processing'
+    });
+  });
+
+  app.post('/mpesa/c2b/v1/registerurl', requireToken, (req, res) => {
+    const missing = missingFields(req.body, ['ShortCode', 'ResponseType', 'ConfirmationURL', 'ValidationURL']);
+    if (missing.length) {
+      return badRequest(res, `Invalid ${missing[0]}`);
+    }
+    state.c2bUrls[String(req.body.ShortCode)] = {
+      responseType: req.body.ResponseType,
+      confirmationUrl: req.body.ConfirmationURL,
+      validationUrl: req.body.ValidationURL
+    };
+    res.json({ OriginatorCoversationID: randomId(10), ResponseCode: '0', ResponseDescription: 'Success' });
+  });
+
+  // A customer paying the paybill from their phone: validation first, then
+  // confirmation unless validation rejected it
+  app.post('/mpesa/c2b/v1/simulate', requireToken, async (req, res) => {
+    const urls = state.c2bUrls[String(req.body.ShortCode)];
+    if (!urls) {
+      return badRequest(res, 'No URLs registered for this short code');
+    }
+
+    const transaction = {
+      TransactionType: 'Pay Bill',
+      TransID: receiptNumber(),
+      TransTime: darajaTimestamp(),
+      TransAmount: Number(req.body.Amount).toFixed(2),
+      BusinessShortCode: String(req.body.ShortCode),
+      BillRefNumber: req.body.BillRefNumber || '',
+      InvoiceNumber: '',
+      OrgAccountBalance: '',
+      ThirdPartyTransID: '',
+      MSISDN: String(req.body.Msisdn || '254708374149'),
+      FirstName: req.body.FirstName || 'John',
+      MiddleName: '',
+      LastName: req.body.LastName || 'Doe'
+    };
+
+    res.json({ OriginatorCoversationID: randomId(10), ResponseCode: '0', ResponseDescription: 'Accept the service request successfully.' });
+
+    const validation = await post(urls.validationUrl, transaction, 'C2B validation');
+    const rejected = validation ? String(validation.ResultCode) !== '0' : urls.responseType === 'Cancelled';
+    if (rejected) {
+      log(`[Daraja sim] C2B ${transaction.TransID} rejected by validation`);
+      return;
+    }
+    await post(urls.confirmationUrl, transaction, 'C2B confirmation');
+  });
+
+  app.post('/mpesa/b2c/v1/paymentrequest', requireToken, (req, res) => {
+    const missing = missingFields(req.body, ['InitiatorName', 'SecurityCredential', 'CommandID', 'Amount', 'PartyA', 'PartyB', 'QueueTimeOutURL', 'ResultURL']);
+    if (missing.length) {
+      return badRequest(res, `Invalid ${missing[0]}`);
+    }
+
+    const b2c = {
+      conversationId: `AG_${darajaTimestamp()}_${randomId(20).toLowerCase()}`,
+      originatorConversationId: `${randomId(5, '0123456789')}-${randomId(8, '0123456789')}-1`,
+      amount: Number(req.body.Amount),
+      phone: String(req.body.PartyB),
+      outcome: takeOutcome(req.body.PartyB)
+    };
+    state.b2c.set(b2c.conversationId, b2c);
+
+    res.json({
+      ConversationID: b2c.conversationId,
+      OriginatorConversationID: b2c.originatorConversationId,
+      ResponseCode: '0',
+      ResponseDescription: 'Accept the service request successfully.'
+    });
+
+    if (b2c.outcome.pending) return;
+    later(processingMs + (b2c.outcome.callbackDelayMs || 0), () => {
+      const timedOut = b2c.outcome.scenario === 'timeout';
+      const succeeded = b2c.outcome.resultCode === 0;
+      const result = {
+        ResultType: 0,
+        ResultCode: timedOut ? 'SFC_IC0003' : b2c.outcome.resultCode,
+        ResultDesc: timedOut ? 'The request timed out' : b2c.outcome.resultDesc,
+        OriginatorConversationID: b2c.originatorConversationId,
+        ConversationID: b2c.conversationId,
+        TransactionID: succeeded && !timedOut ? receiptNumber() : null
+      };
+      if (succeeded && !timedOut) {
+        result.ResultParameters = {
+          ResultParameter: [
+            { Key: 'TransactionAmount', Value: b2c.amount },
+            { Key: 'TransactionReceipt', Value: result.TransactionID },
+            { Key: 'ReceiverPartyPublicName', Value: `${b2c.phone} - John Doe` },
+            { Key: 'TransactionCompletedDateTime', Value: new Date().toLocaleString('en-GB') }
+          ]
+        };
+      }
+      if (b2c.outcome.sendCallback === false) return;
+      post(timedOut ? req.body.QueueTimeOutURL : req.body.ResultURL, { Result: result }, timedOut ? 'B2C timeout' : 'B2C result');
+    });
+  });
+
+  // ==================== SCRIPTING ====================
+
+  function checkScenario(scenario) {
+    return OUTCOMES[scenario] ? null : `Scenario must be one of: ${Object.keys(OUTCOMES).join(', ')}`;
+  }
+
+  // { scenario } sets the default; { phone, scenario } applies to one phone
+  // number; { scenario, callbackDelayMs } tunes the delay
+  app.post('/simulator/scenario', (req, res) => {
+    const { scenario, phone, callbackDelayMs } = req.body;
+    const error = checkScenario(scenario);
+    if (error) return res.status(400).json({ error });
+
+    if (phone) state.byPhone[String(phone)] = { scenario, callbackDelayMs };
+    else state.defaultScenario = scenario;
+    res.json({ success: true, defaultScenario: state.defaultScenario, byPhone: state.byPhone });
+  });
+
+  // Outcomes for the next requests, in order: { outcomes: ['cancel', { scenario: 'delayed_callback', callbackDelayMs: 5000 }] }
+  app.post('/simulator/queue', (req, res) => {
+    const outcomes = (req.body.outcomes || []).map(o => typeof o === 'string' ? { scenario: o } : o);
+    const error = outcomes.map(o => checkScenario(o.scenario)).find(Boolean);
+    if (error) return res.status(400).json({ error });
+
+    state.queue.push(...outcomes);
+    res.json({ success: true, queue: state.queue });
+  });
+
+  // Finishes a push left 'pending', or re-sends the callback of a finished one
+  app.post('/simulator/stk/:checkoutRequestId/complete', (req, res) => {
+    const stk = state.stk.get(req.params.checkoutRequestId);
+    if (!stk) return res.status(404).json({ error: 'Unknown CheckoutRequestID' });
+
+    if (!stk.completedAt) {
+      const scenario = req.body.scenario || 'success';
+      const error = checkScenario(scenario);
+      if (error || scenario === 'pending') return res.status(400).json({ error: error || 'Choose a final outcome' });
+      completeStk(stk, { scenario, ...OUTCOMES[scenario] });
+    } else {
+      later(0, async () => {
+        stk.callbacksSent++;
+        await post(stk.callbackUrl, stkCallbackBody(stk), 'STK callback (repeat)');
+      });
+    }
+    res.json({ success: true, checkoutRequestId: stk.checkoutRequestId });
+  });
+
+  app.get('/simulator/transactions', (req, res) => {
+    res.json({
+      defaultScenario: state.defaultScenario,
+      queue: state.queue,
+      byPhone: state.byPhone,
+      c2bUrls: state.c2bUrls,
+      stk: [...state.stk.values()].map(stk => ({
+        checkoutRequestId: stk.checkoutRequestId,
+        phone: stk.phone,
+        amount: stk.amount,
+        accountReference: stk.accountReference,
+        scenario: stk.outcome ? stk.outcome.scenario : 'pending',
+        resultCode: stk.outcome ? stk.outcome.resultCode : null,
+        receiptNumber: stk.receiptNumber,
+        callbacksSent: stk.callbacksSent,
+        createdAt: new Date(stk.createdAt)
+      })),
+      b2c: [...state.b2c.values()].map(b2c => ({
+        conversationId: b2c.conversationId,
+        phone: b2c.phone,
+        amount: b2c.amount,
+        scenario: b2c.outcome.scenario
+      }))
+    });
+  });
+
+  app.post('/simulator/reset', (req, res) => {
+    for (const timer of timers) clearTimeout(timer);
+    timers.clear();
+    state.queue = [];
+    state.byPhone = {};
+    state.defaultScenario = defaultScenario;
+    state.stk.clear();
+    state.b2c.clear();
+    state.c2bUrls = {};
+    res.json({ success: true });
+  });
+
+  app.close = () => {
+    for (const timer of timers) clearTimeout(timer);
+    timers.clear();
+  };
+
+  return app;
+}
+
+if (require.main === module) {
+  if (process.env.NODE_ENV === 'production') {
+    console.error('[Daraja sim] Refusing to run with NODE_ENV=production');
+    process.exit(1);
+  }
+
+  const port = parseInt(process.env.DARAJA_SIM_PORT) || 5050;
+  const app = createSimulator({
+    processingMs: parseInt(process.env.DARAJA_SIM_PROCESSING_MS) || DEFAULT_PROCESSING_MS,
+    defaultScenario: process.env.DARAJA_SIM_SCENARIO || 'success'
+  });
+  app.listen(port, '127.0.0.1', () => {
+    console.log(`[Daraja sim] Listening on http://localhost:${port} (default outcome: ${process.env.DARAJA_SIM_SCENARIO || 'success'})`);
+    console.log(`[Daraja sim] Set MPESA_BASE_URL=http://localhost:${port} for the backend`);
+  });
+}
+
+module.exports = { createSimulator, OUTCOMES };
@@ -0,0 +1,18 @@
+-- Migration: Versioned global billing settings (replaces global-billing.json)
+-- Run: node scripts/run-migration.js migration_billing_settings.sql
+
+-- 1. Every save creates a new version holding the full settings, so past
+--    versions can be compared. An existing global-billing.json is imported as
+--    version 1 the first time settings are read.
+CREATE TABLE IF NOT EXISTS billing_settings_versions (
+  version INT AUTO_INCREMENT PRIMARY KEY,
+  settings TEXT NOT NULL,
+  change_note VARCHAR(255) NULL,
+  changed_by INT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (changed_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- 2. The settings version each invoice was generated under
+ALTER TABLE invoices ADD COLUMN billing_settings_version INT NULL;
+ALTER TABLE invoices ADD INDEX idx_invoices_settings_version (billing_settings_version);
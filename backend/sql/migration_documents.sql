@@ -0,0 +1,33 @@
+-- Migration: Sequential document numbers for PDF invoices, receipts and statements
+-- Run: node scripts/run-migration.js migration_documents.sql
+
+-- 1. One counter per document type; numbers are taken inside a transaction so
+--    a failed issue never leaves a gap
+CREATE TABLE IF NOT EXISTS document_sequences (
+  doc_type VARCHAR(20) PRIMARY KEY,
+  last_number INT NOT NULL DEFAULT 0
+);
+
+INSERT IGNORE INTO document_sequences (doc_type, last_number) VALUES
+  ('invoice', 0),
+  ('receipt', 0),
+  ('statement', 0);
+
+-- 2. Every number issued. Invoices and receipts keep the number they were
+--    first given; each statement gets a new one.
+CREATE TABLE IF NOT EXISTS documents (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  doc_type VARCHAR(20) NOT NULL,
+  sequence_number INT NOT NULL,
+  document_number VARCHAR(30) NOT NULL UNIQUE,
+  student_id INT NOT NULL,
+  invoice_id INT NULL,
+  period_start DATE NULL,
+  period_end DATE NULL,
+  issued_by INT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_document_invoice (doc_type, invoice_id),
+  UNIQUE KEY uniq_document_sequence (doc_type, sequence_number),
+  FOREIGN KEY (student_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
@@ -0,0 +1,10 @@
+-- Migration: Email verification for self-registered accounts
+-- Run: node scripts/run-migration.js migration_email_verification.sql
+
+-- Existing accounts and anyone created by an admin count as verified, so the
+-- column defaults to 1; registration sets it to 0 while the emailVerification
+-- setting is on. email_verification_sent_at throttles resends.
+ALTER TABLE users
+  ADD COLUMN email_verified TINYINT(1) NOT NULL DEFAULT 1,
+  ADD COLUMN email_verified_at DATETIME NULL,
+  ADD COLUMN email_verification_sent_at DATETIME NULL;
@@ -0,0 +1,23 @@
+-- Migration: Free trials on paid courses
+-- Run: node scripts/run-migration.js migration_free_trials.sql
+
+-- 1. Per-course trial length in days; NULL uses the platform's freeTrialDays
+--    setting and 0 switches trials off for the course
+ALTER TABLE course_pricing ADD COLUMN free_trial_days INT NULL;
+
+-- 2. One trial per student per course, kept after a withdrawal so the same
+--    course cannot be trialled twice and conversion figures stay complete
+CREATE TABLE IF NOT EXISTS course_trials (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  student_id INT NOT NULL,
+  course_id INT NOT NULL,
+  trial_days INT NOT NULL,
+  started_at DATETIME NOT NULL,
+  ends_at DATETIME NOT NULL,
+  reminder_sent_at DATETIME NULL,
+  ended_notice_sent_at DATETIME NULL,
+  UNIQUE KEY uniq_course_trial (student_id, course_id),
+  INDEX idx_course_trials_ends (ends_at),
+  FOREIGN KEY (student_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE
+);
@@ -0,0 +1,63 @@
+-- Migration: Discount codes, scholarships and sponsorship waivers
+-- Run: node scripts/run-migration.js migration_invoice_discounts.sql
+
+-- 1. Coupon codes students can redeem
+CREATE TABLE IF NOT EXISTS discount_codes (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  code VARCHAR(50) NOT NULL UNIQUE,
+  description VARCHAR(255),
+  discount_type ENUM('percentage', 'fixed') NOT NULL DEFAULT 'percentage',
+  value DECIMAL(10,2) NOT NULL,
+  applies_to ENUM('all', 'initial', 'monthly') NOT NULL DEFAULT 'all',
+  course_id INT NULL,
+  duration_months INT NULL,
+  max_uses INT NULL,
+  uses_count INT NOT NULL DEFAULT 0,
+  expires_at DATETIME NULL,
+  is_active BOOLEAN DEFAULT TRUE,
+  created_by INT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE SET NULL
+);
+
+-- 2. Discounts held by a student: redeemed coupons, scholarships and sponsorships
+CREATE TABLE IF NOT EXISTS student_discounts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  student_id INT NOT NULL,
+  course_id INT NULL,
+  kind ENUM('coupon', 'scholarship', 'sponsorship') NOT NULL,
+  discount_code_id INT NULL,
+  discount_type ENUM('percentage', 'fixed') NOT NULL DEFAULT 'percentage',
+  value DECIMAL(10,2) NOT NULL,
+  applies_to ENUM('all', 'initial', 'monthly') NOT NULL DEFAULT 'all',
+  months_covered INT NULL,
+  months_used INT NOT NULL DEFAULT 0,
+  label VARCHAR(255),
+  sponsor_name VARCHAR(255),
+  notes TEXT,
+  is_active BOOLEAN DEFAULT TRUE,
+  granted_by INT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (student_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE,
+  FOREIGN KEY (discount_code_id) REFERENCES discount_codes(id) ON DELETE SET NULL,
+  INDEX idx_student_discounts_student (student_id, is_active)
+);
+
+-- 3. Itemised invoice lines (the charge plus one line per discount applied)
+CREATE TABLE IF NOT EXISTS invoice_line_items (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  invoice_id INT NOT NULL,
+  line_type ENUM('charge', 'discount') NOT NULL,
+  description VARCHAR(255) NOT NULL,
+  amount DECIMAL(10,2) NOT NULL,
+  student_discount_id INT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE CASCADE,
+  FOREIGN KEY (student_discount_id) REFERENCES student_discounts(id) ON DELETE SET NULL,
+  INDEX idx_invoice_line_items_invoice (invoice_id)
+);
+
+-- 4. Keep the undiscounted amount on the invoice for reporting
+ALTER TABLE invoices ADD COLUMN gross_amount DECIMAL(10,2) NULL;
+ALTER TABLE invoices ADD COLUMN discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0;
@@ -0,0 +1,11 @@
+-- Migration: At most one monthly invoice per student, course and month number
+-- Run: node scripts/run-migration.js migration_invoice_month_unique.sql
+--
+-- Stops two overlapping runs of generate-monthly-invoices billing the same
+-- month twice. Deposit and penalty invoices have no month_number, and NULLs
+-- do not clash. If this fails, list the clashing rows first with:
+--   SELECT student_id, course_id, type, month_number, COUNT(*) FROM invoices
+--   WHERE month_number IS NOT NULL
+--   GROUP BY student_id, course_id, type, month_number HAVING COUNT(*) > 1;
+ALTER TABLE invoices
+  ADD UNIQUE KEY uq_invoices_month (student_id, course_id, type, month_number);
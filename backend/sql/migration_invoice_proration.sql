@@ -0,0 +1,6 @@
+-- Migration: Prorated first-cycle billing for monthly invoices
+-- Run: node scripts/run-migration.js migration_invoice_proration.sql
+
+ALTER TABLE invoices ADD COLUMN is_prorated BOOLEAN DEFAULT FALSE;
+ALTER TABLE invoices ADD COLUMN billing_period_start DATE NULL;
+ALTER TABLE invoices ADD COLUMN billing_period_end DATE NULL;
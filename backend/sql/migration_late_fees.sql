@@ -0,0 +1,29 @@
+-- Migration: Late fee rules and penalty invoices
+-- Run: node scripts/run-migration.js migration_late_fees.sql
+
+-- 1. Penalty invoices are linked to the overdue invoice they were charged on
+ALTER TABLE invoices MODIFY COLUMN type VARCHAR(20) NOT NULL DEFAULT 'initial';
+ALTER TABLE invoices ADD COLUMN parent_invoice_id INT NULL;
+ALTER TABLE invoices ADD INDEX idx_invoices_parent (parent_invoice_id);
+
+-- 2. Per-course late fee rule; a NULL type falls back to the global rule and
+--    'none' switches late fees off for the course
+ALTER TABLE course_pricing ADD COLUMN late_fee_type VARCHAR(20) NULL;
+ALTER TABLE course_pricing ADD COLUMN late_fee_value DECIMAL(10,2) NULL;
+ALTER TABLE course_pricing ADD COLUMN late_fee_cap DECIMAL(10,2) NULL;
+ALTER TABLE course_pricing ADD COLUMN late_fee_grace_days INT NULL;
+
+-- 3. Audit trail of waived late fees
+CREATE TABLE IF NOT EXISTS late_fee_waivers (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  invoice_id INT NOT NULL,
+  student_id INT NOT NULL,
+  course_id INT NOT NULL,
+  amount DECIMAL(10,2) NOT NULL,
+  refunded_to_credit DECIMAL(10,2) NOT NULL DEFAULT 0,
+  reason TEXT NOT NULL,
+  waived_by INT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE CASCADE,
+  FOREIGN KEY (student_id) REFERENCES users(id) ON DELETE CASCADE
+);
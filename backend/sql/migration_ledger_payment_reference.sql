@@ -0,0 +1,15 @@
+-- Migration: At most one ledger payment per receipt or transaction reference
+-- Run: node scripts/run-migration.js migration_ledger_payment_reference.sql
+--
+-- recordPayment looks for an earlier payment before inserting, but two
+-- callbacks for the same receipt can both pass that check. Allocations carry
+-- the receipt too, so only payment rows are keyed: payment_reference copies
+-- reference for payments and is NULL otherwise (NULLs do not clash). If this
+-- fails, list the duplicated payments first with:
+--   SELECT reference, COUNT(*) FROM ledger_entries
+--   WHERE entry_type = 'payment' AND reference IS NOT NULL
+--   GROUP BY reference HAVING COUNT(*) > 1;
+ALTER TABLE ledger_entries
+  ADD COLUMN payment_reference VARCHAR(100)
+    AS (CASE WHEN entry_type = 'payment' THEN reference END) STORED,
+  ADD UNIQUE KEY uq_ledger_payment_reference (payment_reference);
@@ -0,0 +1,26 @@
+-- Migration: Failed-login tracking and temporary account lockouts
+-- Run: node scripts/run-migration.js migration_login_protection.sql
+
+-- 1. Lockout state. failed_login_count resets on a successful login or an
+--    unlock; login_lockouts counts lockouts since then so repeat offenders
+--    are locked out for longer each time
+ALTER TABLE users
+  ADD COLUMN failed_login_count INT NOT NULL DEFAULT 0,
+  ADD COLUMN login_lockouts INT NOT NULL DEFAULT 0,
+  ADD COLUMN login_locked_until DATETIME NULL,
+  ADD COLUMN last_failed_login_at DATETIME NULL;
+
+-- 2. Every login attempt, by email and address. user_id is NULL for unknown
+--    emails; failures per address drive the per-IP block
+CREATE TABLE IF NOT EXISTS login_attempts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  email VARCHAR(255) NOT NULL,
+  user_id INT NULL,
+  ip_address VARCHAR(45) NULL,
+  success TINYINT(1) NOT NULL DEFAULT 0,
+  reason VARCHAR(30) NULL,
+  created_at DATETIME NOT NULL,
+  INDEX idx_login_attempts_ip (ip_address, created_at),
+  INDEX idx_login_attempts_user (user_id, created_at),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+);
@@ -0,0 +1,29 @@
+-- Migration: M-Pesa paybill (C2B) payments and suspense queue
+-- Run: node scripts/run-migration.js migration_mpesa_c2b.sql
+
+-- Every paybill confirmation received. Payments whose account number matches
+-- an invoice or student are settled straight away ('matched'); the rest wait
+-- in 'suspense' until an admin assigns ('assigned') or dismisses them.
+CREATE TABLE IF NOT EXISTS mpesa_c2b_transactions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  trans_id VARCHAR(30) NOT NULL UNIQUE,
+  trans_type VARCHAR(30) NULL,
+  trans_time DATETIME NULL,
+  amount DECIMAL(10,2) NOT NULL,
+  short_code VARCHAR(20) NULL,
+  bill_ref_number VARCHAR(50) NULL,
+  phone_number VARCHAR(64) NULL,
+  payer_name VARCHAR(150) NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'suspense',
+  student_id INT NULL,
+  invoice_id INT NULL,
+  matched_by VARCHAR(20) NULL,
+  ledger_entry_id INT NULL,
+  resolution_note TEXT NULL,
+  resolved_by INT NULL,
+  resolved_at DATETIME NULL,
+  raw_payload TEXT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_c2b_status (status),
+  FOREIGN KEY (student_id) REFERENCES users(id) ON DELETE SET NULL
+);
@@ -0,0 +1,38 @@
+-- Migration: Imported M-Pesa paybill statements for reconciliation
+-- Run: node scripts/run-migration.js migration_mpesa_statements.sql
+
+-- 1. One row per uploaded statement file
+CREATE TABLE IF NOT EXISTS mpesa_statement_imports (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  filename VARCHAR(255) NOT NULL,
+  file_format VARCHAR(10) NOT NULL,
+  period_start DATETIME NULL,
+  period_end DATETIME NULL,
+  line_count INT NOT NULL DEFAULT 0,
+  paid_in_count INT NOT NULL DEFAULT 0,
+  paid_in_total DECIMAL(12,2) NOT NULL DEFAULT 0,
+  imported_by INT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (imported_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- 2. The statement's rows as imported. A receipt can appear on more than one
+--    row (the payment and its charge), so receipt_no is not unique. Matching
+--    against our records is worked out when the import is viewed.
+CREATE TABLE IF NOT EXISTS mpesa_statement_lines (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  import_id INT NOT NULL,
+  line_number INT NOT NULL,
+  receipt_no VARCHAR(30) NOT NULL,
+  completion_time DATETIME NULL,
+  details VARCHAR(255) NULL,
+  transaction_status VARCHAR(30) NULL,
+  paid_in DECIMAL(12,2) NOT NULL DEFAULT 0,
+  withdrawn DECIMAL(12,2) NOT NULL DEFAULT 0,
+  balance DECIMAL(14,2) NULL,
+  other_party VARCHAR(255) NULL,
+  account_ref VARCHAR(100) NULL,
+  INDEX idx_statement_lines_import (import_id),
+  INDEX idx_statement_lines_receipt (receipt_no),
+  FOREIGN KEY (import_id) REFERENCES mpesa_statement_imports(id) ON DELETE CASCADE
+);
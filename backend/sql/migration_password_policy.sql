@@ -0,0 +1,23 @@
+-- Migration: Password policy levels, reuse history and rotation
+-- Run: node scripts/run-migration.js migration_password_policy.sql
+
+-- 1. When the password was last set by its owner. Existing accounts start
+--    from today so turning on rotation does not expire everyone at once
+ALTER TABLE users
+  ADD COLUMN password_changed_at DATETIME NULL;
+
+UPDATE users SET password_changed_at = NOW();
+
+-- 2. Recent password hashes, trimmed to passwordHistoryCount per user
+CREATE TABLE IF NOT EXISTS password_history (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  password_hash VARCHAR(255) NOT NULL,
+  created_at DATETIME NOT NULL,
+  INDEX idx_password_history_user (user_id, created_at),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- 3. 'default' was stored before the policy levels existed
+UPDATE settings SET setting_value = 'basic'
+WHERE setting_key = 'passwordPolicy' AND setting_value NOT IN ('basic', 'medium', 'strong');
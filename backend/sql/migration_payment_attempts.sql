@@ -0,0 +1,46 @@
+-- Migration: M-Pesa STK push attempts and their state transitions
+-- Run: node scripts/run-migration.js migration_payment_attempts.sql
+
+-- One row per STK push. status moves from 'initiated' to exactly one of
+-- 'succeeded', 'failed', 'cancelled' or 'timed_out', or to 'expired' when
+-- M-Pesa never reports an outcome. The unique checkout and receipt numbers
+-- stop a repeated callback from recording a payment twice.
+CREATE TABLE IF NOT EXISTS payment_attempts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  invoice_id INT NOT NULL,
+  student_id INT NOT NULL,
+  phone_number VARCHAR(20) NULL,
+  amount DECIMAL(10,2) NOT NULL,
+  months_count INT NULL,
+  checkout_request_id VARCHAR(100) NULL UNIQUE,
+  merchant_request_id VARCHAR(100) NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'initiated',
+  result_code INT NULL,
+  result_desc VARCHAR(255) NULL,
+  failure_reason VARCHAR(255) NULL,
+  mpesa_receipt_number VARCHAR(30) NULL UNIQUE,
+  amount_paid DECIMAL(10,2) NULL,
+  ledger_entry_id INT NULL,
+  callback_count INT NOT NULL DEFAULT 0,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  completed_at DATETIME NULL,
+  INDEX idx_attempts_invoice (invoice_id),
+  INDEX idx_attempts_student (student_id, created_at),
+  INDEX idx_attempts_status (status),
+  FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE CASCADE,
+  FOREIGN KEY (student_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Every change to an attempt, plus repeated callbacks that changed nothing
+CREATE TABLE IF NOT EXISTS payment_attempt_events (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  attempt_id INT NOT NULL,
+  from_status VARCHAR(20) NULL,
+  to_status VARCHAR(20) NOT NULL,
+  source VARCHAR(20) NOT NULL,
+  detail VARCHAR(255) NULL,
+  payload TEXT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_attempt_events_attempt (attempt_id),
+  FOREIGN KEY (attempt_id) REFERENCES payment_attempts(id) ON DELETE CASCADE
+);
@@ -0,0 +1,19 @@
+-- Migration: Pluggable payment gateways (M-Pesa and Paystack card checkout)
+-- Run: node scripts/run-migration.js migration_payment_gateways.sql
+
+-- 1. Attempts belong to a gateway. For Paystack, checkout_request_id holds
+--    the transaction reference we generate for the hosted checkout.
+ALTER TABLE payment_attempts ADD COLUMN gateway VARCHAR(20) NOT NULL DEFAULT 'mpesa' AFTER student_id;
+ALTER TABLE payment_attempts ADD INDEX idx_attempts_gateway (gateway, status);
+
+-- 2. The gateway whose payment settled the invoice (NULL for manual, credit
+--    and simulated payments)
+ALTER TABLE invoices ADD COLUMN payment_gateway VARCHAR(20) NULL;
+
+-- 3. Comma-separated gateways students may use for a course; NULL falls back
+--    to the platform's default gateway setting
+ALTER TABLE course_pricing ADD COLUMN payment_gateways VARCHAR(100) NULL;
+
+-- 4. Card refunds are confirmed later by webhook under the gateway's own ID
+ALTER TABLE refunds ADD COLUMN gateway_refund_id VARCHAR(100) NULL;
+ALTER TABLE refunds ADD INDEX idx_refunds_gateway_refund (gateway_refund_id);
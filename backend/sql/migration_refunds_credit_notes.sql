@@ -0,0 +1,62 @@
+-- Migration: Withdrawals, credit notes and refunds
+-- Run: node scripts/run-migration.js migration_refunds_credit_notes.sql
+
+-- 1. Invoices for months a withdrawn student never used are cancelled, not deleted
+ALTER TABLE invoices MODIFY COLUMN status VARCHAR(20) NOT NULL DEFAULT 'pending';
+
+-- 2. Record of each withdrawal (the enrollment row itself is removed)
+CREATE TABLE IF NOT EXISTS withdrawals (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  student_id INT NOT NULL,
+  course_id INT NOT NULL,
+  enrollment_id INT NULL,
+  enrolled_at DATETIME NULL,
+  reason TEXT NOT NULL,
+  credited_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+  cancelled_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+  processed_by INT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (student_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE
+);
+
+-- 3. Credit notes against invoices for unused months
+CREATE TABLE IF NOT EXISTS credit_notes (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  credit_note_number VARCHAR(30) UNIQUE,
+  student_id INT NOT NULL,
+  course_id INT NOT NULL,
+  invoice_id INT NULL,
+  withdrawal_id INT NULL,
+  amount DECIMAL(10,2) NOT NULL,
+  credited_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+  reason TEXT NOT NULL,
+  issued_by INT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (student_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE SET NULL,
+  FOREIGN KEY (withdrawal_id) REFERENCES withdrawals(id) ON DELETE SET NULL
+);
+
+-- 4. Money returned to students out of their credit balance
+CREATE TABLE IF NOT EXISTS refunds (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  student_id INT NOT NULL,
+  course_id INT NULL,
+  withdrawal_id INT NULL,
+  amount DECIMAL(10,2) NOT NULL,
+  reason TEXT NOT NULL,
+  method VARCHAR(30) NOT NULL DEFAULT 'manual',
+  phone_number VARCHAR(20),
+  reference VARCHAR(100),
+  status ENUM('processing', 'completed', 'failed') NOT NULL DEFAULT 'processing',
+  failure_reason VARCHAR(255),
+  mpesa_conversation_id VARCHAR(100),
+  mpesa_originator_conversation_id VARCHAR(100),
+  approved_by INT NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  completed_at DATETIME NULL,
+  FOREIGN KEY (student_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (withdrawal_id) REFERENCES withdrawals(id) ON DELETE SET NULL,
+  INDEX idx_refunds_conversation (mpesa_conversation_id)
+);
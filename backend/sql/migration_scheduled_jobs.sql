@@ -0,0 +1,37 @@
+-- Migration: In-process job scheduler with run history
+-- Run: node scripts/run-migration.js migration_scheduled_jobs.sql
+
+-- 1. One row per job. Rows are created by the app for each job it defines;
+--    admins can change the schedule. locked_by/locked_until stop two server
+--    instances running the same job at once.
+CREATE TABLE IF NOT EXISTS scheduled_jobs (
+  name VARCHAR(50) PRIMARY KEY,
+  description VARCHAR(255) NULL,
+  is_enabled TINYINT(1) NOT NULL DEFAULT 1,
+  interval_minutes INT NOT NULL DEFAULT 60,
+  max_retries INT NOT NULL DEFAULT 3,
+  retry_delay_minutes INT NOT NULL DEFAULT 5,
+  retry_count INT NOT NULL DEFAULT 0,
+  next_run_at DATETIME NULL,
+  last_run_at DATETIME NULL,
+  last_status VARCHAR(20) NULL,
+  locked_by VARCHAR(100) NULL,
+  locked_until DATETIME NULL
+);
+
+-- 2. Every run, whether scheduled, a retry or triggered by hand
+CREATE TABLE IF NOT EXISTS job_runs (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  job_name VARCHAR(50) NOT NULL,
+  trigger_type VARCHAR(20) NOT NULL,
+  attempt INT NOT NULL DEFAULT 1,
+  status VARCHAR(20) NOT NULL,
+  result TEXT NULL,
+  error TEXT NULL,
+  instance_id VARCHAR(100) NULL,
+  triggered_by INT NULL,
+  started_at DATETIME NOT NULL,
+  finished_at DATETIME NULL,
+  duration_ms INT NULL,
+  INDEX idx_job_runs_job (job_name, started_at)
+);
@@ -0,0 +1,19 @@
+-- Migration: Daily reconciliation reports for M-Pesa STK push attempts
+-- Run: node scripts/run-migration.js migration_stk_reconciliation.sql
+
+-- One row per day, rewritten if the report is generated again. Attempts are
+-- counted on the day they were started: settled (paid), failed (declined,
+-- cancelled or timed out) and unknown (still open, or expired without M-Pesa
+-- ever reporting an outcome).
+CREATE TABLE IF NOT EXISTS stk_reconciliation_reports (
+  report_date DATE PRIMARY KEY,
+  total_count INT NOT NULL DEFAULT 0,
+  settled_count INT NOT NULL DEFAULT 0,
+  settled_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+  failed_count INT NOT NULL DEFAULT 0,
+  failed_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+  unknown_count INT NOT NULL DEFAULT 0,
+  unknown_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+  details TEXT NULL,
+  generated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
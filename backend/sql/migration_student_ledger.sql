@@ -0,0 +1,43 @@
+-- Migration: Student credit ledger and partial payments
+-- Run: node scripts/run-migration.js migration_student_ledger.sql
+
+-- 1. Ledger of money received and how it was applied
+--    payment:    money received from the student (positive)
+--    allocation: part of the student's credit applied to an invoice (positive; negative reverses)
+--    adjustment: manual correction to the credit balance (signed)
+CREATE TABLE IF NOT EXISTS ledger_entries (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  student_id INT NOT NULL,
+  course_id INT NULL,
+  invoice_id INT NULL,
+  entry_type VARCHAR(30) NOT NULL,
+  amount DECIMAL(10,2) NOT NULL,
+  method VARCHAR(50),
+  reference VARCHAR(100),
+  source VARCHAR(50),
+  source_id INT NULL,
+  description VARCHAR(255),
+  created_by INT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (student_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE SET NULL,
+  INDEX idx_ledger_student (student_id, entry_type),
+  INDEX idx_ledger_invoice (invoice_id),
+  INDEX idx_ledger_reference (reference)
+);
+
+-- 2. Running total of what has been allocated to each invoice
+ALTER TABLE invoices ADD COLUMN amount_paid DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+-- 3. Backfill: invoices already paid in full get a matching payment and allocation
+INSERT INTO ledger_entries (student_id, course_id, invoice_id, entry_type, amount, method, reference, source, description, created_at)
+SELECT student_id, course_id, id, 'payment', amount, payment_method, COALESCE(mpesa_receipt, transaction_id), 'backfill',
+       'Payment recorded before the ledger was introduced', COALESCE(paid_at, created_at)
+FROM invoices WHERE status = 'paid' AND amount > 0;
+
+INSERT INTO ledger_entries (student_id, course_id, invoice_id, entry_type, amount, source, description, created_at)
+SELECT student_id, course_id, id, 'allocation', amount, 'backfill',
+       'Payment recorded before the ledger was introduced', COALESCE(paid_at, created_at)
+FROM invoices WHERE status = 'paid' AND amount > 0;
+
+UPDATE invoices SET amount_paid = amount WHERE status = 'paid';
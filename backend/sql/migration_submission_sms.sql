@@ -0,0 +1,16 @@
+-- Migration: Payment submissions from pasted M-Pesa confirmation messages
+-- Run: node scripts/run-migration.js migration_submission_sms.sql
+
+-- 1. What the student pasted and what was read from it
+ALTER TABLE payment_submissions ADD COLUMN sms_text TEXT NULL;
+ALTER TABLE payment_submissions ADD COLUMN sms_recipient VARCHAR(150) NULL;
+ALTER TABLE payment_submissions ADD COLUMN sms_account VARCHAR(100) NULL;
+ALTER TABLE payment_submissions ADD COLUMN sms_paid_at DATETIME NULL;
+
+-- 2. JSON list of the reasons a submission was left for an admin
+ALTER TABLE payment_submissions ADD COLUMN review_flags TEXT NULL;
+
+-- 3. How a verified submission was confirmed: 'admin', 'auto' (from the SMS)
+--    or 'paybill' (by Safaricom's paybill notification)
+ALTER TABLE payment_submissions ADD COLUMN verification_method VARCHAR(20) NULL;
+ALTER TABLE payment_submissions ADD INDEX idx_submissions_transaction (transaction_id);
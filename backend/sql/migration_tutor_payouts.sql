@@ -0,0 +1,59 @@
+-- Migration: Tutor revenue share and monthly payout statements
+-- Run: node scripts/run-migration.js migration_tutor_payouts.sql
+
+-- 1. The part of a course's revenue that goes to its tutors. Courses without
+--    a row pay their tutors nothing.
+CREATE TABLE IF NOT EXISTS course_revenue_shares (
+  course_id INT PRIMARY KEY,
+  tutor_share_percent DECIMAL(5,2) NOT NULL DEFAULT 0,
+  updated_by INT NULL,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE
+);
+
+-- 2. How the tutors' part is split between co-tutors (adds up to 100 per
+--    course). Courses without rows split it equally between course_tutors.
+CREATE TABLE IF NOT EXISTS tutor_revenue_splits (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  course_id INT NOT NULL,
+  tutor_id INT NOT NULL,
+  split_percent DECIMAL(5,2) NOT NULL,
+  UNIQUE KEY uniq_split_course_tutor (course_id, tutor_id),
+  FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE,
+  FOREIGN KEY (tutor_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- 3. One statement per tutor per month. Pending statements are recalculated
+--    when statements are generated again; approved and paid ones are fixed.
+CREATE TABLE IF NOT EXISTS tutor_payouts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  tutor_id INT NOT NULL,
+  period_start DATE NOT NULL,
+  period_end DATE NOT NULL,
+  course_revenue DECIMAL(12,2) NOT NULL DEFAULT 0,
+  amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+  status ENUM('pending', 'approved', 'paid') NOT NULL DEFAULT 'pending',
+  approved_by INT NULL,
+  approved_at DATETIME NULL,
+  paid_by INT NULL,
+  paid_at DATETIME NULL,
+  payment_reference VARCHAR(100) NULL,
+  notes TEXT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NULL,
+  UNIQUE KEY uniq_payout_tutor_period (tutor_id, period_start),
+  INDEX idx_payouts_status (status),
+  FOREIGN KEY (tutor_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- 4. Earnings per course on a statement, with the share used at the time
+CREATE TABLE IF NOT EXISTS tutor_payout_lines (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  payout_id INT NOT NULL,
+  course_id INT NOT NULL,
+  course_revenue DECIMAL(12,2) NOT NULL,
+  share_percent DECIMAL(7,4) NOT NULL,
+  amount DECIMAL(12,2) NOT NULL,
+  FOREIGN KEY (payout_id) REFERENCES tutor_payouts(id) ON DELETE CASCADE,
+  FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE
+);
@@ -0,0 +1,39 @@
+-- Migration: TOTP two-factor authentication
+-- Run: node scripts/run-migration.js migration_two_factor.sql
+
+-- 1. Per-user 2FA state. Secrets are AES-GCM encrypted; the pending secret
+--    holds an enrollment until the first code confirms it, and last_step
+--    stops an accepted code being used twice
+ALTER TABLE users
+  ADD COLUMN two_factor_enabled TINYINT(1) NOT NULL DEFAULT 0,
+  ADD COLUMN two_factor_secret VARCHAR(255) NULL,
+  ADD COLUMN two_factor_pending_secret VARCHAR(255) NULL,
+  ADD COLUMN two_factor_enabled_at DATETIME NULL,
+  ADD COLUMN two_factor_last_step BIGINT NULL;
+
+-- 2. One-time recovery codes, stored as SHA-256 hashes
+CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  code_hash CHAR(64) NOT NULL,
+  used_at DATETIME NULL,
+  created_at DATETIME NOT NULL,
+  INDEX idx_recovery_codes_user (user_id, code_hash),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- 3. Audit trail: enabled, disabled, admin_reset, recovery_code_used,
+--    recovery_codes_regenerated and code_failed (also used to throttle guessing).
+--    actor_id is whoever made the change, i.e. the admin for admin_reset
+CREATE TABLE IF NOT EXISTS two_factor_events (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  actor_id INT NULL,
+  action VARCHAR(40) NOT NULL,
+  reason VARCHAR(255) NULL,
+  ip_address VARCHAR(45) NULL,
+  created_at DATETIME NOT NULL,
+  INDEX idx_two_factor_events_user (user_id, action, created_at),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE SET NULL
+);
@@ -0,0 +1,26 @@
+-- Migration: Per-device login sessions with rotating refresh tokens
+-- Run: node scripts/run-migration.js migration_user_sessions.sql
+
+-- One row per signed-in device. Access tokens name their session (sid) and
+-- stop working as soon as it is revoked or expires. Only SHA-256 hashes of
+-- refresh tokens are stored; previous_token_hash lets a refresh that lost a
+-- race between two tabs be told apart from a stolen token being replayed.
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  refresh_token_hash CHAR(64) NOT NULL,
+  previous_token_hash CHAR(64) NULL,
+  rotated_at DATETIME NULL,
+  device_name VARCHAR(100) NULL,
+  user_agent VARCHAR(255) NULL,
+  ip_address VARCHAR(45) NULL,
+  created_at DATETIME NOT NULL,
+  last_used_at DATETIME NOT NULL,
+  expires_at DATETIME NOT NULL,
+  revoked_at DATETIME NULL,
+  revoke_reason VARCHAR(30) NULL,
+  UNIQUE KEY uniq_refresh_token (refresh_token_hash),
+  INDEX idx_previous_token (previous_token_hash),
+  INDEX idx_user_sessions_user (user_id, revoked_at, expires_at),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
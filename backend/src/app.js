@@ -56,6 +56,11 @@ const corsOptions = {
   exposedHeaders: ['Content-Length', 'Content-Type']
 };
 
+// The app runs behind LiteSpeed, so the client address comes from
+// X-Forwarded-For. TRUST_PROXY takes a hop count or addresses to trust.
+const trustProxy = process.env.TRUST_PROXY || 'loopback';
+app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+
 app.use(cors(corsOptions));
 
 app.use(helmet({
@@ -64,7 +69,11 @@ app.use(helmet({
   crossOriginResourcePolicy: { policy: 'cross-origin' }
 }));
 
-app.use(express.json({ limit: '10mb' }));
+// Card gateway webhooks are signed over the exact bytes received
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Serve uploads directory for file uploads
@@ -154,6 +163,11 @@ frontendPages.forEach(pagePath => {
   });
 });
 
+// Admin pages used to link to receipts outside /api
+app.get('/receipt/:invoiceId', (req, res) => {
+  res.redirect(302, `/api/receipt/${encodeURIComponent(req.params.invoiceId)}`);
+});
+
 app.get('/admin-dashboard', (req, res) => {
   res.sendFile(path.join(publicHtmlPath, 'admin-dashboard', 'index.html'));
 });
@@ -217,6 +231,11 @@ const server = app.listen(PORT, HOST, () => {
 const { initSocket } = require('./lib/socket.js');
 initSocket(server);
 
+// Background jobs (monthly invoicing, overdue checks) run in-process
+const { startScheduler } = require('./lib/scheduler.js');
+require('./lib/jobs.js');
+startScheduler();
+
 server.on('error', (error) => {
   console.error('❌ Server error:', error);
   if (error.code === 'EADDRINUSE') {
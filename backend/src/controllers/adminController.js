@@ -2,7 +2,20 @@
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
 const db = require('../config/database.js');
-const { sendWelcomeEmail } = require('../lib/email.js');
+const { sendWelcomeEmail, sendPasswordResetEmail } = require('../lib/email.js');
+const { getGlobalSettings: loadBillingSettings, buildInstallmentSchedule } = require('../lib/invoices.js');
+const { updateBillingSettings, getBillingSettingsHistory } = require('../lib/billingSettings.js');
+const { getInvoiceLineItems } = require('../lib/discounts.js');
+const { getLedgerSummary, getLedgerEntries } = require('../lib/ledger.js');
+const { withdrawEnrollment } = require('../lib/refunds.js');
+const { validateLateFeeRule, waiveLateFee: processLateFeeWaiver } = require('../lib/lateFees.js');
+const { GATEWAY_IDS, parseGatewayList } = require('../lib/paymentGateways.js');
+const { DEFAULT_TRIAL_DAYS, parseTrialDays, getTrialConversion } = require('../lib/trials.js');
+const { getUserSessions: listUserSessions, revokeUserSessions: endUserSessions, clientIp } = require('../lib/sessions.js');
+const { disableTwoFactor, getTwoFactorEvents } = require('../lib/twoFactor.js');
+const { getLockedAccounts, unlockAccount } = require('../lib/loginProtection.js');
+const { markEmailVerified } = require('../lib/emailVerification.js');
+const { POLICY_LEVELS, DEFAULT_POLICY_LEVEL, DEFAULT_HISTORY_COUNT } = require('../lib/passwordPolicy.js');
 
 function generateRandomPassword(length = 12) {
   const charset = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789!@#$%^&*';
@@ -399,7 +412,7 @@ async function getUsers(req, res) {
   try {
     const users = await db.query(`
       SELECT u.id, u.username, u.email, u.full_name, u.role_id, u.is_active, u.is_locked, 
-             u.date_joined, u.created_at, u.updated_at, u.must_change_password,
+             u.date_joined, u.created_at, u.updated_at, u.must_change_password, u.two_factor_enabled, u.email_verified,
              r.name as role_name,
              (SELECT COUNT(*) FROM course_tutors WHERE tutor_id = u.id) as courses_count,
              (SELECT COUNT(*) FROM enrollments WHERE student_id = u.id) as enrollments_count
@@ -425,6 +438,8 @@ async function getUsers(req, res) {
       createdAt: user.created_at,
       updatedAt: user.updated_at,
       mustChangePassword: !!user.must_change_password,
+      twoFactorEnabled: !!user.two_factor_enabled,
+      emailVerified: !!user.email_verified,
       coursesCount: user.courses_count || 0,
       enrollmentsCount: user.enrollments_count || 0
     }));
@@ -481,6 +496,8 @@ async function createUser(req, res) {
       password_hash: hashedPassword,
       role_id: roleRow.id || roleRow,
       is_active: true,
+      // The admin vouches for the address, so no verification link is needed
+      email_verified: true,
       date_joined: new Date()
     });
 
@@ -490,7 +507,7 @@ async function createUser(req, res) {
       SELECT u.*, r.name as role_name FROM users u
       LEFT JOIN roles r ON u.role_id = r.id WHERE u.id = ?
     `, [userId]);
-    const { password_hash, ...userWithoutPassword } = user;
+    const { password_hash, two_factor_secret, two_factor_pending_secret, ...userWithoutPassword } = user;
     userWithoutPassword.fullName = userWithoutPassword.full_name;
     userWithoutPassword.isActive = !!userWithoutPassword.is_active;
     userWithoutPassword.mustChangePassword = !!userWithoutPassword.must_change_password;
@@ -594,11 +611,15 @@ async function updateUser(req, res) {
 
     await db.update('users', parseInt(id), updateData);
 
+    if (existingUser.is_active && !updateData.is_active) {
+      await endUserSessions(existingUser.id, { reason: 'deactivated' });
+    }
+
     const user = await db.getOne(`
       SELECT u.*, r.name as role_name FROM users u
       LEFT JOIN roles r ON u.role_id = r.id WHERE u.id = ?
     `, [parseInt(id)]);
-    const { password_hash, ...userWithoutPassword } = user;
+    const { password_hash, two_factor_secret, two_factor_pending_secret, ...userWithoutPassword } = user;
     userWithoutPassword.fullName = userWithoutPassword.full_name;
     userWithoutPassword.isActive = !!userWithoutPassword.is_active;
     userWithoutPassword.mustChangePassword = !!userWithoutPassword.must_change_password;
@@ -645,6 +666,7 @@ async function deleteUser(req, res) {
       'UPDATE users SET is_active = 0, email = ?, username = ? WHERE id = ?',
       [`deleted-${userId}@deleted.local`, `deleted-${userId}`, userId]
     );
+    await endUserSessions(userId, { reason: 'deactivated' });
 
     res.json({
       success: true,
@@ -659,6 +681,193 @@ async function deleteUser(req, res) {
   }
 }
 
+// Signed-in devices for a user
+async function getUserSessions(req, res) {
+  try {
+    const userId = parseInt(req.params.id);
+    const user = await db.getOne('SELECT id FROM users WHERE id = ?', [userId]);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ success: true, sessions: await listUserSessions(userId) });
+  } catch (error) {
+    console.error('Get user sessions error:', error);
+    res.status(500).json({ error: 'Failed to load user sessions' });
+  }
+}
+
+// Signs a user out of every device
+async function revokeUserSessions(req, res) {
+  try {
+    const userId = parseInt(req.params.id);
+    const user = await db.getOne('SELECT id FROM users WHERE id = ?', [userId]);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const count = await endUserSessions(userId, { reason: 'admin_revoked' });
+    res.json({ success: true, revoked: count, message: `Logged the user out of ${count} device${count === 1 ? '' : 's'}` });
+  } catch (error) {
+    console.error('Revoke user sessions error:', error);
+    res.status(500).json({ error: 'Failed to revoke user sessions' });
+  }
+}
+
+// Replaces a user's password with an unknown one, signs them out everywhere
+// and emails them a link to choose a new password
+async function resetUserPassword(req, res) {
+  try {
+    const userId = parseInt(req.params.id);
+    const user = await db.getOne('SELECT id, email, is_active FROM users WHERE id = ?', [userId]);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!user.is_active) {
+      return res.status(400).json({ error: 'Cannot reset the password of a deactivated user' });
+    }
+
+    const hashedPassword = await bcrypt.hash(generateRandomPassword(), 12);
+    await db.query(
+      'UPDATE users SET password_hash = ?, must_change_password = 1, updated_at = ? WHERE id = ?',
+      [hashedPassword, new Date(), userId]
+    );
+    const revoked = await endUserSessions(userId, { reason: 'password_reset' });
+
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    await db.query('UPDATE password_reset_tokens SET used = 1 WHERE email = ? AND used = 0', [user.email]);
+    await db.insert('password_reset_tokens', {
+      email: user.email,
+      token: resetToken,
+      expires_at: new Date(Date.now() + 60 * 60 * 1000),
+      used: 0
+    });
+    const resetLink = `${process.env.FRONTEND_URL || 'https://nurufoundations.com'}/reset-password.html?token=${resetToken}&email=${encodeURIComponent(user.email)}`;
+
+    let emailStatus = { sent: false, error: null };
+    try {
+      const emailResult = await sendPasswordResetEmail(user.email, resetLink);
+      emailStatus = { sent: emailResult.success, error: emailResult.error || null };
+    } catch (emailError) {
+      console.error('[Admin] Failed to send password reset email:', emailError.message);
+      emailStatus = { sent: false, error: emailError.message };
+    }
+
+    console.log(`[Admin] Password reset for user ${userId} by admin ${req.user.userId}; ${revoked} session(s) revoked`);
+
+    res.json({
+      success: true,
+      revoked,
+      emailStatus,
+      message: emailStatus.sent
+        ? 'Password reset. The user has been logged out and emailed a link to set a new password.'
+        : 'Password reset and the user has been logged out, but the reset email could not be sent.'
+    });
+  } catch (error) {
+    console.error('Reset user password error:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+}
+
+// Clears a user's 2FA, e.g. after they lose their phone and recovery codes.
+// A reason is required for the audit trail.
+async function resetUserTwoFactor(req, res) {
+  try {
+    const userId = parseInt(req.params.id);
+    const reason = (req.body.reason || '').trim();
+
+    if (!reason) {
+      return res.status(400).json({ error: 'A reason is required to reset two-factor authentication' });
+    }
+
+    const user = await db.getOne('SELECT id, two_factor_enabled FROM users WHERE id = ?', [userId]);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!user.two_factor_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled for this user' });
+    }
+
+    await disableTwoFactor(userId, {
+      action: 'admin_reset',
+      actorId: req.user.userId,
+      reason,
+      ipAddress: clientIp(req)
+    });
+    console.log(`[Admin] 2FA reset for user ${userId} by admin ${req.user.userId}: ${reason}`);
+
+    res.json({ success: true, message: 'Two-factor authentication reset. The user can set it up again at their next login.' });
+  } catch (error) {
+    console.error('Reset user 2FA error:', error);
+    res.status(500).json({ error: 'Failed to reset two-factor authentication' });
+  }
+}
+
+async function getUserTwoFactorEvents(req, res) {
+  try {
+    const events = await getTwoFactorEvents(parseInt(req.params.id));
+    res.json({ success: true, events });
+  } catch (error) {
+    console.error('Get 2FA events error:', error);
+    res.status(500).json({ error: 'Failed to load two-factor history' });
+  }
+}
+
+// For users who cannot receive the confirmation email, once support has
+// confirmed the address some other way
+async function verifyUserEmail(req, res) {
+  try {
+    const userId = parseInt(req.params.id);
+    const user = await db.getOne('SELECT id, email_verified FROM users WHERE id = ?', [userId]);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (user.email_verified) {
+      return res.status(400).json({ error: 'Email address is already verified' });
+    }
+
+    await markEmailVerified(userId);
+    console.log(`[Admin] Email marked verified for user ${userId} by admin ${req.user.userId}`);
+
+    res.json({ success: true, message: 'Email address marked as verified' });
+  } catch (error) {
+    console.error('Verify user email error:', error);
+    res.status(500).json({ error: 'Failed to verify email address' });
+  }
+}
+
+// Accounts locked after failed logins, plus addresses currently refused
+async function getLoginLockouts(req, res) {
+  try {
+    const lockouts = await getLockedAccounts();
+    res.json({ success: true, ...lockouts });
+  } catch (error) {
+    console.error('Get login lockouts error:', error);
+    res.status(500).json({ error: 'Failed to load locked accounts' });
+  }
+}
+
+async function unlockLoginAccount(req, res) {
+  try {
+    const userId = parseInt(req.params.userId);
+    const user = await db.getOne('SELECT id FROM users WHERE id = ?', [userId]);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const wasLocked = await unlockAccount(userId);
+    console.log(`[Admin] Login lockout cleared for user ${userId} by admin ${req.user.userId}`);
+
+    res.json({
+      success: true,
+      message: wasLocked ? 'Account unlocked. The user can sign in again.' : 'Account was not locked; failed login count cleared.'
+    });
+  } catch (error) {
+    console.error('Unlock login account error:', error);
+    res.status(500).json({ error: 'Failed to unlock account' });
+  }
+}
+
 // ==================== ADMIN ANALYTICS ====================
 
 async function getAnalytics(req, res) {
@@ -772,6 +981,9 @@ async function getSettings(req, res) {
       success: true,
       platformName: settings.platformName || 'Nuru Foundation',
       contactEmail: settings.contactEmail || '',
+      organizationAddress: settings.organizationAddress || '',
+      organizationPhone: settings.organizationPhone || '',
+      organizationTaxPin: settings.organizationTaxPin || '',
       defaultLanguage: settings.defaultLanguage || 'en',
       timezone: settings.timezone || 'Africa/Nairobi',
       allowRegistration: settings.allowRegistration !== 'false',
@@ -786,14 +998,17 @@ async function getSettings(req, res) {
       completionEmail: settings.completionEmail !== 'false',
       weeklyDigest: settings.weeklyDigest === 'true',
       smtpServer: settings.smtpServer || '',
-      passwordPolicy: settings.passwordPolicy || 'default',
+      passwordPolicy: POLICY_LEVELS[settings.passwordPolicy] ? settings.passwordPolicy : DEFAULT_POLICY_LEVEL,
+      passwordHistoryCount: settings.passwordHistoryCount === undefined ? DEFAULT_HISTORY_COUNT : parseInt(settings.passwordHistoryCount) || 0,
+      passwordMaxAgeDays: parseInt(settings.passwordMaxAgeDays) || 0,
       maxLoginAttempts: parseInt(settings.maxLoginAttempts) || 5,
       dataRetention: parseInt(settings.dataRetention) || 365,
       ipWhitelist: settings.ipWhitelist || '',
       paymentGateway: settings.paymentGateway || 'mpesa',
       currency: settings.currency || 'KES',
-      freeTrialDays: parseInt(settings.freeTrialDays) || 7,
-      subscriptionPlans: settings.subscriptionPlans === 'true'
+      freeTrialDays: settings.freeTrialDays === undefined ? DEFAULT_TRIAL_DAYS : parseInt(settings.freeTrialDays) || 0,
+      subscriptionPlans: settings.subscriptionPlans === 'true',
+      invoiceLockScope: settings.invoiceLockScope === 'account' ? 'account' : 'course'
     });
   } catch (error) {
     console.error('Get settings error:', error);
@@ -804,12 +1019,15 @@ async function getSettings(req, res) {
 async function updateSettings(req, res) {
   try {
     const allowed = [
-      'platformName', 'contactEmail', 'defaultLanguage', 'timezone',
+      'platformName', 'contactEmail', 'organizationAddress', 'organizationPhone', 'organizationTaxPin',
+      'defaultLanguage', 'timezone',
       'allowRegistration', 'emailVerification', 'twoFactorAuth', 'sessionTimeout',
       'autoApproveCourses', 'maxFileSize', 'allowedFileTypes', 'courseCategories',
       'welcomeEmail', 'completionEmail', 'weeklyDigest', 'smtpServer',
-      'passwordPolicy', 'maxLoginAttempts', 'dataRetention', 'ipWhitelist',
-      'paymentGateway', 'currency', 'freeTrialDays', 'subscriptionPlans'
+      'passwordPolicy', 'passwordHistoryCount', 'passwordMaxAgeDays',
+      'maxLoginAttempts', 'dataRetention', 'ipWhitelist',
+      'paymentGateway', 'currency', 'freeTrialDays', 'subscriptionPlans',
+      'invoiceLockScope'
     ];
 
     for (const key of allowed) {
@@ -838,11 +1056,16 @@ async function getCoursePricing(req, res) {
     const pricing = await db.query(`
       SELECT c.id as courseId, c.title as courseTitle,
              cp.initial_payment as initialPayment, cp.monthly_amount as monthlyAmount,
-             cp.billing_duration as billingDuration, cp.is_active as isActive
+             cp.billing_duration as billingDuration, cp.is_active as isActive,
+             cp.late_fee_type as lateFeeType, cp.late_fee_value as lateFeeValue,
+             cp.late_fee_cap as lateFeeCap, cp.late_fee_grace_days as lateFeeGraceDays,
+             cp.payment_gateways as paymentGateways, cp.free_trial_days as freeTrialDays
       FROM courses c
       LEFT JOIN course_pricing cp ON c.id = cp.course_id
       ORDER BY c.title
     `);
+    // null means the course uses the platform's default gateway
+    pricing.forEach(row => { row.paymentGateways = parseGatewayList(row.paymentGateways); });
     res.json({ success: true, data: pricing });
   } catch (error) {
     console.error('Get course pricing error:', error);
@@ -852,12 +1075,44 @@ async function getCoursePricing(req, res) {
 
 async function createOrUpdatePricing(req, res) {
   try {
-    const { courseId, initialPayment, monthlyAmount, billingDuration } = req.body;
+    const { courseId, initialPayment, monthlyAmount, billingDuration, lateFee, paymentGateways, freeTrialDays } = req.body;
 
     if (!courseId) {
       return res.status(400).json({ error: 'Course ID is required' });
     }
 
+    // No freeTrialDays (or null) uses the platform default; 0 turns trials off
+    const trialDays = parseTrialDays(freeTrialDays);
+    if (trialDays.error) {
+      return res.status(400).json({ error: trialDays.error });
+    }
+
+    // No paymentGateways (or null) uses the platform default; [] turns online payment off
+    if (paymentGateways !== undefined && paymentGateways !== null) {
+      const unknown = !Array.isArray(paymentGateways) ? [paymentGateways] : paymentGateways.filter(id => !GATEWAY_IDS.includes(id));
+      if (unknown.length) {
+        return res.status(400).json({ error: `Payment gateways must be from: ${GATEWAY_IDS.join(', ')}` });
+      }
+    }
+    const gatewayList = Array.isArray(paymentGateways) ? [...new Set(paymentGateways)].join(',') : null;
+
+    // No lateFee (or type 'inherit') uses the global rule; type 'none' disables late fees
+    const lateFeeColumns = { late_fee_type: null, late_fee_value: null, late_fee_cap: null, late_fee_grace_days: null };
+    if (lateFee && lateFee.type === 'none') {
+      lateFeeColumns.late_fee_type = 'none';
+    } else if (lateFee && lateFee.type && lateFee.type !== 'inherit') {
+      const lateFeeError = validateLateFeeRule(lateFee);
+      if (lateFeeError) {
+        return res.status(400).json({ error: lateFeeError });
+      }
+      Object.assign(lateFeeColumns, {
+        late_fee_type: lateFee.type,
+        late_fee_value: parseFloat(lateFee.value),
+        late_fee_cap: lateFee.cap ? parseFloat(lateFee.cap) : null,
+        late_fee_grace_days: parseInt(lateFee.graceDays || 0)
+      });
+    }
+
     const course = await db.getOne('SELECT id FROM courses WHERE id = ?', [courseId]);
     if (!course) {
       return res.status(404).json({ error: 'Course not found' });
@@ -869,6 +1124,9 @@ async function createOrUpdatePricing(req, res) {
         initial_payment: initialPayment || 0,
         monthly_amount: monthlyAmount || 0,
         billing_duration: billingDuration || 1,
+        ...lateFeeColumns,
+        payment_gateways: gatewayList,
+        free_trial_days: trialDays.days,
         is_active: 1
       });
     } else {
@@ -877,6 +1135,9 @@ async function createOrUpdatePricing(req, res) {
         initial_payment: initialPayment || 0,
         monthly_amount: monthlyAmount || 0,
         billing_duration: billingDuration || 1,
+        ...lateFeeColumns,
+        payment_gateways: gatewayList,
+        free_trial_days: trialDays.days,
         is_active: 1
       });
     }
@@ -888,12 +1149,20 @@ async function createOrUpdatePricing(req, res) {
   }
 }
 
+async function getTrialStats(req, res) {
+  try {
+    res.json({ success: true, data: await getTrialConversion() });
+  } catch (error) {
+    console.error('Get trial stats error:', error);
+    res.status(500).json({ error: 'Failed to load free trial stats' });
+  }
+}
+
 // ==================== GLOBAL BILLING SETTINGS ====================
 
 async function getGlobalSettings(req, res) {
   try {
-    const { getGlobalSettings: loadSettings } = require('../lib/invoices.js');
-    const settings = await loadSettings();
+    const settings = await loadBillingSettings();
     res.json({ success: true, data: settings });
   } catch (error) {
     console.error('Get global settings error:', error);
@@ -903,25 +1172,36 @@ async function getGlobalSettings(req, res) {
 
 async function updateGlobalSettings(req, res) {
   try {
-    const fs = require('fs');
-    const settingsPath = './global-billing.json';
-    const existing = fs.existsSync(settingsPath)
-      ? JSON.parse(fs.readFileSync(settingsPath, 'utf8'))
-      : { billingDay: 1, gracePeriodDays: 2, mpesa_paybill: '', mpesa_till_number: '' };
-
-    if (req.body.billingDay !== undefined) existing.billingDay = req.body.billingDay;
-    if (req.body.gracePeriodDays !== undefined) existing.gracePeriodDays = req.body.gracePeriodDays;
-    if (req.body.mpesa_paybill !== undefined) existing.mpesa_paybill = req.body.mpesa_paybill;
-    if (req.body.mpesa_till_number !== undefined) existing.mpesa_till_number = req.body.mpesa_till_number;
-
-    fs.writeFileSync(settingsPath, JSON.stringify(existing, null, 2));
-    res.json({ success: true, data: existing, message: 'Global billing settings saved' });
+    const { note, ...changes } = req.body;
+    const result = await updateBillingSettings(changes, { adminId: req.user.userId, note });
+
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({
+      success: true,
+      data: result.settings,
+      changes: result.changes,
+      message: result.unchanged ? 'No billing settings were changed' : `Billing settings saved as version ${result.settings.version}`
+    });
   } catch (error) {
     console.error('Update global settings error:', error);
     res.status(500).json({ error: 'Failed to save global settings' });
   }
 }
 
+async function getGlobalSettingsHistory(req, res) {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const history = await getBillingSettingsHistory({ limit });
+    res.json({ success: true, data: history });
+  } catch (error) {
+    console.error('Get global settings history error:', error);
+    res.status(500).json({ error: 'Failed to load billing settings history' });
+  }
+}
+
 // ==================== ADMIN TRANSACTIONS ====================
 
 async function getAdminTransactions(req, res) {
@@ -935,8 +1215,23 @@ async function getAdminTransactions(req, res) {
       ORDER BY i.paid_at DESC
     `);
 
+    const creditNotes = await db.query(`
+      SELECT cn.*, u.full_name, u.username, u.email, c.title as course_title
+      FROM credit_notes cn
+      JOIN users u ON cn.student_id = u.id
+      JOIN courses c ON cn.course_id = c.id
+    `);
+
+    const refunds = await db.query(`
+      SELECT r.*, u.full_name, u.username, u.email, c.title as course_title
+      FROM refunds r
+      JOIN users u ON r.student_id = u.id
+      LEFT JOIN courses c ON r.course_id = c.id
+    `);
+
     const transformed = transactions.map(t => ({
       id: t.id,
+      kind: 'invoice',
       student: { fullName: t.full_name, username: t.username, email: t.email },
       course: { title: t.course_title },
       type: t.type || 'initial',
@@ -948,6 +1243,43 @@ async function getAdminTransactions(req, res) {
       createdAt: t.created_at
     }));
 
+    for (const cn of creditNotes) {
+      transformed.push({
+        id: cn.id,
+        kind: 'credit_note',
+        student: { fullName: cn.full_name, username: cn.username, email: cn.email },
+        course: { title: cn.course_title },
+        type: 'credit_note',
+        amount: -parseFloat(cn.amount),
+        status: 'issued',
+        reference: cn.credit_note_number,
+        invoiceId: cn.invoice_id,
+        reason: cn.reason,
+        paidAt: cn.created_at,
+        createdAt: cn.created_at
+      });
+    }
+
+    for (const r of refunds) {
+      transformed.push({
+        id: r.id,
+        kind: 'refund',
+        student: { fullName: r.full_name, username: r.username, email: r.email },
+        course: { title: r.course_title || '-' },
+        type: 'refund',
+        amount: -parseFloat(r.amount),
+        status: r.status,
+        reference: r.reference,
+        method: r.method,
+        reason: r.reason,
+        failureReason: r.failure_reason,
+        paidAt: r.completed_at || r.created_at,
+        createdAt: r.created_at
+      });
+    }
+
+    transformed.sort((a, b) => new Date(b.paidAt) - new Date(a.paidAt));
+
     res.json({ success: true, data: transformed });
   } catch (error) {
     console.error('Get transactions error:', error);
@@ -967,14 +1299,22 @@ async function getAdminInvoices(req, res) {
       ORDER BY i.created_at DESC
     `);
 
+    const lineItems = await getInvoiceLineItems(invoices.map(inv => inv.id));
+
     const transformed = invoices.map(inv => ({
       id: inv.id,
       student: { fullName: inv.full_name, username: inv.username, email: inv.email },
       course: { title: inv.course_title },
       type: inv.type || 'initial',
       amount: inv.amount,
+      grossAmount: inv.gross_amount ?? inv.amount,
+      discountAmount: inv.discount_amount || 0,
+      lineItems: lineItems[inv.id] || [],
+      amountPaid: parseFloat(inv.amount_paid || 0),
       status: inv.status,
       monthNumber: inv.month_number,
+      parentInvoiceId: inv.parent_invoice_id || null,
+      billingSettingsVersion: inv.billing_settings_version || null,
       dueDate: inv.due_date,
       paidAt: inv.paid_at,
       mpesaReceipt: inv.mpesa_receipt,
@@ -1022,6 +1362,61 @@ async function unlockInvoice(req, res) {
   }
 }
 
+// ==================== LATE FEES ====================
+
+async function waiveLateFee(req, res) {
+  try {
+    const invoiceId = parseInt(req.params.id);
+
+    if (isNaN(invoiceId)) {
+      return res.status(400).json({ error: 'Invalid invoice ID' });
+    }
+
+    const reason = String(req.body?.reason || '').trim();
+    if (!reason) {
+      return res.status(400).json({ error: 'A reason is required to waive a late fee' });
+    }
+
+    const result = await processLateFeeWaiver(invoiceId, { reason, adminId: req.user.userId });
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ success: true, data: result, message: 'Late fee waived' });
+  } catch (error) {
+    console.error('Waive late fee error:', error);
+    res.status(500).json({ error: 'Failed to waive late fee' });
+  }
+}
+
+async function getLateFeeWaivers(req, res) {
+  try {
+    const params = [];
+    let where = '';
+    if (req.query.studentId) {
+      where = 'WHERE w.student_id = ?';
+      params.push(parseInt(req.query.studentId));
+    }
+
+    const waivers = await db.query(`
+      SELECT w.*, i.parent_invoice_id, u.full_name as student_name, u.email as student_email,
+             c.title as course_title, a.full_name as waived_by_name
+      FROM late_fee_waivers w
+      JOIN invoices i ON w.invoice_id = i.id
+      JOIN users u ON w.student_id = u.id
+      JOIN courses c ON w.course_id = c.id
+      LEFT JOIN users a ON w.waived_by = a.id
+      ${where}
+      ORDER BY w.created_at DESC
+    `, params);
+
+    res.json({ success: true, data: waivers });
+  } catch (error) {
+    console.error('Get late fee waivers error:', error);
+    res.status(500).json({ error: 'Failed to load late fee waivers' });
+  }
+}
+
 // ==================== ADMIN ENROLLMENT UPDATE/DELETE ====================
 
 async function updateEnrollment(req, res) {
@@ -1060,11 +1455,18 @@ async function adminDeleteEnrollment(req, res) {
       return res.status(400).json({ error: 'Invalid enrollment ID' });
     }
 
-    await db.query('DELETE FROM lesson_progress WHERE enrollment_id = ?', [enrollmentId]);
-    await db.query('DELETE FROM invoices WHERE student_id IN (SELECT student_id FROM enrollments WHERE id = ?) AND course_id IN (SELECT course_id FROM enrollments WHERE id = ?)', [enrollmentId, enrollmentId]);
-    await db.query('DELETE FROM enrollments WHERE id = ?', [enrollmentId]);
+    // Removing an enrollment is a withdrawal: invoices and payments are kept
+    // and unused months are credited rather than deleted
+    const result = await withdrawEnrollment(enrollmentId, {
+      reason: req.body?.reason || 'Removed by admin',
+      adminId: req.user.userId
+    });
 
-    res.json({ success: true, message: 'Enrollment removed' });
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ success: true, data: result, message: 'Enrollment removed' });
   } catch (error) {
     console.error('Delete enrollment error:', error);
     res.status(500).json({ error: 'Failed to delete enrollment' });
@@ -1091,7 +1493,7 @@ async function getInstallmentSchedule(req, res) {
     }
 
     const invoices = await db.query(`
-      SELECT i.id, i.type, i.amount, i.status, i.due_date, i.month_number, i.paid_at, i.mpesa_receipt, c.title as course_title
+      SELECT i.id, i.type, i.amount, i.status, i.due_date, i.month_number, i.is_prorated, i.paid_at, i.mpesa_receipt, c.title as course_title
       FROM invoices i
       JOIN courses c ON i.course_id = c.id
       WHERE i.student_id = ? AND i.course_id = ?
@@ -1105,6 +1507,7 @@ async function getInstallmentSchedule(req, res) {
 
     const deposit = invoices.find(i => i.type === 'initial' || i.type === 'deposit');
     const depositData = deposit ? { ...deposit, courseTitle: deposit.course_title } : null;
+    const billingSettings = await loadBillingSettings();
 
     res.json({
       success: true,
@@ -1115,7 +1518,9 @@ async function getInstallmentSchedule(req, res) {
           initialPayment: pricing.initial_payment,
           monthlyAmount: pricing.monthly_amount,
           billingDuration: pricing.billing_duration
-        } : null
+        } : null,
+        prorationMode: billingSettings.prorationMode,
+        schedule: buildInstallmentSchedule(pricing, enrollment.enrolled_at, billingSettings)
       }
     });
   } catch (error) {
@@ -1146,17 +1551,39 @@ async function getStudentPaymentSummary(req, res) {
       ORDER BY i.course_id, i.created_at ASC
     `, [studentId]);
 
-    const totalPaid = invoices
-      .filter(i => i.status === 'paid')
-      .reduce((sum, i) => sum + (i.amount || 0), 0);
+    // Money figures come from the ledger; invoices only say what is still owed
+    const ledger = await getLedgerSummary(studentId);
+    const balanceDue = inv => parseFloat(inv.amount || 0) - parseFloat(inv.amount_paid || 0);
+
+    const totalPaid = ledger.totalPaid;
 
     const totalPending = invoices
       .filter(i => i.status === 'pending')
-      .reduce((sum, i) => sum + (i.amount || 0), 0);
+      .reduce((sum, i) => sum + balanceDue(i), 0);
 
     const totalOverdue = invoices
       .filter(i => i.status === 'locked')
-      .reduce((sum, i) => sum + (i.amount || 0), 0);
+      .reduce((sum, i) => sum + balanceDue(i), 0);
+
+    const penalties = invoices.filter(i => i.type === 'penalty');
+    const sumLateFees = list => list.reduce((sum, i) => sum + parseFloat(i.amount || 0), 0);
+    const lateFees = {
+      charged: sumLateFees(penalties),
+      paid: sumLateFees(penalties.filter(i => i.status === 'paid')),
+      waived: sumLateFees(penalties.filter(i => i.status === 'waived')),
+      outstanding: penalties
+        .filter(i => ['pending', 'locked'].includes(i.status))
+        .reduce((sum, i) => sum + balanceDue(i), 0),
+      count: penalties.length
+    };
+
+    const waivers = await db.query(`
+      SELECT w.*, a.full_name as waived_by_name
+      FROM late_fee_waivers w
+      LEFT JOIN users a ON w.waived_by = a.id
+      WHERE w.student_id = ?
+      ORDER BY w.created_at DESC
+    `, [studentId]);
 
     const enrolledCourses = await db.query(`
       SELECT c.id, c.title, cp.initial_payment, cp.monthly_amount, cp.billing_duration
@@ -1179,9 +1606,11 @@ async function getStudentPaymentSummary(req, res) {
       const courseInvoices = courseMap[ec.id] || [];
       const deposit = courseInvoices.find(i => i.type === 'initial' || i.type === 'deposit');
       const monthly = courseInvoices.filter(i => i.type === 'monthly');
+      const coursePenalties = courseInvoices.filter(i => i.type === 'penalty');
       const paidMonthly = monthly.filter(i => i.status === 'paid');
-      const monthlyPaidAmount = paidMonthly.reduce((sum, i) => sum + (i.amount || 0), 0);
-      const monthlyTotalAmount = monthly.reduce((sum, i) => sum + (i.amount || 0), 0);
+      const monthlyPaidAmount = monthly.reduce((sum, i) => sum + parseFloat(i.amount_paid || 0), 0);
+      const monthlyTotalAmount = monthly.reduce((sum, i) => sum + parseFloat(i.amount || 0), 0);
+      const courseLedger = ledger.byCourse.find(row => row.courseId === ec.id);
 
       return {
         courseId: ec.id,
@@ -1192,9 +1621,11 @@ async function getStudentPaymentSummary(req, res) {
         deposit: deposit ? {
           id: deposit.id,
           amount: deposit.amount,
+          amountPaid: parseFloat(deposit.amount_paid || 0),
           status: deposit.status,
           paidAt: deposit.paid_at
         } : null,
+        amountPaid: courseLedger ? courseLedger.allocated : 0,
         monthlyInvoices: {
           total: monthly.length,
           paid: paidMonthly.length,
@@ -1203,8 +1634,16 @@ async function getStudentPaymentSummary(req, res) {
           paidAmount: monthlyPaidAmount,
           totalAmount: monthlyTotalAmount
         },
-        balanceRemaining: monthly.filter(i => i.status !== 'paid').reduce((sum, i) => sum + (i.amount || 0), 0) + 
-          (deposit && deposit.status !== 'paid' ? (deposit.amount || 0) : 0)
+        lateFees: {
+          count: coursePenalties.length,
+          charged: sumLateFees(coursePenalties),
+          outstanding: coursePenalties
+            .filter(i => ['pending', 'locked'].includes(i.status))
+            .reduce((sum, i) => sum + balanceDue(i), 0)
+        },
+        balanceRemaining: courseInvoices
+          .filter(i => ['pending', 'locked'].includes(i.status))
+          .reduce((sum, i) => sum + balanceDue(i), 0)
       };
     });
 
@@ -1222,13 +1661,17 @@ async function getStudentPaymentSummary(req, res) {
           totalPending,
           totalOverdue,
           totalOwed: totalPending + totalOverdue,
+          creditBalance: ledger.creditBalance,
+          lateFees,
           invoiceCount: invoices.length,
           paidCount: invoices.filter(i => i.status === 'paid').length,
           pendingCount: invoices.filter(i => i.status === 'pending').length,
           overdueCount: invoices.filter(i => i.status === 'locked').length
         },
         invoices,
-        courses
+        courses,
+        lateFeeWaivers: waivers,
+        ledger: await getLedgerEntries(studentId, 100)
       }
     });
   } catch (error) {
@@ -1252,18 +1695,30 @@ module.exports = {
   createUser,
   updateUser,
   deleteUser,
+  getUserSessions,
+  revokeUserSessions,
+  resetUserPassword,
+  resetUserTwoFactor,
+  getUserTwoFactorEvents,
+  verifyUserEmail,
+  getLoginLockouts,
+  unlockLoginAccount,
   getAnalytics,
   getSettings,
   updateSettings,
   getCoursePricing,
   createOrUpdatePricing,
+  getTrialStats,
   getGlobalSettings,
+  getGlobalSettingsHistory,
   updateGlobalSettings,
   getAdminTransactions,
   getAdminInvoices,
   unlockInvoice,
   updateEnrollment,
   adminDeleteEnrollment,
+  waiveLateFee,
+  getLateFeeWaivers,
   getInstallmentSchedule,
   getStudentPaymentSummary
 };
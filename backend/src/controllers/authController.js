@@ -1,24 +1,151 @@
 // controllers/authController.js - Authentication Controller (CommonJS)
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const db = require('../config/database.js');
 const { sendWelcomeEmail, sendPasswordResetEmail } = require('../lib/email.js');
 const { 
   generateInitialInvoices, 
-  checkAndUpdateInvoiceStatuses, 
-  isStudentLocked 
+  isStudentLocked,
+  getLockedCourseIds
 } = require('../lib/invoices.js');
+const {
+  clientIp,
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeUserSessions,
+  getUserSessions
+} = require('../lib/sessions.js');
+const {
+  isTwoFactorRequired,
+  beginTwoFactorSetup,
+  enableTwoFactor,
+  verifyTwoFactor,
+  signChallenge,
+  readChallenge
+} = require('../lib/twoFactor.js');
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockAccount
+} = require('../lib/loginProtection.js');
+const {
+  isEmailVerificationRequired,
+  sendVerificationLink,
+  resendVerificationLink,
+  verifyEmailToken,
+  markEmailVerified
+} = require('../lib/emailVerification.js');
+const {
+  getPasswordPolicy,
+  checkNewPassword,
+  recordPasswordChange,
+  isPasswordExpired
+} = require('../lib/passwordPolicy.js');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Records a wrong password or code and answers it, holding the response a
+// little longer each time; the account locks once it reaches the limit
+async function rejectLogin(res, { email, user, ipAddress, reason, error }) {
+  const failure = await recordLoginFailure(email, user, ipAddress, reason);
+  await sleep(failure.delayMs);
+  if (failure.locked) {
+    res.set('Retry-After', String(failure.minutes * 60));
+    return res.status(429).json({
+      error: `Too many failed logins. This account is locked for ${failure.minutes} minutes; we have emailed the account owner.`,
+      code: 'ACCOUNT_LOCKED',
+      retryAfter: failure.minutes * 60
+    });
+  }
+  return res.status(401).json({ error });
+}
+
+// A locked account cannot finish a login it started before the lockout
+function refuseLockedLogin(res, allowed) {
+  res.set('Retry-After', String(allowed.retryAfter));
+  return res.status(allowed.status).json({ error: allowed.error, code: allowed.code, retryAfter: allowed.retryAfter });
+}
+
+// Everything after the user has fully proven who they are: pending invoices,
+// the session, and the response the login page expects. Only here does the
+// login count as successful and clear earlier failures.
+async function completeLogin(user, req, res, extra = {}) {
+  await recordLoginSuccess(user, clientIp(req));
+
+  let role = null;
+  if (user.role_id) {
+    role = await db.getOne('SELECT name FROM roles WHERE id = ?', [user.role_id]);
+  }
+
+  let locked = false;
+  let lockedCourseIds = [];
+  if (role?.name === 'student') {
+    await generateInitialInvoices(user.id);
+    locked = await isStudentLocked(user.id);
+    lockedCourseIds = await getLockedCourseIds(user.id);
+  }
+
+  // An expired password is handled like a temporary one: the user is sent
+  // to set a new one and cannot skip it
+  const passwordExpired = isPasswordExpired(user, await getPasswordPolicy());
+  if (passwordExpired && !user.must_change_password) {
+    await db.update('users', user.id, { must_change_password: true });
+    user.must_change_password = 1;
+  }
+
+  const { password_hash, two_factor_secret, two_factor_pending_secret, ...userWithoutPassword } = user;
+  const roleName = role?.name || 'student';
+
+  const { token, refreshToken, expiresIn } = await createSession(user, roleName, req);
+
+  const userResponse = { ...userWithoutPassword, role: roleName };
+  userResponse.fullName = userResponse.full_name;
+  userResponse.isActive = !!userResponse.is_active;
+  userResponse.mustChangePassword = !!userResponse.must_change_password;
+  userResponse.passwordExpired = passwordExpired;
+  userResponse.twoFactorEnabled = !!userResponse.two_factor_enabled;
+  userResponse.emailVerified = !!userResponse.email_verified;
+  userResponse.isLocked = locked;
+  userResponse.is_locked = locked;
+  userResponse.lockedCourseIds = lockedCourseIds;
+
+  let message = 'Login successful';
+  if (locked) {
+    message = 'Login successful. Your account is locked due to unpaid invoices - please complete payment to regain access.';
+  } else if (lockedCourseIds.length > 0) {
+    message = 'Login successful. Some of your courses are locked due to unpaid invoices - please complete payment to regain access.';
+  }
+
+  res.json({
+    success: true,
+    user: userResponse,
+    token,
+    refreshToken,
+    expiresIn,
+    locked,
+    lockedCourseIds,
+    message,
+    ...extra
+  });
+}
 
 async function login(req, res) {
   try {
     const { email, password } = req.body;
     console.log('Login attempt:', email);
 
+    const ipAddress = clientIp(req);
     const user = await db.getOne('SELECT * FROM users WHERE email = ?', [email.toLowerCase()]);
 
+    const allowed = await checkLoginAllowed(user, ipAddress);
+    if (!allowed.allowed) {
+      return refuseLockedLogin(res, allowed);
+    }
+
     if (!user) {
-      return res.status(401).json({ error: 'Invalid email or password' });
+      return rejectLogin(res, { email, user: null, ipAddress, reason: 'unknown_email', error: 'Invalid email or password' });
     }
 
     if (!user.is_active) {
@@ -27,57 +154,128 @@ async function login(req, res) {
 
     const validPassword = await bcrypt.compare(password, user.password_hash);
     if (!validPassword) {
-      return res.status(401).json({ error: 'Invalid email or password' });
+      // Each failure holds the response a little longer, which slows guessing
+      // without blocking the real owner outright
+      return rejectLogin(res, { email, user, ipAddress, reason: 'bad_password', error: 'Invalid email or password' });
     }
 
-    let role = null;
-    if (user.role_id) {
-      role = await db.getOne('SELECT name FROM roles WHERE id = ?', [user.role_id]);
+    // The password is right, but no session (and no reset of earlier
+    // failures) until the second step is done
+    if (user.two_factor_enabled) {
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: signChallenge(user.id, 'verify'),
+        message: 'Enter the code from your authenticator app'
+      });
     }
 
-    let locked = false;
-    if (role?.name === 'student') {
-      await checkAndUpdateInvoiceStatuses();
-      await generateInitialInvoices(user.id);
-      locked = await isStudentLocked(user.id);
+    const role = user.role_id ? await db.getOne('SELECT name FROM roles WHERE id = ?', [user.role_id]) : null;
+    if (await isTwoFactorRequired(role?.name || 'student')) {
+      return res.json({
+        success: true,
+        twoFactorSetupRequired: true,
+        challengeToken: signChallenge(user.id, 'setup'),
+        message: 'Your account needs two-factor authentication. Set it up to continue.'
+      });
     }
 
-    const { password_hash, ...userWithoutPassword } = user;
-    const roleName = role?.name || 'student';
+    await completeLogin(user, req, res);
 
-    const token = jwt.sign(
-      {
-        userId: user.id,
-        email: user.email,
-        role: roleName
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ error: 'Login failed' });
+  }
+}
 
-    const userResponse = { ...userWithoutPassword, role: roleName };
-    userResponse.fullName = userResponse.full_name;
-    userResponse.isActive = !!userResponse.is_active;
-    userResponse.mustChangePassword = !!userResponse.must_change_password;
-    userResponse.isLocked = locked;
-    userResponse.is_locked = locked;
+// Second login step: an authenticator or recovery code for the challenge
+async function verifyTwoFactorLogin(req, res) {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
 
-    res.json({
-      success: true,
-      user: userResponse,
-      token,
-      locked,
-      message: locked
-        ? 'Login successful. Your account is locked due to unpaid invoices - please complete payment to regain access.'
-        : 'Login successful'
-    });
+    const userId = readChallenge(challengeToken, 'verify');
+    if (!userId) {
+      return res.status(401).json({ error: 'Your login has timed out. Please sign in again.', code: 'CHALLENGE_EXPIRED' });
+    }
+
+    const user = await db.getOne('SELECT * FROM users WHERE id = ?', [userId]);
+    if (!user || !user.is_active) {
+      return res.status(401).json({ error: 'Account is deactivated' });
+    }
+
+    const ipAddress = clientIp(req);
+    const allowed = await checkLoginAllowed(user, ipAddress);
+    if (!allowed.allowed) {
+      return refuseLockedLogin(res, allowed);
+    }
 
+    const result = await verifyTwoFactor(userId, { code, recoveryCode }, { ipAddress });
+    if (result.status === 401) {
+      // A wrong code counts against the account like a wrong password
+      return rejectLogin(res, { email: user.email, user, ipAddress, reason: 'bad_2fa_code', error: result.error });
+    }
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await completeLogin(user, req, res, { twoFactorMethod: result.method });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Two-factor login error:', error);
     res.status(500).json({ error: 'Login failed' });
   }
 }
 
+// Enrollment during login for users whose role requires 2FA
+async function setupTwoFactorLogin(req, res) {
+  try {
+    const userId = readChallenge(req.body.challengeToken, 'setup');
+    if (!userId) {
+      return res.status(401).json({ error: 'Your login has timed out. Please sign in again.', code: 'CHALLENGE_EXPIRED' });
+    }
+
+    const result = await beginTwoFactorSetup(userId);
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ success: true, secret: result.secret, otpauthUrl: result.otpauthUrl });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ error: 'Failed to start two-factor setup' });
+  }
+}
+
+async function enableTwoFactorLogin(req, res) {
+  try {
+    const userId = readChallenge(req.body.challengeToken, 'setup');
+    if (!userId) {
+      return res.status(401).json({ error: 'Your login has timed out. Please sign in again.', code: 'CHALLENGE_EXPIRED' });
+    }
+
+    const user = await db.getOne('SELECT * FROM users WHERE id = ?', [userId]);
+    if (!user || !user.is_active) {
+      return res.status(401).json({ error: 'Account is deactivated' });
+    }
+
+    const ipAddress = clientIp(req);
+    const allowed = await checkLoginAllowed(user, ipAddress);
+    if (!allowed.allowed) {
+      return refuseLockedLogin(res, allowed);
+    }
+
+    const result = await enableTwoFactor(userId, req.body.code, { ipAddress });
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const enabledUser = await db.getOne('SELECT * FROM users WHERE id = ?', [userId]);
+    await completeLogin(enabledUser, req, res, { recoveryCodes: result.recoveryCodes });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+  }
+}
+
 function generateRandomPassword(length = 12) {
   const charset = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789!@#$%^&*';
   let password = '';
@@ -118,6 +316,7 @@ async function register(req, res) {
 
     const generatedPassword = generateRandomPassword();
     const hashedPassword = await bcrypt.hash(generatedPassword, 12);
+    const verificationRequired = await isEmailVerificationRequired();
 
     const userId = await db.insert('users', {
       email: email.toLowerCase(),
@@ -127,6 +326,7 @@ async function register(req, res) {
       role_id: roleId || null,
       is_active: true,
       must_change_password: true,
+      email_verified: !verificationRequired,
       date_joined: new Date()
     });
 
@@ -168,6 +368,12 @@ async function register(req, res) {
       emailStatus = { sent: false, error: 'Welcome email disabled in settings' };
     }
 
+    // Sent separately from the welcome email, which may be switched off
+    let verificationStatus = null;
+    if (verificationRequired) {
+      verificationStatus = await sendVerificationLink(user);
+    }
+
     let role = null;
     if (user.role_id) {
       role = await db.getOne('SELECT name FROM roles WHERE id = ?', [user.role_id]);
@@ -176,29 +382,32 @@ async function register(req, res) {
     const { password_hash, ...userWithoutPassword } = user;
     const roleName = role?.name || 'student';
 
-    const token = jwt.sign(
-      {
-        userId: user.id,
-        email: user.email,
-        role: roleName
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    const { token, refreshToken, expiresIn } = await createSession(user, roleName, req);
 
     const regUserResponse = { ...userWithoutPassword, role: roleName };
     regUserResponse.fullName = regUserResponse.full_name;
     regUserResponse.isActive = !!regUserResponse.is_active;
     regUserResponse.mustChangePassword = !!regUserResponse.must_change_password;
+    regUserResponse.emailVerified = !verificationRequired;
+
+    let message = emailStatus.sent
+      ? 'Registration successful. Please check your email for login credentials.'
+      : 'Registration successful. Email could not be sent - please contact admin for credentials.';
+    if (verificationRequired) {
+      message += verificationStatus.sent
+        ? ' Confirm your email address using the link we sent before enrolling or paying.'
+        : ' We could not send your email confirmation link - you can request a new one from your dashboard.';
+    }
 
     res.status(201).json({
       success: true,
       user: regUserResponse,
       token,
+      refreshToken,
+      expiresIn,
       emailStatus: emailStatus,
-      message: emailStatus.sent 
-        ? 'Registration successful. Please check your email for login credentials.' 
-        : 'Registration successful. Email could not be sent - please contact admin for credentials.'
+      verificationStatus,
+      message
     });
 
   } catch (error) {
@@ -209,11 +418,11 @@ async function register(req, res) {
 
 async function verify(req, res) {
   try {
-    const user = await db.getOne('SELECT id, email, username, full_name, role_id, is_active FROM users WHERE id = ?', [req.user.userId]);
+    const user = await db.getOne('SELECT id, email, username, full_name, role_id, is_active, email_verified FROM users WHERE id = ?', [req.user.userId]);
     if (!user || !user.is_active) {
       return res.status(401).json({ valid: false, error: 'User not found or inactive' });
     }
-    res.json({ valid: true, user: { id: user.id, email: user.email, username: user.username, full_name: user.full_name, fullName: user.full_name, role: req.user.roleName } });
+    res.json({ valid: true, user: { id: user.id, email: user.email, username: user.username, full_name: user.full_name, fullName: user.full_name, role: req.user.roleName, emailVerified: !!user.email_verified } });
   } catch (error) {
     console.error('Verify error:', error);
     res.status(500).json({ valid: false, error: 'Verification failed' });
@@ -272,10 +481,6 @@ async function resetPassword(req, res) {
       return res.status(400).json({ error: 'Token, email, and new password are required' });
     }
 
-    if (newPassword.length < 8) {
-      return res.status(400).json({ error: 'Password must be at least 8 characters long' });
-    }
-
     const resetToken = await db.getOne(
       'SELECT * FROM password_reset_tokens WHERE email = ? AND token = ? AND used = 0 AND expires_at > NOW()',
       [email.toLowerCase(), token]
@@ -285,12 +490,32 @@ async function resetPassword(req, res) {
       return res.status(400).json({ error: 'Invalid or expired reset token' });
     }
 
+    const resetUser = await db.getOne('SELECT id, email, username, password_hash FROM users WHERE email = ?', [email.toLowerCase()]);
+
+    // Checked before the token is used up so the user can try another password
+    if (resetUser) {
+      const check = await checkNewPassword(newPassword, resetUser);
+      if (!check.success) {
+        return res.status(check.status).json({ error: check.error, errors: check.errors });
+      }
+    }
+
     const hashedPassword = await bcrypt.hash(newPassword, 12);
 
     await db.query('UPDATE users SET password_hash = ?, must_change_password = 0 WHERE email = ?', [hashedPassword, email.toLowerCase()]);
 
     await db.query('UPDATE password_reset_tokens SET used = 1 WHERE id = ?', [resetToken.id]);
 
+    if (resetUser) {
+      await recordPasswordChange(resetUser.id, hashedPassword);
+      // Whoever knew the old password may still be signed in somewhere
+      await revokeUserSessions(resetUser.id, { reason: 'password_reset' });
+      // The reset link arrived by email, which proves the address is theirs:
+      // enough to lift a failed-login lockout and to count as verified
+      await unlockAccount(resetUser.id);
+      await markEmailVerified(resetUser.id);
+    }
+
     res.json({
       success: true,
       message: 'Password has been reset successfully. You can now log in with your new password.'
@@ -302,11 +527,136 @@ async function resetPassword(req, res) {
   }
 }
 
+// Public so the register, reset and change-password forms can show the
+// requirements as the user types
+async function getPasswordPolicyRules(req, res) {
+  try {
+    const policy = await getPasswordPolicy();
+    res.json({ success: true, policy });
+  } catch (error) {
+    console.error('Get password policy error:', error);
+    res.status(500).json({ error: 'Failed to load password policy' });
+  }
+}
+
+// Target of the link in the verification email; needs no login so it works
+// from whichever device the email is opened on
+async function verifyEmail(req, res) {
+  try {
+    const result = await verifyEmailToken(req.body.token);
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error, code: result.code });
+    }
+
+    res.json({
+      success: true,
+      message: result.alreadyVerified
+        ? 'Your email address is already confirmed.'
+        : 'Thank you, your email address is confirmed. You can now enroll in courses and make payments.'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Failed to verify email address' });
+  }
+}
+
+async function resendVerification(req, res) {
+  try {
+    const result = await resendVerificationLink(req.user.userId);
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json({ success: true, message: `We have sent a new confirmation link to ${req.user.email}.` });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+}
+
+async function refresh(req, res) {
+  try {
+    const result = await refreshSession(req.body?.refreshToken, req);
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error, code: result.code });
+    }
+
+    res.json({
+      success: true,
+      token: result.token,
+      refreshToken: result.refreshToken,
+      expiresIn: result.expiresIn
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ error: 'Failed to refresh session' });
+  }
+}
+
+async function logout(req, res) {
+  try {
+    await revokeSession(req.user.sessionId, { userId: req.user.userId, reason: 'logout' });
+    res.json({ success: true, message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+}
+
+async function logoutAll(req, res) {
+  try {
+    const count = await revokeUserSessions(req.user.userId, { reason: 'logout_all' });
+    res.json({ success: true, revoked: count, message: 'Logged out of all devices' });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Failed to log out of all devices' });
+  }
+}
+
+async function getSessions(req, res) {
+  try {
+    const sessions = await getUserSessions(req.user.userId, req.user.sessionId);
+    res.json({ success: true, sessions });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Failed to load sessions' });
+  }
+}
+
+async function deleteSession(req, res) {
+  try {
+    const sessionId = parseInt(req.params.id);
+    if (isNaN(sessionId)) {
+      return res.status(400).json({ error: 'Invalid session ID' });
+    }
+
+    const revoked = await revokeSession(sessionId, { userId: req.user.userId, reason: 'logout' });
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    res.json({ success: true, message: 'Device logged out' });
+  } catch (error) {
+    console.error('Delete session error:', error);
+    res.status(500).json({ error: 'Failed to log out device' });
+  }
+}
+
 module.exports = {
   login,
   register,
   verify,
   forgotPassword,
-  resetPassword
+  resetPassword,
+  getPasswordPolicyRules,
+  verifyEmail,
+  resendVerification,
+  verifyTwoFactorLogin,
+  setupTwoFactorLogin,
+  enableTwoFactorLogin,
+  refresh,
+  logout,
+  logoutAll,
+  getSessions,
+  deleteSession
 };
 
@@ -1,7 +1,9 @@
 // controllers/courseController.js - Course Controller (CommonJS)
 const db = require('../config/database.js');
-const { generateInitialInvoices } = require('../lib/invoices.js');
+const { generateInitialInvoices, getGlobalSettings, buildInstallmentSchedule } = require('../lib/invoices.js');
 const NotificationController = require('./notificationController.js');
+const { validateDiscountCode, redeemDiscountCode } = require('../lib/discounts.js');
+const { getCourseTrialDays, startTrial } = require('../lib/trials.js');
 
 async function getAllCourses(req, res) {
   try {
@@ -84,6 +86,14 @@ async function enrollInCourse(req, res) {
       return res.status(409).json({ error: 'Already enrolled in this course' });
     }
 
+    const discountCode = req.body && req.body.discountCode;
+    if (discountCode && !course.is_free) {
+      const check = await validateDiscountCode(discountCode, req.user.userId, courseId);
+      if (!check.valid) {
+        return res.status(400).json({ error: check.error });
+      }
+    }
+
     const enrollmentId = await db.insert('enrollments', {
       student_id: req.user.userId,
       course_id: courseId,
@@ -98,20 +108,42 @@ async function enrollInCourse(req, res) {
       '/student-dashboard/my-courses.html'
     );
 
-    // For paid courses, generate initial deposit invoice
+    // For paid courses, start any free trial, then generate the initial deposit
+    // invoice (due when the trial ends)
+    let trial = null;
     if (!course.is_free) {
+      if (discountCode) {
+        await redeemDiscountCode(discountCode, req.user.userId, courseId);
+      }
+      trial = await startTrial(req.user.userId, courseId);
       await generateInitialInvoices(req.user.userId);
     }
 
+    if (trial) {
+      NotificationController.createNotification(
+        req.user.userId,
+        'Free Trial Started',
+        `Your ${trial.days}-day free trial of ${course.title} has started. It ends on ${trial.endsAt.toLocaleDateString('en-KE')}.`,
+        'info',
+        '/student-dashboard/payment.html'
+      );
+    }
+
     const enrollment = await db.getOne('SELECT * FROM enrollments WHERE id = ?', [enrollmentId]);
 
+    let message = 'Successfully enrolled. Please pay the deposit to get started.';
+    if (course.is_free) {
+      message = 'Successfully enrolled in free course';
+    } else if (trial) {
+      message = `Successfully enrolled. Your ${trial.days}-day free trial has started; pay before it ends to keep access.`;
+    }
+
     res.status(201).json({
       success: true,
       data: enrollment,
       is_free: !!course.is_free,
-      message: course.is_free
-        ? 'Successfully enrolled in free course'
-        : 'Successfully enrolled. Please pay the deposit to get started.'
+      trial: trial ? { days: trial.days, endsAt: trial.endsAt } : null,
+      message
     });
 
   } catch (error) {
@@ -120,6 +152,58 @@ async function enrollInCourse(req, res) {
   }
 }
 
+// Preview the installments a student would be billed if they enrolled today,
+// including any prorated first cycle
+async function getBillingPreview(req, res) {
+  try {
+    const courseId = parseInt(req.params.id);
+
+    if (isNaN(courseId)) {
+      return res.status(400).json({ error: 'Invalid course ID' });
+    }
+
+    const course = await db.getOne(`
+      SELECT c.id, c.title, c.is_free, cp.initial_payment, cp.monthly_amount, cp.billing_duration, cp.is_active
+      FROM courses c
+      LEFT JOIN course_pricing cp ON c.id = cp.course_id
+      WHERE c.id = ?
+    `, [courseId]);
+
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    const billable = !course.is_free && course.is_active;
+    const settings = await getGlobalSettings();
+
+    // A student who already had a trial of this course does not get another
+    let trialDays = billable ? await getCourseTrialDays(courseId) : 0;
+    if (trialDays > 0 && req.user) {
+      const previous = await db.getOne(
+        'SELECT id FROM course_trials WHERE student_id = ? AND course_id = ?',
+        [req.user.userId, courseId]
+      );
+      if (previous) trialDays = 0;
+    }
+    const billingStart = new Date(Date.now() + trialDays * 24 * 60 * 60 * 1000);
+
+    res.json({
+      success: true,
+      data: {
+        courseId: course.id,
+        courseTitle: course.title,
+        initialPayment: billable ? course.initial_payment || 0 : 0,
+        trialDays,
+        prorationMode: settings.prorationMode,
+        schedule: billable ? buildInstallmentSchedule(course, billingStart, settings) : []
+      }
+    });
+  } catch (error) {
+    console.error('Get billing preview error:', error);
+    res.status(500).json({ error: 'Failed to load billing preview' });
+  }
+}
+
 // Get course by slug for notes access check
 async function getCourseBySlug(req, res) {
   try {
@@ -145,5 +229,6 @@ module.exports = {
   getAllCourses,
   getCourseById,
   getCourseBySlug,
+  getBillingPreview,
   enrollInCourse
 };
\ No newline at end of file
@@ -0,0 +1,413 @@
+// controllers/discountController.js - Discount codes, scholarships and sponsorships (CommonJS)
+const db = require('../config/database.js');
+const NotificationController = require('./notificationController.js');
+const {
+  DISCOUNT_TYPES,
+  DISCOUNT_SCOPES,
+  normalizeCode,
+  redeemDiscountCode,
+  repriceOpenInvoices
+} = require('../lib/discounts.js');
+
+// Shared checks for anything carrying a discount type and value
+function validateDiscountValue(discountType, value, appliesTo) {
+  if (!DISCOUNT_TYPES.includes(discountType)) {
+    return `Discount type must be one of: ${DISCOUNT_TYPES.join(', ')}`;
+  }
+  const amount = parseFloat(value);
+  if (isNaN(amount) || amount <= 0) {
+    return 'Discount value must be greater than zero';
+  }
+  if (discountType === 'percentage' && amount > 100) {
+    return 'Percentage discounts cannot exceed 100';
+  }
+  if (appliesTo !== undefined && !DISCOUNT_SCOPES.includes(appliesTo)) {
+    return `Applies to must be one of: ${DISCOUNT_SCOPES.join(', ')}`;
+  }
+  return null;
+}
+
+// ==================== DISCOUNT CODES ====================
+
+async function getDiscountCodes(req, res) {
+  try {
+    const codes = await db.query(`
+      SELECT dc.*, c.title as course_title,
+             (SELECT COALESCE(-SUM(li.amount), 0)
+              FROM invoice_line_items li
+              JOIN student_discounts sd ON li.student_discount_id = sd.id
+              WHERE sd.discount_code_id = dc.id) as revenue_forgone
+      FROM discount_codes dc
+      LEFT JOIN courses c ON dc.course_id = c.id
+      ORDER BY dc.created_at DESC
+    `);
+
+    res.json({ success: true, data: codes });
+  } catch (error) {
+    console.error('Get discount codes error:', error);
+    res.status(500).json({ error: 'Failed to load discount codes' });
+  }
+}
+
+async function createDiscountCode(req, res) {
+  try {
+    const { code, description, discountType, value, appliesTo, courseId, durationMonths, maxUses, expiresAt } = req.body;
+    const normalized = normalizeCode(code);
+
+    if (!normalized || !/^[A-Z0-9_-]{3,50}$/.test(normalized)) {
+      return res.status(400).json({ error: 'Code must be 3-50 letters, numbers, dashes or underscores' });
+    }
+
+    const invalid = validateDiscountValue(discountType, value, appliesTo || 'all');
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const existing = await db.getOne('SELECT id FROM discount_codes WHERE code = ?', [normalized]);
+    if (existing) {
+      return res.status(409).json({ error: 'A discount code with this name already exists' });
+    }
+
+    const codeId = await db.insert('discount_codes', {
+      code: normalized,
+      description: description || null,
+      discount_type: discountType,
+      value: parseFloat(value),
+      applies_to: appliesTo || 'all',
+      course_id: courseId || null,
+      duration_months: durationMonths ? parseInt(durationMonths) : null,
+      max_uses: maxUses ? parseInt(maxUses) : null,
+      expires_at: expiresAt || null,
+      is_active: 1,
+      created_by: req.user.userId,
+      created_at: new Date()
+    });
+
+    const discountCode = await db.getOne('SELECT * FROM discount_codes WHERE id = ?', [codeId]);
+    res.status(201).json({ success: true, data: discountCode, message: 'Discount code created successfully' });
+  } catch (error) {
+    console.error('Create discount code error:', error);
+    res.status(500).json({ error: 'Failed to create discount code' });
+  }
+}
+
+async function updateDiscountCode(req, res) {
+  try {
+    const codeId = parseInt(req.params.id);
+    if (isNaN(codeId)) {
+      return res.status(400).json({ error: 'Invalid discount code ID' });
+    }
+
+    const existing = await db.getOne('SELECT * FROM discount_codes WHERE id = ?', [codeId]);
+    if (!existing) {
+      return res.status(404).json({ error: 'Discount code not found' });
+    }
+
+    const { description, discountType, value, appliesTo, courseId, durationMonths, maxUses, expiresAt, isActive } = req.body;
+
+    const invalid = validateDiscountValue(
+      discountType || existing.discount_type,
+      value !== undefined ? value : existing.value,
+      appliesTo || existing.applies_to
+    );
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    // Redeemed grants keep the terms they were issued with; edits only affect new redemptions
+    const updateData = {};
+    if (description !== undefined) updateData.description = description || null;
+    if (discountType) updateData.discount_type = discountType;
+    if (value !== undefined) updateData.value = parseFloat(value);
+    if (appliesTo) updateData.applies_to = appliesTo;
+    if (courseId !== undefined) updateData.course_id = courseId || null;
+    if (durationMonths !== undefined) updateData.duration_months = durationMonths ? parseInt(durationMonths) : null;
+    if (maxUses !== undefined) updateData.max_uses = maxUses ? parseInt(maxUses) : null;
+    if (expiresAt !== undefined) updateData.expires_at = expiresAt || null;
+    if (isActive !== undefined) updateData.is_active = isActive ? 1 : 0;
+
+    if (Object.keys(updateData).length > 0) {
+      await db.update('discount_codes', codeId, updateData);
+    }
+
+    const discountCode = await db.getOne('SELECT * FROM discount_codes WHERE id = ?', [codeId]);
+    res.json({ success: true, data: discountCode, message: 'Discount code updated successfully' });
+  } catch (error) {
+    console.error('Update discount code error:', error);
+    res.status(500).json({ error: 'Failed to update discount code' });
+  }
+}
+
+async function deleteDiscountCode(req, res) {
+  try {
+    const codeId = parseInt(req.params.id);
+    if (isNaN(codeId)) {
+      return res.status(400).json({ error: 'Invalid discount code ID' });
+    }
+
+    const existing = await db.getOne('SELECT id, uses_count FROM discount_codes WHERE id = ?', [codeId]);
+    if (!existing) {
+      return res.status(404).json({ error: 'Discount code not found' });
+    }
+
+    // Codes that have been redeemed stay on record for the revenue report
+    if (existing.uses_count > 0) {
+      await db.update('discount_codes', codeId, { is_active: 0 });
+      return res.json({ success: true, message: 'Discount code has been used, so it was deactivated instead of deleted' });
+    }
+
+    await db.remove('discount_codes', codeId);
+    res.json({ success: true, message: 'Discount code deleted successfully' });
+  } catch (error) {
+    console.error('Delete discount code error:', error);
+    res.status(500).json({ error: 'Failed to delete discount code' });
+  }
+}
+
+// ==================== SCHOLARSHIPS & SPONSORSHIPS ====================
+
+async function getStudentDiscounts(req, res) {
+  try {
+    const params = [];
+    let where = '';
+    if (req.query.kind) {
+      where = 'WHERE sd.kind = ?';
+      params.push(req.query.kind);
+    }
+
+    const grants = await db.query(`
+      SELECT sd.*, u.full_name as student_name, u.email as student_email,
+             c.title as course_title, dc.code as discount_code,
+             (SELECT COALESCE(-SUM(li.amount), 0) FROM invoice_line_items li WHERE li.student_discount_id = sd.id) as revenue_forgone
+      FROM student_discounts sd
+      JOIN users u ON sd.student_id = u.id
+      LEFT JOIN courses c ON sd.course_id = c.id
+      LEFT JOIN discount_codes dc ON sd.discount_code_id = dc.id
+      ${where}
+      ORDER BY sd.created_at DESC
+    `, params);
+
+    res.json({ success: true, data: grants });
+  } catch (error) {
+    console.error('Get student discounts error:', error);
+    res.status(500).json({ error: 'Failed to load student discounts' });
+  }
+}
+
+async function grantStudentDiscount(req, res) {
+  try {
+    const { studentId, courseId, kind, appliesTo, monthsCovered, sponsorName, label, notes } = req.body;
+
+    if (!studentId || !['scholarship', 'sponsorship'].includes(kind)) {
+      return res.status(400).json({ error: 'Student ID and a kind of scholarship or sponsorship are required' });
+    }
+
+    // A sponsorship is a full waiver unless the admin says otherwise
+    const discountType = req.body.discountType || (kind === 'sponsorship' ? 'percentage' : undefined);
+    const value = req.body.value !== undefined ? req.body.value : (kind === 'sponsorship' ? 100 : undefined);
+
+    const invalid = validateDiscountValue(discountType, value, appliesTo || 'all');
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const student = await db.getOne(`
+      SELECT id FROM users WHERE id = ? AND role_id = (SELECT id FROM roles WHERE name = 'student')
+    `, [studentId]);
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    if (courseId) {
+      const course = await db.getOne('SELECT id FROM courses WHERE id = ?', [courseId]);
+      if (!course) {
+        return res.status(404).json({ error: 'Course not found' });
+      }
+    }
+
+    const grantId = await db.insert('student_discounts', {
+      student_id: studentId,
+      course_id: courseId || null,
+      kind,
+      discount_type: discountType,
+      value: parseFloat(value),
+      applies_to: appliesTo || 'all',
+      months_covered: monthsCovered ? parseInt(monthsCovered) : null,
+      label: label || (kind === 'scholarship' ? 'Scholarship' : 'Sponsorship'),
+      sponsor_name: sponsorName || null,
+      notes: notes || null,
+      is_active: 1,
+      granted_by: req.user.userId,
+      created_at: new Date()
+    });
+
+    const repriced = await repriceOpenInvoices(studentId, courseId || null);
+
+    NotificationController.createNotification(
+      studentId,
+      kind === 'scholarship' ? 'Scholarship Awarded' : 'Sponsorship Applied',
+      kind === 'scholarship'
+        ? 'A scholarship has been applied to your fees.'
+        : `Your fees are now sponsored${sponsorName ? ` by ${sponsorName}` : ''}.`,
+      'success',
+      '/student-dashboard/payment.html'
+    );
+
+    const grant = await db.getOne('SELECT * FROM student_discounts WHERE id = ?', [grantId]);
+    res.status(201).json({
+      success: true,
+      data: grant,
+      repricedInvoices: repriced,
+      message: `${kind === 'scholarship' ? 'Scholarship' : 'Sponsorship'} granted successfully`
+    });
+  } catch (error) {
+    console.error('Grant student discount error:', error);
+    res.status(500).json({ error: 'Failed to grant discount' });
+  }
+}
+
+async function revokeStudentDiscount(req, res) {
+  try {
+    const grantId = parseInt(req.params.id);
+    if (isNaN(grantId)) {
+      return res.status(400).json({ error: 'Invalid discount ID' });
+    }
+
+    const grant = await db.getOne('SELECT * FROM student_discounts WHERE id = ?', [grantId]);
+    if (!grant) {
+      return res.status(404).json({ error: 'Discount not found' });
+    }
+
+    // Paid invoices keep their discount; open ones are repriced without it
+    await db.update('student_discounts', grantId, { is_active: 0 });
+    const repriced = await repriceOpenInvoices(grant.student_id, grant.course_id);
+
+    res.json({ success: true, repricedInvoices: repriced, message: 'Discount revoked successfully' });
+  } catch (error) {
+    console.error('Revoke student discount error:', error);
+    res.status(500).json({ error: 'Failed to revoke discount' });
+  }
+}
+
+// ==================== REPORTING ====================
+
+async function getRevenueForgoneReport(req, res) {
+  try {
+    const params = [];
+    let range = '';
+    if (req.query.from) {
+      range += ' AND i.created_at >= ?';
+      params.push(new Date(req.query.from));
+    }
+    if (req.query.to) {
+      const to = new Date(req.query.to);
+      to.setDate(to.getDate() + 1);
+      range += ' AND i.created_at < ?';
+      params.push(to);
+    }
+
+    const base = `
+      FROM invoice_line_items li
+      JOIN invoices i ON li.invoice_id = i.id
+      JOIN student_discounts sd ON li.student_discount_id = sd.id
+      LEFT JOIN discount_codes dc ON sd.discount_code_id = dc.id
+      JOIN courses c ON i.course_id = c.id
+      WHERE li.line_type = 'discount'${range}
+    `;
+
+    const totals = await db.getOne(`
+      SELECT COALESCE(-SUM(li.amount), 0) as total, COUNT(DISTINCT i.id) as invoices,
+             COUNT(DISTINCT i.student_id) as students
+      ${base}
+    `, params);
+
+    const byKind = await db.query(`
+      SELECT sd.kind, COALESCE(-SUM(li.amount), 0) as total, COUNT(DISTINCT i.id) as invoices
+      ${base}
+      GROUP BY sd.kind
+      ORDER BY total DESC
+    `, params);
+
+    const byCode = await db.query(`
+      SELECT dc.id, dc.code, COALESCE(-SUM(li.amount), 0) as total, COUNT(DISTINCT sd.student_id) as students
+      ${base} AND dc.id IS NOT NULL
+      GROUP BY dc.id, dc.code
+      ORDER BY total DESC
+    `, params);
+
+    const byCourse = await db.query(`
+      SELECT c.id, c.title, COALESCE(-SUM(li.amount), 0) as total, COUNT(DISTINCT i.id) as invoices
+      ${base}
+      GROUP BY c.id, c.title
+      ORDER BY total DESC
+    `, params);
+
+    res.json({
+      success: true,
+      data: {
+        total: parseFloat(totals.total),
+        invoices: totals.invoices,
+        students: totals.students,
+        byKind,
+        byCode,
+        byCourse
+      }
+    });
+  } catch (error) {
+    console.error('Get revenue forgone report error:', error);
+    res.status(500).json({ error: 'Failed to load discount report' });
+  }
+}
+
+// ==================== STUDENT ====================
+
+async function redeemCode(req, res) {
+  try {
+    const { code, courseId } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ error: 'Discount code is required' });
+    }
+
+    const result = await redeemDiscountCode(code, req.user.userId, courseId || null);
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({ success: true, message: `Discount code ${result.discountCode.code} applied` });
+  } catch (error) {
+    console.error('Redeem discount code error:', error);
+    res.status(500).json({ error: 'Failed to apply discount code' });
+  }
+}
+
+async function getMyDiscounts(req, res) {
+  try {
+    const grants = await db.query(`
+      SELECT sd.id, sd.kind, sd.discount_type, sd.value, sd.applies_to, sd.months_covered,
+             sd.months_used, sd.label, sd.sponsor_name, c.title as course_title
+      FROM student_discounts sd
+      LEFT JOIN courses c ON sd.course_id = c.id
+      WHERE sd.student_id = ? AND sd.is_active = 1
+      ORDER BY sd.created_at DESC
+    `, [req.user.userId]);
+
+    res.json({ success: true, data: grants });
+  } catch (error) {
+    console.error('Get my discounts error:', error);
+    res.status(500).json({ error: 'Failed to load discounts' });
+  }
+}
+
+module.exports = {
+  getDiscountCodes,
+  createDiscountCode,
+  updateDiscountCode,
+  deleteDiscountCode,
+  getStudentDiscounts,
+  grantStudentDiscount,
+  revokeStudentDiscount,
+  getRevenueForgoneReport,
+  redeemCode,
+  getMyDiscounts
+};
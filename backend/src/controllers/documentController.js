@@ -0,0 +1,102 @@
+// controllers/documentController.js - PDF invoice, receipt and statement downloads (CommonJS)
+const db = require('../config/database.js');
+const { renderInvoicePdf, renderReceiptPdf, renderStatementPdf } = require('../lib/documents.js');
+const { parseStatementRange } = require('../lib/statements.js');
+
+// Only the student a document belongs to, or an admin, may download it
+function canAccess(user, studentId) {
+  return user.roleName === 'admin' || user.userId === studentId;
+}
+
+function sendPdf(res, document) {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename="${document.filename}"`);
+  res.setHeader('Cache-Control', 'private, no-store');
+  res.send(document.buffer);
+}
+
+async function findInvoiceOwner(invoiceId) {
+  return await db.getOne('SELECT id, student_id FROM invoices WHERE id = ?', [invoiceId]);
+}
+
+async function downloadInvoice(req, res) {
+  try {
+    const invoiceId = parseInt(req.params.invoiceId);
+    if (isNaN(invoiceId)) {
+      return res.status(400).json({ error: 'Invalid invoice ID' });
+    }
+
+    // Check ownership before issuing a document number
+    const invoice = await findInvoiceOwner(invoiceId);
+    if (!invoice || !canAccess(req.user, invoice.student_id)) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    const document = await renderInvoicePdf(invoiceId, { issuedBy: req.user.userId });
+    sendPdf(res, document);
+  } catch (error) {
+    console.error('Download invoice error:', error);
+    res.status(500).json({ error: 'Failed to generate invoice' });
+  }
+}
+
+async function downloadReceipt(req, res) {
+  try {
+    const invoiceId = parseInt(req.params.invoiceId);
+    if (isNaN(invoiceId)) {
+      return res.status(400).json({ error: 'Invalid invoice ID' });
+    }
+
+    const invoice = await findInvoiceOwner(invoiceId);
+    if (!invoice || !canAccess(req.user, invoice.student_id)) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    const document = await renderReceiptPdf(invoiceId, { issuedBy: req.user.userId });
+    if (document.notPaid) {
+      return res.status(400).json({ error: 'No payment has been recorded for this invoice yet' });
+    }
+    sendPdf(res, document);
+  } catch (error) {
+    console.error('Download receipt error:', error);
+    res.status(500).json({ error: 'Failed to generate receipt' });
+  }
+}
+
+function redirectToReceiptPage(req, res) {
+  const invoiceId = parseInt(req.params.invoiceId);
+  res.redirect(302, isNaN(invoiceId) ? '/receipt.html' : `/receipt.html?invoice=${invoiceId}`);
+}
+
+async function downloadStatement(req, res) {
+  try {
+    const studentId = parseInt(req.params.studentId);
+    if (isNaN(studentId)) {
+      return res.status(400).json({ error: 'Invalid student ID' });
+    }
+    if (!canAccess(req.user, studentId)) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    const { from, to, error } = parseStatementRange(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const document = await renderStatementPdf(studentId, { from, to, issuedBy: req.user.userId });
+    if (!document) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+    sendPdf(res, document);
+  } catch (error) {
+    console.error('Download statement error:', error);
+    res.status(500).json({ error: 'Failed to generate statement' });
+  }
+}
+
+module.exports = {
+  downloadInvoice,
+  downloadReceipt,
+  redirectToReceiptPage,
+  downloadStatement
+};
@@ -0,0 +1,62 @@
+// controllers/jobController.js - Admin view of scheduled jobs and their runs (CommonJS)
+const { getJobs: listJobs, getJobRuns: listJobRuns, runJob: startJobRun, updateJob: saveJob } = require('../lib/scheduler.js');
+
+async function getJobs(req, res) {
+  try {
+    const jobs = await listJobs();
+    res.json({ success: true, data: jobs });
+  } catch (error) {
+    console.error('Get jobs error:', error);
+    res.status(500).json({ error: 'Failed to load jobs' });
+  }
+}
+
+async function getJobRuns(req, res) {
+  try {
+    const { job, status } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const runs = await listJobRuns({ jobName: job || null, status: status || null, limit });
+    res.json({ success: true, data: runs });
+  } catch (error) {
+    console.error('Get job runs error:', error);
+    res.status(500).json({ error: 'Failed to load job runs' });
+  }
+}
+
+async function runJob(req, res) {
+  try {
+    const result = await startJobRun(req.params.name, { trigger: 'manual', triggeredBy: req.user.userId });
+    if (!result.runId) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json({
+      success: result.success,
+      data: result,
+      message: result.success ? 'Job completed' : `Job failed: ${result.error}`
+    });
+  } catch (error) {
+    console.error('Run job error:', error);
+    res.status(500).json({ error: 'Failed to run job' });
+  }
+}
+
+async function updateJob(req, res) {
+  try {
+    const { isEnabled, intervalMinutes, maxRetries, retryDelayMinutes } = req.body;
+    const result = await saveJob(req.params.name, { isEnabled, intervalMinutes, maxRetries, retryDelayMinutes });
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json({ success: true, message: 'Job updated' });
+  } catch (error) {
+    console.error('Update job error:', error);
+    res.status(500).json({ error: 'Failed to update job' });
+  }
+}
+
+module.exports = {
+  getJobs,
+  getJobRuns,
+  runJob,
+  updateJob
+};
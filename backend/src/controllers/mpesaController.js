@@ -1,188 +1,109 @@
 // controllers/mpesaController.js - M-Pesa Controller (CommonJS)
 const db = require('../config/database.js');
 const { 
-  initiateSTKPush, 
-  queryTransactionStatus, 
   parseCallbackPayload, 
-  formatPhoneNumber,
   isMpesaConfigured,
-  simulatePayment 
+  isSimulationAllowed,
+  parseB2CResult,
+  registerC2BUrls,
+  parseC2BPayload
 } = require('../lib/mpesa.js');
-const { markInvoicePaid, markDepositAndMonthsPaid, getGlobalSettings } = require('../lib/invoices.js');
-
-async function initiatePayment(req, res) {
-  try {
-    const invoiceId = req.params.invoiceId;
-    const { phoneNumber, amount, months } = req.body;
-
-    if (!phoneNumber) {
-      return res.status(400).json({ error: 'Phone number is required' });
-    }
-
-    const invoice = await db.getOne(`
-      SELECT i.*, c.title as course_title, cp.initial_payment, cp.monthly_amount
-      FROM invoices i
-      JOIN courses c ON i.course_id = c.id
-      LEFT JOIN course_pricing cp ON cp.course_id = c.id
-      WHERE i.id = ? AND i.student_id = ?
-    `, [invoiceId, req.user.userId]);
-
-    if (!invoice) {
-      return res.status(404).json({ error: 'Invoice not found' });
-    }
-
-    if (invoice.status !== 'pending') {
-      return res.status(400).json({ error: 'Invoice is not pending' });
-    }
-
-    const monthsCount = parseInt(months) || 1;
-    let paymentAmount;
-    if (invoice.type === 'initial' || invoice.type === 'deposit') {
-      const monthlyAmount = invoice.monthly_amount || invoice.amount;
-      paymentAmount = invoice.amount + (monthlyAmount * monthsCount);
-    } else {
-      paymentAmount = (amount || invoice.amount) * monthsCount;
-    }
-    const formattedPhone = formatPhoneNumber(phoneNumber);
-
-    if (!formattedPhone) {
-      return res.status(400).json({ error: 'Invalid phone number format' });
-    }
-
-    const globalSettings = await getGlobalSettings();
-    const paybillInfo = {
-      mpesa_paybill: globalSettings.mpesa_paybill || '',
-      mpesa_till_number: globalSettings.mpesa_till_number || ''
-    };
-
-    if (!isMpesaConfigured()) {
-      const simResult = simulatePayment(invoiceId, paymentAmount);
-      const paymentData = {
-        method: 'simulated',
-        transactionId: simResult.checkoutRequestId,
-        receiptNumber: `SIM${Date.now()}`
-      };
-      if (invoice.type === 'initial' || invoice.type === 'deposit') {
-        await markDepositAndMonthsPaid(invoiceId, monthsCount, paymentData);
-      } else {
-        await markInvoicePaid(invoiceId, paymentData);
-      }
-      return res.json({
-        success: true,
-        ...simResult,
-        totalAmount: paymentAmount,
-        monthsPaid: monthsCount,
-        ...paybillInfo,
-        message: 'Payment simulated. In production, STK push would be sent.'
-      });
-    }
-
-    const result = await initiateSTKPush(
-      formattedPhone,
-      paymentAmount,
-      invoiceId,
-      `Nuru Foundation - ${invoice.course_title}`
-    );
-
-    if (!result.success) {
-      return res.status(400).json({ error: result.error });
-    }
-
-    await db.update('invoices', invoiceId, {
-      checkout_request_id: result.checkoutRequestId,
-      months_count: (invoice.type === 'initial' || invoice.type === 'deposit') ? monthsCount : null
-    });
-
-    res.json({
-      success: true,
-      checkoutRequestId: result.checkoutRequestId,
-      totalAmount: paymentAmount,
-      monthsPaid: (invoice.type === 'initial' || invoice.type === 'deposit') ? monthsCount : 0,
-      ...paybillInfo,
-      message: 'STK push sent to your phone'
-    });
-
-  } catch (error) {
-    console.error('Initiate payment error:', error);
-    res.status(500).json({ error: 'Failed to initiate payment' });
-  }
-}
-
+const { markInvoicePaid, markDepositAndMonthsPaid } = require('../lib/invoices.js');
+const { getGateway, GATEWAY_IDS } = require('../lib/paymentGateways.js');
+const { handleB2CResult } = require('../lib/refunds.js');
+const {
+  C2B_STATUSES,
+  validateC2BPayment,
+  recordC2BConfirmation,
+  assignC2BTransaction: assignSuspensePayment,
+  dismissC2BTransaction: dismissSuspensePayment,
+  getC2BTransactions: listC2BTransactions
+} = require('../lib/c2b.js');
+const {
+  ATTEMPT_STATUSES,
+  getAttemptByCheckoutId,
+  getLatestAttempt,
+  applyStkResult,
+  refreshAttempt,
+  getStudentAttempts,
+  getAttempts,
+  getAttemptEvents
+} = require('../lib/paymentAttempts.js');
+const { generateDailyReport, getDailyReports, getDailyReport } = require('../lib/stkReconciliation.js');
+
+// STK push results. Routes put verifyMpesaCallback in front of this, and a
+// result for an attempt that is already settled changes nothing, so
+// Safaricom's retries and forged repeats are both harmless.
 async function handleCallback(req, res) {
   try {
     console.log('[M-Pesa] Callback received:', JSON.stringify(req.body));
 
     const parsed = parseCallbackPayload(req.body);
 
-    if (!parsed.success) {
+    if (!parsed.success || !parsed.checkoutRequestId) {
       console.log('[M-Pesa] Failed to parse callback');
       return res.status(400).json({ error: 'Invalid callback' });
     }
 
-    if (parsed.resultCode !== 0) {
-      console.log('[M-Pesa] Payment failed:', parsed.resultDesc);
-      return res.status(400).json({ error: parsed.resultDesc });
-    }
-
-    const invoice = await db.getOne(`
-      SELECT * FROM invoices 
-      WHERE checkout_request_id = ?
-    `, [parsed.checkoutRequestId]);
-
-    if (!invoice) {
-      console.log('[M-Pesa] Invoice not found for checkout:', parsed.checkoutRequestId);
-      return res.status(404).json({ error: 'Invoice not found' });
-    }
-
-    if ((invoice.type === 'initial' || invoice.type === 'deposit') && invoice.months_count > 0) {
-      await markDepositAndMonthsPaid(invoice.id, invoice.months_count, {
-        method: 'mpesa',
-        transactionId: parsed.checkoutRequestId,
-        receiptNumber: parsed.receiptNumber
-      });
-    } else {
-      await markInvoicePaid(invoice.id, {
-        method: 'mpesa',
-        transactionId: parsed.checkoutRequestId,
-        receiptNumber: parsed.receiptNumber
-      });
+    const outcome = await applyStkResult(parsed, { source: 'callback', payload: req.body });
+    if (!outcome.found) {
+      console.log('[M-Pesa] No payment attempt for checkout:', parsed.checkoutRequestId);
     }
 
-    console.log('[M-Pesa] Invoice marked as paid:', invoice.id);
-
-    res.json({ success: true });
+    res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
   } catch (error) {
     console.error('M-Pesa callback error:', error);
     res.status(500).json({ error: 'Callback processing failed' });
   }
 }
 
+function attemptStatusResponse(attempt) {
+  let status = 'pending';
+  if (attempt.status === 'succeeded') status = 'paid';
+  else if (attempt.status !== 'initiated') status = 'failed';
+
+  return {
+    success: true,
+    status,
+    gateway: attempt.gateway,
+    attemptStatus: attempt.status,
+    failureReason: attempt.failure_reason,
+    resultCode: attempt.result_code,
+    resultDesc: attempt.result_desc,
+    mpesaReceiptNumber: attempt.mpesa_receipt_number
+  };
+}
+
 async function checkPaymentStatus(req, res) {
   try {
-    let { checkoutRequestId, invoiceId } = req.params;
+    const { checkoutRequestId, invoiceId } = req.params;
 
-    if (!checkoutRequestId && invoiceId) {
-      const invoice = await db.getOne('SELECT checkout_request_id FROM invoices WHERE id = ?', [invoiceId]);
-      checkoutRequestId = invoice?.checkout_request_id;
+    const attempt = checkoutRequestId
+      ? await getAttemptByCheckoutId(checkoutRequestId)
+      : await getLatestAttempt(invoiceId);
+    const invoice = await db.getOne('SELECT * FROM invoices WHERE id = ?', [attempt ? attempt.invoice_id : invoiceId]);
+
+    if (!invoice || invoice.student_id !== req.user.userId) {
+      return res.status(404).json({ error: 'Payment not found' });
     }
 
-    if (!isMpesaConfigured()) {
-      if (invoiceId) {
-        const invoice = await db.getOne('SELECT * FROM invoices WHERE id = ?', [invoiceId]);
-        if (invoice && invoice.status !== 'paid') {
-          if ((invoice.type === 'initial' || invoice.type === 'deposit') && (invoice.months_count || 0) > 0) {
-            await markDepositAndMonthsPaid(invoiceId, invoice.months_count, {
-              method: 'simulated',
-              transactionId: `SIM_${Date.now()}`,
-              receiptNumber: `SIM${Date.now()}`
-            });
-          } else {
-            await markInvoicePaid(invoiceId, {
-              method: 'simulated',
-              transactionId: `SIM_${Date.now()}`,
-              receiptNumber: `SIM${Date.now()}`
-            });
-          }
+    // Simulation only stands in for M-Pesa, and only when MPESA_FORCE_SIMULATION
+    // allows it outside production; card attempts are always real
+    if (!isMpesaConfigured() && (!attempt || attempt.gateway === 'mpesa')) {
+      if (!isSimulationAllowed()) {
+        console.error(`[M-Pesa] Not configured; refused status check for invoice ${invoice.id}`);
+        return res.status(503).json({ error: 'M-Pesa payments are not available right now' });
+      }
+      if (invoice.status !== 'paid') {
+        const paymentData = {
+          method: 'simulated',
+          transactionId: `SIM_${Date.now()}`,
+          receiptNumber: `SIM${Date.now()}`
+        };
+        if ((invoice.type === 'initial' || invoice.type === 'deposit') && (invoice.months_count || 0) > 0) {
+          await markDepositAndMonthsPaid(invoice.id, invoice.months_count, paymentData);
+        } else {
+          await markInvoicePaid(invoice.id, paymentData);
         }
       }
       return res.json({
@@ -193,52 +114,91 @@ async function checkPaymentStatus(req, res) {
       });
     }
 
-    if (!checkoutRequestId) {
-      return res.status(400).json({ error: 'Checkout request ID is required' });
+    // A settled attempt already has its answer; only open ones ask the gateway
+    if (attempt && attempt.status !== 'initiated') {
+      return res.json(attemptStatusResponse(attempt));
     }
 
-    const result = await queryTransactionStatus(checkoutRequestId);
+    let outcome;
+    if (attempt) {
+      outcome = await refreshAttempt(attempt, { source: 'status_query' });
+    } else if (invoice.checkout_request_id) {
+      // An STK push from before attempts were recorded
+      const result = await getGateway('mpesa').query(invoice.checkout_request_id);
+      outcome = result.status === 'pending'
+        ? { found: true, pending: true }
+        : await applyStkResult(result, { source: 'status_query', payload: result });
+    } else {
+      return res.status(400).json({ error: 'No online payment has been started for this invoice' });
+    }
 
-    if (!result.success) {
-      return res.status(400).json({ error: result.error });
+    if (outcome.pending) {
+      const gatewayName = getGateway(attempt ? attempt.gateway : 'mpesa').name;
+      return res.json({ success: true, status: 'pending', message: `${gatewayName} is still processing this payment` });
     }
 
-    let invoiceStatus = 'pending';
-    if (result.resultCode === '0') {
-      invoiceStatus = 'paid';
+    if (!outcome.found) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
 
-      const invoice = await db.getOne(`
-        SELECT * FROM invoices WHERE checkout_request_id = ?
-      `, [checkoutRequestId]);
+    res.json(attemptStatusResponse(outcome.attempt));
 
-      if (invoice) {
-        if ((invoice.type === 'initial' || invoice.type === 'deposit') && (invoice.months_count || 0) > 0) {
-          await markDepositAndMonthsPaid(invoice.id, invoice.months_count, {
-            method: 'mpesa',
-            transactionId: checkoutRequestId,
-            receiptNumber: result.mpesaReceiptNumber
-          });
-        } else {
-          await markInvoicePaid(invoice.id, {
-            method: 'mpesa',
-            transactionId: checkoutRequestId,
-            receiptNumber: result.mpesaReceiptNumber
-          });
-        }
-      }
+  } catch (error) {
+    console.error('Check payment status error:', error);
+    res.status(500).json({ error: 'Failed to check payment status' });
+  }
+}
+
+async function getMyPaymentAttempts(req, res) {
+  try {
+    const attempts = await getStudentAttempts(req.user.userId);
+    res.json({ success: true, data: attempts });
+  } catch (error) {
+    console.error('Get my payment attempts error:', error);
+    res.status(500).json({ error: 'Failed to fetch payment attempts' });
+  }
+}
+
+async function getPaymentAttempts(req, res) {
+  try {
+    const { status, studentId, gateway } = req.query;
+    if (status && !ATTEMPT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: ${ATTEMPT_STATUSES.join(', ')}` });
+    }
+    if (gateway && !GATEWAY_IDS.includes(gateway)) {
+      return res.status(400).json({ error: `Gateway must be one of: ${GATEWAY_IDS.join(', ')}` });
     }
 
-    res.json({
-      success: true,
-      status: invoiceStatus,
-      resultCode: result.resultCode,
-      resultDesc: result.resultDesc,
-      mpesaReceiptNumber: result.mpesaReceiptNumber
+    const attempts = await getAttempts({
+      status: status || null,
+      studentId: studentId ? parseInt(studentId) : null,
+      gateway: gateway || null,
+      limit: Math.min(parseInt(req.query.limit) || 100, 500)
     });
+    res.json({ success: true, data: attempts });
+  } catch (error) {
+    console.error('Get payment attempts error:', error);
+    res.status(500).json({ error: 'Failed to fetch payment attempts' });
+  }
+}
+
+async function getPaymentAttemptEvents(req, res) {
+  try {
+    const attemptId = parseInt(req.params.id);
+    if (isNaN(attemptId)) {
+      return res.status(400).json({ error: 'Invalid attempt ID' });
+    }
+
+    const attempt = await db.getOne('SELECT id FROM payment_attempts WHERE id = ?', [attemptId]);
+    if (!attempt) {
+      return res.status(404).json({ error: 'Payment attempt not found' });
+    }
 
+    const events = await getAttemptEvents(attemptId);
+    res.json({ success: true, data: events });
   } catch (error) {
-    console.error('Check payment status error:', error);
-    res.status(500).json({ error: 'Failed to check payment status' });
+    console.error('Get payment attempt events error:', error);
+    res.status(500).json({ error: 'Failed to fetch payment attempt history' });
   }
 }
 
@@ -264,21 +224,29 @@ async function simulateCallback(req, res) {
       return res.status(400).json({ error: 'Invoice ID is required' });
     }
 
+    // Records a payment with no money behind it
+    if (process.env.NODE_ENV === 'production') {
+      return res.status(403).json({ error: 'Simulated payments are not allowed in production' });
+    }
+
     const invoice = await db.getOne('SELECT * FROM invoices WHERE id = ?', [invoiceId]);
 
     if (!invoice) {
       return res.status(404).json({ error: 'Invoice not found' });
     }
 
+    // An explicit amount lets admins rehearse part payments and overpayments
     await markInvoicePaid(invoiceId, {
       method: 'simulated',
+      amount: amount !== undefined ? parseFloat(amount) : null,
+      source: 'simulated',
       transactionId: `SIM_${Date.now()}`,
       receiptNumber: `SIM${Date.now()}`
     });
 
     res.json({
       success: true,
-      message: 'Invoice marked as paid (simulated)'
+      message: 'Simulated payment recorded'
     });
   } catch (error) {
     console.error('Simulate callback error:', error);
@@ -286,12 +254,219 @@ async function simulateCallback(req, res) {
   }
 }
 
+// B2C refund outcomes. Safaricom only needs an acknowledgement, so failures
+// to match a refund are logged rather than returned as errors.
+async function handleB2CCallback(req, res, timedOut) {
+  try {
+    console.log(`[M-Pesa] B2C ${timedOut ? 'timeout' : 'result'} received:`, JSON.stringify(req.body));
+
+    const parsed = parseB2CResult(req.body);
+    if (!parsed.success) {
+      console.log('[M-Pesa] Failed to parse B2C result');
+    } else {
+      const result = await handleB2CResult(parsed, timedOut);
+      if (!result.found) {
+        console.log('[M-Pesa] Refund not found for conversation:', parsed.conversationId);
+      }
+    }
+
+    res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
+  } catch (error) {
+    console.error('M-Pesa B2C callback error:', error);
+    res.status(500).json({ error: 'Callback processing failed' });
+  }
+}
+
+async function handleB2CResultCallback(req, res) {
+  return handleB2CCallback(req, res, false);
+}
+
+async function handleB2CTimeout(req, res) {
+  return handleB2CCallback(req, res, true);
+}
+
+// ==================== STK RECONCILIATION REPORTS ====================
+
+const REPORT_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+async function getReconciliationReports(req, res) {
+  try {
+    const reports = await getDailyReports({ limit: Math.min(parseInt(req.query.limit) || 30, 366) });
+    res.json({ success: true, data: reports });
+  } catch (error) {
+    console.error('Get reconciliation reports error:', error);
+    res.status(500).json({ error: 'Failed to fetch reconciliation reports' });
+  }
+}
+
+async function getReconciliationReport(req, res) {
+  try {
+    if (!REPORT_DATE_PATTERN.test(req.params.date)) {
+      return res.status(400).json({ error: 'Date must be YYYY-MM-DD' });
+    }
+
+    const report = await getDailyReport(req.params.date);
+    if (!report) {
+      return res.status(404).json({ error: 'No report for this date' });
+    }
+    res.json({ success: true, data: report });
+  } catch (error) {
+    console.error('Get reconciliation report error:', error);
+    res.status(500).json({ error: 'Failed to fetch reconciliation report' });
+  }
+}
+
+// Builds the report for a given day now, e.g. after settling attempts by hand
+async function generateReconciliationReport(req, res) {
+  try {
+    const { date } = req.body;
+    if (!date || !REPORT_DATE_PATTERN.test(date)) {
+      return res.status(400).json({ error: 'Date must be YYYY-MM-DD' });
+    }
+
+    await generateDailyReport(date);
+    const report = await getDailyReport(date);
+    res.json({ success: true, data: report });
+  } catch (error) {
+    console.error('Generate reconciliation report error:', error);
+    res.status(500).json({ error: 'Failed to generate reconciliation report' });
+  }
+}
+
+// ==================== C2B (PAYBILL) ====================
+
+async function registerC2B(req, res) {
+  try {
+    if (!isMpesaConfigured()) {
+      return res.status(400).json({ error: 'M-Pesa is not configured' });
+    }
+
+    const result = await registerC2BUrls();
+    if (!result.success) {
+      return res.status(502).json({ error: result.error });
+    }
+
+    res.json({ success: true, data: result, message: 'Paybill URLs registered with Safaricom' });
+  } catch (error) {
+    console.error('Register C2B error:', error);
+    res.status(500).json({ error: 'Failed to register paybill URLs' });
+  }
+}
+
+async function handleC2BValidation(req, res) {
+  try {
+    console.log('[M-Pesa] C2B validation received:', JSON.stringify(req.body));
+
+    const result = await validateC2BPayment(parseC2BPayload(req.body));
+    res.json({ ResultCode: result.resultCode, ResultDesc: result.resultDesc });
+  } catch (error) {
+    // Never block a customer's payment because of our own error
+    console.error('M-Pesa C2B validation error:', error);
+    res.json({ ResultCode: '0', ResultDesc: 'Accepted' });
+  }
+}
+
+async function handleC2BConfirmation(req, res) {
+  try {
+    console.log('[M-Pesa] C2B confirmation received:', JSON.stringify(req.body));
+
+    const result = await recordC2BConfirmation(parseC2BPayload(req.body), req.body);
+    if (!result.success) {
+      console.log('[M-Pesa] C2B confirmation rejected:', result.error);
+    }
+
+    res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
+  } catch (error) {
+    console.error('M-Pesa C2B confirmation error:', error);
+    res.status(500).json({ error: 'Confirmation processing failed' });
+  }
+}
+
+async function getC2BTransactions(req, res) {
+  try {
+    const { status } = req.query;
+    if (status && !C2B_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: ${C2B_STATUSES.join(', ')}` });
+    }
+
+    const transactions = await listC2BTransactions({ status: status || null });
+    res.json({ success: true, data: transactions });
+  } catch (error) {
+    console.error('Get C2B transactions error:', error);
+    res.status(500).json({ error: 'Failed to load paybill payments' });
+  }
+}
+
+async function assignC2BTransaction(req, res) {
+  try {
+    const id = parseInt(req.params.id);
+    const studentId = parseInt(req.body.studentId);
+    const invoiceId = req.body.invoiceId ? parseInt(req.body.invoiceId) : null;
+
+    if (isNaN(studentId)) {
+      return res.status(400).json({ error: 'Student ID is required' });
+    }
+
+    const result = await assignSuspensePayment(id, {
+      studentId,
+      invoiceId,
+      adminId: req.user.userId,
+      note: req.body.note || null
+    });
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({
+      success: true,
+      message: 'Payment assigned and recorded on the student ledger.',
+      allocations: result.allocations,
+      creditBalance: result.creditBalance
+    });
+  } catch (error) {
+    console.error('Assign C2B transaction error:', error);
+    res.status(500).json({ error: 'Failed to assign payment' });
+  }
+}
+
+async function dismissC2BTransaction(req, res) {
+  try {
+    const { reason } = req.body;
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({ error: 'A reason is required' });
+    }
+
+    const result = await dismissSuspensePayment(parseInt(req.params.id), { reason: reason.trim(), adminId: req.user.userId });
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ success: true, message: 'Payment dismissed' });
+  } catch (error) {
+    console.error('Dismiss C2B transaction error:', error);
+    res.status(500).json({ error: 'Failed to dismiss payment' });
+  }
+}
+
 module.exports = {
-  initiatePayment,
   handleCallback,
   checkPaymentStatus,
   getConfiguration,
-  simulateCallback
+  simulateCallback,
+  handleB2CResultCallback,
+  handleB2CTimeout,
+  registerC2B,
+  handleC2BValidation,
+  handleC2BConfirmation,
+  getC2BTransactions,
+  assignC2BTransaction,
+  dismissC2BTransaction,
+  getMyPaymentAttempts,
+  getPaymentAttempts,
+  getPaymentAttemptEvents,
+  getReconciliationReports,
+  getReconciliationReport,
+  generateReconciliationReport
 };
 
 
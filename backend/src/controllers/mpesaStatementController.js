@@ -0,0 +1,63 @@
+// controllers/mpesaStatementController.js - M-Pesa statement import and reconciliation (CommonJS)
+const multer = require('multer');
+const { importStatement, reconcileStatement, getStatementImports } = require('../lib/mpesaStatements.js');
+
+// Statements are parsed straight from memory and never written to disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 }
+});
+
+async function uploadStatement(req, res) {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const result = await importStatement(req.file.buffer, req.file.originalname, { adminId: req.user.userId });
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const reconciliation = await reconcileStatement(result.importId);
+    res.json({ success: true, data: reconciliation, message: 'Statement imported' });
+  } catch (error) {
+    console.error('Import M-Pesa statement error:', error);
+    res.status(500).json({ error: 'Failed to import statement' });
+  }
+}
+
+async function getStatements(req, res) {
+  try {
+    const imports = await getStatementImports();
+    res.json({ success: true, data: imports });
+  } catch (error) {
+    console.error('Get M-Pesa statements error:', error);
+    res.status(500).json({ error: 'Failed to fetch statements' });
+  }
+}
+
+async function getStatementReconciliation(req, res) {
+  try {
+    const importId = parseInt(req.params.id);
+    if (isNaN(importId)) {
+      return res.status(400).json({ error: 'Invalid statement ID' });
+    }
+
+    const reconciliation = await reconcileStatement(importId);
+    if (!reconciliation) {
+      return res.status(404).json({ error: 'Statement not found' });
+    }
+    res.json({ success: true, data: reconciliation });
+  } catch (error) {
+    console.error('Get statement reconciliation error:', error);
+    res.status(500).json({ error: 'Failed to reconcile statement' });
+  }
+}
+
+module.exports = {
+  upload,
+  uploadStatement,
+  getStatements,
+  getStatementReconciliation
+};
@@ -1,57 +1,35 @@
 // controllers/paymentController.js - Payment Submission & Verification (CommonJS)
 const db = require('../config/database.js');
-const { markDepositAndMonthsPaid, markInvoicePaid } = require('../lib/invoices.js');
+const { approveSubmission, createSubmission } = require('../lib/paymentSubmissions.js');
 
 async function submitTransaction(req, res) {
   try {
-    const { invoiceId, transactionId, months, amount, phoneNumber } = req.body;
-    const studentId = req.user.userId;
+    const { invoiceId, transactionId, smsText, months, phoneNumber } = req.body;
 
-    if (!invoiceId || !transactionId) {
-      return res.status(400).json({ error: 'Invoice ID and transaction ID are required' });
+    if (!invoiceId || (!transactionId && !smsText)) {
+      return res.status(400).json({ error: 'Invoice ID and the M-Pesa transaction ID or confirmation message are required' });
     }
 
-    const invoice = await db.getOne(`
-      SELECT i.*, c.title as course_title
-      FROM invoices i
-      JOIN courses c ON i.course_id = c.id
-      WHERE i.id = ? AND i.student_id = ?
-    `, [invoiceId, studentId]);
-
-    if (!invoice) {
-      return res.status(404).json({ error: 'Invoice not found' });
-    }
-
-    if (invoice.status === 'paid') {
-      return res.status(400).json({ error: 'Invoice is already paid' });
-    }
+    const result = await createSubmission({
+      studentId: req.user.userId,
+      invoiceId,
+      transactionId,
+      smsText,
+      months,
+      phoneNumber
+    });
 
-    const existing = await db.getOne(
-      'SELECT id FROM payment_submissions WHERE invoice_id = ? AND status = ?',
-      [invoiceId, 'pending']
-    );
-    if (existing) {
-      return res.status(400).json({ error: 'A pending submission already exists for this invoice' });
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
     }
 
-    const monthsPaid = parseInt(months) || 1;
-    const totalAmount = parseFloat(amount) || invoice.amount;
-
-    const result = await db.insert('payment_submissions', {
-      student_id: studentId,
-      invoice_id: invoiceId,
-      course_id: invoice.course_id,
-      months_paid: monthsPaid,
-      amount: totalAmount,
-      transaction_id: transactionId,
-      phone_number: phoneNumber || '',
-      status: 'pending'
-    });
-
     res.json({
       success: true,
-      submissionId: result.insertId || result,
-      message: 'Payment submission received. Awaiting admin verification.'
+      submissionId: result.submissionId,
+      status: result.status,
+      message: result.status === 'verified'
+        ? 'Payment confirmed and recorded on your account.'
+        : 'Payment submission received. Awaiting admin verification.'
     });
   } catch (error) {
     console.error('Submit transaction error:', error);
@@ -111,12 +89,7 @@ async function verifySubmission(req, res) {
     const submissionId = parseInt(req.params.id);
     const adminId = req.user.userId;
 
-    const submission = await db.getOne(`
-      SELECT ps.*, i.type as invoice_type
-      FROM payment_submissions ps
-      JOIN invoices i ON ps.invoice_id = i.id
-      WHERE ps.id = ?
-    `, [submissionId]);
+    const submission = await db.getOne('SELECT * FROM payment_submissions WHERE id = ?', [submissionId]);
 
     if (!submission) {
       return res.status(404).json({ error: 'Submission not found' });
@@ -126,26 +99,16 @@ async function verifySubmission(req, res) {
       return res.status(400).json({ error: `Submission is already ${submission.status}` });
     }
 
-    const paymentData = {
-      method: 'mpesa',
-      transactionId: submission.transaction_id,
-      receiptNumber: submission.transaction_id
-    };
-
-    if ((submission.invoice_type === 'initial' || submission.invoice_type === 'deposit') && submission.months_paid > 0) {
-      await markDepositAndMonthsPaid(submission.invoice_id, submission.months_paid, paymentData);
-    } else {
-      await markInvoicePaid(submission.invoice_id, paymentData);
+    const result = await approveSubmission(submission, { adminId });
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
     }
 
-    await db.query(
-      'UPDATE payment_submissions SET status = ?, admin_id = ?, verified_at = NOW() WHERE id = ?',
-      ['verified', adminId, submissionId]
-    );
-
     res.json({
       success: true,
-      message: 'Payment verified and invoices marked as paid.'
+      message: 'Payment verified and recorded on the student ledger.',
+      allocations: result.allocations,
+      creditBalance: result.creditBalance
     });
   } catch (error) {
     console.error('Verify submission error:', error);
@@ -0,0 +1,232 @@
+// controllers/paymentGatewayController.js - Paying invoices through the enabled gateways (CommonJS)
+const db = require('../config/database.js');
+const { simulatePayment, isSimulationAllowed } = require('../lib/mpesa.js');
+const { markInvoicePaid, markDepositAndMonthsPaid, getUnpaidMonths, getGlobalSettings } = require('../lib/invoices.js');
+const { roundMoney } = require('../lib/ledger.js');
+const { createAttempt, applyAttemptResult } = require('../lib/paymentAttempts.js');
+const { handleCardRefundResult } = require('../lib/refunds.js');
+const {
+  getGateway,
+  getCourseGatewayIds,
+  getDefaultGatewayIds,
+  listGateways
+} = require('../lib/paymentGateways.js');
+
+async function initiatePayment(req, res) {
+  try {
+    const invoiceId = req.params.invoiceId;
+    const { phoneNumber, amount, months } = req.body;
+
+    const invoice = await db.getOne(`
+      SELECT i.*, c.title as course_title, cp.initial_payment, cp.monthly_amount, cp.payment_gateways
+      FROM invoices i
+      JOIN courses c ON i.course_id = c.id
+      LEFT JOIN course_pricing cp ON cp.course_id = c.id
+      WHERE i.id = ? AND i.student_id = ?
+    `, [invoiceId, req.user.userId]);
+
+    if (!invoice) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    if (invoice.status !== 'pending') {
+      return res.status(400).json({ error: 'Invoice is not pending' });
+    }
+
+    const globalSettings = await getGlobalSettings();
+    const paybillInfo = {
+      mpesa_paybill: globalSettings.mpesa_paybill || '',
+      mpesa_till_number: globalSettings.mpesa_till_number || ''
+    };
+
+    const enabled = await getCourseGatewayIds(invoice.course_id, invoice.payment_gateways ?? null);
+    if (!enabled.length) {
+      return res.status(400).json({
+        error: 'Online payment is not available for this course. Pay to the paybill and submit the transaction code instead.',
+        ...paybillInfo
+      });
+    }
+
+    const gateway = getGateway(req.body.gateway || enabled[0]);
+    if (!gateway || !enabled.includes(gateway.id)) {
+      return res.status(400).json({ error: `Pay with one of: ${enabled.map(id => getGateway(id).name).join(', ')}` });
+    }
+
+    if (gateway.id === 'mpesa' && !phoneNumber) {
+      return res.status(400).json({ error: 'Phone number is required' });
+    }
+
+    const isDeposit = invoice.type === 'initial' || invoice.type === 'deposit';
+    const balanceDue = roundMoney(parseFloat(invoice.amount) - parseFloat(invoice.amount_paid || 0));
+
+    // Months paid in advance stop at the end of the course's billing
+    const maxMonths = Math.max(await getUnpaidMonths(invoice.student_id, invoice.course_id), 1);
+    const monthsCount = months === undefined || months === null || months === '' ? 1 : Number(months);
+    if (!Number.isInteger(monthsCount) || monthsCount < 1 || monthsCount > maxMonths) {
+      return res.status(400).json({ error: `Months must be a whole number from 1 to ${maxMonths}` });
+    }
+
+    // A client amount can only be a part payment of what this invoice owes
+    let partAmount = null;
+    if (amount !== undefined && amount !== null && amount !== '') {
+      partAmount = roundMoney(parseFloat(amount));
+      if (!(partAmount > 0) || partAmount > balanceDue) {
+        return res.status(400).json({ error: `Amount must be more than zero and at most the KES ${balanceDue.toLocaleString()} due` });
+      }
+    }
+
+    // A deposit is paid with at least its first month; a monthly invoice
+    // covers its own month, so only the rest are in advance
+    const advanceMonths = isDeposit ? monthsCount : monthsCount - 1;
+    if (partAmount !== null && advanceMonths > 0) {
+      return res.status(400).json({ error: 'Pay the invoice in full to pay months in advance' });
+    }
+    const paymentAmount = partAmount !== null
+      ? partAmount
+      : roundMoney(balanceDue + parseFloat(invoice.monthly_amount || 0) * advanceMonths);
+    if (!(paymentAmount > 0)) {
+      return res.status(400).json({ error: 'Nothing is owed on this invoice' });
+    }
+
+    if (!gateway.isConfigured()) {
+      // Simulation marks the invoice paid without any money moving, so it only
+      // runs when MPESA_FORCE_SIMULATION asks for it outside production. A
+      // gateway that is merely not configured never marks an invoice paid.
+      if (gateway.id !== 'mpesa' || !isSimulationAllowed()) {
+        console.error(`[Payments] ${gateway.name} is not configured; refused payment of invoice ${invoiceId}`);
+        return res.status(503).json({ error: `${gateway.name} payments are not available right now`, ...paybillInfo });
+      }
+
+      const simResult = simulatePayment(invoiceId, paymentAmount);
+      const paymentData = {
+        method: 'simulated',
+        amount: paymentAmount,
+        transactionId: simResult.checkoutRequestId,
+        receiptNumber: `SIM${Date.now()}`,
+        source: 'simulated'
+      };
+      if (isDeposit) {
+        await markDepositAndMonthsPaid(invoiceId, monthsCount, paymentData);
+      } else {
+        await markInvoicePaid(invoiceId, paymentData);
+      }
+      return res.json({
+        success: true,
+        gateway: gateway.id,
+        ...simResult,
+        totalAmount: paymentAmount,
+        monthsPaid: monthsCount,
+        ...paybillInfo,
+        message: 'Payment simulated. In production, STK push would be sent.'
+      });
+    }
+
+    const student = await db.getOne('SELECT id, email FROM users WHERE id = ?', [req.user.userId]);
+    const push = await gateway.initiate({
+      invoice,
+      amount: paymentAmount,
+      description: `Nuru Foundation - ${invoice.course_title}`,
+      phoneNumber,
+      student
+    });
+
+    // Rejected before reaching the gateway (e.g. a malformed phone number)
+    if (!push.success && push.status) {
+      return res.status(push.status).json({ error: push.error });
+    }
+
+    const depositMonths = isDeposit ? monthsCount : null;
+    await createAttempt({
+      invoiceId: invoice.id,
+      studentId: req.user.userId,
+      gateway: gateway.id,
+      phoneNumber: push.phoneNumber || null,
+      amount: paymentAmount,
+      monthsCount: depositMonths,
+      push
+    });
+
+    if (!push.success) {
+      return res.status(400).json({ error: push.error });
+    }
+
+    if (gateway.id === 'mpesa') {
+      await db.update('invoices', invoiceId, {
+        checkout_request_id: push.checkoutRequestId,
+        months_count: depositMonths
+      });
+
+      return res.json({
+        success: true,
+        gateway: gateway.id,
+        checkoutRequestId: push.checkoutRequestId,
+        totalAmount: paymentAmount,
+        monthsPaid: isDeposit ? monthsCount : 0,
+        ...paybillInfo,
+        message: 'STK push sent to your phone'
+      });
+    }
+
+    res.json({
+      success: true,
+      gateway: gateway.id,
+      checkoutRequestId: push.checkoutRequestId,
+      checkoutUrl: push.checkoutUrl,
+      totalAmount: paymentAmount,
+      monthsPaid: isDeposit ? monthsCount : 0,
+      message: `Continue to the secure ${gateway.name.toLowerCase()} checkout to pay`
+    });
+
+  } catch (error) {
+    console.error('Initiate payment error:', error);
+    res.status(500).json({ error: 'Failed to initiate payment' });
+  }
+}
+
+// Paystack webhooks: card payments and refunds. Acknowledged with 200 once
+// the signature checks out; a repeated event changes nothing.
+async function handleCardWebhook(req, res) {
+  try {
+    const parsed = getGateway('paystack').parseCallback(req);
+    if (!parsed.success) {
+      console.log('[Card] Webhook rejected:', parsed.error);
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+
+    if (parsed.event === 'payment' && parsed.result.status !== 'pending') {
+      const outcome = await applyAttemptResult(parsed.result, { source: 'webhook', payload: req.body });
+      if (!outcome.found) {
+        console.log('[Card] No payment attempt for reference:', parsed.result.checkoutRequestId);
+      }
+    } else if (parsed.event === 'refund_completed' || parsed.event === 'refund_failed') {
+      const outcome = await handleCardRefundResult(parsed.refund, parsed.event === 'refund_completed');
+      if (!outcome.found) {
+        console.log('[Card] Refund not found for transaction:', parsed.refund.reference);
+      }
+    }
+
+    res.json({ received: true });
+  } catch (error) {
+    console.error('Card webhook error:', error);
+    res.status(500).json({ error: 'Webhook processing failed' });
+  }
+}
+
+async function getPaymentGateways(req, res) {
+  try {
+    res.json({
+      success: true,
+      data: listGateways(),
+      defaultGateways: await getDefaultGatewayIds()
+    });
+  } catch (error) {
+    console.error('Get payment gateways error:', error);
+    res.status(500).json({ error: 'Failed to load payment gateways' });
+  }
+}
+
+module.exports = {
+  initiatePayment,
+  handleCardWebhook,
+  getPaymentGateways
+};
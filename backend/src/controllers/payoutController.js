@@ -0,0 +1,186 @@
+// controllers/payoutController.js - Tutor revenue share and payout statements (CommonJS)
+const {
+  PAYOUT_STATUSES,
+  parseMonth,
+  getRevenueShares,
+  setRevenueShare,
+  generatePayoutStatements,
+  getPayouts,
+  getPayout,
+  approvePayout,
+  markPayoutPaid,
+  payoutsToCsv,
+  getTutorEarnings
+} = require('../lib/tutorPayouts.js');
+
+async function getShares(req, res) {
+  try {
+    res.json({ success: true, data: await getRevenueShares() });
+  } catch (error) {
+    console.error('Get revenue shares error:', error);
+    res.status(500).json({ error: 'Failed to load revenue shares' });
+  }
+}
+
+async function updateShare(req, res) {
+  try {
+    const courseId = parseInt(req.params.courseId);
+
+    if (isNaN(courseId)) {
+      return res.status(400).json({ error: 'Invalid course ID' });
+    }
+
+    const { tutorSharePercent, splits } = req.body || {};
+    const result = await setRevenueShare(courseId, {
+      tutorSharePercent,
+      splits: splits || null,
+      adminId: req.user.userId
+    });
+
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ success: true, data: result.data, message: 'Revenue share saved' });
+  } catch (error) {
+    console.error('Update revenue share error:', error);
+    res.status(500).json({ error: 'Failed to save revenue share' });
+  }
+}
+
+async function listPayouts(req, res) {
+  try {
+    const { month, status, tutorId, format } = req.query;
+
+    if (month && parseMonth(month).error) {
+      return res.status(400).json({ error: parseMonth(month).error });
+    }
+    if (status && !PAYOUT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: ${PAYOUT_STATUSES.join(', ')}` });
+    }
+
+    const payouts = await getPayouts({
+      month: month || null,
+      status: status || null,
+      tutorId: tutorId ? parseInt(tutorId) : null
+    });
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="tutor-payouts-${month || 'all'}.csv"`);
+      res.setHeader('Cache-Control', 'private, no-store');
+      return res.send(payoutsToCsv(payouts));
+    }
+
+    res.json({ success: true, data: payouts });
+  } catch (error) {
+    console.error('Get tutor payouts error:', error);
+    res.status(500).json({ error: 'Failed to load tutor payouts' });
+  }
+}
+
+async function getPayoutDetail(req, res) {
+  try {
+    const payoutId = parseInt(req.params.id);
+
+    if (isNaN(payoutId)) {
+      return res.status(400).json({ error: 'Invalid payout ID' });
+    }
+
+    const payout = await getPayout(payoutId);
+    if (!payout) {
+      return res.status(404).json({ error: 'Payout not found' });
+    }
+
+    res.json({ success: true, data: payout });
+  } catch (error) {
+    console.error('Get tutor payout error:', error);
+    res.status(500).json({ error: 'Failed to load tutor payout' });
+  }
+}
+
+async function generateStatements(req, res) {
+  try {
+    const result = await generatePayoutStatements(req.body?.month || null);
+
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({
+      success: true,
+      data: result,
+      message: `${result.month}: ${result.created} statement(s) created, ${result.updated} recalculated`
+    });
+  } catch (error) {
+    console.error('Generate payout statements error:', error);
+    res.status(500).json({ error: 'Failed to generate payout statements' });
+  }
+}
+
+async function approve(req, res) {
+  try {
+    const payoutId = parseInt(req.params.id);
+
+    if (isNaN(payoutId)) {
+      return res.status(400).json({ error: 'Invalid payout ID' });
+    }
+
+    const result = await approvePayout(payoutId, { adminId: req.user.userId });
+
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ success: true, data: result.data, message: 'Payout approved' });
+  } catch (error) {
+    console.error('Approve payout error:', error);
+    res.status(500).json({ error: 'Failed to approve payout' });
+  }
+}
+
+async function markPaid(req, res) {
+  try {
+    const payoutId = parseInt(req.params.id);
+
+    if (isNaN(payoutId)) {
+      return res.status(400).json({ error: 'Invalid payout ID' });
+    }
+
+    const { reference, notes } = req.body || {};
+    const result = await markPayoutPaid(payoutId, {
+      adminId: req.user.userId,
+      reference: reference ? String(reference).trim() : null,
+      notes: notes ? String(notes).trim() : null
+    });
+
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ success: true, data: result.data, message: 'Payout marked as paid' });
+  } catch (error) {
+    console.error('Mark payout paid error:', error);
+    res.status(500).json({ error: 'Failed to mark payout as paid' });
+  }
+}
+
+async function getMyEarnings(req, res) {
+  try {
+    res.json({ success: true, data: await getTutorEarnings(req.user.userId) });
+  } catch (error) {
+    console.error('Get tutor earnings error:', error);
+    res.status(500).json({ error: 'Failed to load earnings' });
+  }
+}
+
+module.exports = {
+  getShares,
+  updateShare,
+  listPayouts,
+  getPayoutDetail,
+  generateStatements,
+  approve,
+  markPaid,
+  getMyEarnings
+};
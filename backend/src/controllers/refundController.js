@@ -0,0 +1,190 @@
+// controllers/refundController.js - Withdrawals, credit notes and refunds (CommonJS)
+const db = require('../config/database.js');
+const { withdrawEnrollment: processWithdrawal, createRefund: processRefund } = require('../lib/refunds.js');
+
+async function withdrawEnrollment(req, res) {
+  try {
+    const enrollmentId = parseInt(req.params.id);
+
+    if (isNaN(enrollmentId)) {
+      return res.status(400).json({ error: 'Invalid enrollment ID' });
+    }
+
+    const { reason, creditUnusedMonths, refund } = req.body || {};
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ error: 'A reason is required to withdraw a student' });
+    }
+
+    const result = await processWithdrawal(enrollmentId, {
+      reason: String(reason).trim(),
+      adminId: req.user.userId,
+      creditUnusedMonths: creditUnusedMonths !== false
+    });
+
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    // Optionally pay the resulting credit straight back to the student
+    let refundResult = null;
+    if (refund && parseFloat(refund.amount) > 0) {
+      refundResult = await processRefund({
+        studentId: result.studentId,
+        courseId: result.courseId,
+        withdrawalId: result.withdrawalId,
+        amount: refund.amount,
+        reason: refund.reason || String(reason).trim(),
+        method: refund.method,
+        phoneNumber: refund.phoneNumber,
+        reference: refund.reference,
+        adminId: req.user.userId
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...result,
+        refund: refundResult ? refundResult.refund || null : null,
+        refundError: refundResult && !refundResult.success ? refundResult.error : null
+      },
+      message: 'Student withdrawn. Paid invoices were kept and unused months credited.'
+    });
+  } catch (error) {
+    console.error('Withdraw enrollment error:', error);
+    res.status(500).json({ error: 'Failed to withdraw student' });
+  }
+}
+
+async function getRefunds(req, res) {
+  try {
+    const params = [];
+    let where = '';
+    if (req.query.studentId) {
+      where = 'WHERE r.student_id = ?';
+      params.push(parseInt(req.query.studentId));
+    }
+
+    const refunds = await db.query(`
+      SELECT r.*, u.full_name as student_name, u.email as student_email,
+             c.title as course_title, a.full_name as approved_by_name
+      FROM refunds r
+      JOIN users u ON r.student_id = u.id
+      LEFT JOIN courses c ON r.course_id = c.id
+      LEFT JOIN users a ON r.approved_by = a.id
+      ${where}
+      ORDER BY r.created_at DESC
+    `, params);
+
+    res.json({ success: true, data: refunds });
+  } catch (error) {
+    console.error('Get refunds error:', error);
+    res.status(500).json({ error: 'Failed to load refunds' });
+  }
+}
+
+async function createRefund(req, res) {
+  try {
+    const { studentId, courseId, withdrawalId, amount, reason, method, phoneNumber, reference } = req.body;
+
+    if (!studentId) {
+      return res.status(400).json({ error: 'Student ID is required' });
+    }
+
+    const student = await db.getOne('SELECT id FROM users WHERE id = ?', [studentId]);
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    const result = await processRefund({
+      studentId,
+      courseId: courseId || null,
+      withdrawalId: withdrawalId || null,
+      amount,
+      reason,
+      method: method || 'manual',
+      phoneNumber,
+      reference,
+      adminId: req.user.userId
+    });
+
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error, data: result.refund || null });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: result.refund,
+      message: result.refund.status === 'completed'
+        ? 'Refund recorded'
+        : `Refund sent to ${result.refund.method === 'card' ? 'the card gateway' : 'M-Pesa'}, awaiting confirmation`
+    });
+  } catch (error) {
+    console.error('Create refund error:', error);
+    res.status(500).json({ error: 'Failed to create refund' });
+  }
+}
+
+async function getCreditNotes(req, res) {
+  try {
+    const params = [];
+    let where = '';
+    if (req.query.studentId) {
+      where = 'WHERE cn.student_id = ?';
+      params.push(parseInt(req.query.studentId));
+    }
+
+    const creditNotes = await db.query(`
+      SELECT cn.*, u.full_name as student_name, u.email as student_email,
+             c.title as course_title, a.full_name as issued_by_name
+      FROM credit_notes cn
+      JOIN users u ON cn.student_id = u.id
+      JOIN courses c ON cn.course_id = c.id
+      LEFT JOIN users a ON cn.issued_by = a.id
+      ${where}
+      ORDER BY cn.created_at DESC
+    `, params);
+
+    res.json({ success: true, data: creditNotes });
+  } catch (error) {
+    console.error('Get credit notes error:', error);
+    res.status(500).json({ error: 'Failed to load credit notes' });
+  }
+}
+
+// Student view of their own credit notes and refunds
+async function getMyCreditNotes(req, res) {
+  try {
+    const creditNotes = await db.query(`
+      SELECT cn.id, cn.credit_note_number, cn.invoice_id, cn.amount, cn.credited_amount, cn.reason,
+             cn.created_at, c.title as course_title
+      FROM credit_notes cn
+      JOIN courses c ON cn.course_id = c.id
+      WHERE cn.student_id = ?
+      ORDER BY cn.created_at DESC
+    `, [req.user.userId]);
+
+    const refunds = await db.query(`
+      SELECT r.id, r.amount, r.reason, r.method, r.status, r.reference, r.created_at, r.completed_at,
+             c.title as course_title
+      FROM refunds r
+      LEFT JOIN courses c ON r.course_id = c.id
+      WHERE r.student_id = ?
+      ORDER BY r.created_at DESC
+    `, [req.user.userId]);
+
+    res.json({ success: true, data: { creditNotes, refunds } });
+  } catch (error) {
+    console.error('Get my credit notes error:', error);
+    res.status(500).json({ error: 'Failed to load credit notes' });
+  }
+}
+
+module.exports = {
+  withdrawEnrollment,
+  getRefunds,
+  createRefund,
+  getCreditNotes,
+  getMyCreditNotes
+};
@@ -0,0 +1,65 @@
+// controllers/reportController.js - Finance reports for admins as JSON or CSV (CommonJS)
+const {
+  FINANCE_REPORTS,
+  parseReportFilters,
+  getAgingReport,
+  getRevenueReport,
+  getCollectionReport,
+  getTopDebtors,
+  getFinanceReport,
+  financeReportToCsv
+} = require('../lib/financeReports.js');
+
+// GET /admin/reports/finance returns every report; /admin/reports/finance/:report
+// returns one, and only a single report can be downloaded as CSV
+async function getFinanceReports(req, res) {
+  try {
+    const report = req.params.report || null;
+    const format = (req.query.format || 'json').toLowerCase();
+
+    if (report && !FINANCE_REPORTS.includes(report)) {
+      return res.status(400).json({ error: `Report must be one of: ${FINANCE_REPORTS.join(', ')}` });
+    }
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({ error: 'Format must be json or csv' });
+    }
+    if (format === 'csv' && !report) {
+      return res.status(400).json({ error: 'Choose a report to export' });
+    }
+
+    const filters = parseReportFilters(req.query);
+    if (filters.error) {
+      return res.status(400).json({ error: filters.error });
+    }
+
+    if (report) {
+      const data = await getFinanceReport(report, filters);
+
+      if (format === 'csv') {
+        const range = [filters.from, filters.to].filter(Boolean).join('_to_') || new Date().toISOString().slice(0, 10);
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${report}-report-${range}.csv"`);
+        res.setHeader('Cache-Control', 'private, no-store');
+        return res.send(financeReportToCsv(report, data));
+      }
+
+      return res.json({ success: true, data });
+    }
+
+    const [aging, revenue, collection, debtors] = await Promise.all([
+      getAgingReport(filters),
+      getRevenueReport(filters),
+      getCollectionReport(filters),
+      getTopDebtors(filters)
+    ]);
+
+    res.json({ success: true, data: { aging, revenue, collection, debtors } });
+  } catch (error) {
+    console.error('Get finance reports error:', error);
+    res.status(500).json({ error: 'Failed to load finance reports' });
+  }
+}
+
+module.exports = {
+  getFinanceReports
+};
@@ -13,7 +13,9 @@ async function getUpcomingSessions(req, res) {
       LIMIT 50
     `, [studentId]);
 
-    const enriched = sessions.map(s => ({
+    // Meeting links for courses locked for non-payment are withheld
+    const lockedCourseIds = req.user.lockedCourseIds || [];
+    const enriched = sessions.filter(s => !lockedCourseIds.includes(s.course_id)).map(s => ({
       id: s.id,
       lesson_id: s.id,
       title: s.title,
@@ -0,0 +1,76 @@
+// controllers/statementController.js - Statements of account as JSON, CSV or PDF (CommonJS)
+const db = require('../config/database.js');
+const { STATEMENT_FORMATS, buildStatement, parseStatementRange, statementToCsv } = require('../lib/statements.js');
+const { renderStatementPdf } = require('../lib/documents.js');
+
+async function sendStatement(req, res, studentId) {
+  const format = (req.query.format || 'json').toLowerCase();
+  if (!STATEMENT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `Format must be one of: ${STATEMENT_FORMATS.join(', ')}` });
+  }
+
+  const { from, to, error } = parseStatementRange(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  if (format === 'pdf') {
+    const document = await renderStatementPdf(studentId, { from, to, issuedBy: req.user.userId });
+    if (!document) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${document.filename}"`);
+    res.setHeader('Cache-Control', 'private, no-store');
+    return res.send(document.buffer);
+  }
+
+  const statement = await buildStatement(studentId, { from, to });
+  if (!statement) {
+    return res.status(404).json({ error: 'Student not found' });
+  }
+
+  if (format === 'csv') {
+    const range = [from, to].filter(Boolean).join('_to_') || 'all';
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="statement-${studentId}-${range}.csv"`);
+    res.setHeader('Cache-Control', 'private, no-store');
+    return res.send(statementToCsv(statement));
+  }
+
+  res.json({ success: true, data: statement });
+}
+
+async function getMyStatement(req, res) {
+  try {
+    await sendStatement(req, res, req.user.userId);
+  } catch (error) {
+    console.error('Get my statement error:', error);
+    res.status(500).json({ error: 'Failed to generate statement' });
+  }
+}
+
+async function getStudentStatement(req, res) {
+  try {
+    const studentId = parseInt(req.params.id);
+
+    if (isNaN(studentId)) {
+      return res.status(400).json({ error: 'Invalid student ID' });
+    }
+
+    const student = await db.getOne('SELECT id FROM users WHERE id = ?', [studentId]);
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    await sendStatement(req, res, studentId);
+  } catch (error) {
+    console.error('Get student statement error:', error);
+    res.status(500).json({ error: 'Failed to generate statement' });
+  }
+}
+
+module.exports = {
+  getMyStatement,
+  getStudentStatement
+};
@@ -1,6 +1,10 @@
 // controllers/studentController.js - Student Dashboard Controller (CommonJS)
 const db = require('../config/database.js');
-const { isStudentLocked } = require('../lib/invoices.js');
+const { isStudentLocked, getLockScope } = require('../lib/invoices.js');
+const { getInvoiceLineItems } = require('../lib/discounts.js');
+const { getLedgerSummary, getLedgerEntries } = require('../lib/ledger.js');
+const { getGateway, parseGatewayList, getDefaultGatewayIds } = require('../lib/paymentGateways.js');
+const { getActiveTrials } = require('../lib/trials.js');
 const NotificationController = require('./notificationController.js');
 
 async function getStudentCourses(req, res) {
@@ -30,6 +34,8 @@ async function getStudentCourses(req, res) {
       ORDER BY e.enrolled_at DESC
     `, [req.user.userId]);
 
+    const lockedCourseIds = req.user.lockedCourseIds || [];
+    const trials = await getActiveTrials(req.user.userId);
     const progressData = enrollments.map(enrollment => {
       const totalLessons = enrollment.total_lessons || 0;
       const totalNotes = enrollment.total_notes || 0;
@@ -44,6 +50,8 @@ async function getStudentCourses(req, res) {
       return {
         id: enrollment.id,
         enrolledAt: enrollment.enrolled_at,
+        isLocked: lockedCourseIds.includes(enrollment.course_id),
+        trial: trials.get(enrollment.course_id) || null,
         progress,
         completedLessons,
         totalLessons,
@@ -96,6 +104,7 @@ async function getProgress(req, res) {
       ORDER BY e.enrolled_at DESC
     `, [req.user.userId]);
 
+    const lockedCourseIds = req.user.lockedCourseIds || [];
     const progressData = enrollments.map(enrollment => {
       const totalLessons = enrollment.total_lessons || 0;
       const totalNotes = enrollment.total_notes || 0;
@@ -111,6 +120,7 @@ async function getProgress(req, res) {
         id: enrollment.id,
         enrolledAt: enrollment.enrolled_at,
         lastAccessedAt: enrollment.last_accessed_at,
+        isLocked: lockedCourseIds.includes(enrollment.course_id),
         progress,
         completedLessons,
         totalLessons,
@@ -379,10 +389,30 @@ async function updateProgress(req, res) {
   }
 }
 
-// Get credit balance
+// Get credit balance and recent ledger activity
 async function getCreditBalance(req, res) {
   try {
-    res.json({ success: true, balance: 0 });
+    const summary = await getLedgerSummary(req.user.userId);
+    const entries = await getLedgerEntries(req.user.userId, 20);
+
+    res.json({
+      success: true,
+      balance: summary.creditBalance,
+      data: {
+        ...summary,
+        entries: entries.map(entry => ({
+          id: entry.id,
+          type: entry.entry_type,
+          amount: parseFloat(entry.amount),
+          method: entry.method,
+          reference: entry.reference,
+          invoiceId: entry.invoice_id,
+          courseTitle: entry.course_title,
+          description: entry.description,
+          createdAt: entry.created_at
+        }))
+      }
+    });
   } catch (error) {
     console.error('Get credit balance error:', error);
     res.status(500).json({ error: 'Failed to get balance' });
@@ -393,7 +423,12 @@ async function getCreditBalance(req, res) {
 async function isLocked(req, res) {
   try {
     const locked = await isStudentLocked(req.user.userId);
-    res.json({ success: true, isLocked: locked });
+    res.json({
+      success: true,
+      isLocked: locked,
+      lockScope: await getLockScope(),
+      lockedCourseIds: req.user.lockedCourseIds || []
+    });
   } catch (error) {
     console.error('Is locked check error:', error);
     res.status(500).json({ error: 'Failed to check lock status' });
@@ -404,7 +439,7 @@ async function isLocked(req, res) {
 async function getInvoices(req, res) {
   try {
     const invoices = await db.query(`
-      SELECT i.*, c.title as course_title, cp.monthly_amount
+      SELECT i.*, c.title as course_title, cp.monthly_amount, cp.payment_gateways
       FROM invoices i
       JOIN courses c ON i.course_id = c.id
       LEFT JOIN course_pricing cp ON c.id = cp.course_id AND cp.is_active = 1
@@ -412,10 +447,24 @@ async function getInvoices(req, res) {
       ORDER BY i.created_at DESC
     `, [req.user.userId]);
 
+    const lineItems = await getInvoiceLineItems(invoices.map(inv => inv.id));
+    const defaultGateways = await getDefaultGatewayIds();
+
+    // M-Pesa is always offered when enabled, since it falls back to simulation
+    const gatewaysFor = inv => (parseGatewayList(inv.payment_gateways) ?? defaultGateways)
+      .map(getGateway)
+      .filter(gateway => gateway.id === 'mpesa' || gateway.isConfigured())
+      .map(gateway => ({ id: gateway.id, name: gateway.name }));
+
     const data = invoices.map(inv => ({
       id: inv.id,
       type: inv.type,
       amount: inv.amount,
+      grossAmount: inv.gross_amount ?? inv.amount,
+      discountAmount: inv.discount_amount || 0,
+      lineItems: lineItems[inv.id] || [],
+      amountPaid: parseFloat(inv.amount_paid || 0),
+      balanceDue: inv.status === 'paid' ? 0 : parseFloat(inv.amount) - parseFloat(inv.amount_paid || 0),
       status: inv.status,
       dueDate: inv.due_date,
       gracePeriodEnd: inv.grace_period_end,
@@ -424,6 +473,9 @@ async function getInvoices(req, res) {
       transactionId: inv.transaction_id,
       checkoutRequestId: inv.checkout_request_id,
       monthNumber: inv.month_number,
+      parentInvoiceId: inv.parent_invoice_id || null,
+      paymentGateway: inv.payment_gateway || null,
+      paymentGateways: gatewaysFor(inv),
       course: {
         title: inv.course_title,
         coursePricing: {
@@ -486,7 +538,13 @@ async function checkNotesAccess(req, res) {
       return res.status(403).json({ access: false, reason: 'not_enrolled' });
     }
 
-    // 2. Check for unpaid/locked invoices for this course
+    // 2. A running free trial gives access until it ends
+    const trial = (await getActiveTrials(req.user.userId)).get(courseId);
+    if (trial) {
+      return res.json({ access: true, trial });
+    }
+
+    // 3. Check for unpaid/locked invoices for this course
     const unpaidInvoice = await db.getOne(`
       SELECT id, status, amount, due_date 
       FROM invoices 
@@ -532,9 +590,9 @@ async function getCourseNotes(req, res) {
       return res.status(403).json({ error: 'Not enrolled in this course' });
     }
 
-    const locked = await isStudentLocked(req.user.userId);
+    const locked = await isStudentLocked(req.user.userId, courseId);
     if (locked) {
-      return res.status(403).json({ error: 'Access locked due to unpaid invoices' });
+      return res.status(403).json({ error: 'Access locked due to unpaid invoices', locked: true, courseId });
     }
 
     const notes = await db.query(`
@@ -697,7 +755,9 @@ async function getStudentAssignments(req, res) {
       ORDER BY a.created_at DESC
     `, [studentId, studentId]);
 
-    const transformed = assignments.map(a => ({
+    // Hide assignments from courses locked for non-payment
+    const lockedCourseIds = req.user.lockedCourseIds || [];
+    const transformed = assignments.filter(a => !lockedCourseIds.includes(a.course_id)).map(a => ({
       id: a.id,
       title: a.title,
       description: a.description,
@@ -89,6 +89,7 @@ async function getTransactions(req, res) {
 
     const transformed = transactions.map(t => ({
       id: t.id,
+      courseId: t.course_id,
       student: { fullName: t.full_name, username: t.username, email: t.email },
       course: { title: t.course_title, category: t.category },
       type: t.type || 'initial',
@@ -1,6 +1,22 @@
 // controllers/userController.js - User Controller (CommonJS)
 const bcrypt = require('bcryptjs');
 const db = require('../config/database.js');
+const { revokeUserSessions, clientIp } = require('../lib/sessions.js');
+const {
+  getTwoFactorStatus: loadTwoFactorStatus,
+  beginTwoFactorSetup,
+  enableTwoFactor: confirmTwoFactor,
+  verifyTwoFactor,
+  regenerateRecoveryCodes: replaceRecoveryCodes,
+  disableTwoFactor: turnOffTwoFactor
+} = require('../lib/twoFactor.js');
+const { isEmailVerificationRequired, sendVerificationLink } = require('../lib/emailVerification.js');
+const {
+  getPasswordPolicy,
+  checkNewPassword,
+  recordPasswordChange,
+  isPasswordExpired
+} = require('../lib/passwordPolicy.js');
 
 async function getCurrentUser(req, res) {
   try {
@@ -15,7 +31,7 @@ async function getCurrentUser(req, res) {
       role = await db.getOne('SELECT name FROM roles WHERE id = ?', [user.role_id]);
     }
 
-    const { password_hash, ...userWithoutPassword } = user;
+    const { password_hash, two_factor_secret, two_factor_pending_secret, ...userWithoutPassword } = user;
     userWithoutPassword.fullName = userWithoutPassword.full_name;
     userWithoutPassword.isActive = !!userWithoutPassword.is_active;
     userWithoutPassword.mustChangePassword = !!userWithoutPassword.must_change_password;
@@ -57,14 +73,27 @@ async function updateProfile(req, res) {
     if (email) updateData.email = email.toLowerCase();
     updateData.updated_at = new Date();
 
+    // A new address has to be confirmed like the one it replaces
+    const emailChanged = !!email && email.toLowerCase() !== existingUser.email;
+    const reverify = emailChanged && await isEmailVerificationRequired();
+    if (reverify) updateData.email_verified = false;
+
     await db.update('users', req.user.userId, updateData);
 
     const user = await db.getOne('SELECT * FROM users WHERE id = ?', [req.user.userId]);
-    const { password_hash, ...userWithoutPassword } = user;
+    if (reverify) {
+      await sendVerificationLink(user);
+    }
+    const { password_hash, two_factor_secret, two_factor_pending_secret, ...userWithoutPassword } = user;
     userWithoutPassword.fullName = userWithoutPassword.full_name;
     userWithoutPassword.isActive = !!userWithoutPassword.is_active;
     userWithoutPassword.mustChangePassword = !!userWithoutPassword.must_change_password;
-    res.json({ success: true, user: userWithoutPassword });
+    userWithoutPassword.emailVerified = !!userWithoutPassword.email_verified;
+    res.json({
+      success: true,
+      user: userWithoutPassword,
+      ...(reverify && { message: `Profile updated. Please confirm ${user.email} using the link we just sent.` })
+    });
 
   } catch (error) {
     console.error('Update profile error:', error);
@@ -80,11 +109,7 @@ async function changePassword(req, res) {
       return res.status(400).json({ error: 'Current password and new password are required' });
     }
 
-    if (newPassword.length < 8) {
-      return res.status(400).json({ error: 'New password must be at least 8 characters long' });
-    }
-
-    const user = await db.getOne('SELECT password_hash FROM users WHERE id = ?', [req.user.userId]);
+    const user = await db.getOne('SELECT id, email, username, password_hash FROM users WHERE id = ?', [req.user.userId]);
 
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
@@ -95,8 +120,16 @@ async function changePassword(req, res) {
       return res.status(401).json({ error: 'Current password is incorrect' });
     }
 
+    const check = await checkNewPassword(newPassword, user);
+    if (!check.success) {
+      return res.status(check.status).json({ error: check.error, errors: check.errors });
+    }
+
     const hashedPassword = await bcrypt.hash(newPassword, 12);
-    await db.update('users', req.user.userId, { password_hash: hashedPassword });
+    await db.update('users', req.user.userId, { password_hash: hashedPassword, must_change_password: false });
+    await recordPasswordChange(req.user.userId, hashedPassword);
+    // Keep this device signed in; every other one has to log in with the new password
+    await revokeUserSessions(req.user.userId, { exceptSessionId: req.user.sessionId, reason: 'password_changed' });
 
     res.json({ success: true, message: 'Password changed successfully' });
 
@@ -114,8 +147,14 @@ async function setPassword(req, res) {
       return res.status(400).json({ error: 'New password is required' });
     }
 
-    if (newPassword.length < 8) {
-      return res.status(400).json({ error: 'Password must be at least 8 characters long' });
+    const user = await db.getOne('SELECT id, email, username, password_hash FROM users WHERE id = ?', [req.user.userId]);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const check = await checkNewPassword(newPassword, user);
+    if (!check.success) {
+      return res.status(check.status).json({ error: check.error, errors: check.errors });
     }
 
     const hashedPassword = await bcrypt.hash(newPassword, 12);
@@ -123,6 +162,8 @@ async function setPassword(req, res) {
       password_hash: hashedPassword,
       must_change_password: false
     });
+    await recordPasswordChange(req.user.userId, hashedPassword);
+    await revokeUserSessions(req.user.userId, { exceptSessionId: req.user.sessionId, reason: 'password_changed' });
 
     res.json({ success: true, message: 'Password set successfully' });
 
@@ -134,6 +175,12 @@ async function setPassword(req, res) {
 
 async function skipPasswordChange(req, res) {
   try {
+    // Temporary passwords may be kept; expired ones may not
+    const user = await db.getOne('SELECT password_changed_at, created_at FROM users WHERE id = ?', [req.user.userId]);
+    if (user && isPasswordExpired(user, await getPasswordPolicy())) {
+      return res.status(403).json({ error: 'Your password has expired and must be changed', code: 'PASSWORD_EXPIRED' });
+    }
+
     await db.update('users', req.user.userId, { must_change_password: false });
     res.json({ success: true, message: 'Password change skipped' });
   } catch (error) {
@@ -142,10 +189,105 @@ async function skipPasswordChange(req, res) {
   }
 }
 
+// ==================== TWO-FACTOR AUTHENTICATION ====================
+
+async function getTwoFactorStatus(req, res) {
+  try {
+    const status = await loadTwoFactorStatus(req.user.userId, req.user.roleName);
+    res.json({ success: true, twoFactor: status });
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    res.status(500).json({ error: 'Failed to load two-factor status' });
+  }
+}
+
+async function setupTwoFactor(req, res) {
+  try {
+    const result = await beginTwoFactorSetup(req.user.userId);
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json({ success: true, secret: result.secret, otpauthUrl: result.otpauthUrl });
+  } catch (error) {
+    console.error('Setup 2FA error:', error);
+    res.status(500).json({ error: 'Failed to start two-factor setup' });
+  }
+}
+
+async function enableTwoFactor(req, res) {
+  try {
+    const result = await confirmTwoFactor(req.user.userId, req.body.code, { ipAddress: clientIp(req) });
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json({
+      success: true,
+      recoveryCodes: result.recoveryCodes,
+      message: 'Two-factor authentication is on. Save your recovery codes somewhere safe.'
+    });
+  } catch (error) {
+    console.error('Enable 2FA error:', error);
+    res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+  }
+}
+
+async function regenerateRecoveryCodes(req, res) {
+  try {
+    const result = await replaceRecoveryCodes(req.user.userId, req.body.code, { ipAddress: clientIp(req) });
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json({ success: true, recoveryCodes: result.recoveryCodes });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({ error: 'Failed to generate new recovery codes' });
+  }
+}
+
+// Needs the password and a current code, so a borrowed session cannot turn it off
+async function disableTwoFactor(req, res) {
+  try {
+    const { password, code } = req.body;
+
+    if (!password || !code) {
+      return res.status(400).json({ error: 'Password and authenticator code are required' });
+    }
+
+    const status = await loadTwoFactorStatus(req.user.userId, req.user.roleName);
+    if (status.required) {
+      return res.status(403).json({ error: 'Two-factor authentication is required for your account and cannot be turned off' });
+    }
+    if (!status.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    const user = await db.getOne('SELECT password_hash FROM users WHERE id = ?', [req.user.userId]);
+    if (!(await bcrypt.compare(password, user.password_hash))) {
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+
+    const verified = await verifyTwoFactor(req.user.userId, { code }, { ipAddress: clientIp(req) });
+    if (!verified.success) {
+      return res.status(verified.status).json({ error: verified.error });
+    }
+
+    await turnOffTwoFactor(req.user.userId, { actorId: req.user.userId, ipAddress: clientIp(req) });
+    res.json({ success: true, message: 'Two-factor authentication turned off' });
+  } catch (error) {
+    console.error('Disable 2FA error:', error);
+    res.status(500).json({ error: 'Failed to turn off two-factor authentication' });
+  }
+}
+
 module.exports = {
   getCurrentUser,
   updateProfile,
   changePassword,
   setPassword,
-  skipPasswordChange
+  skipPasswordChange,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor
 };
\ No newline at end of file
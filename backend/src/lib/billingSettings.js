@@ -0,0 +1,191 @@
+// lib/billingSettings.js - Versioned global billing settings (CommonJS)
+const db = require('../config/database.js');
+const fs = require('fs');
+const { DEFAULT_LATE_FEE, validateLateFeeRule } = require('./lateFees.js');
+
+const DEFAULT_BILLING_SETTINGS = {
+  billingDay: 1,
+  gracePeriodDays: 2,
+  prorationMode: 'none',
+  mpesa_paybill: '',
+  mpesa_till_number: '',
+  // Business name on students' M-Pesa confirmation messages
+  mpesa_account_name: '',
+  // Approve pasted confirmation messages without an admin once the paybill
+  // or an imported statement confirms the payment
+  smsAutoVerify: false,
+  lateFee: DEFAULT_LATE_FEE
+};
+const PRORATION_MODES = ['none', 'daily', 'skip_first'];
+
+// Settings used to live in this file; it is imported once as version 1
+const LEGACY_SETTINGS_PATH = './global-billing.json';
+
+// Form and JSON values alike: true, 'true', 'on', 1 and '1' are on
+function parseBoolean(value) {
+  return value === true || value === 1 || ['true', 'on', '1'].includes(String(value).toLowerCase());
+}
+
+function withDefaults(settings) {
+  return {
+    ...DEFAULT_BILLING_SETTINGS,
+    ...settings,
+    lateFee: { ...DEFAULT_LATE_FEE, ...(settings.lateFee || {}) }
+  };
+}
+
+async function importLegacySettings() {
+  let settings = {};
+  let note = 'Initial billing settings';
+  if (fs.existsSync(LEGACY_SETTINGS_PATH)) {
+    settings = JSON.parse(fs.readFileSync(LEGACY_SETTINGS_PATH, 'utf8'));
+    note = 'Imported from global-billing.json';
+  }
+
+  // Version 1 is fixed so concurrent first requests cannot both import
+  await db.query(`
+    INSERT IGNORE INTO billing_settings_versions (version, settings, change_note)
+    VALUES (1, ?, ?)
+  `, [JSON.stringify(withDefaults(settings)), note]);
+  console.log(`[BillingSettings] ${note} as version 1`);
+}
+
+// The current settings, with the version number invoices should record
+async function getBillingSettings() {
+  let row = await db.getOne('SELECT version, settings FROM billing_settings_versions ORDER BY version DESC LIMIT 1');
+  if (!row) {
+    await importLegacySettings();
+    row = await db.getOne('SELECT version, settings FROM billing_settings_versions ORDER BY version DESC LIMIT 1');
+  }
+  return { ...withDefaults(JSON.parse(row.settings)), version: row.version };
+}
+
+// Applies the changes an admin submitted to the current settings and checks
+// the result. Returns { settings } or { error }.
+function mergeBillingSettings(current, changes) {
+  const next = withDefaults(current);
+  delete next.version;
+
+  if (changes.billingDay !== undefined) {
+    const billingDay = parseInt(changes.billingDay);
+    if (isNaN(billingDay) || billingDay < 1 || billingDay > 28) {
+      return { error: 'Billing day must be between 1 and 28' };
+    }
+    next.billingDay = billingDay;
+  }
+  if (changes.gracePeriodDays !== undefined) {
+    const gracePeriodDays = parseInt(changes.gracePeriodDays);
+    if (isNaN(gracePeriodDays) || gracePeriodDays < 0) {
+      return { error: 'Grace period must be zero or more days' };
+    }
+    next.gracePeriodDays = gracePeriodDays;
+  }
+  if (changes.prorationMode !== undefined) {
+    if (!PRORATION_MODES.includes(changes.prorationMode)) {
+      return { error: `Proration mode must be one of: ${PRORATION_MODES.join(', ')}` };
+    }
+    next.prorationMode = changes.prorationMode;
+  }
+  if (changes.mpesa_paybill !== undefined) next.mpesa_paybill = String(changes.mpesa_paybill || '').trim();
+  if (changes.mpesa_till_number !== undefined) next.mpesa_till_number = String(changes.mpesa_till_number || '').trim();
+  if (changes.mpesa_account_name !== undefined) next.mpesa_account_name = String(changes.mpesa_account_name || '').trim();
+  if (changes.smsAutoVerify !== undefined) next.smsAutoVerify = parseBoolean(changes.smsAutoVerify);
+  if (changes.lateFee !== undefined) {
+    const lateFee = { ...DEFAULT_LATE_FEE, ...changes.lateFee, enabled: parseBoolean(changes.lateFee.enabled) };
+    if (lateFee.enabled) {
+      const lateFeeError = validateLateFeeRule(lateFee);
+      if (lateFeeError) return { error: lateFeeError };
+    }
+    next.lateFee = {
+      enabled: lateFee.enabled,
+      type: lateFee.type,
+      value: parseFloat(lateFee.value) || 0,
+      cap: lateFee.cap ? parseFloat(lateFee.cap) : null,
+      graceDays: parseInt(lateFee.graceDays) || 0
+    };
+  }
+
+  return { settings: next };
+}
+
+// Field-by-field differences, with nested settings flattened (lateFee.value)
+function diffSettings(before, after, prefix = '') {
+  const changes = [];
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const key of keys) {
+    if (key === 'version') continue;
+    const from = before ? before[key] : undefined;
+    const to = after ? after[key] : undefined;
+    const field = prefix ? `${prefix}.${key}` : key;
+
+    if (from && to && typeof from === 'object' && typeof to === 'object') {
+      changes.push(...diffSettings(from, to, field));
+    } else if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, from: from ?? null, to: to ?? null });
+    }
+  }
+  return changes;
+}
+
+// Saves a new settings version. Nothing is written when nothing changed.
+async function updateBillingSettings(changes, { adminId = null, note = null } = {}) {
+  const current = await getBillingSettings();
+  const { settings, error } = mergeBillingSettings(current, changes);
+  if (error) {
+    return { success: false, status: 400, error };
+  }
+
+  const diff = diffSettings(withDefaults(current), settings);
+  if (!diff.length) {
+    return { success: true, unchanged: true, settings: current, changes: [] };
+  }
+
+  const version = await db.insert('billing_settings_versions', {
+    settings: JSON.stringify(settings),
+    change_note: note ? String(note).slice(0, 255) : null,
+    changed_by: adminId,
+    created_at: new Date()
+  });
+
+  console.log(`[BillingSettings] Version ${version} saved by admin ${adminId}: ${diff.map(c => c.field).join(', ')}`);
+
+  return { success: true, settings: { ...settings, version }, changes: diff };
+}
+
+// Newest first, each with what changed from the version before it and how
+// many invoices were generated under it
+async function getBillingSettingsHistory({ limit = 50 } = {}) {
+  const rows = await db.query(`
+    SELECT v.*, u.full_name, u.username,
+           (SELECT COUNT(*) FROM invoices i WHERE i.billing_settings_version = v.version) as invoice_count
+    FROM billing_settings_versions v
+    LEFT JOIN users u ON v.changed_by = u.id
+    ORDER BY v.version DESC
+    LIMIT ?
+  `, [limit + 1]);
+
+  return rows.slice(0, limit).map((row, index) => {
+    const settings = withDefaults(JSON.parse(row.settings));
+    const previous = rows[index + 1] ? withDefaults(JSON.parse(rows[index + 1].settings)) : null;
+    return {
+      version: row.version,
+      settings,
+      changes: previous ? diffSettings(previous, settings) : [],
+      note: row.change_note,
+      changedBy: row.changed_by ? { id: row.changed_by, name: row.full_name || row.username } : null,
+      invoiceCount: parseInt(row.invoice_count) || 0,
+      createdAt: row.created_at
+    };
+  });
+}
+
+module.exports = {
+  DEFAULT_BILLING_SETTINGS,
+  PRORATION_MODES,
+  getBillingSettings,
+  mergeBillingSettings,
+  diffSettings,
+  updateBillingSettings,
+  getBillingSettingsHistory
+};
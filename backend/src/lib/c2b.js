@@ -0,0 +1,290 @@
+// lib/c2b.js - Paybill (C2B) payments matched to invoices, with a suspense queue (CommonJS)
+const db = require('../config/database.js');
+const NotificationController = require('../controllers/notificationController.js');
+const { recordPayment } = require('./invoices.js');
+const { MPESA_CONFIG } = require('./mpesa.js');
+
+const C2B_STATUSES = ['matched', 'suspense', 'assigned', 'dismissed'];
+
+async function findOpenInvoice(invoiceId) {
+  return await db.getOne(`
+    SELECT i.id, i.student_id, i.course_id, i.status, c.title as course_title
+    FROM invoices i
+    JOIN courses c ON i.course_id = c.id
+    WHERE i.id = ?
+  `, [invoiceId]);
+}
+
+async function findStudent(studentId) {
+  return await db.getOne(`
+    SELECT u.id, u.full_name FROM users u
+    JOIN roles r ON u.role_id = r.id
+    WHERE u.id = ? AND r.name = 'student'
+  `, [studentId]);
+}
+
+async function findInvoiceByNumber(documentNumber) {
+  const document = await db.getOne(`
+    SELECT invoice_id FROM documents WHERE doc_type = 'invoice' AND document_number = ?
+  `, [documentNumber]);
+  const invoice = document ? await findOpenInvoice(document.invoice_id) : null;
+  return invoice ? { studentId: invoice.student_id, invoiceId: invoice.id, matchedBy: 'invoice_number' } : null;
+}
+
+// Works out who a paybill payment is for from the account number the payer
+// typed. Accepted forms:
+//   INV-000123, 000123    invoice document number (as printed on the PDF);
+//                         without the prefix it must match digit for digit
+//   INVOICE-45, #45       invoice ID
+//   STU-12                student ID
+// A bare number is never taken as a student ID: a mistyped one would credit
+// someone else.
+// Returns { studentId, invoiceId, matchedBy } or null.
+async function resolveAccountReference(reference) {
+  const ref = String(reference || '').trim().toUpperCase().replace(/\s+/g, '');
+  if (!ref) return null;
+
+  let match = ref.match(/^INV-?0*(\d+)$/);
+  if (match) {
+    return await findInvoiceByNumber(`INV-${match[1].padStart(6, '0')}`);
+  }
+
+  if (/^\d+$/.test(ref)) {
+    return await findInvoiceByNumber(`INV-${ref}`);
+  }
+
+  match = ref.match(/^(?:INVOICE-?|#)(\d+)$/);
+  if (match) {
+    const invoice = await findOpenInvoice(parseInt(match[1]));
+    return invoice ? { studentId: invoice.student_id, invoiceId: invoice.id, matchedBy: 'invoice_id' } : null;
+  }
+
+  match = ref.match(/^STU(?:DENT)?-?(\d+)$/);
+  if (match) {
+    const student = await findStudent(parseInt(match[1]));
+    return student ? { studentId: student.id, invoiceId: null, matchedBy: 'student_id' } : null;
+  }
+
+  return null;
+}
+
+// Answer for Safaricom's validation request. Unknown account numbers are
+// accepted into the suspense queue unless MPESA_C2B_REJECT_UNMATCHED is set.
+async function validateC2BPayment(parsed) {
+  if (!(parsed.amount > 0)) {
+    return { accepted: false, resultCode: 'C2B00013', resultDesc: 'Invalid Amount' };
+  }
+  if (MPESA_CONFIG.c2bRejectUnmatched) {
+    const match = await resolveAccountReference(parsed.accountReference);
+    if (!match) {
+      return { accepted: false, resultCode: 'C2B00012', resultDesc: 'Invalid Account Number' };
+    }
+  }
+  return { accepted: true, resultCode: '0', resultDesc: 'Accepted' };
+}
+
+// Puts a paybill payment on the student's ledger. The payment settles the
+// given invoice first and any remainder is applied or held as credit.
+async function settleC2BTransaction(transaction, { studentId, invoiceId = null, createdBy = null }) {
+  const invoice = invoiceId ? await findOpenInvoice(invoiceId) : null;
+
+  const result = await recordPayment(studentId, {
+    method: 'mpesa',
+    gateway: 'mpesa',
+    amount: transaction.amount,
+    transactionId: transaction.trans_id,
+    receiptNumber: transaction.trans_id,
+    invoiceId: invoice && ['pending', 'locked'].includes(invoice.status) ? invoice.id : null,
+    courseId: invoice ? invoice.course_id : null,
+    courseTitle: invoice ? invoice.course_title : null,
+    source: 'mpesa_c2b',
+    sourceId: transaction.id,
+    description: `Paybill payment ${transaction.trans_id}${transaction.bill_ref_number ? ` (account ${transaction.bill_ref_number})` : ''}`,
+    createdBy
+  });
+
+  // A pending manual submission for the same M-Pesa code no longer needs checking
+  await db.query(`
+    UPDATE payment_submissions
+    SET status = 'verified', verification_method = 'paybill',
+        admin_notes = 'Confirmed by M-Pesa paybill notification', verified_at = NOW()
+    WHERE transaction_id = ? AND status = 'pending'
+  `, [transaction.trans_id]);
+
+  return result;
+}
+
+// Handles a confirmation from Safaricom. Repeated notifications for the same
+// transaction are ignored.
+async function recordC2BConfirmation(parsed, rawPayload) {
+  if (!parsed.transactionId) {
+    return { success: false, error: 'Missing transaction ID' };
+  }
+
+  let transactionId;
+  try {
+    transactionId = await db.insert('mpesa_c2b_transactions', {
+      trans_id: parsed.transactionId,
+      trans_type: parsed.transactionType,
+      trans_time: parsed.transactionTime,
+      amount: parsed.amount,
+      short_code: parsed.shortCode,
+      bill_ref_number: parsed.accountReference || null,
+      phone_number: parsed.phoneNumber,
+      payer_name: parsed.payerName,
+      status: 'suspense',
+      raw_payload: JSON.stringify(rawPayload || {}),
+      created_at: new Date()
+    });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      console.log(`[C2B] Transaction ${parsed.transactionId} already received, skipping`);
+      return { success: true, duplicate: true };
+    }
+    throw error;
+  }
+
+  const transaction = await db.getOne('SELECT * FROM mpesa_c2b_transactions WHERE id = ?', [transactionId]);
+
+  // The account number the payer typed decides who is credited. A student who
+  // already submitted this M-Pesa code only fills in what it leaves out.
+  let match = await resolveAccountReference(parsed.accountReference);
+  const submission = await db.getOne(`
+    SELECT student_id, invoice_id FROM payment_submissions
+    WHERE transaction_id = ? AND status = 'pending'
+    ORDER BY id DESC LIMIT 1
+  `, [parsed.transactionId]);
+
+  let reason = null;
+  if (match && submission && submission.student_id !== match.studentId) {
+    // Someone else claims this payment; an admin decides whose it is
+    reason = `was paid to account "${parsed.accountReference}" (student ${match.studentId}) but student ${submission.student_id} submitted the same code`;
+    match = null;
+  } else if (match && submission && !match.invoiceId) {
+    match = { ...match, invoiceId: submission.invoice_id };
+  } else if (!match && submission) {
+    match = { studentId: submission.student_id, invoiceId: submission.invoice_id, matchedBy: 'submission' };
+  } else if (!match) {
+    reason = `with account "${parsed.accountReference || 'blank'}" could not be matched to a student`;
+  }
+
+  if (!match) {
+    const admins = await db.query(`
+      SELECT u.id FROM users u JOIN roles r ON u.role_id = r.id WHERE r.name = 'admin'
+    `);
+    NotificationController.createNotificationsForUsers(
+      admins.map(a => a.id),
+      'Paybill Payment Needs Matching',
+      `KES ${parsed.amount.toLocaleString()} (${parsed.transactionId}) ${reason}.`,
+      'warning',
+      '/admin-dashboard/payment-confirmations.html'
+    );
+    console.log(`[C2B] Transaction ${parsed.transactionId} placed in suspense: ${reason}`);
+    return { success: true, status: 'suspense', id: transactionId };
+  }
+
+  const result = await settleC2BTransaction(transaction, match);
+  await db.update('mpesa_c2b_transactions', transactionId, {
+    status: 'matched',
+    student_id: match.studentId,
+    invoice_id: match.invoiceId,
+    matched_by: match.matchedBy,
+    ledger_entry_id: result.entryId,
+    resolved_at: new Date()
+  });
+
+  console.log(`[C2B] Transaction ${parsed.transactionId} matched to student ${match.studentId} by ${match.matchedBy}`);
+  return { success: true, status: 'matched', id: transactionId, studentId: match.studentId };
+}
+
+// Admin resolution of a suspense payment. matchedBy is 'sms' when a student's
+// pasted confirmation message matched it instead (see lib/paymentSubmissions.js).
+async function assignC2BTransaction(id, { studentId, invoiceId = null, adminId, note = null, matchedBy = 'admin' }) {
+  const transaction = await db.getOne('SELECT * FROM mpesa_c2b_transactions WHERE id = ?', [id]);
+  if (!transaction) {
+    return { success: false, status: 404, error: 'Payment not found' };
+  }
+  if (transaction.status !== 'suspense') {
+    return { success: false, status: 400, error: `This payment is already ${transaction.status}` };
+  }
+
+  const student = await findStudent(studentId);
+  if (!student) {
+    return { success: false, status: 404, error: 'Student not found' };
+  }
+  if (invoiceId) {
+    const invoice = await findOpenInvoice(invoiceId);
+    if (!invoice || invoice.student_id !== student.id) {
+      return { success: false, status: 400, error: 'The invoice does not belong to this student' };
+    }
+  }
+
+  const result = await settleC2BTransaction(transaction, { studentId: student.id, invoiceId, createdBy: adminId });
+  if (result.duplicate) {
+    return { success: false, status: 409, error: 'This M-Pesa transaction has already been recorded' };
+  }
+
+  await db.update('mpesa_c2b_transactions', id, {
+    status: 'assigned',
+    student_id: student.id,
+    invoice_id: invoiceId,
+    matched_by: matchedBy,
+    ledger_entry_id: result.entryId,
+    resolution_note: note,
+    resolved_by: adminId,
+    resolved_at: new Date()
+  });
+
+  console.log(`[C2B] Suspense payment ${transaction.trans_id} assigned to student ${student.id} by ${adminId ? `admin ${adminId}` : matchedBy}`);
+  return { success: true, allocations: result.allocations, creditBalance: result.creditBalance };
+}
+
+// Closes a suspense payment that is not for us (e.g. refunded outside the system)
+async function dismissC2BTransaction(id, { reason, adminId }) {
+  const transaction = await db.getOne('SELECT * FROM mpesa_c2b_transactions WHERE id = ?', [id]);
+  if (!transaction) {
+    return { success: false, status: 404, error: 'Payment not found' };
+  }
+  if (transaction.status !== 'suspense') {
+    return { success: false, status: 400, error: `This payment is already ${transaction.status}` };
+  }
+
+  await db.update('mpesa_c2b_transactions', id, {
+    status: 'dismissed',
+    resolution_note: reason,
+    resolved_by: adminId,
+    resolved_at: new Date()
+  });
+
+  console.log(`[C2B] Suspense payment ${transaction.trans_id} dismissed by admin ${adminId}`);
+  return { success: true };
+}
+
+async function getC2BTransactions({ status = null, limit = 200 } = {}) {
+  let sql = `
+    SELECT t.*, u.full_name as student_name, u.email as student_email, a.full_name as resolved_by_name
+    FROM mpesa_c2b_transactions t
+    LEFT JOIN users u ON t.student_id = u.id
+    LEFT JOIN users a ON t.resolved_by = a.id
+  `;
+  const params = [];
+  if (status) {
+    sql += ' WHERE t.status = ?';
+    params.push(status);
+  }
+  sql += ' ORDER BY t.id DESC LIMIT ?';
+  params.push(limit);
+
+  const rows = await db.query(sql, params);
+  return rows.map(({ raw_payload, ...row }) => row);
+}
+
+module.exports = {
+  C2B_STATUSES,
+  resolveAccountReference,
+  validateC2BPayment,
+  recordC2BConfirmation,
+  assignC2BTransaction,
+  dismissC2BTransaction,
+  getC2BTransactions
+};
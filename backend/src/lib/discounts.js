@@ -0,0 +1,264 @@
+// lib/discounts.js - Discount codes, scholarships and sponsorship waivers (CommonJS)
+const db = require('../config/database.js');
+const { roundMoney, recordLedgerEntry } = require('./ledger.js');
+
+const DISCOUNT_TYPES = ['percentage', 'fixed'];
+const DISCOUNT_SCOPES = ['all', 'initial', 'monthly'];
+const DISCOUNT_KINDS = ['coupon', 'scholarship', 'sponsorship'];
+
+// Sponsorships are applied first so a coupon never eats into a sponsor's waiver
+const KIND_PRIORITY = { sponsorship: 0, scholarship: 1, coupon: 2 };
+
+function normalizeCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+function describeCharge(invoice) {
+  if (invoice.type === 'monthly') {
+    const month = invoice.month_number ? `Month ${invoice.month_number} tuition` : 'Monthly tuition';
+    return invoice.is_prorated ? `${month} (prorated)` : month;
+  }
+  return 'Course deposit';
+}
+
+function describeDiscount(grant) {
+  const amount = grant.discount_type === 'percentage'
+    ? `${parseFloat(grant.value)}%`
+    : `KES ${parseFloat(grant.value).toLocaleString()}`;
+  if (grant.kind === 'sponsorship') {
+    return `Sponsorship${grant.sponsor_name ? ` - ${grant.sponsor_name}` : ''} (${amount})`;
+  }
+  return `${grant.label || (grant.kind === 'scholarship' ? 'Scholarship' : 'Discount')} (${amount})`;
+}
+
+// Checks whether a student may redeem a code for a course, without using it up
+async function validateDiscountCode(code, studentId, courseId = null) {
+  const discountCode = await db.getOne('SELECT * FROM discount_codes WHERE code = ?', [normalizeCode(code)]);
+
+  if (!discountCode || !discountCode.is_active) {
+    return { valid: false, error: 'Invalid discount code' };
+  }
+  if (discountCode.expires_at && new Date(discountCode.expires_at) < new Date()) {
+    return { valid: false, error: 'This discount code has expired' };
+  }
+  if (discountCode.max_uses && discountCode.uses_count >= discountCode.max_uses) {
+    return { valid: false, error: 'This discount code has reached its usage limit' };
+  }
+  if (discountCode.course_id && courseId && discountCode.course_id !== parseInt(courseId)) {
+    return { valid: false, error: 'This discount code is not valid for this course' };
+  }
+
+  const alreadyRedeemed = await db.getOne(`
+    SELECT id FROM student_discounts WHERE student_id = ? AND discount_code_id = ?
+  `, [studentId, discountCode.id]);
+  if (alreadyRedeemed) {
+    return { valid: false, error: 'You have already used this discount code' };
+  }
+
+  return { valid: true, discountCode };
+}
+
+// Redeems a code for a student and reprices any of their open invoices it covers
+async function redeemDiscountCode(code, studentId, courseId = null) {
+  const check = await validateDiscountCode(code, studentId, courseId);
+  if (!check.valid) return { success: false, error: check.error };
+
+  const discountCode = check.discountCode;
+
+  // Claim the use atomically so concurrent redemptions cannot exceed max_uses
+  const claimed = await db.query(`
+    UPDATE discount_codes SET uses_count = uses_count + 1
+    WHERE id = ? AND (max_uses IS NULL OR uses_count < max_uses)
+  `, [discountCode.id]);
+  if (!claimed.affectedRows) {
+    return { success: false, error: 'This discount code has reached its usage limit' };
+  }
+
+  const grantCourseId = discountCode.course_id || (courseId ? parseInt(courseId) : null);
+  const grantId = await db.insert('student_discounts', {
+    student_id: studentId,
+    course_id: grantCourseId,
+    kind: 'coupon',
+    discount_code_id: discountCode.id,
+    discount_type: discountCode.discount_type,
+    value: discountCode.value,
+    applies_to: discountCode.applies_to,
+    months_covered: discountCode.duration_months || null,
+    label: `Discount code ${discountCode.code}`,
+    is_active: 1,
+    created_at: new Date()
+  });
+
+  await repriceOpenInvoices(studentId, grantCourseId);
+
+  return { success: true, grantId, discountCode };
+}
+
+// Re-applies discounts to unpaid invoices, e.g. after a scholarship is granted
+async function repriceOpenInvoices(studentId, courseId = null) {
+  const params = [studentId];
+  let sql = `SELECT id FROM invoices WHERE student_id = ? AND status IN ('pending', 'locked')`;
+  if (courseId) {
+    sql += ' AND course_id = ?';
+    params.push(courseId);
+  }
+
+  const invoices = await db.query(sql, params);
+  for (const invoice of invoices) {
+    await applyInvoiceDiscounts(invoice.id);
+  }
+  return invoices.length;
+}
+
+// Undo the month counters of discounts previously applied to an invoice so
+// repricing does not count the same month twice
+async function releaseInvoiceDiscounts(invoiceId) {
+  const lines = await db.query(`
+    SELECT student_discount_id FROM invoice_line_items
+    WHERE invoice_id = ? AND line_type = 'discount' AND student_discount_id IS NOT NULL
+  `, [invoiceId]);
+
+  for (const line of lines) {
+    await db.query(`
+      UPDATE student_discounts SET months_used = GREATEST(months_used - 1, 0)
+      WHERE id = ? AND months_covered IS NOT NULL
+    `, [line.student_discount_id]);
+  }
+  await db.query("DELETE FROM invoice_line_items WHERE invoice_id = ? AND line_type = 'discount'", [invoiceId]);
+}
+
+// Prices an unpaid invoice from its gross amount and the student's active
+// discounts, writing one line item per charge and discount. An invoice
+// discounted to zero is settled as a waiver so it never locks the student.
+async function applyInvoiceDiscounts(invoiceId) {
+  const invoice = await db.getOne('SELECT * FROM invoices WHERE id = ?', [invoiceId]);
+  if (!invoice || !['pending', 'locked'].includes(invoice.status)) return null;
+
+  const gross = roundMoney(parseFloat(invoice.gross_amount ?? invoice.amount));
+
+  const charge = await db.getOne("SELECT id FROM invoice_line_items WHERE invoice_id = ? AND line_type = 'charge'", [invoiceId]);
+  if (!charge) {
+    await db.insert('invoice_line_items', {
+      invoice_id: invoiceId,
+      line_type: 'charge',
+      description: describeCharge(invoice),
+      amount: gross,
+      created_at: new Date()
+    });
+  }
+
+  await releaseInvoiceDiscounts(invoiceId);
+
+  const scope = invoice.type === 'monthly' ? 'monthly' : 'initial';
+  const grants = await db.query(`
+    SELECT * FROM student_discounts
+    WHERE student_id = ? AND is_active = 1
+      AND (course_id IS NULL OR course_id = ?)
+      AND applies_to IN ('all', ?)
+      AND (months_covered IS NULL OR months_used < months_covered)
+    ORDER BY created_at ASC
+  `, [invoice.student_id, invoice.course_id, scope]);
+  grants.sort((a, b) => KIND_PRIORITY[a.kind] - KIND_PRIORITY[b.kind]);
+
+  let remaining = gross;
+  for (const grant of grants) {
+    if (remaining <= 0) break;
+
+    const value = parseFloat(grant.value);
+    const discount = roundMoney(Math.min(
+      remaining,
+      grant.discount_type === 'percentage' ? gross * value / 100 : value
+    ));
+    if (discount <= 0) continue;
+
+    remaining = roundMoney(remaining - discount);
+    await db.insert('invoice_line_items', {
+      invoice_id: invoiceId,
+      line_type: 'discount',
+      description: describeDiscount(grant),
+      amount: -discount,
+      student_discount_id: grant.id,
+      created_at: new Date()
+    });
+
+    if (grant.months_covered) {
+      await db.query('UPDATE student_discounts SET months_used = months_used + 1 WHERE id = ?', [grant.id]);
+    }
+  }
+
+  const updates = {
+    gross_amount: gross,
+    discount_amount: roundMoney(gross - remaining),
+    amount: remaining
+  };
+
+  // Part payments already made may now cover the discounted amount; any excess
+  // goes back to the student's credit on the ledger
+  const paid = parseFloat(invoice.amount_paid || 0);
+  const settled = remaining <= paid;
+  if (paid > remaining) {
+    await recordLedgerEntry({
+      studentId: invoice.student_id,
+      courseId: invoice.course_id,
+      invoiceId,
+      type: 'allocation',
+      amount: -(paid - remaining),
+      description: `Discount on invoice #${invoiceId} returned to credit`
+    });
+    updates.amount_paid = remaining;
+  }
+  if (settled) {
+    Object.assign(updates, { status: 'paid', paid_at: new Date() });
+    if (paid <= 0) updates.payment_method = 'waiver';
+  }
+  await db.update('invoices', invoiceId, updates);
+
+  if (settled) {
+    console.log(`[Discounts] Invoice ${invoiceId} settled by discount for student ${invoice.student_id}`);
+
+    const hasUnpaid = await db.getOne(`
+      SELECT id FROM invoices
+      WHERE student_id = ? AND status IN ('pending', 'locked')
+    `, [invoice.student_id]);
+    if (!hasUnpaid) {
+      await db.query('UPDATE users SET is_locked = 0 WHERE id = ?', [invoice.student_id]);
+    }
+  }
+
+  return { ...invoice, ...updates };
+}
+
+// Line items for a set of invoices, keyed by invoice id
+async function getInvoiceLineItems(invoiceIds) {
+  const byInvoice = {};
+  if (!invoiceIds.length) return byInvoice;
+
+  const lines = await db.query(`
+    SELECT invoice_id, line_type, description, amount
+    FROM invoice_line_items
+    WHERE invoice_id IN (?)
+    ORDER BY line_type = 'discount', id ASC
+  `, [invoiceIds]);
+
+  for (const line of lines) {
+    if (!byInvoice[line.invoice_id]) byInvoice[line.invoice_id] = [];
+    byInvoice[line.invoice_id].push({
+      type: line.line_type,
+      description: line.description,
+      amount: parseFloat(line.amount)
+    });
+  }
+  return byInvoice;
+}
+
+module.exports = {
+  DISCOUNT_TYPES,
+  DISCOUNT_SCOPES,
+  DISCOUNT_KINDS,
+  normalizeCode,
+  validateDiscountCode,
+  redeemDiscountCode,
+  repriceOpenInvoices,
+  applyInvoiceDiscounts,
+  getInvoiceLineItems
+};
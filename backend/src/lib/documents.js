@@ -0,0 +1,344 @@
+// lib/documents.js - PDF invoices, receipts and statements with sequential numbers (CommonJS)
+const PDFDocument = require('pdfkit');
+const db = require('../config/database.js');
+const { getInvoiceLineItems } = require('./discounts.js');
+const { getLateFeesForInvoices } = require('./lateFees.js');
+const { roundMoney } = require('./ledger.js');
+const { buildStatement } = require('./statements.js');
+
+const DOCUMENT_PREFIXES = { invoice: 'INV', receipt: 'RCT', statement: 'STM' };
+const ORGANISATION_KEYS = ['platformName', 'contactEmail', 'organizationAddress', 'organizationPhone', 'organizationTaxPin', 'currency'];
+
+function formatDocumentNumber(docType, sequence) {
+  return `${DOCUMENT_PREFIXES[docType]}-${String(sequence).padStart(6, '0')}`;
+}
+
+// Issues the next number for a document type. The counter row is locked for
+// the length of the transaction, so a failure rolls the counter back and the
+// sequence never has gaps. Invoices and receipts keep their first number.
+async function issueDocumentNumber(docType, { studentId, invoiceId = null, periodStart = null, periodEnd = null, issuedBy = null }) {
+  if (!DOCUMENT_PREFIXES[docType]) throw new Error(`Unknown document type: ${docType}`);
+
+  if (invoiceId) {
+    const existing = await db.getOne(
+      'SELECT document_number FROM documents WHERE doc_type = ? AND invoice_id = ?',
+      [docType, invoiceId]
+    );
+    if (existing) return existing.document_number;
+  }
+
+  const pool = await db.getPool();
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    await conn.query('INSERT IGNORE INTO document_sequences (doc_type, last_number) VALUES (?, 0)', [docType]);
+    const [[sequence]] = await conn.query(
+      'SELECT last_number FROM document_sequences WHERE doc_type = ? FOR UPDATE',
+      [docType]
+    );
+
+    const next = sequence.last_number + 1;
+    const documentNumber = formatDocumentNumber(docType, next);
+
+    await conn.query('UPDATE document_sequences SET last_number = ? WHERE doc_type = ?', [next, docType]);
+    await conn.query(`
+      INSERT INTO documents (doc_type, sequence_number, document_number, student_id, invoice_id, period_start, period_end, issued_by, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())
+    `, [docType, next, documentNumber, studentId, invoiceId, periodStart, periodEnd, issuedBy]);
+
+    await conn.commit();
+    return documentNumber;
+  } catch (error) {
+    await conn.rollback();
+    // Another request numbered the same invoice first; use its number
+    if (error.code === 'ER_DUP_ENTRY' && invoiceId) {
+      const existing = await db.getOne(
+        'SELECT document_number FROM documents WHERE doc_type = ? AND invoice_id = ?',
+        [docType, invoiceId]
+      );
+      if (existing) return existing.document_number;
+    }
+    throw error;
+  } finally {
+    conn.release();
+  }
+}
+
+async function getOrganisationDetails() {
+  const rows = await db.query('SELECT setting_key, setting_value FROM settings WHERE setting_key IN (?)', [ORGANISATION_KEYS]);
+  const settings = {};
+  rows.forEach(r => { settings[r.setting_key] = r.setting_value; });
+
+  return {
+    name: settings.platformName || 'Nuru Foundation',
+    email: settings.contactEmail || '',
+    address: settings.organizationAddress || '',
+    phone: settings.organizationPhone || '',
+    taxPin: settings.organizationTaxPin || '',
+    currency: settings.currency || 'KES'
+  };
+}
+
+// ==================== PDF LAYOUT ====================
+
+function money(org, amount) {
+  return `${org.currency} ${roundMoney(parseFloat(amount || 0)).toLocaleString('en-KE', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function formatDate(date) {
+  return date ? new Date(date).toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' }) : '-';
+}
+
+function toBuffer(build) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    build(doc);
+    doc.end();
+  });
+}
+
+function drawHeader(doc, org, title, number) {
+  doc.fillColor('#27ae60').fontSize(20).font('Helvetica-Bold').text(org.name, 50, 50);
+  doc.fillColor('#555').fontSize(9).font('Helvetica');
+  [org.address, org.phone, org.email, org.taxPin ? `PIN: ${org.taxPin}` : '']
+    .filter(Boolean)
+    .forEach(line => doc.text(line));
+
+  doc.fillColor('#2c3e50').fontSize(18).font('Helvetica-Bold').text(title, 350, 50, { width: 195, align: 'right' });
+  doc.fontSize(10).font('Helvetica').text(number, 350, 75, { width: 195, align: 'right' });
+
+  doc.moveTo(50, 130).lineTo(545, 130).strokeColor('#27ae60').lineWidth(2).stroke();
+  doc.y = 145;
+}
+
+function drawDetails(doc, rows) {
+  const top = doc.y;
+  rows.forEach(([label, value], i) => {
+    doc.fillColor('#6c757d').fontSize(10).font('Helvetica-Bold').text(label, 50, top + i * 16, { width: 120 });
+    doc.fillColor('#2c3e50').font('Helvetica').text(String(value ?? '-'), 170, top + i * 16, { width: 375 });
+  });
+  doc.y = top + rows.length * 16 + 15;
+}
+
+// Draws a simple table; columns are [{ header, width, align }]
+function drawTable(doc, columns, rows) {
+  const drawRow = (cells, bold) => {
+    if (doc.y > 760) doc.addPage();
+    const y = doc.y;
+    let x = 50;
+    doc.fontSize(9).font(bold ? 'Helvetica-Bold' : 'Helvetica').fillColor(bold ? '#2c3e50' : '#333');
+    cells.forEach((cell, i) => {
+      doc.text(String(cell ?? ''), x + 4, y + 5, { width: columns[i].width - 8, align: columns[i].align || 'left' });
+      x += columns[i].width;
+    });
+    const height = Math.max(doc.y - y + 5, 20);
+    doc.moveTo(50, y + height).lineTo(545, y + height).strokeColor('#eeeeee').lineWidth(1).stroke();
+    doc.y = y + height;
+  };
+
+  drawRow(columns.map(c => c.header), true);
+  rows.forEach(row => drawRow(row, false));
+  doc.y += 10;
+}
+
+function drawTotals(doc, rows) {
+  rows.forEach(([label, value, emphasise]) => {
+    const y = doc.y;
+    doc.fontSize(emphasise ? 12 : 10).font(emphasise ? 'Helvetica-Bold' : 'Helvetica').fillColor(emphasise ? '#27ae60' : '#2c3e50');
+    doc.text(label, 300, y, { width: 130, align: 'right' });
+    doc.text(value, 430, y, { width: 115, align: 'right' });
+    doc.y = y + (emphasise ? 20 : 16);
+  });
+}
+
+function drawFooter(doc, org, note) {
+  doc.moveDown(2);
+  doc.fillColor('#6c757d').fontSize(8).font('Helvetica')
+    .text(note, 50, doc.y, { width: 495, align: 'center' })
+    .text(`${org.name} — generated ${formatDate(new Date())}`, { width: 495, align: 'center' });
+}
+
+function describeInvoice(invoice) {
+  if (invoice.type === 'monthly') return `Monthly installment${invoice.month_number ? ` (month ${invoice.month_number})` : ''}`;
+  if (invoice.type === 'penalty') return `Late fee${invoice.parent_invoice_id ? ` on invoice #${invoice.parent_invoice_id}` : ''}`;
+  return 'Deposit';
+}
+
+// ==================== DOCUMENTS ====================
+
+async function loadInvoice(invoiceId) {
+  return await db.getOne(`
+    SELECT i.*, u.full_name, u.email, u.username, c.title as course_title
+    FROM invoices i
+    JOIN users u ON i.student_id = u.id
+    JOIN courses c ON i.course_id = c.id
+    WHERE i.id = ?
+  `, [invoiceId]);
+}
+
+async function renderInvoicePdf(invoiceId, { issuedBy = null } = {}) {
+  const invoice = await loadInvoice(invoiceId);
+  if (!invoice) return null;
+
+  const org = await getOrganisationDetails();
+  const number = await issueDocumentNumber('invoice', { studentId: invoice.student_id, invoiceId: invoice.id, issuedBy });
+  const lineItems = (await getInvoiceLineItems([invoice.id]))[invoice.id] || [];
+  const lateFees = (await getLateFeesForInvoices([invoice.id]))[invoice.id] || [];
+  const amountPaid = parseFloat(invoice.amount_paid || 0);
+
+  const buffer = await toBuffer(doc => {
+    drawHeader(doc, org, 'INVOICE', number);
+    drawDetails(doc, [
+      ['Billed to', `${invoice.full_name || invoice.username} (${invoice.email})`],
+      ['Course', invoice.course_title],
+      ['Description', describeInvoice(invoice)],
+      ['Issued', formatDate(invoice.created_at)],
+      ['Due', formatDate(invoice.due_date)],
+      ['Status', invoice.status.toUpperCase()]
+    ]);
+
+    const lines = lineItems.length
+      ? lineItems.map(line => [line.description, money(org, line.amount)])
+      : [[describeInvoice(invoice), money(org, invoice.amount)]];
+    drawTable(doc, [
+      { header: 'Description', width: 375 },
+      { header: 'Amount', width: 120, align: 'right' }
+    ], lines);
+
+    drawTotals(doc, [
+      ['Total', money(org, invoice.amount)],
+      ['Paid', money(org, amountPaid)],
+      ['Balance due', money(org, Math.max(parseFloat(invoice.amount) - amountPaid, 0)), true]
+    ]);
+
+    if (lateFees.length) {
+      doc.moveDown();
+      doc.fillColor('#c0392b').fontSize(10).font('Helvetica-Bold').text('Late fees charged on this invoice', 50);
+      doc.moveDown(0.5);
+      drawTable(doc, [
+        { header: 'Late fee invoice', width: 200 },
+        { header: 'Status', width: 175 },
+        { header: 'Amount', width: 120, align: 'right' }
+      ], lateFees.map(fee => [`#${fee.id}`, fee.status.toUpperCase(), money(org, fee.amount)]));
+    }
+
+    drawFooter(doc, org, 'Please quote the invoice number when making payment.');
+  });
+
+  return { buffer, number, filename: `${number}.pdf`, studentId: invoice.student_id };
+}
+
+// A receipt covers every payment applied to an invoice so far
+async function renderReceiptPdf(invoiceId, { issuedBy = null } = {}) {
+  const invoice = await loadInvoice(invoiceId);
+  if (!invoice) return null;
+
+  const amountPaid = parseFloat(invoice.amount_paid || 0);
+  if (amountPaid <= 0 && invoice.status !== 'paid') {
+    return { notPaid: true, studentId: invoice.student_id };
+  }
+
+  const org = await getOrganisationDetails();
+  const invoiceNumber = await issueDocumentNumber('invoice', { studentId: invoice.student_id, invoiceId: invoice.id, issuedBy });
+  const number = await issueDocumentNumber('receipt', { studentId: invoice.student_id, invoiceId: invoice.id, issuedBy });
+
+  const payments = await db.query(`
+    SELECT amount, reference, description, created_at
+    FROM ledger_entries
+    WHERE invoice_id = ? AND entry_type = 'allocation' AND amount > 0
+    ORDER BY created_at ASC, id ASC
+  `, [invoice.id]);
+
+  const buffer = await toBuffer(doc => {
+    drawHeader(doc, org, 'RECEIPT', number);
+    drawDetails(doc, [
+      ['Received from', `${invoice.full_name || invoice.username} (${invoice.email})`],
+      ['Course', invoice.course_title],
+      ['For invoice', `${invoiceNumber} — ${describeInvoice(invoice)}`],
+      ['Payment method', invoice.payment_method || '-'],
+      ['M-Pesa ref', invoice.mpesa_receipt || '-'],
+      ['Date', formatDate(invoice.paid_at || (payments.length ? payments[payments.length - 1].created_at : invoice.created_at))]
+    ]);
+
+    const rows = payments.length
+      ? payments.map(p => [formatDate(p.created_at), p.reference || '-', p.description || '', money(org, p.amount)])
+      : [[formatDate(invoice.paid_at), invoice.mpesa_receipt || '-', describeInvoice(invoice), money(org, invoice.amount)]];
+    drawTable(doc, [
+      { header: 'Date', width: 90 },
+      { header: 'Reference', width: 110 },
+      { header: 'Details', width: 175 },
+      { header: 'Amount', width: 120, align: 'right' }
+    ], rows);
+
+    drawTotals(doc, [
+      ['Invoice total', money(org, invoice.amount)],
+      ['Total paid', money(org, invoice.status === 'paid' && !amountPaid ? invoice.amount : amountPaid), true],
+      ['Balance', money(org, invoice.status === 'paid' ? 0 : parseFloat(invoice.amount) - amountPaid)]
+    ]);
+
+    drawFooter(doc, org, 'Thank you for your payment.');
+  });
+
+  return { buffer, number, filename: `${number}.pdf`, studentId: invoice.student_id };
+}
+
+// Statement of account for a date range; each statement issued gets its own number
+async function renderStatementPdf(studentId, { from = null, to = null, issuedBy = null } = {}) {
+  const statement = await buildStatement(studentId, { from, to });
+  if (!statement) return null;
+
+  const org = await getOrganisationDetails();
+  const number = await issueDocumentNumber('statement', { studentId, periodStart: from, periodEnd: to, issuedBy });
+  const { student, totals } = statement;
+
+  const buffer = await toBuffer(doc => {
+    drawHeader(doc, org, 'STATEMENT', number);
+    drawDetails(doc, [
+      ['Student', `${student.fullName || student.username} (${student.email})`],
+      ['Period', `${from ? formatDate(from) : 'Start of account'} to ${to ? formatDate(to) : formatDate(new Date())}`]
+    ]);
+
+    drawTable(doc, [
+      { header: 'Date', width: 70 },
+      { header: 'Details', width: 185 },
+      { header: 'Debit', width: 80, align: 'right' },
+      { header: 'Credit', width: 80, align: 'right' },
+      { header: 'Balance', width: 80, align: 'right' }
+    ], [
+      [from ? formatDate(from) : '', 'Opening balance', '', '', money(org, statement.openingBalance)],
+      ...statement.lines.map(line => [
+        formatDate(line.date),
+        [line.description, line.courseTitle, line.reference].filter(Boolean).join(' · '),
+        line.debit ? money(org, line.debit) : '',
+        line.credit ? money(org, line.credit) : '',
+        money(org, line.balance)
+      ])
+    ]);
+
+    drawTotals(doc, [
+      ['Opening balance', money(org, statement.openingBalance)],
+      ['Charges', money(org, totals.charges)],
+      ['Payments', money(org, totals.payments)],
+      ['Other credits', money(org, totals.otherCredits)],
+      ['Refunds', money(org, totals.refunds)],
+      [statement.closingBalance < 0 ? 'Credit in your favour' : 'Closing balance', money(org, Math.abs(statement.closingBalance)), true]
+    ]);
+
+    drawFooter(doc, org, 'Debits are amounts owed; credits are payments, discounts, credit notes and waivers.');
+  });
+
+  return { buffer, number, filename: `${number}.pdf`, studentId };
+}
+
+module.exports = {
+  DOCUMENT_PREFIXES,
+  issueDocumentNumber,
+  getOrganisationDetails,
+  renderInvoicePdf,
+  renderReceiptPdf,
+  renderStatementPdf
+};
@@ -254,10 +254,136 @@ The Nuru Foundation Team
   }
 }
 
+// attachments are nodemailer attachments, e.g. PDF receipts
+async function sendPaymentReceivedEmail(to, { name, amount, reference, summary }, attachments = []) {
+  if (!transporter) {
+    return { success: false, sent: false, error: 'Email transporter not configured' };
+  }
+
+  const mailOptions = {
+    from: process.env.EMAIL_USER,
+    to: to,
+    subject: 'Payment Received - Nuru Foundation',
+    text: `
+Hello ${name},
+
+Thank you, we have received your payment of KES ${amount} (reference: ${reference}).
+
+${summary}
+
+Your receipt is attached to this email as a PDF.
+
+Best regards,
+The Nuru Foundation Team
+    `,
+    html: renderTemplate('payment-received', { name, amount, reference, summary }),
+    attachments
+  };
+
+  try {
+    log('INFO', 'Email', `Attempting to send payment received email to: ${to}`);
+    const info = await transporter.sendMail(mailOptions);
+    log('INFO', 'Email', 'Payment received email sent successfully', {
+      messageId: info.messageId,
+      recipient: to,
+      attachments: attachments.length
+    });
+    return { success: true, messageId: info.messageId, sent: true };
+  } catch (error) {
+    log('ERROR', 'Email', 'Failed to send payment received email', error);
+    return { success: false, error: error.message, sent: false };
+  }
+}
+
+async function sendAccountLockedEmail(to, { name, minutes, lockedUntil, ipAddress, resetLink }) {
+  if (!transporter) {
+    return { success: false, sent: false, error: 'Email transporter not configured' };
+  }
+
+  const until = new Date(lockedUntil).toLocaleString('en-KE', { timeZone: 'Africa/Nairobi' });
+  const mailOptions = {
+    from: process.env.EMAIL_USER,
+    to: to,
+    subject: 'Account Temporarily Locked - Nuru Foundation',
+    text: `
+Hello ${name},
+
+We locked your Nuru Foundation account for ${minutes} minutes after several failed login attempts.
+
+Locked until: ${until}
+Last attempt from: ${ipAddress || 'unknown'}
+
+If this was you, wait for the lock to expire or reset your password to sign in straight away:
+${resetLink}
+
+If it wasn't you, someone may be trying to guess your password. Reset it now and consider turning on two-factor authentication.
+
+Best regards,
+The Nuru Foundation Team
+    `,
+    html: renderTemplate('account-locked', { name, minutes, lockedUntil: until, ipAddress: ipAddress || 'unknown', resetLink })
+  };
+
+  try {
+    log('INFO', 'Email', `Attempting to send account locked email to: ${to}`);
+    const info = await transporter.sendMail(mailOptions);
+    log('INFO', 'Email', 'Account locked email sent successfully', {
+      messageId: info.messageId,
+      recipient: to
+    });
+    return { success: true, messageId: info.messageId, sent: true };
+  } catch (error) {
+    log('ERROR', 'Email', 'Failed to send account locked email', error);
+    return { success: false, error: error.message, sent: false };
+  }
+}
+
+async function sendVerificationEmail(to, { name, verifyLink, hours }) {
+  if (!transporter) {
+    return { success: false, sent: false, error: 'Email transporter not configured' };
+  }
+
+  const mailOptions = {
+    from: process.env.EMAIL_USER,
+    to: to,
+    subject: 'Confirm Your Email - Nuru Foundation',
+    text: `
+Hello ${name},
+
+Please confirm this is your email address to finish setting up your Nuru Foundation account. You can enroll in courses and make payments once it is confirmed.
+
+Click the link below to confirm (link expires in ${hours} hours):
+${verifyLink}
+
+If you did not create an account, please ignore this email.
+
+Best regards,
+The Nuru Foundation Team
+    `,
+    html: renderTemplate('email-verification', { name, verifyLink, hours })
+  };
+
+  try {
+    log('INFO', 'Email', `Attempting to send verification email to: ${to}`);
+    const info = await transporter.sendMail(mailOptions);
+    log('INFO', 'Email', 'Verification email sent successfully', {
+      messageId: info.messageId,
+      recipient: to
+    });
+    return { success: true, messageId: info.messageId, sent: true };
+  } catch (error) {
+    log('ERROR', 'Email', 'Failed to send verification email', error);
+    return { success: false, error: error.message, sent: false };
+  }
+}
+
 module.exports = {
   sendWelcomeEmail,
   sendContactEmail,
   sendNewsletterConfirmation,
   sendPasswordResetEmail,
+  sendPaymentReceivedEmail,
+  sendAccountLockedEmail,
+  sendVerificationEmail,
   getEmailStatus
 };
\ No newline at end of file
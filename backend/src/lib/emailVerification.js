@@ -0,0 +1,110 @@
+// lib/emailVerification.js - Verification links for self-registered accounts (CommonJS)
+//
+// Links carry a signed token rather than a stored one: it names the user and
+// the address being confirmed, so it stops working if the email changes, and
+// it expires after VERIFICATION_LINK_HOURS.
+const jwt = require('jsonwebtoken');
+const db = require('../config/database.js');
+const { sendVerificationEmail } = require('./email.js');
+
+const VERIFICATION_LINK_HOURS = 24;
+const RESEND_INTERVAL_SECONDS = 60;
+
+async function isEmailVerificationRequired() {
+  const row = await db.getOne("SELECT setting_value FROM settings WHERE setting_key = 'emailVerification'");
+  return row?.setting_value === 'true';
+}
+
+function signVerificationToken(user) {
+  return jwt.sign(
+    { userId: user.id, email: user.email, purpose: 'email-verify' },
+    process.env.JWT_SECRET,
+    { expiresIn: `${VERIFICATION_LINK_HOURS}h` }
+  );
+}
+
+// Emails a fresh link. Older links keep working until they expire.
+async function sendVerificationLink(user) {
+  const token = signVerificationToken(user);
+  const verifyLink = `${process.env.FRONTEND_URL || 'https://nurufoundations.com'}/verify-email.html?token=${encodeURIComponent(token)}`;
+
+  await db.update('users', user.id, { email_verification_sent_at: new Date() });
+
+  try {
+    const result = await sendVerificationEmail(user.email, {
+      name: user.full_name || user.username,
+      verifyLink,
+      hours: VERIFICATION_LINK_HOURS
+    });
+    return { sent: !!result.success, error: result.error || null };
+  } catch (error) {
+    console.error('[EmailVerification] Failed to send verification email:', error.message);
+    return { sent: false, error: error.message };
+  }
+}
+
+async function resendVerificationLink(userId) {
+  const user = await db.getOne(
+    'SELECT id, email, username, full_name, email_verified, email_verification_sent_at FROM users WHERE id = ?',
+    [userId]
+  );
+  if (!user) {
+    return { success: false, status: 404, error: 'User not found' };
+  }
+  if (user.email_verified) {
+    return { success: false, status: 400, error: 'Your email address is already verified' };
+  }
+
+  const sentAt = user.email_verification_sent_at ? new Date(user.email_verification_sent_at) : null;
+  if (sentAt && Date.now() - sentAt < RESEND_INTERVAL_SECONDS * 1000) {
+    return { success: false, status: 429, error: 'A link was just sent. Please wait a minute before asking for another.' };
+  }
+
+  const emailStatus = await sendVerificationLink(user);
+  if (!emailStatus.sent) {
+    return { success: false, status: 502, error: 'The verification email could not be sent. Please try again later or contact support.' };
+  }
+  return { success: true, emailStatus };
+}
+
+async function verifyEmailToken(token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(String(token || ''), process.env.JWT_SECRET);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return { success: false, status: 400, code: 'LINK_EXPIRED', error: 'This verification link has expired. Sign in to request a new one.' };
+    }
+    return { success: false, status: 400, code: 'LINK_INVALID', error: 'This verification link is not valid' };
+  }
+  if (decoded.purpose !== 'email-verify') {
+    return { success: false, status: 400, code: 'LINK_INVALID', error: 'This verification link is not valid' };
+  }
+
+  const user = await db.getOne('SELECT id, email, email_verified FROM users WHERE id = ?', [decoded.userId]);
+  if (!user || user.email !== decoded.email) {
+    return { success: false, status: 400, code: 'LINK_INVALID', error: 'This verification link is not valid' };
+  }
+
+  if (!user.email_verified) {
+    await markEmailVerified(user.id);
+    console.log(`[EmailVerification] User ${user.id} verified ${user.email}`);
+  }
+  return { success: true, alreadyVerified: !!user.email_verified };
+}
+
+async function markEmailVerified(userId) {
+  await db.query(
+    'UPDATE users SET email_verified = 1, email_verified_at = ? WHERE id = ? AND email_verified = 0',
+    [new Date(), userId]
+  );
+}
+
+module.exports = {
+  VERIFICATION_LINK_HOURS,
+  isEmailVerificationRequired,
+  sendVerificationLink,
+  resendVerificationLink,
+  verifyEmailToken,
+  markEmailVerified
+};
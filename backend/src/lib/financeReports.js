@@ -0,0 +1,391 @@
+// lib/financeReports.js - Receivables aging, revenue and collection reports (CommonJS)
+const db = require('../config/database.js');
+const { roundMoney } = require('./ledger.js');
+const { parseStatementRange, csvCell } = require('./statements.js');
+
+const FINANCE_REPORTS = ['aging', 'revenue', 'collection', 'debtors'];
+
+const AGING_BUCKETS = [
+  { key: 'current', label: 'Current', min: -Infinity, max: 0 },
+  { key: 'days1to30', label: '1-30 days', min: 1, max: 30 },
+  { key: 'days31to60', label: '31-60 days', min: 31, max: 60 },
+  { key: 'days61to90', label: '61-90 days', min: 61, max: 90 },
+  { key: 'over90', label: '90+ days', min: 91, max: Infinity }
+];
+
+const MAX_DEBTORS = 100;
+
+// Invoices that still have money owing on them
+const OPEN_INVOICE_SQL = `i.status IN ('pending', 'locked') AND i.amount - COALESCE(i.amount_paid, 0) > 0.005`;
+
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Reads courseId, cohortId, from, to and limit off a query string
+function parseReportFilters(query) {
+  const range = parseStatementRange(query);
+  if (range.error) {
+    return { error: range.error };
+  }
+
+  const filters = { courseId: null, cohortId: null, from: range.from, to: range.to, limit: 10 };
+  for (const key of ['courseId', 'cohortId']) {
+    if (query[key]) {
+      filters[key] = parseInt(query[key]);
+      if (isNaN(filters[key])) {
+        return { error: `Invalid ${key === 'courseId' ? 'course' : 'cohort'} ID` };
+      }
+    }
+  }
+  if (query.limit) {
+    filters.limit = parseInt(query.limit);
+    if (isNaN(filters.limit) || filters.limit < 1 || filters.limit > MAX_DEBTORS) {
+      return { error: `Limit must be between 1 and ${MAX_DEBTORS}` };
+    }
+  }
+  return filters;
+}
+
+// Course and cohort conditions for any table that carries a student and a
+// course. A cohort narrows to its students on its own course.
+function scopeConditions(filters, studentColumn, courseColumn) {
+  const conditions = [];
+  const params = [];
+  if (filters.courseId) {
+    conditions.push(`${courseColumn} = ?`);
+    params.push(filters.courseId);
+  }
+  if (filters.cohortId) {
+    conditions.push(`EXISTS (
+      SELECT 1 FROM cohort_students cs
+      JOIN cohorts co ON cs.cohort_id = co.id
+      WHERE co.id = ? AND cs.student_id = ${studentColumn} AND co.course_id = ${courseColumn}
+    )`);
+    params.push(filters.cohortId);
+  }
+  return { conditions, params };
+}
+
+// Open invoices, optionally limited to those due within the date range
+async function getOpenInvoices(filters) {
+  const scope = scopeConditions(filters, 'i.student_id', 'i.course_id');
+  const conditions = [OPEN_INVOICE_SQL, ...scope.conditions];
+  const params = [toDateString(new Date()), ...scope.params];
+  if (filters.from) {
+    conditions.push('DATE(i.due_date) >= ?');
+    params.push(filters.from);
+  }
+  if (filters.to) {
+    conditions.push('DATE(i.due_date) <= ?');
+    params.push(filters.to);
+  }
+
+  const rows = await db.query(`
+    SELECT i.id, i.student_id, i.course_id, i.due_date,
+           i.amount - COALESCE(i.amount_paid, 0) as outstanding,
+           DATEDIFF(?, DATE(i.due_date)) as days_overdue,
+           u.full_name, u.email
+    FROM invoices i
+    JOIN users u ON i.student_id = u.id
+    WHERE ${conditions.join(' AND ')}
+  `, params);
+
+  return rows.map(row => ({
+    ...row,
+    outstanding: parseFloat(row.outstanding),
+    days_overdue: row.days_overdue === null ? 0 : parseInt(row.days_overdue)
+  }));
+}
+
+function agingBucket(daysOverdue) {
+  return AGING_BUCKETS.find(bucket => daysOverdue >= bucket.min && daysOverdue <= bucket.max).key;
+}
+
+// What is owed today, by how long it has been overdue, in total and per student
+async function getAgingReport(filters) {
+  const invoices = await getOpenInvoices(filters);
+  const buckets = AGING_BUCKETS.map(bucket => ({ key: bucket.key, label: bucket.label, count: 0, amount: 0 }));
+  const students = new Map();
+
+  for (const invoice of invoices) {
+    const key = agingBucket(invoice.days_overdue);
+    const bucket = buckets.find(b => b.key === key);
+    bucket.count++;
+    bucket.amount += invoice.outstanding;
+
+    if (!students.has(invoice.student_id)) {
+      const row = { studentId: invoice.student_id, name: invoice.full_name, email: invoice.email, total: 0 };
+      for (const b of AGING_BUCKETS) row[b.key] = 0;
+      students.set(invoice.student_id, row);
+    }
+    const student = students.get(invoice.student_id);
+    student[key] += invoice.outstanding;
+    student.total += invoice.outstanding;
+  }
+
+  const studentRows = Array.from(students.values()).map(row => {
+    for (const b of AGING_BUCKETS) row[b.key] = roundMoney(row[b.key]);
+    row.total = roundMoney(row.total);
+    return row;
+  }).sort((a, b) => b.total - a.total);
+
+  return {
+    asOf: toDateString(new Date()),
+    buckets: buckets.map(b => ({ ...b, amount: roundMoney(b.amount) })),
+    total: roundMoney(buckets.reduce((sum, b) => sum + b.amount, 0)),
+    students: studentRows
+  };
+}
+
+// 'YYYY-MM' for every month from the start date to the end date
+function monthsBetween(from, to) {
+  const months = [];
+  const cursor = new Date(`${from.slice(0, 7)}-01T00:00:00Z`);
+  const last = to.slice(0, 7);
+  while (toDateString(cursor).slice(0, 7) <= last) {
+    months.push(toDateString(cursor).slice(0, 7));
+    cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+  }
+  return months;
+}
+
+// Defaults to the twelve months up to and including this one
+function revenueRange(filters) {
+  const today = new Date();
+  const start = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() - 11, 1));
+  return { from: filters.from || toDateString(start), to: filters.to || toDateString(today) };
+}
+
+// Recognised revenue is what was billed for the month (by billing period,
+// cancelled invoices excluded, less credit notes issued that month).
+// Collected is money applied to invoices that month; refunds paid out are
+// shown separately.
+async function getRevenueReport(filters) {
+  const { from, to } = revenueRange(filters);
+  const invoiceScope = scopeConditions(filters, 'i.student_id', 'i.course_id');
+  const ledgerScope = scopeConditions(filters, 'le.student_id', 'le.course_id');
+  const scopeSql = scope => scope.conditions.map(c => `AND ${c}`).join(' ');
+
+  const [billed, credited, collected, refunded] = await Promise.all([
+    db.query(`
+      SELECT DATE_FORMAT(COALESCE(i.billing_period_start, i.created_at), '%Y-%m') as month, SUM(i.amount) as total
+      FROM invoices i
+      WHERE i.status <> 'cancelled'
+        AND DATE(COALESCE(i.billing_period_start, i.created_at)) BETWEEN ? AND ?
+        ${scopeSql(invoiceScope)}
+      GROUP BY month
+    `, [from, to, ...invoiceScope.params]),
+    db.query(`
+      SELECT DATE_FORMAT(cn.created_at, '%Y-%m') as month, SUM(cn.amount) as total
+      FROM credit_notes cn
+      JOIN invoices i ON cn.invoice_id = i.id
+      WHERE i.status <> 'cancelled' AND DATE(cn.created_at) BETWEEN ? AND ?
+        ${scopeSql(invoiceScope)}
+      GROUP BY month
+    `, [from, to, ...invoiceScope.params]),
+    db.query(`
+      SELECT DATE_FORMAT(le.created_at, '%Y-%m') as month, SUM(le.amount) as total
+      FROM ledger_entries le
+      WHERE le.entry_type = 'allocation' AND DATE(le.created_at) BETWEEN ? AND ?
+        ${scopeSql(ledgerScope)}
+      GROUP BY month
+    `, [from, to, ...ledgerScope.params]),
+    db.query(`
+      SELECT DATE_FORMAT(le.created_at, '%Y-%m') as month, -SUM(le.amount) as total
+      FROM ledger_entries le
+      WHERE le.entry_type = 'refund' AND DATE(le.created_at) BETWEEN ? AND ?
+        ${scopeSql(ledgerScope)}
+      GROUP BY month
+    `, [from, to, ...ledgerScope.params])
+  ]);
+
+  const totalFor = (rows, month) => {
+    const row = rows.find(r => r.month === month);
+    return row ? parseFloat(row.total) : 0;
+  };
+
+  const months = monthsBetween(from, to).map(month => {
+    const recognised = roundMoney(totalFor(billed, month) - totalFor(credited, month));
+    const collectedAmount = roundMoney(totalFor(collected, month));
+    const refundedAmount = roundMoney(totalFor(refunded, month));
+    return {
+      month,
+      recognised,
+      collected: collectedAmount,
+      refunded: refundedAmount,
+      netCollected: roundMoney(collectedAmount - refundedAmount)
+    };
+  });
+
+  const sum = key => roundMoney(months.reduce((total, m) => total + m[key], 0));
+  return {
+    from,
+    to,
+    months,
+    totals: {
+      recognised: sum('recognised'),
+      collected: sum('collected'),
+      refunded: sum('refunded'),
+      netCollected: sum('netCollected')
+    }
+  };
+}
+
+function collectionRow(row) {
+  const billed = roundMoney(parseFloat(row.billed || 0));
+  const collected = roundMoney(parseFloat(row.collected || 0));
+  return {
+    invoiceCount: parseInt(row.invoice_count),
+    billed,
+    collected,
+    outstanding: roundMoney(billed - collected),
+    collectionRate: billed > 0 ? Math.round(collected / billed * 1000) / 10 : null
+  };
+}
+
+// Share of what fell due that has been paid, per course and per cohort.
+// Without a date range this covers everything due up to today.
+async function getCollectionReport(filters) {
+  const from = filters.from || null;
+  const to = filters.to || toDateString(new Date());
+  const scope = scopeConditions(filters, 'i.student_id', 'i.course_id');
+  const conditions = [`i.status <> 'cancelled'`, 'DATE(i.due_date) <= ?', ...scope.conditions];
+  const params = [to, ...scope.params];
+  if (from) {
+    conditions.push('DATE(i.due_date) >= ?');
+    params.push(from);
+  }
+
+  const totalsSql = `
+    COUNT(i.id) as invoice_count,
+    SUM(i.amount) as billed,
+    SUM(LEAST(COALESCE(i.amount_paid, 0), i.amount)) as collected
+  `;
+
+  const [courses, cohorts] = await Promise.all([
+    db.query(`
+      SELECT c.id, c.title, ${totalsSql}
+      FROM invoices i
+      JOIN courses c ON i.course_id = c.id
+      WHERE ${conditions.join(' AND ')}
+      GROUP BY c.id, c.title
+      ORDER BY c.title
+    `, params),
+    db.query(`
+      SELECT co.id, co.name, c.title as course_title, ${totalsSql}
+      FROM invoices i
+      JOIN cohort_students cs ON cs.student_id = i.student_id
+      JOIN cohorts co ON co.id = cs.cohort_id AND co.course_id = i.course_id
+      JOIN courses c ON i.course_id = c.id
+      WHERE ${conditions.join(' AND ')} ${filters.cohortId ? 'AND co.id = ?' : ''}
+      GROUP BY co.id, co.name, c.title
+      ORDER BY c.title, co.name
+    `, filters.cohortId ? [...params, filters.cohortId] : params)
+  ]);
+
+  const courseRows = courses.map(row => ({ courseId: row.id, courseTitle: row.title, ...collectionRow(row) }));
+  const overall = collectionRow({
+    invoice_count: courseRows.reduce((sum, r) => sum + r.invoiceCount, 0),
+    billed: courseRows.reduce((sum, r) => sum + r.billed, 0),
+    collected: courseRows.reduce((sum, r) => sum + r.collected, 0)
+  });
+
+  return {
+    from,
+    to,
+    overall,
+    courses: courseRows,
+    cohorts: cohorts.map(row => ({ cohortId: row.id, cohortName: row.name, courseTitle: row.course_title, ...collectionRow(row) }))
+  };
+}
+
+// Students owing the most today
+async function getTopDebtors(filters) {
+  const invoices = await getOpenInvoices(filters);
+  const students = new Map();
+
+  for (const invoice of invoices) {
+    if (!students.has(invoice.student_id)) {
+      students.set(invoice.student_id, {
+        studentId: invoice.student_id,
+        name: invoice.full_name,
+        email: invoice.email,
+        outstanding: 0,
+        overdue: 0,
+        invoiceCount: 0,
+        oldestDueDate: null,
+        maxDaysOverdue: 0
+      });
+    }
+    const student = students.get(invoice.student_id);
+    student.outstanding += invoice.outstanding;
+    if (invoice.days_overdue > 0) student.overdue += invoice.outstanding;
+    student.invoiceCount++;
+    if (!student.oldestDueDate || new Date(invoice.due_date) < new Date(student.oldestDueDate)) {
+      student.oldestDueDate = invoice.due_date;
+    }
+    student.maxDaysOverdue = Math.max(student.maxDaysOverdue, invoice.days_overdue);
+  }
+
+  return Array.from(students.values())
+    .map(s => ({ ...s, outstanding: roundMoney(s.outstanding), overdue: roundMoney(s.overdue) }))
+    .sort((a, b) => b.outstanding - a.outstanding)
+    .slice(0, filters.limit);
+}
+
+async function getFinanceReport(report, filters) {
+  if (report === 'aging') return await getAgingReport(filters);
+  if (report === 'revenue') return await getRevenueReport(filters);
+  if (report === 'collection') return await getCollectionReport(filters);
+  return await getTopDebtors(filters);
+}
+
+const dateCell = value => value ? toDateString(new Date(value)) : '';
+const money = value => value.toFixed(2);
+const rate = value => value === null ? '' : value;
+
+function financeReportToCsv(report, data) {
+  let rows;
+  if (report === 'aging') {
+    rows = [['Student ID', 'Student', 'Email', ...AGING_BUCKETS.map(b => b.label), 'Total']];
+    for (const s of data.students) {
+      rows.push([s.studentId, s.name, s.email, ...AGING_BUCKETS.map(b => money(s[b.key])), money(s.total)]);
+    }
+    rows.push(['', 'Total', '', ...data.buckets.map(b => money(b.amount)), money(data.total)]);
+  } else if (report === 'revenue') {
+    rows = [['Month', 'Recognised', 'Collected', 'Refunded', 'Net Collected']];
+    for (const m of data.months) {
+      rows.push([m.month, money(m.recognised), money(m.collected), money(m.refunded), money(m.netCollected)]);
+    }
+    rows.push(['Total', money(data.totals.recognised), money(data.totals.collected), money(data.totals.refunded), money(data.totals.netCollected)]);
+  } else if (report === 'collection') {
+    rows = [['Group', 'Name', 'Course', 'Invoices', 'Billed', 'Collected', 'Outstanding', 'Collection Rate %']];
+    for (const c of data.courses) {
+      rows.push(['course', c.courseTitle, c.courseTitle, c.invoiceCount, money(c.billed), money(c.collected), money(c.outstanding), rate(c.collectionRate)]);
+    }
+    for (const c of data.cohorts) {
+      rows.push(['cohort', c.cohortName, c.courseTitle, c.invoiceCount, money(c.billed), money(c.collected), money(c.outstanding), rate(c.collectionRate)]);
+    }
+    const o = data.overall;
+    rows.push(['total', 'All courses', '', o.invoiceCount, money(o.billed), money(o.collected), money(o.outstanding), rate(o.collectionRate)]);
+  } else {
+    rows = [['Student ID', 'Student', 'Email', 'Outstanding', 'Overdue', 'Open Invoices', 'Oldest Due Date', 'Days Overdue']];
+    for (const d of data) {
+      rows.push([d.studentId, d.name, d.email, money(d.outstanding), money(d.overdue), d.invoiceCount, dateCell(d.oldestDueDate), d.maxDaysOverdue]);
+    }
+  }
+  return rows.map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+module.exports = {
+  FINANCE_REPORTS,
+  AGING_BUCKETS,
+  parseReportFilters,
+  getAgingReport,
+  getRevenueReport,
+  getCollectionReport,
+  getTopDebtors,
+  getFinanceReport,
+  financeReportToCsv
+};
@@ -1,31 +1,105 @@
 // lib/invoices.js - Invoice and Billing System (CommonJS)
 const db = require('../config/database.js');
-const fs = require('fs');
 const NotificationController = require('../controllers/notificationController.js');
+const { applyInvoiceDiscounts } = require('./discounts.js');
+const { roundMoney, recordLedgerEntry, getCreditBalance, findPaymentByReference } = require('./ledger.js');
+const { applyLateFees } = require('./lateFees.js');
+const { PRORATION_MODES, getBillingSettings: getGlobalSettings } = require('./billingSettings.js');
+const { renderReceiptPdf } = require('./documents.js');
+const { sendPaymentReceivedEmail } = require('./email.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function startOfDay(date) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
 
-const GLOBAL_SETTINGS_PATH = './global-billing.json';
+// First billing day on or after the given date
+function nextBillingDate(from, billingDay) {
+  if (from.getDate() > billingDay) {
+    return new Date(from.getFullYear(), from.getMonth() + 1, billingDay);
+  }
+  return new Date(from.getFullYear(), from.getMonth(), billingDay);
+}
 
-async function getGlobalSettings() {
-  try {
-    const settingsPath = GLOBAL_SETTINGS_PATH;
-    let settings = { billingDay: 1, gracePeriodDays: 2 };
-    if (fs.existsSync(settingsPath)) {
-      settings = JSON.parse(fs.readFileSync(settingsPath, 'utf8'));
+// Prices the billing cycle that ends on dueDate for a student who enrolled
+// part-way through it. 'daily' charges only the days enrolled, 'skip_first'
+// waives the partial cycle and 'none' bills the full monthly amount.
+function prorateCycle(monthlyAmount, enrolledAt, dueDate, mode) {
+  const periodEnd = startOfDay(dueDate);
+  const cycleStart = new Date(periodEnd.getFullYear(), periodEnd.getMonth() - 1, periodEnd.getDate());
+  const cycleDays = Math.round((periodEnd - cycleStart) / DAY_MS);
+  const enrolledDay = startOfDay(enrolledAt);
+
+  const full = {
+    amount: monthlyAmount,
+    prorated: false,
+    skipped: false,
+    activeDays: cycleDays,
+    cycleDays,
+    periodStart: cycleStart,
+    periodEnd
+  };
+
+  if (enrolledDay <= cycleStart || !PRORATION_MODES.includes(mode) || mode === 'none') {
+    return full;
+  }
+
+  const activeDays = Math.max(0, Math.round((periodEnd - enrolledDay) / DAY_MS));
+  if (mode === 'skip_first' || activeDays === 0) {
+    return { ...full, amount: 0, skipped: true, activeDays, periodStart: enrolledDay };
+  }
+
+  return {
+    ...full,
+    amount: Math.round((monthlyAmount * activeDays / cycleDays) * 100) / 100,
+    prorated: true,
+    activeDays,
+    periodStart: enrolledDay
+  };
+}
+
+// Projects the monthly installments a student would be billed if enrolled on
+// enrolledAt, applying the same proration rules as generateMonthlyInvoices.
+function buildInstallmentSchedule(pricing, enrolledAt, settings) {
+  const monthlyAmount = parseFloat(pricing?.monthly_amount) || 0;
+  const billingDuration = pricing?.billing_duration || 1;
+  if (!monthlyAmount) return [];
+
+  const schedule = [];
+  let dueDate = nextBillingDate(startOfDay(enrolledAt), settings.billingDay);
+
+  for (let i = 0; schedule.length < billingDuration && i <= billingDuration; i++) {
+    const cycle = schedule.length === 0
+      ? prorateCycle(monthlyAmount, enrolledAt, dueDate, settings.prorationMode)
+      : prorateCycle(monthlyAmount, dueDate, dueDate, 'none');
+
+    if (!cycle.skipped) {
+      schedule.push({
+        monthNumber: schedule.length + 1,
+        dueDate,
+        amount: cycle.amount,
+        prorated: cycle.prorated,
+        activeDays: cycle.activeDays,
+        cycleDays: cycle.cycleDays
+      });
     }
-    return settings;
-  } catch (error) {
-    console.error('[Invoice] Error loading global settings:', error);
-    return { billingDay: 1, gracePeriodDays: 2 };
+    dueDate = new Date(dueDate.getFullYear(), dueDate.getMonth() + 1, settings.billingDay);
   }
+
+  return schedule;
 }
 
 async function generateInitialInvoices(studentId) {
   const settings = await getGlobalSettings();
   const enrollments = await db.query(`
-    SELECT e.*, c.title as course_title, cp.initial_payment, cp.is_active
+    SELECT e.*, c.title as course_title, cp.initial_payment, cp.is_active, t.ends_at as trial_ends_at
     FROM enrollments e
     JOIN courses c ON e.course_id = c.id
     LEFT JOIN course_pricing cp ON c.id = cp.course_id
+    LEFT JOIN course_trials t ON t.student_id = e.student_id AND t.course_id = e.course_id
     WHERE e.student_id = ?
   `, [studentId]);
 
@@ -38,20 +112,31 @@ async function generateInitialInvoices(studentId) {
     `, [studentId, enrollment.course_id]);
 
     if (!existing) {
-      const dueDate = new Date();
+      let dueDate = new Date();
       dueDate.setDate(dueDate.getDate() + 7);
-      const gracePeriodEnd = new Date(dueDate);
+      let gracePeriodEnd = new Date(dueDate);
       gracePeriodEnd.setDate(gracePeriodEnd.getDate() + settings.gracePeriodDays);
 
-      await db.insert('invoices', {
+      // During a free trial the deposit falls due when the trial ends, and the
+      // course locks then if it is still unpaid
+      if (enrollment.trial_ends_at && new Date(enrollment.trial_ends_at) > new Date()) {
+        dueDate = new Date(enrollment.trial_ends_at);
+        gracePeriodEnd = new Date(enrollment.trial_ends_at);
+      }
+
+      const invoiceId = await db.insert('invoices', {
         student_id: studentId,
         course_id: enrollment.course_id,
         type: 'initial',
         amount: enrollment.initial_payment,
+        gross_amount: enrollment.initial_payment,
         status: 'pending',
         due_date: dueDate,
-        grace_period_end: gracePeriodEnd
+        grace_period_end: gracePeriodEnd,
+        billing_settings_version: settings.version
       });
+      await applyInvoiceDiscounts(invoiceId);
+      await applyStudentCredit(studentId, invoiceId);
       console.log(`[Invoice] Created initial invoice for student ${studentId}, course ${enrollment.course_id}`);
     }
   }
@@ -62,7 +147,7 @@ async function checkAndUpdateInvoiceStatuses() {
   const now = new Date();
 
   const overdueInvoices = await db.query(`
-    SELECT id, student_id FROM invoices 
+    SELECT id, student_id, course_id FROM invoices 
     WHERE status = 'pending' AND grace_period_end < ?
   `, [now]);
 
@@ -71,77 +156,128 @@ async function checkAndUpdateInvoiceStatuses() {
       status: 'locked',
       locked_at: now
     });
-    console.log(`[Invoice] Invoice ${invoice.id} marked as locked, student ${invoice.student_id} locked out`);
+    console.log(`[Invoice] Invoice ${invoice.id} marked as locked, student ${invoice.student_id} locked out of course ${invoice.course_id}`);
   }
+
+  // Late fees are paid from any credit the student already holds
+  const penalties = await applyLateFees(settings);
+  for (const penalty of penalties) {
+    await applyStudentCredit(penalty.studentId, penalty.id);
+  }
+
+  return { locked: overdueInvoices.length, lateFees: penalties.length };
 }
 
 async function generateMonthlyInvoices() {
   const settings = await getGlobalSettings();
   const billingDay = settings.billingDay;
   const today = new Date();
+  let created = 0;
 
   const enrollments = await db.query(`
-    SELECT e.*, cp.monthly_amount, cp.billing_duration, cp.is_active
+    SELECT e.*, cp.monthly_amount, cp.billing_duration, cp.is_active, t.ends_at as trial_ends_at
     FROM enrollments e
     LEFT JOIN course_pricing cp ON e.course_id = cp.course_id
+    LEFT JOIN course_trials t ON t.student_id = e.student_id AND t.course_id = e.course_id
     WHERE cp.is_active = 1 AND cp.monthly_amount > 0
   `);
 
   for (const enrollment of enrollments) {
     if (!enrollment.monthly_amount) continue;
 
+    // Billing starts once a free trial is over
+    const trialEndsAt = enrollment.trial_ends_at ? new Date(enrollment.trial_ends_at) : null;
+    if (trialEndsAt && trialEndsAt > today) continue;
+
     const billingDuration = enrollment.billing_duration || 1;
     const existingMonthly = await db.query(`
-      SELECT id FROM invoices 
+      SELECT id, due_date FROM invoices 
       WHERE student_id = ? AND course_id = ? AND type = 'monthly'
       ORDER BY created_at ASC
     `, [enrollment.student_id, enrollment.course_id]);
 
     if (existingMonthly.length >= billingDuration) continue;
 
-    const startOfMonth = new Date(today.getFullYear(), today.getMonth(), 1);
-    const alreadyBilled = existingMonthly.find(inv => new Date(inv.created_at) >= startOfMonth);
+    // One invoice per billing cycle, identified by the month it falls due in,
+    // however often the job runs
+    const dueDate = nextBillingDate(today, billingDay);
+    const alreadyBilled = existingMonthly.some(inv => {
+      const due = new Date(inv.due_date);
+      return due.getFullYear() === dueDate.getFullYear() && due.getMonth() === dueDate.getMonth();
+    });
     if (alreadyBilled) continue;
 
-    let dueDate = new Date(today.getFullYear(), today.getMonth(), billingDay);
-    if (today.getDate() > billingDay) {
-      dueDate = new Date(today.getFullYear(), today.getMonth() + 1, billingDay);
+    // Only the first cycle can be partial; later cycles always bill in full
+    let cycle = prorateCycle(parseFloat(enrollment.monthly_amount), dueDate, dueDate, 'none');
+    if (existingMonthly.length === 0 && enrollment.enrolled_at) {
+      const billedFrom = trialEndsAt && trialEndsAt > new Date(enrollment.enrolled_at) ? trialEndsAt : enrollment.enrolled_at;
+      cycle = prorateCycle(parseFloat(enrollment.monthly_amount), billedFrom, dueDate, settings.prorationMode);
+      if (cycle.skipped) continue;
     }
 
     const gracePeriodEnd = new Date(dueDate);
     gracePeriodEnd.setDate(gracePeriodEnd.getDate() + settings.gracePeriodDays);
 
-    await db.insert('invoices', {
-      student_id: enrollment.student_id,
-      course_id: enrollment.course_id,
-      type: 'monthly',
-      month_number: existingMonthly.length + 1,
-      amount: enrollment.monthly_amount,
-      status: 'pending',
-      due_date: dueDate,
-      grace_period_end: gracePeriodEnd,
-      last_billed_at: today
-    });
+    let invoiceId;
+    try {
+      invoiceId = await db.insert('invoices', {
+        student_id: enrollment.student_id,
+        course_id: enrollment.course_id,
+        type: 'monthly',
+        month_number: existingMonthly.length + 1,
+        amount: cycle.amount,
+        gross_amount: cycle.amount,
+        is_prorated: cycle.prorated,
+        billing_period_start: cycle.periodStart,
+        billing_period_end: cycle.periodEnd,
+        status: 'pending',
+        due_date: dueDate,
+        grace_period_end: gracePeriodEnd,
+        last_billed_at: today,
+        billing_settings_version: settings.version
+      });
+    } catch (error) {
+      // Another run billed this month first (unique student/course/type/month)
+      if (error.code === 'ER_DUP_ENTRY') continue;
+      throw error;
+    }
+    await applyInvoiceDiscounts(invoiceId);
+    await applyStudentCredit(enrollment.student_id, invoiceId);
+    created++;
   }
+
+  return { created };
 }
 
-async function isStudentLocked(studentId) {
-  // Check if student has any paid (non-free) enrollments first
-  const paidEnrollments = await db.query(`
-    SELECT e.id FROM enrollments e
-    JOIN courses c ON e.course_id = c.id
-    WHERE e.student_id = ? AND (c.is_free = 0 OR c.is_free IS NULL)
+// Lock policy set by admins: 'course' (default) only blocks the course whose
+// invoice went overdue, 'account' blocks every course until all arrears are paid.
+async function getLockScope() {
+  const row = await db.getOne("SELECT setting_value FROM settings WHERE setting_key = 'invoiceLockScope'");
+  return row?.setting_value === 'account' ? 'account' : 'course';
+}
+
+// Paid courses the student is still enrolled in that have a locked invoice
+async function getLockedCourseIds(studentId) {
+  const rows = await db.query(`
+    SELECT DISTINCT i.course_id FROM invoices i
+    JOIN enrollments e ON e.student_id = i.student_id AND e.course_id = i.course_id
+    JOIN courses c ON i.course_id = c.id
+    WHERE i.student_id = ? AND i.status = 'locked' AND (c.is_free = 0 OR c.is_free IS NULL)
   `, [studentId]);
+  return rows.map(r => r.course_id);
+}
 
-  // If only enrolled in free courses, never locked
-  if (paidEnrollments.length === 0) return false;
+// Without a courseId this answers "is the whole account locked", which only
+// happens under the 'account' policy. With a courseId it answers for that course.
+async function isStudentLocked(studentId, courseId = null) {
+  const lockedCourseIds = await getLockedCourseIds(studentId);
+  if (lockedCourseIds.length === 0) return false;
 
-  // If has paid course enrollments, check for locked invoices
-  const invoice = await db.getOne(`
-    SELECT id FROM invoices 
-    WHERE student_id = ? AND status = 'locked'
-  `, [studentId]);
-  return !!invoice;
+  const scope = await getLockScope();
+  if (scope === 'account') return true;
+  if (courseId === null || courseId === undefined) return false;
+
+  return lockedCourseIds.includes(parseInt(courseId));
 }
 
 async function getStudentInvoices(studentId) {
@@ -164,45 +300,192 @@ async function getInvoiceById(invoiceId) {
   `, [invoiceId]);
 }
 
-async function markInvoicePaid(invoiceId, paymentData) {
-  const invoice = await db.getOne(`
-    SELECT i.*, c.title as course_title FROM invoices i
-    JOIN courses c ON i.course_id = c.id
-    WHERE i.id = ?
-  `, [invoiceId]);
-  if (!invoice) return;
-
-  await db.update('invoices', invoiceId, {
-    status: 'paid',
-    paid_at: new Date(),
-    payment_method: paymentData.method || 'mpesa',
-    transaction_id: paymentData.transactionId || null,
-    mpesa_receipt: paymentData.receiptNumber || null
-  });
+// Applies a student's ledger credit to their open invoices, starting with the
+// preferred invoice and its course, then oldest due first. Invoices covered in
+// full are marked paid; a settled deposit triggers monthly billing.
+async function applyStudentCredit(studentId, preferredInvoiceId = null, paymentData = {}) {
+  let credit = await getCreditBalance(studentId);
+  if (credit <= 0) return [];
+
+  const preferred = preferredInvoiceId
+    ? await db.getOne('SELECT course_id FROM invoices WHERE id = ?', [preferredInvoiceId])
+    : null;
+
+  const openInvoices = await db.query(`
+    SELECT * FROM invoices
+    WHERE student_id = ? AND status IN ('pending', 'locked')
+    ORDER BY id = ? DESC, course_id = ? DESC, due_date ASC, id ASC
+  `, [studentId, preferredInvoiceId || 0, preferred ? preferred.course_id : 0]);
+
+  const allocations = [];
+  let depositSettled = false;
+
+  for (const invoice of openInvoices) {
+    if (credit <= 0) break;
+
+    const due = roundMoney(parseFloat(invoice.amount) - parseFloat(invoice.amount_paid || 0));
+    if (due <= 0) continue;
+
+    const applied = Math.min(due, credit);
+    await recordLedgerEntry({
+      studentId,
+      courseId: invoice.course_id,
+      invoiceId: invoice.id,
+      type: 'allocation',
+      amount: applied,
+      reference: paymentData.receiptNumber || null,
+      description: applied < due ? `Part payment of invoice #${invoice.id}` : `Payment of invoice #${invoice.id}`
+    });
+    await db.query('UPDATE invoices SET amount_paid = amount_paid + ? WHERE id = ?', [applied, invoice.id]);
+    credit = roundMoney(credit - applied);
+
+    const settled = applied >= due;
+    allocations.push({ invoiceId: invoice.id, amount: applied, settled, remaining: roundMoney(due - applied) });
+
+    if (settled) {
+      await db.update('invoices', invoice.id, {
+        status: 'paid',
+        paid_at: new Date(),
+        payment_method: paymentData.method || 'credit',
+        payment_gateway: paymentData.gateway || null,
+        transaction_id: paymentData.transactionId || null,
+        mpesa_receipt: paymentData.receiptNumber || null
+      });
+      if (invoice.type === 'initial' || invoice.type === 'deposit') depositSettled = true;
+    }
+  }
 
-  const studentId = invoice.student_id;
+  if (allocations.some(a => a.settled)) {
+    const hasUnpaid = await db.getOne(`
+      SELECT id FROM invoices 
+      WHERE student_id = ? AND status IN ('pending', 'locked')
+    `, [studentId]);
 
-  // If this is an initial (deposit) payment, generate monthly invoices
-  if (invoice.type === 'initial' || invoice.type === 'deposit') {
+    if (!hasUnpaid) {
+      await db.query('UPDATE users SET is_locked = 0 WHERE id = ?', [studentId]);
+    }
+  }
+
+  // Run after the loop so credit applied to new monthly invoices is not double counted
+  if (depositSettled) {
     await generateMonthlyInvoices();
   }
 
+  return allocations;
+}
+
+// Records money received from a student on the ledger and applies it to their
+// open invoices. Underpayments leave a balance on the invoice; overpayments
+// stay on the ledger as credit for the next invoice.
+async function recordPayment(studentId, payment) {
+  const reference = payment.receiptNumber || payment.transactionId || null;
+  const existing = await findPaymentByReference(reference);
+  if (existing) {
+    console.log(`[Ledger] Payment ${reference} already recorded as entry ${existing.id}, skipping`);
+    return { duplicate: true, entryId: existing.id, allocations: [] };
+  }
+
+  const amount = roundMoney(parseFloat(payment.amount));
+  if (!(amount > 0)) return { duplicate: false, entryId: null, allocations: [] };
+
+  let entryId;
+  try {
+    entryId = await recordLedgerEntry({
+      studentId,
+      courseId: payment.courseId,
+      invoiceId: payment.invoiceId,
+      type: 'payment',
+      amount,
+      method: payment.method || 'mpesa',
+      reference,
+      source: payment.source,
+      sourceId: payment.sourceId,
+      description: payment.description,
+      createdBy: payment.createdBy
+    });
+  } catch (error) {
+    // A concurrent callback recorded the same reference first (unique payment reference)
+    if (error.code !== 'ER_DUP_ENTRY') throw error;
+    const recorded = await findPaymentByReference(reference);
+    console.log(`[Ledger] Payment ${reference} recorded concurrently${recorded ? ` as entry ${recorded.id}` : ''}, skipping`);
+    return { duplicate: true, entryId: recorded ? recorded.id : null, allocations: [] };
+  }
+
+  const allocations = await applyStudentCredit(studentId, payment.invoiceId, {
+    method: payment.method,
+    gateway: payment.gateway,
+    transactionId: payment.transactionId,
+    receiptNumber: payment.receiptNumber
+  });
+  const creditBalance = await getCreditBalance(studentId);
+
+  const target = allocations.find(a => a.invoiceId === payment.invoiceId);
+  let message = `KES ${amount.toLocaleString()} received${payment.courseTitle ? ` for ${payment.courseTitle}` : ''}.`;
+  if (target && !target.settled) {
+    message += ` KES ${target.remaining.toLocaleString()} is still due on this invoice.`;
+  }
+  if (creditBalance > 0) {
+    message += ` KES ${creditBalance.toLocaleString()} is held as credit for your next invoice.`;
+  }
+
   NotificationController.createNotification(
     studentId,
     'Payment Received',
-    `KES ${parseFloat(invoice.amount).toLocaleString()} received for ${invoice.course_title || 'course'}`,
+    message,
     'success',
     '/student-dashboard/payment.html'
   );
 
-  const hasUnpaid = await db.getOne(`
-    SELECT id FROM invoices 
-    WHERE student_id = ? AND status IN ('pending', 'locked')
-  `, [studentId]);
+  // Email is best effort; a failure must not undo the payment
+  emailPaymentReceipts(studentId, { amount, reference, message, allocations })
+    .catch(error => console.error('[Invoice] Payment receipt email failed:', error.message));
+
+  return { duplicate: false, entryId, allocations, creditBalance };
+}
 
-  if (!hasUnpaid) {
-    await db.query('UPDATE users SET is_locked = 0 WHERE id = ?', [studentId]);
+// Sends the payment-received email with a PDF receipt for each invoice the
+// payment was applied to
+async function emailPaymentReceipts(studentId, { amount, reference, message, allocations }) {
+  const student = await db.getOne('SELECT email, full_name, username FROM users WHERE id = ?', [studentId]);
+  if (!student?.email) return;
+
+  const attachments = [];
+  for (const allocation of allocations) {
+    const receipt = await renderReceiptPdf(allocation.invoiceId);
+    if (receipt && receipt.buffer) {
+      attachments.push({ filename: receipt.filename, content: receipt.buffer, contentType: 'application/pdf' });
+    }
   }
+
+  await sendPaymentReceivedEmail(student.email, {
+    name: student.full_name || student.username,
+    amount: amount.toLocaleString(),
+    reference: reference || '-',
+    summary: message
+  }, attachments);
+}
+
+// Records a payment against an invoice. paymentData.amount is what was actually
+// received; when it is not known the invoice's outstanding balance is assumed.
+async function markInvoicePaid(invoiceId, paymentData) {
+  const invoice = await db.getOne(`
+    SELECT i.*, c.title as course_title FROM invoices i
+    JOIN courses c ON i.course_id = c.id
+    WHERE i.id = ?
+  `, [invoiceId]);
+  if (!invoice) return null;
+
+  const amount = paymentData.amount !== undefined && paymentData.amount !== null
+    ? parseFloat(paymentData.amount)
+    : roundMoney(parseFloat(invoice.amount) - parseFloat(invoice.amount_paid || 0));
+
+  return await recordPayment(invoice.student_id, {
+    ...paymentData,
+    amount,
+    invoiceId: invoice.id,
+    courseId: invoice.course_id,
+    courseTitle: invoice.course_title
+  });
 }
 
 async function createInvoice(data) {
@@ -217,50 +500,68 @@ async function createInvoice(data) {
   });
 }
 
-async function markDepositAndMonthsPaid(invoiceId, monthsPaid, paymentData) {
-  const invoice = await db.getOne('SELECT * FROM invoices WHERE id = ?', [invoiceId]);
-  if (!invoice) return;
+// What a payment against an invoice should come to, worked out from the
+// invoice alone: the balance still due, plus monthsPaid months in advance
+// when it is a deposit. invoice needs the course's monthly_amount.
+function amountDueFor(invoice, monthsPaid = 0) {
+  const balanceDue = parseFloat(invoice.amount) - parseFloat(invoice.amount_paid || 0);
+  const isDeposit = invoice.type === 'initial' || invoice.type === 'deposit';
+  const advance = isDeposit ? (monthsPaid || 0) * parseFloat(invoice.monthly_amount || 0) : 0;
+  return roundMoney(balanceDue + advance);
+}
 
-  await markInvoicePaid(invoiceId, paymentData);
+// Months of a course the student has not paid for yet: its billing duration
+// less the monthly invoices already settled. Caps how many months one
+// payment can cover.
+async function getUnpaidMonths(studentId, courseId) {
+  const row = await db.getOne(`
+    SELECT cp.billing_duration,
+           (SELECT COUNT(*) FROM invoices i
+            WHERE i.student_id = ? AND i.course_id = ? AND i.type = 'monthly' AND i.status = 'paid') as paid_months
+    FROM course_pricing cp
+    WHERE cp.course_id = ?
+  `, [studentId, courseId, courseId]);
+  const billingDuration = row?.billing_duration || 1;
+  return Math.max(billingDuration - parseInt(row?.paid_months || 0), 0);
+}
 
-  if (monthsPaid > 0 && (invoice.type === 'initial' || invoice.type === 'deposit')) {
-    const monthlyInvoices = await db.query(`
-      SELECT id FROM invoices 
-      WHERE student_id = ? AND course_id = ? AND type = 'monthly' AND status = 'pending'
-      ORDER BY month_number ASC
-      LIMIT ?
-    `, [invoice.student_id, invoice.course_id, monthsPaid]);
+// Deposit payments may include months paid in advance. The whole amount goes
+// through the ledger: the deposit is settled first, then the course's monthly
+// invoices, and whatever is left waits as credit for months not yet billed.
+async function markDepositAndMonthsPaid(invoiceId, monthsPaid, paymentData) {
+  const invoice = await db.getOne(`
+    SELECT i.*, cp.monthly_amount FROM invoices i
+    LEFT JOIN course_pricing cp ON i.course_id = cp.course_id
+    WHERE i.id = ?
+  `, [invoiceId]);
+  if (!invoice) return null;
 
-    for (const mi of monthlyInvoices) {
-      await db.update('invoices', mi.id, {
-        status: 'paid',
-        paid_at: new Date(),
-        payment_method: paymentData.method || 'mpesa',
-        transaction_id: paymentData.transactionId || null,
-        mpesa_receipt: paymentData.receiptNumber || null
-      });
-    }
+  let amount = paymentData.amount;
+  if (amount === undefined || amount === null) {
+    amount = amountDueFor(invoice, monthsPaid);
   }
 
-  const hasUnpaid = await db.getOne(`
-    SELECT id FROM invoices 
-    WHERE student_id = ? AND status IN ('pending', 'locked')
-  `, [invoice.student_id]);
-
-  if (!hasUnpaid) {
-    await db.query('UPDATE users SET is_locked = 0 WHERE id = ?', [invoice.student_id]);
-  }
+  return await markInvoicePaid(invoiceId, { ...paymentData, amount });
 }
 
 module.exports = {
+  PRORATION_MODES,
   getGlobalSettings,
+  prorateCycle,
+  buildInstallmentSchedule,
   generateInitialInvoices,
   checkAndUpdateInvoiceStatuses,
   generateMonthlyInvoices,
+  getLockScope,
+  getLockedCourseIds,
   isStudentLocked,
   getStudentInvoices,
   getInvoiceById,
+  applyStudentCredit,
+  recordPayment,
   markInvoicePaid,
   markDepositAndMonthsPaid,
+  amountDueFor,
+  getUnpaidMonths,
   createInvoice
 };
@@ -0,0 +1,57 @@
+// lib/jobs.js - Background jobs run by the scheduler (CommonJS)
+const { defineJob } = require('./scheduler.js');
+const { generateMonthlyInvoices, checkAndUpdateInvoiceStatuses } = require('./invoices.js');
+const { reconcilePendingAttempts, generateDailyReport } = require('./stkReconciliation.js');
+const { generatePayoutStatements } = require('./tutorPayouts.js');
+const { sendTrialNotices } = require('./trials.js');
+const { pruneSessions } = require('./sessions.js');
+const { pruneLoginAttempts } = require('./loginProtection.js');
+
+defineJob('generate-monthly-invoices', {
+  description: 'Creates the monthly installment invoices due this billing cycle',
+  intervalMinutes: 60,
+  handler: generateMonthlyInvoices
+});
+
+defineJob('check-overdue', {
+  description: 'Locks invoices past their grace period and charges late fees',
+  intervalMinutes: 15,
+  handler: checkAndUpdateInvoiceStatuses
+});
+
+defineJob('trial-notices', {
+  description: 'Reminds students whose free trial ends soon and tells them when it has ended unpaid',
+  intervalMinutes: 60,
+  handler: sendTrialNotices
+});
+
+defineJob('reconcile-stk-payments', {
+  description: 'Asks M-Pesa or the card gateway for the outcome of payments whose callback has not arrived',
+  intervalMinutes: 5,
+  lockMinutes: 30,
+  handler: reconcilePendingAttempts
+});
+
+defineJob('stk-daily-report', {
+  description: "Reports yesterday's M-Pesa and card payment attempts as settled, failed or unknown",
+  intervalMinutes: 24 * 60,
+  handler: () => generateDailyReport()
+});
+
+defineJob('generate-tutor-payouts', {
+  description: "Builds or refreshes last month's tutor payout statements from course revenue",
+  intervalMinutes: 24 * 60,
+  handler: () => generatePayoutStatements()
+});
+
+defineJob('prune-sessions', {
+  description: 'Deletes login sessions that expired or were revoked more than 30 days ago',
+  intervalMinutes: 24 * 60,
+  handler: pruneSessions
+});
+
+defineJob('prune-login-attempts', {
+  description: 'Deletes login attempt records older than 90 days',
+  intervalMinutes: 24 * 60,
+  handler: pruneLoginAttempts
+});
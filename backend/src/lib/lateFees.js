@@ -0,0 +1,224 @@
+// lib/lateFees.js - Late fee rules, penalty invoices and waivers (CommonJS)
+const db = require('../config/database.js');
+const NotificationController = require('../controllers/notificationController.js');
+const { roundMoney, recordLedgerEntry } = require('./ledger.js');
+
+const LATE_FEE_TYPES = ['flat', 'percentage'];
+const DEFAULT_LATE_FEE = { enabled: false, type: 'flat', value: 0, cap: null, graceDays: 0 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Checks a rule from the admin UI and returns an error message, or null
+function validateLateFeeRule(rule) {
+  if (!LATE_FEE_TYPES.includes(rule.type)) {
+    return `Late fee type must be one of: ${LATE_FEE_TYPES.join(', ')}`;
+  }
+  const value = parseFloat(rule.value);
+  if (isNaN(value) || value < 0) return 'Late fee value must be zero or more';
+  if (rule.type === 'percentage' && value > 100) return 'A percentage late fee cannot exceed 100%';
+  if (rule.cap !== null && rule.cap !== undefined && rule.cap !== '' && !(parseFloat(rule.cap) > 0)) {
+    return 'Late fee cap must be greater than zero';
+  }
+  const graceDays = parseInt(rule.graceDays ?? 0);
+  if (isNaN(graceDays) || graceDays < 0) return 'Late fee grace days must be zero or more';
+  return null;
+}
+
+// The course's own rule wins over the global one; 'none' switches fees off
+function resolveLateFeeRule(pricing, settings) {
+  if (pricing && pricing.late_fee_type === 'none') return null;
+
+  if (pricing && LATE_FEE_TYPES.includes(pricing.late_fee_type)) {
+    return {
+      type: pricing.late_fee_type,
+      value: parseFloat(pricing.late_fee_value || 0),
+      cap: pricing.late_fee_cap !== null && pricing.late_fee_cap !== undefined ? parseFloat(pricing.late_fee_cap) : null,
+      graceDays: parseInt(pricing.late_fee_grace_days || 0)
+    };
+  }
+
+  const global = { ...DEFAULT_LATE_FEE, ...(settings.lateFee || {}) };
+  if (!global.enabled) return null;
+  return {
+    type: global.type,
+    value: parseFloat(global.value || 0),
+    cap: global.cap ? parseFloat(global.cap) : null,
+    graceDays: parseInt(global.graceDays || 0)
+  };
+}
+
+// Percentage fees are charged on what is still owed, not the original amount
+function calculateLateFee(rule, balanceDue) {
+  let fee = rule.type === 'percentage' ? balanceDue * rule.value / 100 : rule.value;
+  if (rule.cap) fee = Math.min(fee, rule.cap);
+  return roundMoney(Math.max(fee, 0));
+}
+
+// Charges one penalty invoice per overdue invoice once its late fee grace
+// window has passed. Returns the penalty invoices created.
+async function applyLateFees(settings) {
+  const now = new Date();
+
+  const overdue = await db.query(`
+    SELECT i.*, c.title as course_title,
+           cp.late_fee_type, cp.late_fee_value, cp.late_fee_cap, cp.late_fee_grace_days
+    FROM invoices i
+    JOIN courses c ON i.course_id = c.id
+    LEFT JOIN course_pricing cp ON cp.course_id = i.course_id
+    LEFT JOIN invoices p ON p.parent_invoice_id = i.id AND p.type = 'penalty'
+    WHERE i.status IN ('pending', 'locked') AND i.type != 'penalty'
+      AND i.due_date < ? AND p.id IS NULL
+  `, [now]);
+
+  const penalties = [];
+  for (const invoice of overdue) {
+    const rule = resolveLateFeeRule(invoice, settings);
+    if (!rule) continue;
+
+    const chargeFrom = new Date(new Date(invoice.due_date).getTime() + rule.graceDays * DAY_MS);
+    if (chargeFrom > now) continue;
+
+    const balanceDue = parseFloat(invoice.amount) - parseFloat(invoice.amount_paid || 0);
+    const fee = calculateLateFee(rule, balanceDue);
+    if (fee <= 0) continue;
+
+    const gracePeriodEnd = new Date(now);
+    gracePeriodEnd.setDate(gracePeriodEnd.getDate() + (settings.gracePeriodDays || 0));
+
+    const penaltyId = await db.insert('invoices', {
+      student_id: invoice.student_id,
+      course_id: invoice.course_id,
+      type: 'penalty',
+      parent_invoice_id: invoice.id,
+      amount: fee,
+      gross_amount: fee,
+      status: 'pending',
+      due_date: now,
+      grace_period_end: gracePeriodEnd,
+      billing_settings_version: settings.version || null,
+      created_at: now
+    });
+
+    const description = rule.type === 'percentage'
+      ? `Late fee on invoice #${invoice.id} (${rule.value}%)`
+      : `Late fee on invoice #${invoice.id}`;
+    await db.insert('invoice_line_items', {
+      invoice_id: penaltyId,
+      line_type: 'charge',
+      description,
+      amount: fee,
+      created_at: now
+    });
+
+    NotificationController.createNotification(
+      invoice.student_id,
+      'Late Fee Charged',
+      `A late fee of KES ${fee.toLocaleString()} has been added for your overdue ${invoice.course_title} invoice.`,
+      'warning',
+      '/student-dashboard/payment.html'
+    );
+
+    console.log(`[LateFees] Penalty invoice ${penaltyId} of ${fee} charged on overdue invoice ${invoice.id}`);
+    penalties.push({ id: penaltyId, studentId: invoice.student_id, parentInvoiceId: invoice.id, amount: fee });
+  }
+
+  return penalties;
+}
+
+// Waives a penalty invoice. Anything already paid towards it goes back to the
+// student's credit, and the waiver is kept as an audit record.
+async function waiveLateFee(invoiceId, { reason, adminId = null }) {
+  const invoice = await db.getOne('SELECT * FROM invoices WHERE id = ?', [invoiceId]);
+
+  if (!invoice) {
+    return { success: false, status: 404, error: 'Invoice not found' };
+  }
+  if (invoice.type !== 'penalty') {
+    return { success: false, status: 400, error: 'Only late fee invoices can be waived' };
+  }
+  if (invoice.status === 'waived') {
+    return { success: false, status: 400, error: 'This late fee has already been waived' };
+  }
+
+  const paid = roundMoney(parseFloat(invoice.amount_paid || 0));
+
+  const waiverId = await db.insert('late_fee_waivers', {
+    invoice_id: invoice.id,
+    student_id: invoice.student_id,
+    course_id: invoice.course_id,
+    amount: roundMoney(parseFloat(invoice.amount)),
+    refunded_to_credit: paid,
+    reason,
+    waived_by: adminId,
+    created_at: new Date()
+  });
+
+  if (paid > 0) {
+    await recordLedgerEntry({
+      studentId: invoice.student_id,
+      courseId: invoice.course_id,
+      invoiceId: invoice.id,
+      type: 'allocation',
+      amount: -paid,
+      description: `Waived late fee #${invoice.id} returned to credit`,
+      createdBy: adminId
+    });
+  }
+
+  await db.update('invoices', invoice.id, { status: 'waived', amount_paid: 0 });
+
+  const hasUnpaid = await db.getOne(`
+    SELECT id FROM invoices
+    WHERE student_id = ? AND status IN ('pending', 'locked')
+  `, [invoice.student_id]);
+  if (!hasUnpaid) {
+    await db.query('UPDATE users SET is_locked = 0 WHERE id = ?', [invoice.student_id]);
+  }
+
+  NotificationController.createNotification(
+    invoice.student_id,
+    'Late Fee Waived',
+    `Your late fee of KES ${parseFloat(invoice.amount).toLocaleString()} has been waived.`,
+    'success',
+    '/student-dashboard/payment.html'
+  );
+
+  console.log(`[LateFees] Penalty invoice ${invoice.id} waived by admin ${adminId}`);
+
+  return { success: true, waiverId, invoiceId: invoice.id, amount: parseFloat(invoice.amount), refundedToCredit: paid };
+}
+
+// Penalty invoices charged on each of the given invoices, keyed by parent id
+async function getLateFeesForInvoices(invoiceIds) {
+  const byInvoice = {};
+  if (!invoiceIds.length) return byInvoice;
+
+  const penalties = await db.query(`
+    SELECT id, parent_invoice_id, amount, amount_paid, status, created_at
+    FROM invoices
+    WHERE type = 'penalty' AND parent_invoice_id IN (?)
+    ORDER BY id ASC
+  `, [invoiceIds]);
+
+  for (const penalty of penalties) {
+    if (!byInvoice[penalty.parent_invoice_id]) byInvoice[penalty.parent_invoice_id] = [];
+    byInvoice[penalty.parent_invoice_id].push({
+      id: penalty.id,
+      amount: parseFloat(penalty.amount),
+      amountPaid: parseFloat(penalty.amount_paid || 0),
+      status: penalty.status,
+      createdAt: penalty.created_at
+    });
+  }
+  return byInvoice;
+}
+
+module.exports = {
+  LATE_FEE_TYPES,
+  DEFAULT_LATE_FEE,
+  validateLateFeeRule,
+  resolveLateFeeRule,
+  calculateLateFee,
+  applyLateFees,
+  waiveLateFee,
+  getLateFeesForInvoices
+};
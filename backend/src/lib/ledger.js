@@ -0,0 +1,108 @@
+// lib/ledger.js - Student credit ledger (CommonJS)
+const db = require('../config/database.js');
+
+// Credit balance = payments + credit notes + adjustments - allocations to invoices.
+// Refunds are stored as negative amounts (a failed refund adds a positive one back).
+const BALANCE_SQL = `
+  COALESCE(SUM(CASE
+    WHEN entry_type = 'allocation' THEN -amount
+    ELSE amount
+  END), 0)
+`;
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+async function recordLedgerEntry(entry) {
+  return await db.insert('ledger_entries', {
+    student_id: entry.studentId,
+    course_id: entry.courseId || null,
+    invoice_id: entry.invoiceId || null,
+    entry_type: entry.type,
+    amount: roundMoney(entry.amount),
+    method: entry.method || null,
+    reference: entry.reference || null,
+    source: entry.source || null,
+    source_id: entry.sourceId || null,
+    description: entry.description || null,
+    created_by: entry.createdBy || null,
+    created_at: new Date()
+  });
+}
+
+async function getCreditBalance(studentId) {
+  const row = await db.getOne(`
+    SELECT ${BALANCE_SQL} as balance FROM ledger_entries WHERE student_id = ?
+  `, [studentId]);
+  return roundMoney(parseFloat(row.balance));
+}
+
+// A payment already on the ledger under this receipt/transaction reference
+async function findPaymentByReference(reference) {
+  if (!reference) return null;
+  return await db.getOne(`
+    SELECT * FROM ledger_entries WHERE entry_type = 'payment' AND reference = ?
+  `, [reference]);
+}
+
+async function getLedgerEntries(studentId, limit = 50) {
+  return await db.query(`
+    SELECT le.*, c.title as course_title
+    FROM ledger_entries le
+    LEFT JOIN courses c ON le.course_id = c.id
+    WHERE le.student_id = ?
+    ORDER BY le.created_at DESC, le.id DESC
+    LIMIT ?
+  `, [studentId, limit]);
+}
+
+// Totals per student (and per course) straight from the ledger
+async function getLedgerSummary(studentId) {
+  const totals = await db.getOne(`
+    SELECT
+      COALESCE(SUM(CASE WHEN entry_type = 'payment' THEN amount ELSE 0 END), 0) as total_paid,
+      COALESCE(SUM(CASE WHEN entry_type = 'allocation' THEN amount ELSE 0 END), 0) as total_allocated,
+      COALESCE(SUM(CASE WHEN entry_type = 'credit_note' THEN amount ELSE 0 END), 0) as total_credited,
+      COALESCE(-SUM(CASE WHEN entry_type = 'refund' THEN amount ELSE 0 END), 0) as total_refunded,
+      ${BALANCE_SQL} as credit_balance
+    FROM ledger_entries WHERE student_id = ?
+  `, [studentId]);
+
+  const outstanding = await db.getOne(`
+    SELECT COALESCE(SUM(amount - amount_paid), 0) as total
+    FROM invoices WHERE student_id = ? AND status IN ('pending', 'locked')
+  `, [studentId]);
+
+  const byCourse = await db.query(`
+    SELECT course_id,
+           COALESCE(SUM(CASE WHEN entry_type = 'payment' THEN amount ELSE 0 END), 0) as paid,
+           COALESCE(SUM(CASE WHEN entry_type = 'allocation' THEN amount ELSE 0 END), 0) as allocated
+    FROM ledger_entries
+    WHERE student_id = ? AND course_id IS NOT NULL
+    GROUP BY course_id
+  `, [studentId]);
+
+  return {
+    totalPaid: roundMoney(parseFloat(totals.total_paid)),
+    totalAllocated: roundMoney(parseFloat(totals.total_allocated)),
+    totalCredited: roundMoney(parseFloat(totals.total_credited)),
+    totalRefunded: roundMoney(parseFloat(totals.total_refunded)),
+    creditBalance: roundMoney(parseFloat(totals.credit_balance)),
+    outstanding: roundMoney(parseFloat(outstanding.total)),
+    byCourse: byCourse.map(row => ({
+      courseId: row.course_id,
+      paid: roundMoney(parseFloat(row.paid)),
+      allocated: roundMoney(parseFloat(row.allocated))
+    }))
+  };
+}
+
+module.exports = {
+  roundMoney,
+  recordLedgerEntry,
+  getCreditBalance,
+  findPaymentByReference,
+  getLedgerEntries,
+  getLedgerSummary
+};
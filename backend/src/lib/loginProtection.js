@@ -0,0 +1,222 @@
+// lib/loginProtection.js - Failed-login tracking, progressive delays and lockouts (CommonJS)
+//
+// Each account may fail maxLoginAttempts times (admin setting) before it is
+// locked for BASE_LOCKOUT_MINUTES, doubling with every further lockout until
+// a successful login. Separately, an address that fails IP_FAILURE_LIMIT
+// times within IP_WINDOW_MINUTES is refused for any account, which stops one
+// client guessing across many emails.
+const db = require('../config/database.js');
+const { sendAccountLockedEmail } = require('./email.js');
+
+const DEFAULT_MAX_LOGIN_ATTEMPTS = 5;
+const BASE_LOCKOUT_MINUTES = 15;
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+const IP_FAILURE_LIMIT = 20;
+const IP_WINDOW_MINUTES = 15;
+const MAX_FAILURE_DELAY_MS = 8000;
+const ATTEMPT_RETENTION_DAYS = 90;
+
+async function getMaxLoginAttempts() {
+  const row = await db.getOne("SELECT setting_value FROM settings WHERE setting_key = 'maxLoginAttempts'");
+  const attempts = parseInt(row?.setting_value);
+  return attempts > 0 ? attempts : DEFAULT_MAX_LOGIN_ATTEMPTS;
+}
+
+function lockoutMinutes(previousLockouts) {
+  return Math.min(BASE_LOCKOUT_MINUTES * 2 ** previousLockouts, MAX_LOCKOUT_MINUTES);
+}
+
+// No wait after the first failure, then 0.5s, 1s, 2s... up to 8s
+function failureDelayMs(failures) {
+  if (failures <= 1) return 0;
+  return Math.min(500 * 2 ** (failures - 2), MAX_FAILURE_DELAY_MS);
+}
+
+function minutesUntil(date) {
+  return Math.max(1, Math.ceil((new Date(date) - Date.now()) / 60000));
+}
+
+async function countIpFailures(ipAddress) {
+  if (!ipAddress) return 0;
+  const row = await db.getOne(`
+    SELECT COUNT(*) as count FROM login_attempts
+    WHERE ip_address = ? AND success = 0 AND created_at > DATE_SUB(NOW(), INTERVAL ? MINUTE)
+  `, [ipAddress, IP_WINDOW_MINUTES]);
+  return parseInt(row?.count || 0);
+}
+
+// Whether a login may be tried at all. user is the users row, or null for an
+// unknown email.
+async function checkLoginAllowed(user, ipAddress) {
+  if (await countIpFailures(ipAddress) >= IP_FAILURE_LIMIT) {
+    return {
+      allowed: false,
+      status: 429,
+      code: 'IP_BLOCKED',
+      retryAfter: IP_WINDOW_MINUTES * 60,
+      error: `Too many failed logins from your network. Try again in ${IP_WINDOW_MINUTES} minutes.`
+    };
+  }
+
+  if (user?.login_locked_until && new Date(user.login_locked_until) > new Date()) {
+    const minutes = minutesUntil(user.login_locked_until);
+    return {
+      allowed: false,
+      status: 429,
+      code: 'ACCOUNT_LOCKED',
+      retryAfter: minutes * 60,
+      error: `This account is locked after too many failed logins. Try again in ${minutes} minute${minutes === 1 ? '' : 's'} or reset your password.`
+    };
+  }
+
+  return { allowed: true };
+}
+
+async function recordAttempt(email, userId, ipAddress, success, reason) {
+  await db.insert('login_attempts', {
+    email: String(email || '').toLowerCase().slice(0, 255),
+    user_id: userId,
+    ip_address: ipAddress,
+    success: success ? 1 : 0,
+    reason,
+    created_at: new Date()
+  });
+}
+
+async function notifyLockout(user, minutes, lockedUntil, ipAddress) {
+  try {
+    await sendAccountLockedEmail(user.email, {
+      name: user.full_name || user.username,
+      minutes,
+      lockedUntil,
+      ipAddress,
+      resetLink: `${process.env.FRONTEND_URL || 'https://nurufoundations.com'}/forgot-password.html`
+    });
+  } catch (error) {
+    console.error('[LoginProtection] Failed to send lockout email:', error.message);
+  }
+}
+
+// Records a failed login and locks the account once it reaches the limit.
+// Returns how long to hold the response back and whether it is now locked.
+async function recordLoginFailure(email, user, ipAddress, reason = 'bad_password') {
+  await recordAttempt(email, user?.id || null, ipAddress, false, reason);
+
+  if (!user) {
+    return { locked: false, delayMs: failureDelayMs(await countIpFailures(ipAddress)) };
+  }
+
+  await db.query(
+    'UPDATE users SET failed_login_count = failed_login_count + 1, last_failed_login_at = ? WHERE id = ?',
+    [new Date(), user.id]
+  );
+  const current = await db.getOne('SELECT failed_login_count, login_lockouts FROM users WHERE id = ?', [user.id]);
+  const failures = current.failed_login_count;
+  const maxAttempts = await getMaxLoginAttempts();
+
+  if (failures < maxAttempts) {
+    return { locked: false, remaining: maxAttempts - failures, delayMs: failureDelayMs(failures) };
+  }
+
+  const minutes = lockoutMinutes(current.login_lockouts);
+  const lockedUntil = new Date(Date.now() + minutes * 60000);
+  await db.update('users', user.id, {
+    failed_login_count: 0,
+    login_lockouts: current.login_lockouts + 1,
+    login_locked_until: lockedUntil
+  });
+  console.warn(`[LoginProtection] Locked user ${user.id} for ${minutes} minutes after ${failures} failed logins (last from ${ipAddress})`);
+  await notifyLockout(user, minutes, lockedUntil, ipAddress);
+
+  return { locked: true, lockedUntil, minutes, delayMs: failureDelayMs(failures) };
+}
+
+async function recordLoginSuccess(user, ipAddress) {
+  await recordAttempt(user.email, user.id, ipAddress, true, null);
+  if (user.failed_login_count || user.login_lockouts || user.login_locked_until) {
+    await db.update('users', user.id, {
+      failed_login_count: 0,
+      login_lockouts: 0,
+      login_locked_until: null
+    });
+  }
+}
+
+// Lifts a lockout, e.g. when an admin unlocks the account or the user resets
+// their password. Returns whether the account was locked.
+async function unlockAccount(userId) {
+  const user = await db.getOne('SELECT login_locked_until FROM users WHERE id = ?', [userId]);
+  if (!user) return false;
+
+  const wasLocked = !!user.login_locked_until && new Date(user.login_locked_until) > new Date();
+  await db.update('users', userId, {
+    failed_login_count: 0,
+    login_lockouts: 0,
+    login_locked_until: null
+  });
+  return wasLocked;
+}
+
+// Accounts locked right now, and addresses currently refused for failing too often
+async function getLockedAccounts() {
+  const accounts = await db.query(`
+    SELECT u.id, u.email, u.full_name, u.username, r.name as role_name,
+           u.login_locked_until, u.login_lockouts, u.last_failed_login_at,
+           (SELECT la.ip_address FROM login_attempts la
+            WHERE la.user_id = u.id AND la.success = 0
+            ORDER BY la.created_at DESC LIMIT 1) as last_failed_ip
+    FROM users u
+    LEFT JOIN roles r ON u.role_id = r.id
+    WHERE u.login_locked_until > NOW()
+    ORDER BY u.login_locked_until DESC
+  `);
+
+  const blockedIps = await db.query(`
+    SELECT ip_address, COUNT(*) as failures, COUNT(DISTINCT email) as emails, MAX(created_at) as last_attempt_at
+    FROM login_attempts
+    WHERE success = 0 AND ip_address IS NOT NULL AND created_at > DATE_SUB(NOW(), INTERVAL ? MINUTE)
+    GROUP BY ip_address
+    HAVING COUNT(*) >= ?
+    ORDER BY failures DESC
+  `, [IP_WINDOW_MINUTES, IP_FAILURE_LIMIT]);
+
+  return {
+    accounts: accounts.map(a => ({
+      userId: a.id,
+      email: a.email,
+      fullName: a.full_name || a.username,
+      role: a.role_name,
+      lockedUntil: a.login_locked_until,
+      minutesLeft: minutesUntil(a.login_locked_until),
+      lockouts: a.login_lockouts,
+      lastFailedAt: a.last_failed_login_at,
+      lastFailedIp: a.last_failed_ip
+    })),
+    blockedIps: blockedIps.map(b => ({
+      ipAddress: b.ip_address,
+      failures: parseInt(b.failures),
+      emails: parseInt(b.emails),
+      lastAttemptAt: b.last_attempt_at
+    }))
+  };
+}
+
+async function pruneLoginAttempts() {
+  const result = await db.query(
+    'DELETE FROM login_attempts WHERE created_at < DATE_SUB(NOW(), INTERVAL ? DAY)',
+    [ATTEMPT_RETENTION_DAYS]
+  );
+  return { deleted: result.affectedRows || 0 };
+}
+
+module.exports = {
+  IP_FAILURE_LIMIT,
+  IP_WINDOW_MINUTES,
+  getMaxLoginAttempts,
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockAccount,
+  getLockedAccounts,
+  pruneLoginAttempts
+};
@@ -9,15 +9,62 @@ const MPESA_CONFIG = {
   passkey: process.env.MPESA_PASSKEY || 'your_passkey',
   env: process.env.MPESA_ENV || 'sandbox',
   callbackUrl: process.env.MPESA_CALLBACK_URL || 'https://nurufoundations.com/api/mpesa/callback',
-  forceSimulation: process.env.MPESA_FORCE_SIMULATION === 'true'
+  forceSimulation: process.env.MPESA_FORCE_SIMULATION === 'true',
+  // STK, B2C and C2B callbacks must carry this secret as the last path segment of the URL
+  callbackSecret: process.env.MPESA_CALLBACK_SECRET || '',
+  // Comma-separated IPs allowed to post callbacks; 'safaricom' for the published list
+  callbackIps: process.env.MPESA_CALLBACK_IPS || '',
+  // Overrides the Safaricom host, e.g. to point at a local Daraja stand-in
+  baseUrl: process.env.MPESA_BASE_URL || null,
+  // B2C (refunds) - the initiator must be set up on the Daraja portal
+  b2cShortCode: process.env.MPESA_B2C_SHORT_CODE || process.env.MPESA_SHORT_CODE || '',
+  initiatorName: process.env.MPESA_INITIATOR_NAME || '',
+  securityCredential: process.env.MPESA_SECURITY_CREDENTIAL || '',
+  b2cResultUrl: process.env.MPESA_B2C_RESULT_URL || 'https://nurufoundations.com/api/mpesa/b2c/result',
+  b2cTimeoutUrl: process.env.MPESA_B2C_TIMEOUT_URL || 'https://nurufoundations.com/api/mpesa/b2c/timeout',
+  // C2B (payments made straight to the paybill from the SIM menu)
+  c2bShortCode: process.env.MPESA_C2B_SHORT_CODE || process.env.MPESA_SHORT_CODE || '',
+  c2bValidationUrl: process.env.MPESA_C2B_VALIDATION_URL || 'https://nurufoundations.com/api/mpesa/c2b/validation',
+  c2bConfirmationUrl: process.env.MPESA_C2B_CONFIRMATION_URL || 'https://nurufoundations.com/api/mpesa/c2b/confirmation',
+  // Reject paybill payments whose account number matches no student or invoice
+  c2bRejectUnmatched: process.env.MPESA_C2B_REJECT_UNMATCHED === 'true'
 };
 
+// Addresses Safaricom documents for its callback servers
+const SAFARICOM_CALLBACK_IPS = [
+  '196.201.214.200', '196.201.214.206', '196.201.213.114', '196.201.214.207',
+  '196.201.214.208', '196.201.213.44', '196.201.212.127', '196.201.212.138',
+  '196.201.212.129', '196.201.212.136', '196.201.212.74', '196.201.212.69'
+];
+
+function getCallbackIpAllowlist() {
+  return MPESA_CONFIG.callbackIps
+    .split(',')
+    .map(ip => ip.trim())
+    .filter(Boolean)
+    .flatMap(ip => ip.toLowerCase() === 'safaricom' ? SAFARICOM_CALLBACK_IPS : [ip]);
+}
+
+function withCallbackSecret(callbackUrl) {
+  const url = callbackUrl.replace(/\/$/, '');
+  return MPESA_CONFIG.callbackSecret ? `${url}/${encodeURIComponent(MPESA_CONFIG.callbackSecret)}` : url;
+}
+
+function getCallbackUrl() {
+  return withCallbackSecret(MPESA_CONFIG.callbackUrl);
+}
+
 const getBaseUrl = () => {
+  if (MPESA_CONFIG.baseUrl) return MPESA_CONFIG.baseUrl.replace(/\/$/, '');
   return MPESA_CONFIG.env === 'production'
     ? 'https://api.safaricom.co.ke'
     : 'https://sandbox.safaricom.co.ke';
 };
 
+if (MPESA_CONFIG.baseUrl) {
+  console.log(`[M-Pesa] Using Daraja API at ${getBaseUrl()}`);
+}
+
 let accessToken = null;
 let tokenExpiry = null;
 
@@ -61,7 +108,7 @@ async function initiateSTKPush(phone, amount, invoiceId, description = 'Nuru Fou
       PartyA: phone,
       PartyB: MPESA_CONFIG.shortCode,
       PhoneNumber: phone,
-      CallBackURL: MPESA_CONFIG.callbackUrl,
+      CallBackURL: getCallbackUrl(),
       AccountReference: `Invoice-${invoiceId}`,
       TransactionDesc: description
     };
@@ -80,6 +127,7 @@ async function initiateSTKPush(phone, amount, invoiceId, description = 'Nuru Fou
     return {
       success: true,
       checkoutRequestId: response.data.CheckoutRequestID,
+      merchantRequestId: response.data.MerchantRequestID,
       responseCode: response.data.ResponseCode,
       responseDescription: response.data.ResponseDescription
     };
@@ -133,6 +181,34 @@ async function queryTransactionStatus(checkoutRequestId) {
   }
 }
 
+// STK result codes Safaricom sends back, in words a student understands
+const STK_RESULT_REASONS = {
+  1: 'Insufficient M-Pesa balance',
+  1001: 'Another M-Pesa transaction was already in progress on your phone',
+  1019: 'The payment request expired before it was completed',
+  1025: 'M-Pesa could not send the payment prompt to your phone',
+  1032: 'Cancelled on your phone',
+  1037: 'Your phone could not be reached, or the prompt was not answered in time',
+  2001: 'Wrong M-Pesa PIN entered',
+  9999: 'M-Pesa could not send the payment prompt to your phone'
+};
+
+// Maps an STK result code to a payment attempt status and failure reason
+function describeStkResult(resultCode, resultDesc) {
+  const code = parseInt(resultCode);
+  let status = 'failed';
+  if (code === 0) status = 'succeeded';
+  else if (code === 1032) status = 'cancelled';
+  else if (code === 1019 || code === 1037) status = 'timed_out';
+
+  return {
+    status,
+    failureReason: status === 'succeeded'
+      ? null
+      : STK_RESULT_REASONS[code] || resultDesc || 'M-Pesa did not complete the payment'
+  };
+}
+
 function parseCallbackPayload(payload) {
   try {
     const body = payload.Body || payload;
@@ -158,6 +234,155 @@ function parseCallbackPayload(payload) {
   }
 }
 
+// Sends money from the business to a customer's phone (used for refunds).
+// The outcome arrives later on the B2C result URL.
+async function initiateB2CPayment(phone, amount, remarks = 'Nuru Foundation Refund', occasion = '') {
+  try {
+    const token = await getAccessToken();
+
+    const payload = {
+      InitiatorName: MPESA_CONFIG.initiatorName,
+      SecurityCredential: MPESA_CONFIG.securityCredential,
+      CommandID: 'BusinessPayment',
+      Amount: Math.floor(amount),
+      PartyA: MPESA_CONFIG.b2cShortCode,
+      PartyB: phone,
+      Remarks: remarks.slice(0, 100),
+      QueueTimeOutURL: withCallbackSecret(MPESA_CONFIG.b2cTimeoutUrl),
+      ResultURL: withCallbackSecret(MPESA_CONFIG.b2cResultUrl),
+      Occasion: occasion.slice(0, 100)
+    };
+
+    const response = await axios.post(
+      `${getBaseUrl()}/mpesa/b2c/v1/paymentrequest`,
+      payload,
+      {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+
+    return {
+      success: response.data.ResponseCode === '0',
+      conversationId: response.data.ConversationID,
+      originatorConversationId: response.data.OriginatorConversationID,
+      responseCode: response.data.ResponseCode,
+      responseDescription: response.data.ResponseDescription,
+      error: response.data.ResponseCode === '0' ? null : response.data.ResponseDescription
+    };
+  } catch (error) {
+    console.error('Mpesa B2C Error:', error.response?.data || error.message);
+    return {
+      success: false,
+      error: error.response?.data?.errorMessage || error.message || 'Failed to initiate refund'
+    };
+  }
+}
+
+function parseB2CResult(payload) {
+  try {
+    const result = payload.Result || {};
+    const params = result.ResultParameters?.ResultParameter || [];
+    const param = name => params.find(p => p.Key === name)?.Value ?? null;
+
+    return {
+      success: true,
+      resultCode: result.ResultCode,
+      resultDesc: result.ResultDesc,
+      conversationId: result.ConversationID,
+      originatorConversationId: result.OriginatorConversationID,
+      transactionId: result.TransactionID || null,
+      amount: param('TransactionAmount'),
+      receiverName: param('ReceiverPartyPublicName')
+    };
+  } catch (error) {
+    console.error('Mpesa B2C Result Parse Error:', error.message);
+    return {
+      success: false,
+      error: 'Failed to parse B2C result payload'
+    };
+  }
+}
+
+// Tells Safaricom where to send paybill validation and confirmation requests.
+// ResponseType 'Completed' means payments still go through if our validation
+// URL cannot be reached.
+async function registerC2BUrls() {
+  try {
+    const token = await getAccessToken();
+
+    const payload = {
+      ShortCode: MPESA_CONFIG.c2bShortCode,
+      ResponseType: 'Completed',
+      ConfirmationURL: withCallbackSecret(MPESA_CONFIG.c2bConfirmationUrl),
+      ValidationURL: withCallbackSecret(MPESA_CONFIG.c2bValidationUrl)
+    };
+
+    const response = await axios.post(
+      `${getBaseUrl()}/mpesa/c2b/v1/registerurl`,
+      payload,
+      {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+
+    return {
+      success: true,
+      responseCode: response.data.ResponseCode,
+      responseDescription: response.data.ResponseDescription,
+      ...payload
+    };
+  } catch (error) {
+    console.error('Mpesa C2B Register Error:', error.response?.data || error.message);
+    return {
+      success: false,
+      error: error.response?.data?.errorMessage || error.message || 'Failed to register C2B URLs'
+    };
+  }
+}
+
+// Validation and confirmation requests share the same body
+function parseC2BPayload(payload) {
+  const body = payload || {};
+  const names = [body.FirstName, body.MiddleName, body.LastName].filter(Boolean);
+  const time = String(body.TransTime || '');
+
+  // TransTime is YYYYMMDDHHmmss in East Africa Time (UTC+3)
+  let transactionTime = null;
+  if (/^\d{14}$/.test(time)) {
+    transactionTime = new Date(`${time.slice(0, 4)}-${time.slice(4, 6)}-${time.slice(6, 8)}T${time.slice(8, 10)}:${time.slice(10, 12)}:${time.slice(12, 14)}+03:00`);
+  }
+
+  return {
+    transactionType: body.TransactionType || null,
+    transactionId: body.TransID || null,
+    transactionTime,
+    amount: parseFloat(body.TransAmount) || 0,
+    shortCode: body.BusinessShortCode ? String(body.BusinessShortCode) : null,
+    accountReference: String(body.BillRefNumber || '').trim(),
+    invoiceNumber: body.InvoiceNumber || null,
+    orgAccountBalance: body.OrgAccountBalance || null,
+    thirdPartyTransactionId: body.ThirdPartyTransID || null,
+    phoneNumber: body.MSISDN ? String(body.MSISDN) : null,
+    payerName: names.join(' ') || null
+  };
+}
+
+// MPESA_FORCE_SIMULATION marks payments and refunds done with no money moving,
+// so it is only honoured outside production
+function isSimulationAllowed() {
+  return MPESA_CONFIG.forceSimulation && process.env.NODE_ENV !== 'production';
+}
+
+function isB2CConfigured() {
+  return !!(isMpesaConfigured() && MPESA_CONFIG.initiatorName && MPESA_CONFIG.securityCredential && MPESA_CONFIG.b2cShortCode);
+}
+
 function formatPhoneNumber(phone) {
   let cleaned = phone.replace(/\D/g, '');
 
@@ -206,8 +431,17 @@ module.exports = {
   initiateSTKPush,
   queryTransactionStatus,
   parseCallbackPayload,
+  describeStkResult,
+  initiateB2CPayment,
+  parseB2CResult,
+  registerC2BUrls,
+  parseC2BPayload,
   formatPhoneNumber,
   isMpesaConfigured,
+  isB2CConfigured,
   simulatePayment,
+  isSimulationAllowed,
+  getCallbackUrl,
+  getCallbackIpAllowlist,
   MPESA_CONFIG
 };
\ No newline at end of file
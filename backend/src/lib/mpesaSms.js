@@ -0,0 +1,113 @@
+// lib/mpesaSms.js - Reading M-Pesa confirmation messages pasted by students (CommonJS)
+//
+// Safaricom's confirmation for a payment made from the payer's phone looks like:
+//   paybill: "SJK3ABC12X Confirmed. Ksh1,500.00 sent to NURU FOUNDATION for
+//             account 1234 on 5/6/24 at 10:15 AM. New M-PESA balance is ..."
+//   till:    "SJK3ABC12X Confirmed. Ksh1,500.00 paid to NURU FOUNDATION. on
+//             5/6/24 at 10:15 AM.New M-PESA balance is ..."
+//   person:  "SJK3ABC12X Confirmed. Ksh1,500.00 sent to JANE DOE 0712345678
+//             on 5/6/24 at 10:15 AM. New M-PESA balance is ..."
+// Dates are day/month/year in East Africa Time.
+
+const RECEIPT_PATTERN = /^[A-Z0-9]{10}$/;
+
+const DATE_TIME = '(\\d{1,2}\\/\\d{1,2}\\/\\d{2,4})\\s+at\\s+(\\d{1,2}:\\d{2}\\s*[AP]M)';
+const PAYBILL = new RegExp(`sent to\\s+(.+?)\\s+for account\\s+(.+?)\\s+on\\s+${DATE_TIME}`, 'i');
+const TILL = new RegExp(`paid to\\s+(.+?)\\.?\\s+on\\s+${DATE_TIME}`, 'i');
+const PERSON = new RegExp(`sent to\\s+(.+?)\\s+(?:(\\+?254\\d{9}|0\\d{9})\\s+)?on\\s+${DATE_TIME}`, 'i');
+
+function normalizeReceipt(value) {
+  return String(value || '').trim().toUpperCase();
+}
+
+function isValidReceipt(value) {
+  return RECEIPT_PATTERN.test(normalizeReceipt(value));
+}
+
+// "5/6/24" and "10:15 AM" in EAT -> Date, or null when either is unreadable
+function parseSmsDate(date, time) {
+  const dateParts = String(date).split('/').map(n => parseInt(n));
+  const timeMatch = String(time).trim().match(/^(\d{1,2}):(\d{2})\s*([AP]M)$/i);
+  if (dateParts.length !== 3 || dateParts.some(isNaN) || !timeMatch) return null;
+
+  let [day, month, year] = dateParts;
+  if (year < 100) year += 2000;
+  let hours = parseInt(timeMatch[1]) % 12;
+  if (timeMatch[3].toUpperCase() === 'PM') hours += 12;
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+
+  return new Date(Date.UTC(year, month - 1, day, hours - 3, parseInt(timeMatch[2])));
+}
+
+// Returns { success, receiptNumber, amount, type, recipient, accountNumber,
+// recipientPhone, paidAt } or { success: false, error }. type is 'paybill',
+// 'till' or 'person'.
+function parseMpesaSms(text) {
+  const sms = String(text || '').replace(/\s+/g, ' ').trim();
+  if (!sms) {
+    return { success: false, error: 'The M-Pesa message is empty' };
+  }
+
+  const receiptMatch = sms.match(/\b([A-Z0-9]{10})\s+Confirmed\b/i);
+  if (!receiptMatch) {
+    return { success: false, error: 'No M-Pesa transaction code found. Paste the whole confirmation message.' };
+  }
+
+  const amountMatch = sms.match(/Ksh\s*([\d,]+(?:\.\d{1,2})?)\s+(?:sent|paid) to/i);
+  if (!amountMatch) {
+    return { success: false, error: 'This does not look like a payment you sent. Paste the confirmation for the payment to us.' };
+  }
+
+  const result = {
+    success: true,
+    receiptNumber: receiptMatch[1].toUpperCase(),
+    amount: parseFloat(amountMatch[1].replace(/,/g, '')),
+    type: null,
+    recipient: null,
+    accountNumber: null,
+    recipientPhone: null,
+    paidAt: null
+  };
+
+  let match = sms.match(PAYBILL);
+  if (match) {
+    result.type = 'paybill';
+    result.recipient = match[1].trim();
+    result.accountNumber = match[2].trim();
+    result.paidAt = parseSmsDate(match[3], match[4]);
+    return result;
+  }
+
+  match = sms.match(TILL);
+  if (match) {
+    result.type = 'till';
+    result.recipient = match[1].trim();
+    result.paidAt = parseSmsDate(match[2], match[3]);
+    return result;
+  }
+
+  match = sms.match(PERSON);
+  if (match) {
+    result.type = 'person';
+    result.recipient = match[1].trim();
+    result.recipientPhone = match[2] || null;
+    result.paidAt = parseSmsDate(match[3], match[4]);
+    return result;
+  }
+
+  return { success: false, error: 'Could not read who the payment was sent to. Paste the whole confirmation message.' };
+}
+
+// Business names compared without case, punctuation or spacing
+function sameBusinessName(a, b) {
+  const normalize = value => String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return !!normalize(a) && normalize(a) === normalize(b);
+}
+
+module.exports = {
+  normalizeReceipt,
+  isValidReceipt,
+  parseSmsDate,
+  parseMpesaSms,
+  sameBusinessName
+};
@@ -0,0 +1,424 @@
+// lib/mpesaStatements.js - M-Pesa statement import and reconciliation (CommonJS)
+const db = require('../config/database.js');
+const { roundMoney } = require('./ledger.js');
+const { readFirstSheet } = require('./xlsx.js');
+
+// Statement headers (lower case, letters and digits only) and the field each fills
+const COLUMN_ALIASES = {
+  receipt: ['receiptno', 'receiptnumber', 'receipt', 'transactionid'],
+  completionTime: ['completiontime', 'transactiondate', 'transactiontime', 'date'],
+  details: ['details', 'description'],
+  status: ['transactionstatus', 'status'],
+  paidIn: ['paidin', 'credit', 'moneyin'],
+  withdrawn: ['withdrawn', 'debit', 'moneyout'],
+  balance: ['balance'],
+  otherParty: ['otherpartyinfo', 'otherparty', 'customer'],
+  accountRef: ['acno', 'accountno', 'accountnumber', 'billrefnumber', 'accountreference']
+};
+
+// Our M-Pesa references that are receipts, not STK checkout IDs
+const RECEIPT_PATTERN = /^[A-Z0-9]{8,12}$/;
+
+function normaliseHeader(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// RFC 4180 CSV: quoted fields may contain commas, quotes ("") and newlines
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+function parseAmount(value) {
+  const text = String(value || '').replace(/[,\s]|KES|Ksh/gi, '');
+  if (!text || text === '-') return 0;
+  const negative = /^\(.*\)$/.test(text) || text.startsWith('-');
+  const amount = parseFloat(text.replace(/[()-]/g, ''));
+  if (isNaN(amount)) return 0;
+  return roundMoney(negative ? -amount : amount);
+}
+
+// Portal exports use "2024-01-15 14:32:10" or "15-01-2024 14:32:10"; an
+// .xlsx date cell arrives as an Excel serial number
+function parseStatementTime(value) {
+  const text = String(value || '').trim();
+  if (!text) return null;
+
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    const serial = parseFloat(text);
+    const utc = new Date(Date.UTC(1899, 11, 30) + Math.round(serial * 86400) * 1000);
+    return new Date(utc.getUTCFullYear(), utc.getUTCMonth(), utc.getUTCDate(),
+      utc.getUTCHours(), utc.getUTCMinutes(), utc.getUTCSeconds());
+  }
+
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+  if (match) {
+    return new Date(match[1], match[2] - 1, match[3], match[4] || 0, match[5] || 0, match[6] || 0);
+  }
+  match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+  if (match) {
+    return new Date(match[3], match[2] - 1, match[1], match[4] || 0, match[5] || 0, match[6] || 0);
+  }
+  return null;
+}
+
+// Statements start with a block of account details; the table begins at the
+// first row that has a receipt column
+function findHeaderRow(rows) {
+  for (let i = 0; i < Math.min(rows.length, 50); i++) {
+    const headers = rows[i].map(normaliseHeader);
+    const columns = {};
+    for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+      const index = headers.findIndex(h => aliases.includes(h));
+      if (index !== -1) columns[field] = index;
+    }
+    if (columns.receipt !== undefined && columns.paidIn !== undefined) {
+      return { index: i, columns };
+    }
+  }
+  return null;
+}
+
+// Reads a statement file into its transaction lines. Returns
+// { format, lines } or { error }.
+function parseStatementFile(buffer, filename) {
+  const format = /\.xlsx$/i.test(filename) ? 'xlsx' : /\.csv$/i.test(filename) ? 'csv' : null;
+  if (!format) {
+    return { error: 'Upload the statement as a .csv or .xlsx file' };
+  }
+
+  let rows;
+  try {
+    rows = format === 'xlsx'
+      ? readFirstSheet(buffer)
+      : parseCsv(buffer.toString('utf8').replace(/^\uFEFF/, ''));
+  } catch (error) {
+    return { error: `Could not read the file: ${error.message}` };
+  }
+
+  const header = findHeaderRow(rows);
+  if (!header) {
+    return { error: 'No "Receipt No." and "Paid In" columns found. Is this an M-Pesa statement?' };
+  }
+
+  const { columns } = header;
+  const cell = (row, field) => columns[field] === undefined ? '' : String(row[columns[field]] ?? '').trim();
+  const lines = [];
+
+  rows.slice(header.index + 1).forEach((row, offset) => {
+    const receipt = cell(row, 'receipt').toUpperCase();
+    if (!receipt) return;
+
+    lines.push({
+      lineNumber: header.index + offset + 2,
+      receipt,
+      completionTime: parseStatementTime(cell(row, 'completionTime')),
+      details: cell(row, 'details').slice(0, 255) || null,
+      status: cell(row, 'status') || null,
+      paidIn: parseAmount(cell(row, 'paidIn')),
+      withdrawn: Math.abs(parseAmount(cell(row, 'withdrawn'))),
+      balance: cell(row, 'balance') ? parseAmount(cell(row, 'balance')) : null,
+      otherParty: cell(row, 'otherParty').slice(0, 255) || null,
+      accountRef: cell(row, 'accountRef').slice(0, 100) || null
+    });
+  });
+
+  if (!lines.length) {
+    return { error: 'The statement has no transactions' };
+  }
+  return { format, lines };
+}
+
+function isPaidIn(line) {
+  const status = String(line.transaction_status ?? line.status ?? 'completed').toLowerCase();
+  return parseFloat(line.paid_in ?? line.paidIn) > 0 && (!status || status === 'completed');
+}
+
+async function importStatement(buffer, filename, { adminId = null } = {}) {
+  const parsed = parseStatementFile(buffer, filename);
+  if (parsed.error) {
+    return { success: false, status: 400, error: parsed.error };
+  }
+
+  const { lines } = parsed;
+  const times = lines.map(l => l.completionTime).filter(Boolean).map(t => t.getTime());
+  const paidIn = lines.filter(isPaidIn);
+
+  const importId = await db.insert('mpesa_statement_imports', {
+    filename: String(filename).slice(0, 255),
+    file_format: parsed.format,
+    period_start: times.length ? new Date(Math.min(...times)) : null,
+    period_end: times.length ? new Date(Math.max(...times)) : null,
+    line_count: lines.length,
+    paid_in_count: paidIn.length,
+    paid_in_total: roundMoney(paidIn.reduce((sum, l) => sum + l.paidIn, 0)),
+    imported_by: adminId,
+    created_at: new Date()
+  });
+
+  for (let i = 0; i < lines.length; i += 500) {
+    const values = lines.slice(i, i + 500).map(l => [
+      importId, l.lineNumber, l.receipt, l.completionTime, l.details, l.status,
+      l.paidIn, l.withdrawn, l.balance, l.otherParty, l.accountRef
+    ]);
+    await db.query(`
+      INSERT INTO mpesa_statement_lines
+        (import_id, line_number, receipt_no, completion_time, details, transaction_status,
+         paid_in, withdrawn, balance, other_party, account_ref)
+      VALUES ?
+    `, [values]);
+  }
+
+  console.log(`[Statements] Imported ${filename}: ${lines.length} line(s), ${paidIn.length} paid in, by admin ${adminId}`);
+  return { success: true, importId };
+}
+
+function byKey(rows, key) {
+  const map = new Map();
+  for (const row of rows) {
+    if (!map.has(row[key])) map.set(row[key], row);
+  }
+  return map;
+}
+
+function amountsDiffer(a, b) {
+  return Math.abs(parseFloat(a) - parseFloat(b)) >= 0.01;
+}
+
+// Compares an imported statement with our records. Each paid-in line is
+//   recorded             on a student's ledger (or an invoice's receipt)
+//   submission_pending   claimed by a student's manual submission not yet verified
+//   suspense             a paybill payment waiting in the C2B suspense queue
+//   missing              nowhere in our records
+// and our own M-Pesa receipts from the statement period that the statement
+// does not list are returned as missingFromStatement.
+async function reconcileStatement(importId) {
+  const statement = await db.getOne(`
+    SELECT s.*, u.full_name as imported_by_name
+    FROM mpesa_statement_imports s
+    LEFT JOIN users u ON s.imported_by = u.id
+    WHERE s.id = ?
+  `, [importId]);
+  if (!statement) return null;
+
+  const lines = (await db.query(`
+    SELECT * FROM mpesa_statement_lines WHERE import_id = ? ORDER BY line_number ASC
+  `, [importId])).filter(isPaidIn);
+  const receipts = [...new Set(lines.map(l => l.receipt_no))];
+
+  let ledger = new Map();
+  let invoices = new Map();
+  let submissions = [];
+  let suspense = new Map();
+  if (receipts.length) {
+    ledger = byKey(await db.query(`
+      SELECT le.id, le.student_id, le.invoice_id, le.amount, le.reference, le.source, le.created_at,
+             u.full_name as student_name
+      FROM ledger_entries le
+      JOIN users u ON le.student_id = u.id
+      WHERE le.entry_type = 'payment' AND le.reference IN (?)
+    `, [receipts]), 'reference');
+    invoices = byKey(await db.query(`
+      SELECT i.id, i.student_id, i.amount, i.mpesa_receipt, u.full_name as student_name
+      FROM invoices i
+      JOIN users u ON i.student_id = u.id
+      WHERE i.mpesa_receipt IN (?)
+    `, [receipts]), 'mpesa_receipt');
+    submissions = await db.query(`
+      SELECT ps.id, ps.student_id, ps.invoice_id, ps.amount, ps.transaction_id, ps.status,
+             u.full_name as student_name
+      FROM payment_submissions ps
+      JOIN users u ON ps.student_id = u.id
+      WHERE UPPER(ps.transaction_id) IN (?)
+      ORDER BY ps.id DESC
+    `, [receipts]);
+    suspense = byKey(await db.query(`
+      SELECT id, trans_id, amount FROM mpesa_c2b_transactions
+      WHERE status = 'suspense' AND trans_id IN (?)
+    `, [receipts]), 'trans_id');
+  }
+
+  const summary = {
+    paidInCount: lines.length,
+    recorded: 0,
+    submissionPending: 0,
+    suspense: 0,
+    missing: 0,
+    amountMismatches: 0
+  };
+
+  const results = lines.map(line => {
+    const receipt = line.receipt_no;
+    const result = {
+      lineId: line.id,
+      lineNumber: line.line_number,
+      receipt,
+      completionTime: line.completion_time,
+      paidIn: parseFloat(line.paid_in),
+      otherParty: line.other_party,
+      accountRef: line.account_ref,
+      details: line.details,
+      state: 'missing',
+      studentId: null,
+      studentName: null,
+      invoiceId: null,
+      ourAmount: null,
+      submissionId: null,
+      amountMismatch: false,
+      note: null
+    };
+
+    const entry = ledger.get(receipt);
+    const invoice = invoices.get(receipt);
+    const submission = submissions.find(s => s.transaction_id.toUpperCase() === receipt && s.status === 'pending');
+    const rejected = submissions.find(s => s.transaction_id.toUpperCase() === receipt && s.status === 'rejected');
+
+    if (entry) {
+      Object.assign(result, {
+        state: 'recorded',
+        studentId: entry.student_id,
+        studentName: entry.student_name,
+        invoiceId: entry.invoice_id,
+        ourAmount: parseFloat(entry.amount)
+      });
+    } else if (invoice) {
+      Object.assign(result, {
+        state: 'recorded',
+        studentId: invoice.student_id,
+        studentName: invoice.student_name,
+        invoiceId: invoice.id,
+        ourAmount: parseFloat(invoice.amount)
+      });
+    } else if (submission) {
+      Object.assign(result, {
+        state: 'submission_pending',
+        studentId: submission.student_id,
+        studentName: submission.student_name,
+        invoiceId: submission.invoice_id,
+        ourAmount: parseFloat(submission.amount),
+        submissionId: submission.id
+      });
+    } else if (suspense.has(receipt)) {
+      Object.assign(result, { state: 'suspense', ourAmount: parseFloat(suspense.get(receipt).amount) });
+    } else if (rejected) {
+      result.note = `A submission for this receipt by ${rejected.student_name} was rejected`;
+    }
+
+    result.amountMismatch = result.ourAmount !== null && amountsDiffer(result.ourAmount, result.paidIn);
+    if (result.amountMismatch) summary.amountMismatches++;
+    if (result.state === 'recorded') summary.recorded++;
+    else if (result.state === 'submission_pending') summary.submissionPending++;
+    else if (result.state === 'suspense') summary.suspense++;
+    else summary.missing++;
+
+    return result;
+  });
+
+  // Whole days, so a payment recorded just after the last statement line
+  // still falls inside the period
+  let missingFromStatement = [];
+  if (statement.period_start && statement.period_end) {
+    const from = new Date(statement.period_start);
+    from.setHours(0, 0, 0, 0);
+    const to = new Date(statement.period_end);
+    to.setHours(23, 59, 59, 999);
+
+    const statementReceipts = new Set((await db.query(`
+      SELECT DISTINCT receipt_no FROM mpesa_statement_lines WHERE import_id = ?
+    `, [importId])).map(r => r.receipt_no));
+
+    const ours = await db.query(`
+      SELECT le.id, le.student_id, le.invoice_id, le.amount, le.reference, le.source, le.created_at,
+             u.full_name as student_name
+      FROM ledger_entries le
+      JOIN users u ON le.student_id = u.id
+      WHERE le.entry_type = 'payment' AND le.method = 'mpesa'
+        AND le.created_at BETWEEN ? AND ?
+      ORDER BY le.created_at ASC
+    `, [from, to]);
+
+    missingFromStatement = ours
+      .filter(e => e.reference && RECEIPT_PATTERN.test(e.reference.toUpperCase()) && !statementReceipts.has(e.reference.toUpperCase()))
+      .map(e => ({
+        ledgerEntryId: e.id,
+        receipt: e.reference,
+        amount: parseFloat(e.amount),
+        source: e.source,
+        studentId: e.student_id,
+        studentName: e.student_name,
+        invoiceId: e.invoice_id,
+        recordedAt: e.created_at
+      }));
+  }
+  summary.missingFromStatement = missingFromStatement.length;
+
+  return {
+    statement: {
+      id: statement.id,
+      filename: statement.filename,
+      format: statement.file_format,
+      periodStart: statement.period_start,
+      periodEnd: statement.period_end,
+      lineCount: statement.line_count,
+      paidInCount: statement.paid_in_count,
+      paidInTotal: parseFloat(statement.paid_in_total),
+      importedBy: statement.imported_by_name,
+      importedAt: statement.created_at
+    },
+    summary,
+    lines: results,
+    missingFromStatement
+  };
+}
+
+async function getStatementImports({ limit = 50 } = {}) {
+  return await db.query(`
+    SELECT s.*, u.full_name as imported_by_name
+    FROM mpesa_statement_imports s
+    LEFT JOIN users u ON s.imported_by = u.id
+    ORDER BY s.id DESC
+    LIMIT ?
+  `, [limit]);
+}
+
+module.exports = {
+  parseCsv,
+  parseStatementFile,
+  importStatement,
+  reconcileStatement,
+  getStatementImports
+};
@@ -0,0 +1,214 @@
+// lib/passwordPolicy.js - Password rules, reuse history and rotation (CommonJS)
+//
+// The passwordPolicy setting names one of POLICY_LEVELS. Every level also
+// refuses passwords from the bundled denylist (src/data/common-passwords.txt)
+// and ones built from the user's own email or username.
+// passwordHistoryCount blocks reusing that many recent passwords, and
+// passwordMaxAgeDays (0 = never) makes users change their password after that
+// many days.
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const db = require('../config/database.js');
+
+const POLICY_LEVELS = {
+  basic: {
+    label: 'Basic',
+    minLength: 8,
+    requireUppercase: false,
+    requireLowercase: false,
+    requireNumber: false,
+    requireSymbol: false
+  },
+  medium: {
+    label: 'Medium',
+    minLength: 8,
+    requireUppercase: true,
+    requireLowercase: true,
+    requireNumber: false,
+    requireSymbol: false
+  },
+  strong: {
+    label: 'Strong',
+    minLength: 12,
+    requireUppercase: true,
+    requireLowercase: true,
+    requireNumber: true,
+    requireSymbol: true
+  }
+};
+
+const DEFAULT_POLICY_LEVEL = 'basic';
+const DEFAULT_HISTORY_COUNT = 5;
+const MAX_HISTORY_COUNT = 24;
+const MAX_PASSWORD_LENGTH = 128;
+
+let commonPasswords = null;
+
+function loadCommonPasswords() {
+  if (!commonPasswords) {
+    const file = path.join(__dirname, '..', 'data', 'common-passwords.txt');
+    commonPasswords = new Set(
+      fs.readFileSync(file, 'utf8')
+        .split('\n')
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+    );
+  }
+  return commonPasswords;
+}
+
+// "Password2024!" and "password" are the same guess to an attacker
+function isCommonPassword(password) {
+  const list = loadCommonPasswords();
+  const lower = password.toLowerCase();
+  const stem = lower.replace(/[^a-z]+$/, '');
+  return list.has(lower) || (stem.length > 0 && list.has(stem));
+}
+
+async function getSettingValues(keys) {
+  const rows = await db.query('SELECT setting_key, setting_value FROM settings WHERE setting_key IN (?)', [keys]);
+  const values = {};
+  rows.forEach(row => { values[row.setting_key] = row.setting_value; });
+  return values;
+}
+
+function parseHistoryCount(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_HISTORY_COUNT;
+  const count = parseInt(value);
+  return isNaN(count) ? DEFAULT_HISTORY_COUNT : Math.min(Math.max(count, 0), MAX_HISTORY_COUNT);
+}
+
+// The active policy, in the shape the frontend uses for live requirements
+async function getPasswordPolicy() {
+  const settings = await getSettingValues(['passwordPolicy', 'passwordHistoryCount', 'passwordMaxAgeDays']);
+  const level = POLICY_LEVELS[settings.passwordPolicy] ? settings.passwordPolicy : DEFAULT_POLICY_LEVEL;
+
+  return {
+    level,
+    ...POLICY_LEVELS[level],
+    maxLength: MAX_PASSWORD_LENGTH,
+    blockCommon: true,
+    historyCount: parseHistoryCount(settings.passwordHistoryCount),
+    maxAgeDays: Math.max(parseInt(settings.passwordMaxAgeDays) || 0, 0)
+  };
+}
+
+// Rules that need no database: length, character classes, denylist and the
+// user's own details. Returns a list of problems, empty when the password is fine.
+function validatePasswordStrength(password, policy, user = null) {
+  const errors = [];
+  if (typeof password !== 'string' || !password) {
+    return ['Password is required'];
+  }
+
+  if (password.length < policy.minLength) {
+    errors.push(`Use at least ${policy.minLength} characters`);
+  }
+  if (password.length > MAX_PASSWORD_LENGTH) {
+    errors.push(`Use at most ${MAX_PASSWORD_LENGTH} characters`);
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    errors.push('Include an uppercase letter');
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    errors.push('Include a lowercase letter');
+  }
+  if (policy.requireNumber && !/[0-9]/.test(password)) {
+    errors.push('Include a number');
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    errors.push('Include a symbol such as ! or #');
+  }
+  if (isCommonPassword(password)) {
+    errors.push('This password is too common. Choose something harder to guess');
+  }
+
+  if (user) {
+    const lower = password.toLowerCase();
+    const personal = [user.email?.split('@')[0], user.username]
+      .filter(part => part && part.length >= 4)
+      .map(part => part.toLowerCase());
+    if (personal.some(part => lower.includes(part))) {
+      errors.push('Do not use your email address or username in your password');
+    }
+  }
+
+  return errors;
+}
+
+async function isRecentPassword(user, password, historyCount) {
+  if (historyCount === 0) return false;
+
+  const history = await db.query(
+    'SELECT password_hash FROM password_history WHERE user_id = ? ORDER BY created_at DESC, id DESC LIMIT ?',
+    [user.id, historyCount]
+  );
+  // Accounts from before history was kept only have their current hash
+  const hashes = [user.password_hash, ...history.map(h => h.password_hash)].filter(Boolean);
+
+  for (const hash of new Set(hashes)) {
+    if (await bcrypt.compare(password, hash)) return true;
+  }
+  return false;
+}
+
+// Full check for a password a user is about to set. user is the users row
+// (needs id, email, username and password_hash).
+async function checkNewPassword(password, user) {
+  const policy = await getPasswordPolicy();
+  const errors = validatePasswordStrength(password, policy, user);
+
+  if (errors.length === 0 && await isRecentPassword(user, password, policy.historyCount)) {
+    errors.push(policy.historyCount === 1
+      ? 'Choose a password you have not used before'
+      : `Choose a password different from your last ${policy.historyCount}`);
+  }
+
+  if (errors.length > 0) {
+    return { success: false, status: 400, error: errors.join('. '), errors, policy };
+  }
+  return { success: true, policy };
+}
+
+// Call after storing a password the user chose, so it counts towards the
+// history and restarts the rotation clock
+async function recordPasswordChange(userId, passwordHash) {
+  const policy = await getPasswordPolicy();
+  const now = new Date();
+
+  await db.update('users', userId, { password_changed_at: now });
+  await db.insert('password_history', {
+    user_id: userId,
+    password_hash: passwordHash,
+    created_at: now
+  });
+
+  // Keep only what the policy can look at; MySQL needs the inner query wrapped
+  await db.query(`
+    DELETE FROM password_history
+    WHERE user_id = ? AND id NOT IN (
+      SELECT id FROM (
+        SELECT id FROM password_history WHERE user_id = ? ORDER BY created_at DESC, id DESC LIMIT ?
+      ) recent
+    )
+  `, [userId, userId, Math.max(policy.historyCount, 1)]);
+}
+
+function isPasswordExpired(user, policy) {
+  if (!policy.maxAgeDays) return false;
+  const changedAt = user.password_changed_at || user.created_at;
+  if (!changedAt) return false;
+  return Date.now() - new Date(changedAt) > policy.maxAgeDays * 24 * 60 * 60 * 1000;
+}
+
+module.exports = {
+  POLICY_LEVELS,
+  DEFAULT_POLICY_LEVEL,
+  DEFAULT_HISTORY_COUNT,
+  getPasswordPolicy,
+  validatePasswordStrength,
+  checkNewPassword,
+  recordPasswordChange,
+  isPasswordExpired
+};
@@ -0,0 +1,305 @@
+// lib/paymentAttempts.js - Gateway payment attempts and idempotent result handling (CommonJS)
+const db = require('../config/database.js');
+const NotificationController = require('../controllers/notificationController.js');
+const { markInvoicePaid, markDepositAndMonthsPaid } = require('./invoices.js');
+const { describeStkResult } = require('./mpesa.js');
+const { getGateway } = require('./paymentGateways.js');
+
+const ATTEMPT_STATUSES = ['initiated', 'succeeded', 'failed', 'cancelled', 'timed_out', 'expired'];
+
+function gatewayName(attempt) {
+  const gateway = getGateway(attempt.gateway);
+  return gateway ? gateway.name : attempt.gateway;
+}
+
+async function recordEvent(attemptId, { from = null, to, source, detail = null, payload = null }) {
+  await db.insert('payment_attempt_events', {
+    attempt_id: attemptId,
+    from_status: from,
+    to_status: to,
+    source,
+    detail: detail ? String(detail).slice(0, 255) : null,
+    payload: payload ? JSON.stringify(payload) : null,
+    created_at: new Date()
+  });
+}
+
+// Records an attempt as soon as the gateway has answered the request to start
+// it (an STK push, or a card checkout). One the gateway refused is recorded
+// as failed straight away.
+async function createAttempt({ invoiceId, studentId, gateway = 'mpesa', phoneNumber = null, amount, monthsCount = null, push }) {
+  const status = push.success ? 'initiated' : 'failed';
+  const attemptId = await db.insert('payment_attempts', {
+    invoice_id: invoiceId,
+    student_id: studentId,
+    gateway,
+    phone_number: phoneNumber,
+    amount,
+    months_count: monthsCount,
+    checkout_request_id: push.checkoutRequestId || null,
+    merchant_request_id: push.merchantRequestId || null,
+    status,
+    failure_reason: push.success ? null : push.error,
+    created_at: new Date(),
+    completed_at: push.success ? null : new Date()
+  });
+
+  await recordEvent(attemptId, {
+    to: status,
+    source: gateway === 'mpesa' ? 'stk_push' : 'checkout',
+    detail: push.success ? push.responseDescription : push.error
+  });
+  return attemptId;
+}
+
+async function getAttemptByCheckoutId(checkoutRequestId) {
+  return await db.getOne('SELECT * FROM payment_attempts WHERE checkout_request_id = ?', [checkoutRequestId]);
+}
+
+async function getLatestAttempt(invoiceId) {
+  return await db.getOne(`
+    SELECT * FROM payment_attempts WHERE invoice_id = ? ORDER BY id DESC LIMIT 1
+  `, [invoiceId]);
+}
+
+// Pushes sent before attempts were recorded only left their checkout ID on
+// the invoice; give them an attempt so their result is handled the same way
+async function adoptLegacyPush(checkoutRequestId) {
+  const invoice = await db.getOne('SELECT * FROM invoices WHERE checkout_request_id = ?', [checkoutRequestId]);
+  if (!invoice) return null;
+
+  try {
+    await db.insert('payment_attempts', {
+      invoice_id: invoice.id,
+      student_id: invoice.student_id,
+      amount: parseFloat(invoice.amount) - parseFloat(invoice.amount_paid || 0),
+      months_count: invoice.months_count || null,
+      checkout_request_id: checkoutRequestId,
+      status: 'initiated',
+      created_at: new Date()
+    });
+  } catch (error) {
+    if (error.code !== 'ER_DUP_ENTRY') throw error;
+  }
+  return await getAttemptByCheckoutId(checkoutRequestId);
+}
+
+async function settleAttempt(attempt, amount, receiptNumber) {
+  const invoice = await db.getOne('SELECT id, type FROM invoices WHERE id = ?', [attempt.invoice_id]);
+  if (!invoice) return null;
+
+  const gateway = getGateway(attempt.gateway);
+  const paymentData = {
+    method: gateway.method,
+    gateway: gateway.id,
+    amount,
+    transactionId: attempt.checkout_request_id,
+    receiptNumber,
+    source: gateway.source,
+    sourceId: attempt.id
+  };
+
+  if ((invoice.type === 'initial' || invoice.type === 'deposit') && attempt.months_count > 0) {
+    return await markDepositAndMonthsPaid(invoice.id, attempt.months_count, paymentData);
+  }
+  return await markInvoicePaid(invoice.id, paymentData);
+}
+
+// Applies a gateway's final result from a callback, webhook or status query.
+// result carries the attempt status the gateway's answer maps to (see
+// lib/paymentGateways.js). Each attempt gets one result: the UPDATE that
+// records it only matches while the attempt is open (or expired without one),
+// so a repeated callback, or a callback racing a status query, finds nothing
+// to change and is only logged. The unique receipt number does the same for
+// the rare case of one receipt on two attempts.
+async function applyAttemptResult(result, { source, payload = null }) {
+  let attempt = await getAttemptByCheckoutId(result.checkoutRequestId);
+  if (!attempt) attempt = await adoptLegacyPush(result.checkoutRequestId);
+  if (!attempt) {
+    return { found: false };
+  }
+
+  if (source === 'callback' || source === 'webhook') {
+    await db.query('UPDATE payment_attempts SET callback_count = callback_count + 1 WHERE id = ?', [attempt.id]);
+  }
+
+  const name = gatewayName(attempt);
+  const status = result.status;
+  const resultCode = result.resultCode === null || result.resultCode === undefined || isNaN(result.resultCode)
+    ? null
+    : parseInt(result.resultCode);
+  const receiptNumber = result.receiptNumber || null;
+  const amount = result.amount !== null && result.amount !== undefined
+    ? parseFloat(result.amount)
+    : parseFloat(attempt.amount);
+  const failureReason = status === 'succeeded' ? null : (result.failureReason || `${name} did not complete the payment`);
+
+  let claimed;
+  try {
+    claimed = await db.query(`
+      UPDATE payment_attempts
+      SET status = ?, result_code = ?, result_desc = ?, failure_reason = ?,
+          mpesa_receipt_number = ?, amount_paid = ?,
+          merchant_request_id = COALESCE(merchant_request_id, ?), completed_at = ?
+      WHERE id = ? AND status IN ('initiated', 'expired')
+    `, [
+      status, resultCode, result.resultDesc ? String(result.resultDesc).slice(0, 255) : null, failureReason,
+      receiptNumber, status === 'succeeded' ? amount : null,
+      result.merchantRequestId || null, new Date(), attempt.id
+    ]);
+  } catch (error) {
+    if (error.code !== 'ER_DUP_ENTRY') throw error;
+    claimed = { affectedRows: 0 };
+  }
+
+  if (claimed.affectedRows !== 1) {
+    const current = await db.getOne('SELECT * FROM payment_attempts WHERE id = ?', [attempt.id]);
+    await recordEvent(attempt.id, {
+      from: current.status,
+      to: current.status,
+      source,
+      detail: `Repeated result ignored (${resultCode !== null ? `result code ${resultCode}` : status}${receiptNumber ? `, receipt ${receiptNumber}` : ''})`,
+      payload
+    });
+    console.log(`[${name}] Attempt ${attempt.id} already ${current.status}, ignoring repeated ${source} result`);
+    return { found: true, duplicate: true, attempt: current };
+  }
+
+  if (status === 'succeeded') {
+    let payment;
+    try {
+      payment = await settleAttempt(attempt, amount, receiptNumber);
+    } catch (error) {
+      // Reopen the attempt so the next callback or status check can settle it
+      await db.query(`
+        UPDATE payment_attempts
+        SET status = 'initiated', mpesa_receipt_number = NULL, amount_paid = NULL, completed_at = NULL
+        WHERE id = ?
+      `, [attempt.id]);
+      await recordEvent(attempt.id, { from: 'succeeded', to: 'initiated', source, detail: `Recording the payment failed: ${error.message}` });
+      throw error;
+    }
+
+    if (payment && payment.entryId) {
+      await db.update('payment_attempts', attempt.id, { ledger_entry_id: payment.entryId });
+    }
+    await recordEvent(attempt.id, {
+      from: attempt.status,
+      to: 'succeeded',
+      source,
+      detail: payment && payment.duplicate
+        ? `Receipt ${receiptNumber} was already on the ledger`
+        : `KES ${amount.toLocaleString()} paid${receiptNumber ? `, receipt ${receiptNumber}` : ''}`,
+      payload
+    });
+    console.log(`[${name}] Attempt ${attempt.id}: KES ${amount} recorded against invoice ${attempt.invoice_id}`);
+  } else {
+    const detail = resultCode !== null ? `${resultCode}: ${result.resultDesc || ''}` : (result.resultDesc || status);
+    await recordEvent(attempt.id, { from: attempt.status, to: status, source, detail, payload });
+    NotificationController.createNotification(
+      attempt.student_id,
+      `${name} Payment Not Completed`,
+      `Your payment of KES ${parseFloat(attempt.amount).toLocaleString()} by ${name} did not go through: ${failureReason}. You can try again from the payments page.`,
+      'warning',
+      '/student-dashboard/payment.html'
+    );
+    console.log(`[${name}] Attempt ${attempt.id} ${status}: ${detail}`);
+  }
+
+  return { found: true, duplicate: false, attempt: await db.getOne('SELECT * FROM payment_attempts WHERE id = ?', [attempt.id]) };
+}
+
+// An STK result as parsed from a Safaricom callback or query
+async function applyStkResult(result, options) {
+  return await applyAttemptResult({
+    ...result,
+    resultCode: parseInt(result.resultCode),
+    ...describeStkResult(result.resultCode, result.resultDesc)
+  }, options);
+}
+
+// Asks the attempt's gateway for its outcome and applies it. Returns
+// { pending: true } while the gateway has no final answer.
+async function refreshAttempt(attempt, { source }) {
+  const gateway = getGateway(attempt.gateway);
+  const result = await gateway.query(attempt.checkout_request_id);
+  if (!result.success || result.status === 'pending') {
+    return { found: true, pending: true, error: result.error || null };
+  }
+  return await applyAttemptResult(result, { source, payload: result });
+}
+
+// Closes an attempt the gateway never gave an outcome for. A result that still
+// arrives later is applied as usual, so a late payment is not lost.
+async function expireAttempt(attempt, { source, detail }) {
+  const expired = await db.query(`
+    UPDATE payment_attempts
+    SET status = 'expired', failure_reason = ?, completed_at = ?
+    WHERE id = ? AND status = 'initiated'
+  `, [`${gatewayName(attempt)} never confirmed whether this payment went through`, new Date(), attempt.id]);
+  if (expired.affectedRows !== 1) return false;
+
+  await recordEvent(attempt.id, { from: 'initiated', to: 'expired', source, detail });
+  console.log(`[${gatewayName(attempt)}] Attempt ${attempt.id} expired: ${detail}`);
+  return true;
+}
+
+async function getStudentAttempts(studentId, { limit = 20 } = {}) {
+  return await db.query(`
+    SELECT a.id, a.invoice_id, a.gateway, a.amount, a.status, a.failure_reason, a.mpesa_receipt_number,
+           a.created_at, a.completed_at, c.title as course_title
+    FROM payment_attempts a
+    JOIN invoices i ON a.invoice_id = i.id
+    JOIN courses c ON i.course_id = c.id
+    WHERE a.student_id = ?
+    ORDER BY a.id DESC
+    LIMIT ?
+  `, [studentId, limit]);
+}
+
+async function getAttempts({ status = null, studentId = null, gateway = null, limit = 100 } = {}) {
+  let sql = `
+    SELECT a.*, u.full_name as student_name, u.email as student_email, c.title as course_title
+    FROM payment_attempts a
+    JOIN users u ON a.student_id = u.id
+    JOIN invoices i ON a.invoice_id = i.id
+    JOIN courses c ON i.course_id = c.id
+    WHERE 1 = 1
+  `;
+  const params = [];
+  if (status) {
+    sql += ' AND a.status = ?';
+    params.push(status);
+  }
+  if (studentId) {
+    sql += ' AND a.student_id = ?';
+    params.push(studentId);
+  }
+  if (gateway) {
+    sql += ' AND a.gateway = ?';
+    params.push(gateway);
+  }
+  sql += ' ORDER BY a.id DESC LIMIT ?';
+  params.push(limit);
+  return await db.query(sql, params);
+}
+
+async function getAttemptEvents(attemptId) {
+  return await db.query(`
+    SELECT * FROM payment_attempt_events WHERE attempt_id = ? ORDER BY id ASC
+  `, [attemptId]);
+}
+
+module.exports = {
+  ATTEMPT_STATUSES,
+  createAttempt,
+  getAttemptByCheckoutId,
+  getLatestAttempt,
+  applyAttemptResult,
+  applyStkResult,
+  refreshAttempt,
+  expireAttempt,
+  getStudentAttempts,
+  getAttempts,
+  getAttemptEvents
+};
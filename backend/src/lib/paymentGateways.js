@@ -0,0 +1,241 @@
+// lib/paymentGateways.js - Payment gateway providers and which ones each course accepts (CommonJS)
+//
+// Every provider has the same shape:
+//   id, name           - stored on attempts and invoices / shown to students
+//   method, source     - ledger payment method and source for its payments
+//   isConfigured()
+//   initiate({ invoice, amount, description, phoneNumber, student })
+//     -> { success, checkoutRequestId, checkoutUrl?, error, status? }
+//   query(checkoutRequestId)
+//     -> { success, status, resultCode, resultDesc, failureReason, amount, receiptNumber }
+//        status is 'pending' while the gateway has no final answer
+//   parseCallback(req) -> { success, event, result?, refund?, error }
+//   refund({ amount, phoneNumber, paymentReference, refundReference, reason })
+//     -> { success, refundId, conversationId?, originatorConversationId?, error }
+const crypto = require('crypto');
+const db = require('../config/database.js');
+const {
+  initiateSTKPush,
+  queryTransactionStatus,
+  parseCallbackPayload,
+  describeStkResult,
+  initiateB2CPayment,
+  isMpesaConfigured,
+  isB2CConfigured,
+  isSimulationAllowed,
+  formatPhoneNumber
+} = require('./mpesa.js');
+const {
+  isPaystackConfigured,
+  initializeTransaction,
+  verifyTransaction,
+  refundTransaction,
+  verifyWebhookSignature,
+  parseWebhookPayload
+} = require('./paystack.js');
+
+function stkResult({ checkoutRequestId, merchantRequestId = null, resultCode, resultDesc, amount = null, receiptNumber = null }) {
+  return {
+    checkoutRequestId,
+    merchantRequestId,
+    resultCode: parseInt(resultCode),
+    resultDesc,
+    amount,
+    receiptNumber,
+    ...describeStkResult(resultCode, resultDesc)
+  };
+}
+
+const mpesaGateway = {
+  id: 'mpesa',
+  name: 'M-Pesa',
+  method: 'mpesa',
+  source: 'mpesa_stk',
+
+  isConfigured: () => !!isMpesaConfigured(),
+
+  async initiate({ invoice, amount, description, phoneNumber }) {
+    const phone = formatPhoneNumber(String(phoneNumber || ''));
+    if (!phone) {
+      return { success: false, status: 400, error: 'Invalid phone number format' };
+    }
+    const push = await initiateSTKPush(phone, amount, invoice.id, description);
+    return { ...push, phoneNumber: phone };
+  },
+
+  async query(checkoutRequestId) {
+    const result = await queryTransactionStatus(checkoutRequestId);
+    // Safaricom answers the query with an error while the prompt is still open
+    if (!result.success || result.resultCode === undefined || result.resultCode === null) {
+      return { success: true, status: 'pending', error: result.error || null };
+    }
+    return {
+      success: true,
+      ...stkResult({
+        checkoutRequestId,
+        resultCode: result.resultCode,
+        resultDesc: result.resultDesc,
+        amount: result.amount,
+        receiptNumber: result.mpesaReceiptNumber
+      })
+    };
+  },
+
+  parseCallback(req) {
+    const parsed = parseCallbackPayload(req.body);
+    if (!parsed.success || !parsed.checkoutRequestId) {
+      return { success: false, error: 'Invalid callback' };
+    }
+    return { success: true, event: 'payment', result: stkResult(parsed) };
+  },
+
+  async refund({ amount, phoneNumber, refundReference, reason }) {
+    if (!isB2CConfigured()) {
+      if (isSimulationAllowed()) {
+        return { success: true, simulated: true, refundId: `SIM${Date.now()}` };
+      }
+      return { success: false, error: 'M-Pesa refunds (B2C) are not configured. Pay the student directly and record a manual refund.' };
+    }
+    return await initiateB2CPayment(phoneNumber, amount, `Refund ${refundReference}`, reason || '');
+  }
+};
+
+// Paystack statuses that are not final yet; 'abandoned' checkouts can still be paid
+const PAYSTACK_PENDING = ['abandoned', 'ongoing', 'pending', 'processing', 'queued'];
+
+function paystackResult(reference, { status, amount, gatewayResponse }) {
+  let attemptStatus = 'failed';
+  if (status === 'success') attemptStatus = 'succeeded';
+  else if (PAYSTACK_PENDING.includes(status)) attemptStatus = 'pending';
+
+  return {
+    checkoutRequestId: reference,
+    status: attemptStatus,
+    resultCode: null,
+    resultDesc: gatewayResponse || status,
+    failureReason: attemptStatus === 'failed' ? (gatewayResponse || 'The card payment was not completed') : null,
+    amount,
+    receiptNumber: null
+  };
+}
+
+const paystackGateway = {
+  id: 'paystack',
+  name: 'Card',
+  method: 'card',
+  source: 'card_checkout',
+
+  isConfigured: isPaystackConfigured,
+
+  async initiate({ invoice, amount, student }) {
+    if (!student || !student.email) {
+      return { success: false, status: 400, error: 'Your account needs an email address to pay by card' };
+    }
+
+    const reference = `NF-${invoice.id}-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+    const checkout = await initializeTransaction({
+      email: student.email,
+      amount,
+      reference,
+      metadata: { invoiceId: invoice.id, studentId: invoice.student_id }
+    });
+    return {
+      success: checkout.success,
+      checkoutRequestId: checkout.success ? checkout.reference : reference,
+      checkoutUrl: checkout.authorizationUrl,
+      error: checkout.error
+    };
+  },
+
+  async query(reference) {
+    const result = await verifyTransaction(reference);
+    if (!result.success) {
+      return { success: true, status: 'pending', error: result.error };
+    }
+    return { success: true, ...paystackResult(reference, result) };
+  },
+
+  parseCallback(req) {
+    const rawBody = req.rawBody || Buffer.from(JSON.stringify(req.body || {}));
+    if (!verifyWebhookSignature(rawBody, req.headers['x-paystack-signature'])) {
+      return { success: false, error: 'Invalid signature' };
+    }
+
+    const parsed = parseWebhookPayload(req.body || {});
+    if (parsed.event === 'charge.success') {
+      return { success: true, event: 'payment', result: paystackResult(parsed.reference, parsed) };
+    }
+    if (parsed.event === 'refund.processed' || parsed.event === 'refund.failed') {
+      return {
+        success: true,
+        event: parsed.event === 'refund.processed' ? 'refund_completed' : 'refund_failed',
+        refund: { refundId: parsed.refundId, reference: parsed.transactionReference, reason: parsed.gatewayResponse }
+      };
+    }
+    return { success: true, event: parsed.event };
+  },
+
+  async refund({ amount, paymentReference }) {
+    if (!isPaystackConfigured()) {
+      if (isSimulationAllowed()) {
+        return { success: true, simulated: true, refundId: `SIM${Date.now()}` };
+      }
+      return { success: false, error: 'Card refunds are not configured. Refund the card from the Paystack dashboard and record a manual refund.' };
+    }
+    return await refundTransaction(paymentReference, amount);
+  }
+};
+
+const GATEWAYS = {
+  mpesa: mpesaGateway,
+  paystack: paystackGateway
+};
+const GATEWAY_IDS = Object.keys(GATEWAYS);
+
+function getGateway(id) {
+  return GATEWAYS[id] || null;
+}
+
+// Parses a stored comma-separated list, dropping unknown gateways
+function parseGatewayList(value) {
+  if (value === null || value === undefined) return null;
+  return [...new Set(String(value).split(',').map(id => id.trim()).filter(id => GATEWAYS[id]))];
+}
+
+// Courses without their own list use the platform's paymentGateway setting.
+// 'none' means no online gateway; values from before gateways were pluggable
+// (stripe, paypal) fall back to M-Pesa, which was the only one that worked.
+async function getDefaultGatewayIds() {
+  const row = await db.getOne("SELECT setting_value FROM settings WHERE setting_key = 'paymentGateway'");
+  const value = row ? row.setting_value : 'mpesa';
+  if (value === 'none') return [];
+  return GATEWAYS[value] ? [value] : ['mpesa'];
+}
+
+// Gateways a student may use for a course, in the order the admin chose
+async function getCourseGatewayIds(courseId, storedList = undefined) {
+  if (storedList === undefined) {
+    const pricing = await db.getOne('SELECT payment_gateways FROM course_pricing WHERE course_id = ?', [courseId]);
+    storedList = pricing ? pricing.payment_gateways : null;
+  }
+  return parseGatewayList(storedList) ?? await getDefaultGatewayIds();
+}
+
+function describeGateway(id) {
+  const gateway = GATEWAYS[id];
+  return { id: gateway.id, name: gateway.name, method: gateway.method, configured: gateway.isConfigured() };
+}
+
+function listGateways() {
+  return GATEWAY_IDS.map(describeGateway);
+}
+
+module.exports = {
+  GATEWAY_IDS,
+  getGateway,
+  parseGatewayList,
+  getDefaultGatewayIds,
+  getCourseGatewayIds,
+  describeGateway,
+  listGateways
+};
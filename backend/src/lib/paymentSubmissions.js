@@ -0,0 +1,295 @@
+// lib/paymentSubmissions.js - Manual M-Pesa payment submissions and their verification (CommonJS)
+const db = require('../config/database.js');
+const { markDepositAndMonthsPaid, markInvoicePaid, amountDueFor, getUnpaidMonths, getGlobalSettings } = require('./invoices.js');
+const { findPaymentByReference } = require('./ledger.js');
+const { resolveAccountReference, assignC2BTransaction } = require('./c2b.js');
+const { normalizeReceipt, parseMpesaSms, sameBusinessName } = require('./mpesaSms.js');
+
+// Messages older than this are left for an admin even when everything matches
+const SMS_MAX_AGE_DAYS = 30;
+// Clock drift allowed between the student's phone and the server
+const SMS_FUTURE_TOLERANCE_MS = 10 * 60 * 1000;
+
+function formatKes(amount) {
+  return `KES ${parseFloat(amount).toLocaleString()}`;
+}
+
+// Puts a submission's payment on the student's ledger and marks it verified.
+// method is how it was verified: 'admin' or 'auto'. The amount the student
+// typed or pasted is never credited: it is the amount Safaricom reported for
+// the code when we have it, otherwise what the invoice says is owed.
+async function approveSubmission(submission, { adminId = null, method = 'admin', note = null } = {}) {
+  const invoice = await db.getOne(`
+    SELECT i.*, cp.monthly_amount FROM invoices i
+    LEFT JOIN course_pricing cp ON cp.course_id = i.course_id
+    WHERE i.id = ?
+  `, [submission.invoice_id]);
+  if (!invoice) {
+    return { success: false, status: 404, error: 'Invoice not found' };
+  }
+
+  const evidence = await findPaymentEvidence(normalizeReceipt(submission.transaction_id));
+  const amount = evidence ? evidence.amount : amountDueFor(invoice, submission.months_paid);
+  if (!(amount > 0)) {
+    return { success: false, status: 400, error: 'Nothing is owed on this invoice' };
+  }
+
+  const paymentData = {
+    method: 'mpesa',
+    gateway: 'mpesa',
+    amount,
+    transactionId: submission.transaction_id,
+    receiptNumber: submission.transaction_id,
+    source: 'submission',
+    sourceId: submission.id,
+    createdBy: adminId
+  };
+
+  let result;
+  if ((invoice.type === 'initial' || invoice.type === 'deposit') && submission.months_paid > 0) {
+    result = await markDepositAndMonthsPaid(submission.invoice_id, submission.months_paid, paymentData);
+  } else {
+    result = await markInvoicePaid(submission.invoice_id, paymentData);
+  }
+
+  if (result && result.duplicate) {
+    return { success: false, status: 409, error: 'This M-Pesa transaction has already been recorded' };
+  }
+
+  await db.query(`
+    UPDATE payment_submissions
+    SET status = 'verified', admin_id = ?, verification_method = ?,
+        admin_notes = COALESCE(?, admin_notes), verified_at = NOW()
+    WHERE id = ?
+  `, [adminId, method, note, submission.id]);
+
+  return {
+    success: true,
+    allocations: result ? result.allocations : [],
+    creditBalance: result ? result.creditBalance : 0
+  };
+}
+
+// Where else an M-Pesa code has already been used. A code on the ledger, or
+// on another open or verified submission, cannot be submitted again.
+async function findReceiptUse(receiptNumber) {
+  const payment = await findPaymentByReference(receiptNumber);
+  if (payment) {
+    return { error: 'This M-Pesa transaction has already been recorded' };
+  }
+
+  const submission = await db.getOne(`
+    SELECT id FROM payment_submissions
+    WHERE UPPER(transaction_id) = ? AND status IN ('pending', 'verified')
+    LIMIT 1
+  `, [receiptNumber]);
+  if (submission) {
+    return { error: 'This M-Pesa transaction code has already been submitted' };
+  }
+
+  return { error: null };
+}
+
+// Safaricom's own record of a payment: the paybill confirmation it sent us,
+// or a paid-in line on an imported statement. Returns { source, amount, c2b }
+// or null when neither has the code yet.
+async function findPaymentEvidence(receiptNumber) {
+  const c2b = await db.getOne('SELECT * FROM mpesa_c2b_transactions WHERE trans_id = ?', [receiptNumber]);
+  if (c2b) {
+    return { source: 'paybill', amount: parseFloat(c2b.amount), c2b };
+  }
+
+  const line = await db.getOne(`
+    SELECT paid_in FROM mpesa_statement_lines
+    WHERE receipt_no = ? AND paid_in > 0
+      AND (transaction_status IS NULL OR transaction_status = '' OR LOWER(transaction_status) = 'completed')
+    ORDER BY id DESC
+    LIMIT 1
+  `, [receiptNumber]);
+  if (line) {
+    return { source: 'statement', amount: parseFloat(line.paid_in), c2b: null };
+  }
+
+  return null;
+}
+
+// Cross-checks a parsed SMS against what the student owes and where our
+// payments go. Returns the reasons an admin should look at it; none means
+// the submission can be approved without one.
+async function reviewSmsPayment(sms, { invoice, studentId, expectedAmount, settings }) {
+  const flags = [];
+
+  if (sms.type === 'person') {
+    flags.push(`Sent to a person (${sms.recipient}), not to the paybill or till`);
+  } else if (!settings.mpesa_account_name) {
+    flags.push('Recipient not checked: no M-Pesa business name is set in billing settings');
+  } else if (!sameBusinessName(sms.recipient, settings.mpesa_account_name)) {
+    flags.push(`Paid to "${sms.recipient}", not ${settings.mpesa_account_name}`);
+  }
+
+  if (sms.type === 'paybill') {
+    if (!settings.mpesa_paybill) {
+      flags.push('Paid by paybill, but no paybill number is set in billing settings');
+    }
+    const account = await resolveAccountReference(sms.accountNumber);
+    if (!account) {
+      flags.push(`Account "${sms.accountNumber}" does not match a student or invoice`);
+    } else if (account.studentId !== studentId) {
+      flags.push(`Account "${sms.accountNumber}" belongs to another student`);
+    }
+  } else if (sms.type === 'till' && !settings.mpesa_till_number) {
+    flags.push('Paid to a till, but no till number is set in billing settings');
+  }
+
+  if (Math.abs(sms.amount - expectedAmount) >= 0.01) {
+    flags.push(`Amount ${formatKes(sms.amount)} differs from the ${formatKes(expectedAmount)} due`);
+  }
+
+  if (!sms.paidAt) {
+    flags.push('The payment date could not be read');
+  } else {
+    const now = Date.now();
+    if (sms.paidAt.getTime() > now + SMS_FUTURE_TOLERANCE_MS) {
+      flags.push('The message is dated in the future');
+    } else if (now - sms.paidAt.getTime() > SMS_MAX_AGE_DAYS * 24 * 60 * 60 * 1000) {
+      flags.push(`The payment is more than ${SMS_MAX_AGE_DAYS} days old`);
+    } else if (invoice.created_at && sms.paidAt < new Date(invoice.created_at)) {
+      flags.push('The payment was made before this invoice was issued');
+    }
+  }
+
+  return flags;
+}
+
+// Records a student's claim to have paid an invoice outside the app, from a
+// bare M-Pesa code or a pasted confirmation SMS. The message alone is never
+// enough: SMS submissions are approved straight away (when smsAutoVerify is
+// on) only if they check out and the paybill or an imported statement has
+// the same payment. Everything else waits for an admin with the reasons it
+// was held.
+async function createSubmission({ studentId, invoiceId, transactionId, smsText, months, phoneNumber }) {
+  const invoice = await db.getOne(`
+    SELECT i.*, c.title as course_title, cp.monthly_amount
+    FROM invoices i
+    JOIN courses c ON i.course_id = c.id
+    LEFT JOIN course_pricing cp ON cp.course_id = i.course_id
+    WHERE i.id = ? AND i.student_id = ?
+  `, [invoiceId, studentId]);
+
+  if (!invoice) {
+    return { success: false, status: 404, error: 'Invoice not found' };
+  }
+  if (invoice.status === 'paid') {
+    return { success: false, status: 400, error: 'Invoice is already paid' };
+  }
+  // Cancelled and waived invoices have nothing left to pay
+  if (invoice.status !== 'pending' && invoice.status !== 'locked') {
+    return { success: false, status: 400, error: 'This invoice is not open for payment' };
+  }
+
+  // Months paid in advance stop at the end of the course's billing
+  const maxMonths = Math.max(await getUnpaidMonths(studentId, invoice.course_id), 1);
+  const monthsPaid = months === undefined || months === null || months === '' ? 1 : Number(months);
+  if (!Number.isInteger(monthsPaid) || monthsPaid < 1 || monthsPaid > maxMonths) {
+    return { success: false, status: 400, error: `Months must be a whole number from 1 to ${maxMonths}` };
+  }
+
+  const existing = await db.getOne(
+    'SELECT id FROM payment_submissions WHERE invoice_id = ? AND status = ?',
+    [invoiceId, 'pending']
+  );
+  if (existing) {
+    return { success: false, status: 400, error: 'A pending submission already exists for this invoice' };
+  }
+
+  let sms = null;
+  if (smsText) {
+    sms = parseMpesaSms(smsText);
+    if (!sms.success) {
+      return { success: false, status: 400, error: sms.error };
+    }
+    if (transactionId && normalizeReceipt(transactionId) !== sms.receiptNumber) {
+      return { success: false, status: 400, error: 'The transaction ID does not match the one in the M-Pesa message' };
+    }
+  }
+
+  const receiptNumber = sms ? sms.receiptNumber : normalizeReceipt(transactionId);
+  const receiptUse = await findReceiptUse(receiptNumber);
+  if (receiptUse.error) {
+    return { success: false, status: 409, error: receiptUse.error };
+  }
+
+  const expectedAmount = amountDueFor(invoice, monthsPaid);
+  const settings = await getGlobalSettings();
+  const flags = sms ? await reviewSmsPayment(sms, { invoice, studentId, expectedAmount, settings }) : [];
+
+  // Anyone can type a confirmation message, so it must match what Safaricom
+  // itself reported. A paybill payment it told us about but that could not
+  // be matched is in suspense and is assigned below.
+  const evidence = await findPaymentEvidence(receiptNumber);
+  const c2b = evidence ? evidence.c2b : null;
+  if (sms && !evidence) {
+    flags.push('No paybill notification or imported statement confirms this payment yet');
+  } else if (sms && Math.abs(evidence.amount - sms.amount) >= 0.01) {
+    flags.push(`The ${evidence.source} recorded ${formatKes(evidence.amount)} for this code`);
+  } else if (c2b && c2b.status === 'dismissed') {
+    flags.push('This code was dismissed from the paybill suspense queue');
+  }
+
+  const submissionId = await db.insert('payment_submissions', {
+    student_id: studentId,
+    invoice_id: invoiceId,
+    course_id: invoice.course_id,
+    months_paid: monthsPaid,
+    amount: sms ? sms.amount : expectedAmount,
+    transaction_id: receiptNumber,
+    phone_number: phoneNumber || '',
+    sms_text: smsText ? String(smsText).slice(0, 1000) : null,
+    sms_recipient: sms ? sms.recipient : null,
+    sms_account: sms ? sms.accountNumber : null,
+    sms_paid_at: sms ? sms.paidAt : null,
+    review_flags: flags.length ? JSON.stringify(flags) : null,
+    status: 'pending'
+  });
+
+  if (!sms || flags.length || !settings.smsAutoVerify) {
+    return { success: true, submissionId, status: 'pending', flags };
+  }
+
+  if (c2b && c2b.status === 'suspense') {
+    const assigned = await assignC2BTransaction(c2b.id, {
+      studentId,
+      invoiceId: invoice.id,
+      adminId: null,
+      matchedBy: 'sms',
+      note: `Matched to payment submission #${submissionId}`
+    });
+    if (!assigned.success) {
+      return { success: true, submissionId, status: 'pending', flags: [assigned.error] };
+    }
+    console.log(`[Submissions] Submission ${submissionId} confirmed by paybill payment ${receiptNumber}`);
+    return { success: true, submissionId, status: 'verified', ...assigned };
+  }
+
+  const submission = await db.getOne('SELECT * FROM payment_submissions WHERE id = ?', [submissionId]);
+  const approved = await approveSubmission(submission, {
+    method: 'auto',
+    note: 'Verified automatically from the M-Pesa confirmation message and statement'
+  });
+  if (!approved.success) {
+    await db.update('payment_submissions', submissionId, { review_flags: JSON.stringify([approved.error]) });
+    return { success: true, submissionId, status: 'pending', flags: [approved.error] };
+  }
+
+  console.log(`[Submissions] Submission ${submissionId} (${receiptNumber}) verified automatically from SMS`);
+  return { success: true, submissionId, status: 'verified', ...approved };
+}
+
+module.exports = {
+  SMS_MAX_AGE_DAYS,
+  approveSubmission,
+  findReceiptUse,
+  findPaymentEvidence,
+  reviewSmsPayment,
+  createSubmission
+};
@@ -0,0 +1,150 @@
+// lib/paystack.js - Paystack card payments through hosted checkout (CommonJS)
+const crypto = require('crypto');
+const axios = require('axios');
+require('dotenv').config();
+
+const PAYSTACK_CONFIG = {
+  secretKey: process.env.PAYSTACK_SECRET_KEY || '',
+  currency: process.env.PAYSTACK_CURRENCY || 'KES',
+  // Where Paystack sends the student back after checkout; it appends ?reference=
+  callbackUrl: process.env.PAYSTACK_CALLBACK_URL || 'https://nurufoundations.com/student-dashboard/payment.html',
+  // Overrides the Paystack host, e.g. to point at the local card gateway mock
+  baseUrl: (process.env.PAYSTACK_BASE_URL || 'https://api.paystack.co').replace(/\/$/, '')
+};
+
+function isPaystackConfigured() {
+  return !!PAYSTACK_CONFIG.secretKey && PAYSTACK_CONFIG.secretKey !== 'YOUR_PAYSTACK_SECRET_KEY_HERE';
+}
+
+function authHeaders() {
+  return {
+    'Authorization': `Bearer ${PAYSTACK_CONFIG.secretKey}`,
+    'Content-Type': 'application/json'
+  };
+}
+
+// Paystack amounts are in the currency's subunit (cents)
+function toSubunits(amount) {
+  return Math.round(parseFloat(amount) * 100);
+}
+
+function fromSubunits(amount) {
+  return amount === null || amount === undefined ? null : Math.round(amount) / 100;
+}
+
+// Starts a hosted checkout. The student pays on authorizationUrl and the
+// result arrives by webhook and on the return to callbackUrl.
+async function initializeTransaction({ email, amount, reference, callbackUrl = PAYSTACK_CONFIG.callbackUrl, metadata = {} }) {
+  try {
+    const response = await axios.post(`${PAYSTACK_CONFIG.baseUrl}/transaction/initialize`, {
+      email,
+      amount: toSubunits(amount),
+      currency: PAYSTACK_CONFIG.currency,
+      reference,
+      callback_url: callbackUrl,
+      channels: ['card'],
+      metadata
+    }, { headers: authHeaders() });
+
+    const data = response.data.data || {};
+    return {
+      success: response.data.status === true,
+      reference: data.reference || reference,
+      authorizationUrl: data.authorization_url,
+      accessCode: data.access_code,
+      error: response.data.status === true ? null : response.data.message
+    };
+  } catch (error) {
+    console.error('Paystack Initialize Error:', error.response?.data || error.message);
+    return {
+      success: false,
+      error: error.response?.data?.message || error.message || 'Failed to start card checkout'
+    };
+  }
+}
+
+async function verifyTransaction(reference) {
+  try {
+    const response = await axios.get(
+      `${PAYSTACK_CONFIG.baseUrl}/transaction/verify/${encodeURIComponent(reference)}`,
+      { headers: authHeaders() }
+    );
+
+    const data = response.data.data || {};
+    return {
+      success: true,
+      reference: data.reference,
+      status: data.status,
+      amount: fromSubunits(data.amount),
+      currency: data.currency,
+      transactionId: data.id ? String(data.id) : null,
+      gatewayResponse: data.gateway_response || null,
+      paidAt: data.paid_at || null
+    };
+  } catch (error) {
+    console.error('Paystack Verify Error:', error.response?.data || error.message);
+    return {
+      success: false,
+      error: error.response?.data?.message || error.message || 'Failed to verify transaction'
+    };
+  }
+}
+
+// Refunds all or part of a card payment. The outcome arrives by webhook.
+async function refundTransaction(reference, amount) {
+  try {
+    const response = await axios.post(`${PAYSTACK_CONFIG.baseUrl}/refund`, {
+      transaction: reference,
+      amount: toSubunits(amount)
+    }, { headers: authHeaders() });
+
+    const data = response.data.data || {};
+    return {
+      success: response.data.status === true,
+      refundId: data.id ? String(data.id) : null,
+      status: data.status || null,
+      error: response.data.status === true ? null : response.data.message
+    };
+  } catch (error) {
+    console.error('Paystack Refund Error:', error.response?.data || error.message);
+    return {
+      success: false,
+      error: error.response?.data?.message || error.message || 'Failed to refund card payment'
+    };
+  }
+}
+
+// Paystack signs each webhook body with HMAC-SHA512 of the secret key
+function verifyWebhookSignature(rawBody, signature) {
+  if (!rawBody || !signature || !PAYSTACK_CONFIG.secretKey) return false;
+
+  const expected = crypto.createHmac('sha512', PAYSTACK_CONFIG.secretKey).update(rawBody).digest('hex');
+  const given = String(signature);
+  return given.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected));
+}
+
+function parseWebhookPayload(payload) {
+  const data = payload.data || {};
+  return {
+    event: payload.event || null,
+    reference: data.reference || data.transaction_reference || null,
+    status: data.status || null,
+    amount: fromSubunits(data.amount),
+    transactionId: data.id ? String(data.id) : null,
+    gatewayResponse: data.gateway_response || null,
+    // refund.* events
+    refundId: data.id ? String(data.id) : null,
+    transactionReference: data.transaction_reference || data.transaction?.reference || null
+  };
+}
+
+module.exports = {
+  PAYSTACK_CONFIG,
+  isPaystackConfigured,
+  initializeTransaction,
+  verifyTransaction,
+  refundTransaction,
+  verifyWebhookSignature,
+  parseWebhookPayload
+};
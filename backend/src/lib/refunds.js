@@ -0,0 +1,412 @@
+// lib/refunds.js - Withdrawals, credit notes and refunds (CommonJS)
+const db = require('../config/database.js');
+const NotificationController = require('../controllers/notificationController.js');
+const { roundMoney, recordLedgerEntry, getCreditBalance } = require('./ledger.js');
+const { formatPhoneNumber } = require('./mpesa.js');
+const { getGateway } = require('./paymentGateways.js');
+
+const REFUND_METHODS = ['manual', 'mpesa_b2c', 'card'];
+// Gateway that pays out each refund method other than manual
+const REFUND_GATEWAYS = { mpesa_b2c: 'mpesa', card: 'paystack' };
+
+function creditNoteNumber(id) {
+  return `CN-${String(id).padStart(6, '0')}`;
+}
+
+function refundReference(id) {
+  return `RF-${String(id).padStart(6, '0')}`;
+}
+
+// Monthly invoices bill the cycle that ends on their due date
+function coveredPeriodStart(invoice) {
+  if (invoice.billing_period_start) return new Date(invoice.billing_period_start);
+  const due = new Date(invoice.due_date);
+  return new Date(due.getFullYear(), due.getMonth() - 1, due.getDate());
+}
+
+// Issues a credit note against an invoice. creditedAmount is the part that was
+// actually paid and goes back to the student's ledger credit; the rest of the
+// note simply cancels what was owed.
+async function issueCreditNote({ invoice, amount, creditedAmount = 0, reason, withdrawalId = null, issuedBy = null }) {
+  const creditNoteId = await db.insert('credit_notes', {
+    student_id: invoice.student_id,
+    course_id: invoice.course_id,
+    invoice_id: invoice.id,
+    withdrawal_id: withdrawalId,
+    amount: roundMoney(amount),
+    credited_amount: roundMoney(creditedAmount),
+    reason,
+    issued_by: issuedBy,
+    created_at: new Date()
+  });
+
+  const number = creditNoteNumber(creditNoteId);
+  await db.update('credit_notes', creditNoteId, { credit_note_number: number });
+
+  if (creditedAmount > 0) {
+    await recordLedgerEntry({
+      studentId: invoice.student_id,
+      courseId: invoice.course_id,
+      invoiceId: invoice.id,
+      type: 'credit_note',
+      amount: creditedAmount,
+      reference: number,
+      source: 'credit_note',
+      sourceId: creditNoteId,
+      description: reason,
+      createdBy: issuedBy
+    });
+  }
+
+  return { id: creditNoteId, number, invoiceId: invoice.id, amount: roundMoney(amount), creditedAmount: roundMoney(creditedAmount) };
+}
+
+// Withdraws a student from a course without touching their payment history.
+// Paid invoices are kept; months the student will not use are credited back
+// (paid) or cancelled (unpaid) with a credit note each. An unpaid deposit or
+// initial invoice is cancelled too, and so are the late fees on everything
+// cancelled.
+async function withdrawEnrollment(enrollmentId, { reason, adminId = null, creditUnusedMonths = true }) {
+  const enrollment = await db.getOne(`
+    SELECT e.*, c.title as course_title
+    FROM enrollments e
+    JOIN courses c ON e.course_id = c.id
+    WHERE e.id = ?
+  `, [enrollmentId]);
+
+  if (!enrollment) {
+    return { success: false, status: 404, error: 'Enrollment not found' };
+  }
+
+  const now = new Date();
+  const withdrawalId = await db.insert('withdrawals', {
+    student_id: enrollment.student_id,
+    course_id: enrollment.course_id,
+    enrollment_id: enrollment.id,
+    enrolled_at: enrollment.enrolled_at || null,
+    reason,
+    processed_by: adminId,
+    created_at: now
+  });
+
+  const invoices = await db.query(`
+    SELECT * FROM invoices
+    WHERE student_id = ? AND course_id = ? AND type IN ('monthly', 'initial', 'deposit')
+      AND status IN ('pending', 'locked', 'paid')
+    ORDER BY month_number ASC
+  `, [enrollment.student_id, enrollment.course_id]);
+
+  const creditNotes = [];
+  let credited = 0;
+  let cancelled = 0;
+  const cancelledIds = [];
+
+  // Whatever was paid towards an unpaid invoice goes back to credit
+  const cancelInvoice = async (invoice, label) => {
+    const paid = parseFloat(invoice.amount_paid || 0);
+    creditNotes.push(await issueCreditNote({
+      invoice,
+      amount: parseFloat(invoice.amount),
+      creditedAmount: paid,
+      reason: `Cancelled ${label} of ${enrollment.course_title} after withdrawal`,
+      withdrawalId,
+      issuedBy: adminId
+    }));
+    await db.update('invoices', invoice.id, { status: 'cancelled' });
+    cancelledIds.push(invoice.id);
+    credited += paid;
+    cancelled += parseFloat(invoice.amount) - paid;
+  };
+
+  for (const invoice of invoices) {
+    if (invoice.type !== 'monthly') {
+      // Paid deposits are kept like any other paid invoice
+      if (invoice.status !== 'paid') {
+        await cancelInvoice(invoice, `${invoice.type} invoice #${invoice.id}`);
+      }
+      continue;
+    }
+
+    // Months already under way stay billed
+    if (coveredPeriodStart(invoice) < now) continue;
+
+    const paid = parseFloat(invoice.amount_paid || 0);
+    const monthLabel = invoice.month_number ? `month ${invoice.month_number}` : `invoice #${invoice.id}`;
+
+    if (invoice.status === 'paid') {
+      if (!creditUnusedMonths || paid <= 0) continue;
+      creditNotes.push(await issueCreditNote({
+        invoice,
+        amount: paid,
+        creditedAmount: paid,
+        reason: `Unused ${monthLabel} of ${enrollment.course_title} after withdrawal`,
+        withdrawalId,
+        issuedBy: adminId
+      }));
+      credited += paid;
+    } else {
+      await cancelInvoice(invoice, monthLabel);
+    }
+  }
+
+  if (cancelledIds.length > 0) {
+    const penalties = await db.query(`
+      SELECT * FROM invoices
+      WHERE type = 'penalty' AND parent_invoice_id IN (?) AND status IN ('pending', 'locked')
+    `, [cancelledIds]);
+    for (const penalty of penalties) {
+      await cancelInvoice(penalty, `late fee #${penalty.id}`);
+    }
+  }
+
+  await db.update('withdrawals', withdrawalId, {
+    credited_amount: roundMoney(credited),
+    cancelled_amount: roundMoney(cancelled)
+  });
+
+  await db.query('DELETE FROM lesson_progress WHERE enrollment_id = ?', [enrollmentId]);
+  await db.query('DELETE FROM enrollments WHERE id = ?', [enrollmentId]);
+
+  const hasUnpaid = await db.getOne(`
+    SELECT id FROM invoices
+    WHERE student_id = ? AND status IN ('pending', 'locked')
+  `, [enrollment.student_id]);
+  if (!hasUnpaid) {
+    await db.query('UPDATE users SET is_locked = 0 WHERE id = ?', [enrollment.student_id]);
+  }
+
+  const creditBalance = await getCreditBalance(enrollment.student_id);
+
+  NotificationController.createNotification(
+    enrollment.student_id,
+    'Course Withdrawal',
+    `You have been withdrawn from ${enrollment.course_title}.` +
+      (credited > 0 ? ` KES ${roundMoney(credited).toLocaleString()} for unused months has been credited to your account.` : ''),
+    'info',
+    '/student-dashboard/payment.html'
+  );
+
+  console.log(`[Refunds] Enrollment ${enrollmentId} withdrawn: credited ${credited}, cancelled ${cancelled}`);
+
+  return {
+    success: true,
+    withdrawalId,
+    studentId: enrollment.student_id,
+    courseId: enrollment.course_id,
+    creditNotes,
+    credited: roundMoney(credited),
+    cancelled: roundMoney(cancelled),
+    creditBalance
+  };
+}
+
+// Returns a failed refund's amount to the student's credit
+async function failRefund(refund, failureReason) {
+  await db.update('refunds', refund.id, {
+    status: 'failed',
+    failure_reason: (failureReason || 'Refund failed').slice(0, 255),
+    completed_at: new Date()
+  });
+
+  await recordLedgerEntry({
+    studentId: refund.student_id,
+    courseId: refund.course_id,
+    type: 'refund',
+    amount: parseFloat(refund.amount),
+    reference: refundReference(refund.id),
+    source: 'refund',
+    sourceId: refund.id,
+    description: `Refund ${refundReference(refund.id)} failed, returned to credit`
+  });
+
+  console.log(`[Refunds] Refund ${refund.id} failed: ${failureReason}`);
+}
+
+// Card refunds go back to the card a payment was made with, so they need that
+// payment's reference and cannot exceed what is left of it
+async function checkCardRefund(studentId, reference, amount) {
+  if (!reference) {
+    return 'The reference of the card payment to refund is required';
+  }
+  const payment = await db.getOne(`
+    SELECT amount FROM ledger_entries
+    WHERE entry_type = 'payment' AND method = 'card' AND reference = ? AND student_id = ?
+  `, [reference, studentId]);
+  if (!payment) {
+    return 'No card payment from this student has that reference';
+  }
+
+  const refunded = await db.getOne(`
+    SELECT COALESCE(SUM(amount), 0) as total FROM refunds
+    WHERE method = 'card' AND reference = ? AND status != 'failed'
+  `, [reference]);
+  const refundable = roundMoney(parseFloat(payment.amount) - parseFloat(refunded.total));
+  if (amount > refundable) {
+    return `Only KES ${refundable.toLocaleString()} of this card payment can still be refunded`;
+  }
+  return null;
+}
+
+// Pays part of a student's credit balance back to them. The amount leaves the
+// ledger as soon as the refund is approved so it cannot also be applied to an
+// invoice; a failed gateway refund puts it back.
+async function createRefund({ studentId, amount, reason, method = 'manual', phoneNumber, reference, courseId = null, withdrawalId = null, adminId }) {
+  const refundAmount = roundMoney(parseFloat(amount));
+
+  if (!reason || !String(reason).trim()) {
+    return { success: false, status: 400, error: 'A reason is required for every refund' };
+  }
+  if (!REFUND_METHODS.includes(method)) {
+    return { success: false, status: 400, error: `Refund method must be one of: ${REFUND_METHODS.join(', ')}` };
+  }
+  if (isNaN(refundAmount) || refundAmount <= 0) {
+    return { success: false, status: 400, error: 'Refund amount must be greater than zero' };
+  }
+
+  let phone = null;
+  if (method === 'mpesa_b2c') {
+    phone = formatPhoneNumber(String(phoneNumber || ''));
+    if (!phone) {
+      return { success: false, status: 400, error: 'A valid phone number is required for M-Pesa refunds' };
+    }
+    if (!Number.isInteger(refundAmount)) {
+      return { success: false, status: 400, error: 'M-Pesa refunds must be in whole shillings' };
+    }
+  } else if (method === 'card') {
+    const cardError = await checkCardRefund(studentId, reference, refundAmount);
+    if (cardError) {
+      return { success: false, status: 400, error: cardError };
+    }
+  }
+
+  const creditBalance = await getCreditBalance(studentId);
+  if (refundAmount > creditBalance) {
+    return { success: false, status: 400, error: `Refund exceeds the student's credit balance of KES ${creditBalance.toLocaleString()}` };
+  }
+
+  const refundId = await db.insert('refunds', {
+    student_id: studentId,
+    course_id: courseId,
+    withdrawal_id: withdrawalId,
+    amount: refundAmount,
+    reason,
+    method,
+    phone_number: phone,
+    reference: reference || null,
+    status: 'processing',
+    approved_by: adminId,
+    created_at: new Date()
+  });
+
+  await recordLedgerEntry({
+    studentId,
+    courseId,
+    type: 'refund',
+    amount: -refundAmount,
+    method,
+    reference: refundReference(refundId),
+    source: 'refund',
+    sourceId: refundId,
+    description: reason,
+    createdBy: adminId
+  });
+
+  if (method === 'manual') {
+    await completeRefund(refundId, reference || null);
+  } else {
+    const result = await getGateway(REFUND_GATEWAYS[method]).refund({
+      amount: refundAmount,
+      phoneNumber: phone,
+      paymentReference: reference,
+      refundReference: refundReference(refundId),
+      reason
+    });
+    if (!result.success) {
+      await failRefund(await db.getOne('SELECT * FROM refunds WHERE id = ?', [refundId]), result.error);
+    } else if (result.simulated) {
+      await completeRefund(refundId, method === 'card' ? null : result.refundId);
+    } else {
+      // The outcome arrives later on the B2C result URL or the card webhook
+      await db.update('refunds', refundId, {
+        mpesa_conversation_id: result.conversationId || null,
+        mpesa_originator_conversation_id: result.originatorConversationId || null,
+        gateway_refund_id: result.refundId || null
+      });
+    }
+  }
+
+  const refund = await db.getOne('SELECT * FROM refunds WHERE id = ?', [refundId]);
+  return { success: refund.status !== 'failed', status: refund.status === 'failed' ? 502 : 201, error: refund.failure_reason, refund };
+}
+
+async function completeRefund(refundId, reference) {
+  const refund = await db.getOne('SELECT * FROM refunds WHERE id = ?', [refundId]);
+  if (!refund || refund.status !== 'processing') return;
+
+  await db.update('refunds', refundId, {
+    status: 'completed',
+    reference: reference || refund.reference,
+    completed_at: new Date()
+  });
+
+  NotificationController.createNotification(
+    refund.student_id,
+    'Refund Sent',
+    `A refund of KES ${parseFloat(refund.amount).toLocaleString()} has been sent${refund.phone_number ? ` to ${refund.phone_number}` : ''}.`,
+    'success',
+    '/student-dashboard/payment.html'
+  );
+}
+
+// Outcome of an M-Pesa B2C refund, delivered to the result or timeout URL
+async function handleB2CResult(parsed, timedOut = false) {
+  const refund = await db.getOne(`
+    SELECT * FROM refunds
+    WHERE mpesa_conversation_id = ? OR mpesa_originator_conversation_id = ?
+  `, [parsed.conversationId || '', parsed.originatorConversationId || '']);
+
+  if (!refund) return { found: false };
+  // Safaricom retries callbacks; only the first outcome counts
+  if (refund.status !== 'processing') return { found: true, refund };
+
+  if (!timedOut && parsed.resultCode === 0) {
+    await completeRefund(refund.id, parsed.transactionId);
+  } else {
+    await failRefund(refund, timedOut ? 'M-Pesa request timed out' : parsed.resultDesc);
+  }
+
+  return { found: true, refund: await db.getOne('SELECT * FROM refunds WHERE id = ?', [refund.id]) };
+}
+
+// Outcome of a card refund, delivered by the gateway's webhook
+async function handleCardRefundResult({ refundId, reference, reason }, completed) {
+  const refund = await db.getOne(`
+    SELECT * FROM refunds
+    WHERE method = 'card' AND (gateway_refund_id = ? OR (reference = ? AND status = 'processing'))
+    ORDER BY gateway_refund_id = ? DESC, id ASC
+    LIMIT 1
+  `, [refundId || '', reference || '', refundId || '']);
+
+  if (!refund) return { found: false };
+  // Webhooks are retried; only the first outcome counts
+  if (refund.status !== 'processing') return { found: true, refund };
+
+  if (completed) {
+    await completeRefund(refund.id, null);
+  } else {
+    await failRefund(refund, reason || 'The card refund failed');
+  }
+
+  return { found: true, refund: await db.getOne('SELECT * FROM refunds WHERE id = ?', [refund.id]) };
+}
+
+module.exports = {
+  REFUND_METHODS,
+  creditNoteNumber,
+  refundReference,
+  issueCreditNote,
+  withdrawEnrollment,
+  createRefund,
+  handleB2CResult,
+  handleCardRefundResult
+};
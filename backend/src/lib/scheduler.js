@@ -0,0 +1,287 @@
+// lib/scheduler.js - In-process job scheduler with persisted jobs and run history (CommonJS)
+const os = require('os');
+const db = require('../config/database.js');
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+const MINUTE_MS = 60 * 1000;
+const DEFAULT_TICK_MS = MINUTE_MS;
+const DEFAULT_LOCK_MINUTES = 15;
+
+// name -> { description, intervalMinutes, maxRetries, retryDelayMinutes, lockMinutes, handler }
+const registry = new Map();
+let timer = null;
+let ticking = false;
+
+// Registers a job handler. The interval and retry settings are only defaults:
+// once the job's row exists, the values stored there (editable by admins) win.
+function defineJob(name, options) {
+  registry.set(name, {
+    description: options.description || '',
+    intervalMinutes: options.intervalMinutes || 60,
+    maxRetries: options.maxRetries ?? 3,
+    retryDelayMinutes: options.retryDelayMinutes ?? 5,
+    lockMinutes: options.lockMinutes || DEFAULT_LOCK_MINUTES,
+    handler: options.handler
+  });
+}
+
+// Creates rows for newly defined jobs; existing rows keep their settings
+async function syncJobs() {
+  for (const [name, job] of registry) {
+    await db.query(`
+      INSERT IGNORE INTO scheduled_jobs
+        (name, description, interval_minutes, max_retries, retry_delay_minutes, is_enabled, next_run_at)
+      VALUES (?, ?, ?, ?, ?, 1, ?)
+    `, [name, job.description, job.intervalMinutes, job.maxRetries, job.retryDelayMinutes, new Date()]);
+  }
+}
+
+// Takes the job's lock unless another instance holds an unexpired one.
+// The UPDATE is atomic, so only one instance can win.
+async function acquireLock(name, lockMinutes) {
+  const now = new Date();
+  const result = await db.query(`
+    UPDATE scheduled_jobs
+    SET locked_by = ?, locked_until = ?
+    WHERE name = ? AND (locked_until IS NULL OR locked_until < ?)
+  `, [INSTANCE_ID, new Date(now.getTime() + lockMinutes * MINUTE_MS), name, now]);
+  return result.affectedRows === 1;
+}
+
+async function releaseLock(name) {
+  await db.query(`
+    UPDATE scheduled_jobs SET locked_by = NULL, locked_until = NULL
+    WHERE name = ? AND locked_by = ?
+  `, [name, INSTANCE_ID]);
+}
+
+function summariseResult(result) {
+  if (result === undefined || result === null) return null;
+  const text = typeof result === 'string' ? result : JSON.stringify(result);
+  return text.length > 2000 ? `${text.slice(0, 1997)}...` : text;
+}
+
+// Runs a job now, recording the run. trigger is 'schedule', 'retry' or 'manual'.
+// A failed scheduled run is retried after retry_delay_minutes until
+// max_retries is reached; manual runs never change the schedule.
+async function runJob(name, { trigger = 'manual', triggeredBy = null } = {}) {
+  const job = registry.get(name);
+  const row = await db.getOne('SELECT * FROM scheduled_jobs WHERE name = ?', [name]);
+  if (!job || !row) {
+    return { success: false, status: 404, error: 'Job not found' };
+  }
+
+  if (!(await acquireLock(name, job.lockMinutes))) {
+    return { success: false, status: 409, error: 'This job is already running' };
+  }
+
+  const attempt = trigger === 'manual' ? 1 : (row.retry_count || 0) + 1;
+  const startedAt = new Date();
+  const runId = await db.insert('job_runs', {
+    job_name: name,
+    trigger_type: trigger,
+    attempt,
+    status: 'running',
+    instance_id: INSTANCE_ID,
+    triggered_by: triggeredBy,
+    started_at: startedAt
+  });
+
+  let status = 'succeeded';
+  let result = null;
+  let errorMessage = null;
+  try {
+    result = await job.handler();
+  } catch (error) {
+    status = 'failed';
+    errorMessage = error.message || String(error);
+    console.error(`[Scheduler] Job ${name} failed (attempt ${attempt}):`, error);
+  }
+
+  const finishedAt = new Date();
+  try {
+    await db.update('job_runs', runId, {
+      status,
+      result: summariseResult(result),
+      error: errorMessage,
+      finished_at: finishedAt,
+      duration_ms: finishedAt - startedAt
+    });
+
+    const jobUpdate = { last_run_at: startedAt, last_status: status };
+    if (trigger !== 'manual') {
+      const retry = status === 'failed' && attempt <= row.max_retries;
+      jobUpdate.retry_count = retry ? attempt : 0;
+      jobUpdate.next_run_at = new Date(finishedAt.getTime() + (retry ? row.retry_delay_minutes : row.interval_minutes) * MINUTE_MS);
+    }
+    const fields = Object.keys(jobUpdate);
+    await db.query(
+      `UPDATE scheduled_jobs SET ${fields.map(f => `${f} = ?`).join(', ')} WHERE name = ?`,
+      [...fields.map(f => jobUpdate[f]), name]
+    );
+  } finally {
+    await releaseLock(name);
+  }
+
+  console.log(`[Scheduler] Job ${name} ${status} in ${finishedAt - startedAt}ms (${trigger}, attempt ${attempt})`);
+
+  return { success: status === 'succeeded', runId, runStatus: status, result, error: errorMessage };
+}
+
+// Runs every enabled job that is due. Jobs run one after another so a slow
+// job never overlaps with itself on this instance.
+async function tick() {
+  if (ticking) return;
+  ticking = true;
+  try {
+    const due = await db.query(`
+      SELECT name, retry_count FROM scheduled_jobs
+      WHERE is_enabled = 1 AND next_run_at <= ?
+        AND (locked_until IS NULL OR locked_until < ?)
+      ORDER BY next_run_at ASC
+    `, [new Date(), new Date()]);
+
+    for (const job of due) {
+      if (!registry.has(job.name)) continue;
+      await runJob(job.name, { trigger: job.retry_count > 0 ? 'retry' : 'schedule' });
+    }
+  } catch (error) {
+    console.error('[Scheduler] Tick error:', error);
+  } finally {
+    ticking = false;
+  }
+}
+
+// Set SCHEDULER_ENABLED=false to keep an instance from running jobs; the
+// locks already stop two instances running the same job at once.
+async function startScheduler({ tickMs = DEFAULT_TICK_MS } = {}) {
+  if (process.env.SCHEDULER_ENABLED === 'false') {
+    console.log('[Scheduler] Disabled by SCHEDULER_ENABLED=false');
+    return;
+  }
+  if (timer) return;
+
+  try {
+    await syncJobs();
+  } catch (error) {
+    console.error('[Scheduler] Could not register jobs:', error);
+  }
+  timer = setInterval(tick, tickMs);
+  console.log(`[Scheduler] Started on ${INSTANCE_ID} with ${registry.size} job(s)`);
+  tick();
+}
+
+function stopScheduler() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+async function getJobs() {
+  await syncJobs();
+  const rows = await db.query('SELECT * FROM scheduled_jobs ORDER BY name ASC');
+  return rows.map(row => ({
+    name: row.name,
+    description: row.description,
+    isEnabled: !!row.is_enabled,
+    isRegistered: registry.has(row.name),
+    intervalMinutes: row.interval_minutes,
+    maxRetries: row.max_retries,
+    retryDelayMinutes: row.retry_delay_minutes,
+    retryCount: row.retry_count || 0,
+    nextRunAt: row.next_run_at,
+    lastRunAt: row.last_run_at,
+    lastStatus: row.last_status,
+    lockedBy: row.locked_until && new Date(row.locked_until) > new Date() ? row.locked_by : null
+  }));
+}
+
+async function getJobRuns({ jobName = null, status = null, limit = 100 } = {}) {
+  let sql = `
+    SELECT r.*, u.full_name as triggered_by_name
+    FROM job_runs r
+    LEFT JOIN users u ON r.triggered_by = u.id
+    WHERE 1 = 1
+  `;
+  const params = [];
+  if (jobName) {
+    sql += ' AND r.job_name = ?';
+    params.push(jobName);
+  }
+  if (status) {
+    sql += ' AND r.status = ?';
+    params.push(status);
+  }
+  sql += ' ORDER BY r.id DESC LIMIT ?';
+  params.push(limit);
+
+  const rows = await db.query(sql, params);
+  return rows.map(row => ({
+    id: row.id,
+    jobName: row.job_name,
+    trigger: row.trigger_type,
+    attempt: row.attempt,
+    status: row.status,
+    result: row.result,
+    error: row.error,
+    instanceId: row.instance_id,
+    triggeredBy: row.triggered_by_name || null,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    durationMs: row.duration_ms
+  }));
+}
+
+// Admin changes to a job's schedule; changing the interval reschedules the next run
+async function updateJob(name, { isEnabled, intervalMinutes, maxRetries, retryDelayMinutes }) {
+  const row = await db.getOne('SELECT * FROM scheduled_jobs WHERE name = ?', [name]);
+  if (!row) {
+    return { success: false, status: 404, error: 'Job not found' };
+  }
+
+  const changes = {};
+  if (isEnabled !== undefined) changes.is_enabled = isEnabled ? 1 : 0;
+  if (intervalMinutes !== undefined) {
+    const interval = parseInt(intervalMinutes);
+    if (isNaN(interval) || interval < 1) {
+      return { success: false, status: 400, error: 'Interval must be at least one minute' };
+    }
+    changes.interval_minutes = interval;
+    const lastRun = row.last_run_at ? new Date(row.last_run_at) : new Date();
+    changes.next_run_at = new Date(lastRun.getTime() + interval * MINUTE_MS);
+  }
+  if (maxRetries !== undefined) {
+    const retries = parseInt(maxRetries);
+    if (isNaN(retries) || retries < 0) {
+      return { success: false, status: 400, error: 'Retries must be zero or more' };
+    }
+    changes.max_retries = retries;
+  }
+  if (retryDelayMinutes !== undefined) {
+    const delay = parseInt(retryDelayMinutes);
+    if (isNaN(delay) || delay < 1) {
+      return { success: false, status: 400, error: 'Retry delay must be at least one minute' };
+    }
+    changes.retry_delay_minutes = delay;
+  }
+
+  const fields = Object.keys(changes);
+  if (fields.length) {
+    await db.query(
+      `UPDATE scheduled_jobs SET ${fields.map(f => `${f} = ?`).join(', ')} WHERE name = ?`,
+      [...fields.map(f => changes[f]), name]
+    );
+  }
+  return { success: true };
+}
+
+module.exports = {
+  INSTANCE_ID,
+  defineJob,
+  runJob,
+  tick,
+  startScheduler,
+  stopScheduler,
+  getJobs,
+  getJobRuns,
+  updateJob
+};
@@ -0,0 +1,314 @@
+// lib/sessions.js - Login sessions, short-lived access tokens and rotating refresh tokens (CommonJS)
+//
+// Every login creates a session row for that device. The client holds a JWT
+// access token naming the session (sid) and an opaque refresh token; only a
+// hash of the refresh token is stored. Each refresh swaps the refresh token
+// for a new one and pushes the session's expiry out by the admin
+// sessionTimeout (minutes of inactivity), up to SESSION_MAX_DAYS after login.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../config/database.js');
+
+const ACCESS_TOKEN_MINUTES = 15;
+const DEFAULT_SESSION_TIMEOUT_MINUTES = 60;
+const SESSION_MAX_DAYS = 30;
+// Two tabs can refresh with the same token at once; for this long the token
+// just replaced still gets an access token, after that it counts as stolen
+const ROTATION_GRACE_MS = 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+// Active sessions are remembered this long so each API request does not wait
+// on the database. Revocations in this process clear them at once; other
+// processes notice within this window.
+const SESSION_CACHE_MS = 15 * 1000;
+const SESSION_CACHE_LIMIT = 10000;
+
+const revocationListeners = [];
+const sessionCache = new Map();
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Called with (sessionIds, reason) whenever sessions are revoked
+function onSessionsRevoked(listener) {
+  revocationListeners.push(listener);
+}
+
+function notifyRevoked(sessionIds, reason) {
+  sessionIds.forEach(id => sessionCache.delete(id));
+  if (!sessionIds.length) return;
+  for (const listener of revocationListeners) {
+    try {
+      listener(sessionIds, reason);
+    } catch (error) {
+      console.error('[Sessions] Revocation listener failed:', error.message);
+    }
+  }
+}
+
+async function getSessionTimeoutMinutes() {
+  const row = await db.getOne("SELECT setting_value FROM settings WHERE setting_key = 'sessionTimeout'");
+  const minutes = parseInt(row?.setting_value);
+  return minutes > 0 ? minutes : DEFAULT_SESSION_TIMEOUT_MINUTES;
+}
+
+// "Chrome on Windows" from a user agent, good enough to tell devices apart
+function describeDevice(userAgent) {
+  const ua = String(userAgent || '');
+  if (!ua) return 'Unknown device';
+
+  const browser = [
+    [/Edg\//, 'Edge'], [/OPR\/|Opera/, 'Opera'], [/SamsungBrowser/, 'Samsung Internet'],
+    [/Chrome\//, 'Chrome'], [/Firefox\//, 'Firefox'], [/Safari\//, 'Safari']
+  ].find(([pattern]) => pattern.test(ua));
+  const os = [
+    [/Android/, 'Android'], [/iPhone|iPad|iPod/, 'iOS'], [/Windows/, 'Windows'],
+    [/Mac OS X|Macintosh/, 'macOS'], [/CrOS/, 'ChromeOS'], [/Linux/, 'Linux']
+  ].find(([pattern]) => pattern.test(ua));
+
+  if (!browser && !os) return ua.slice(0, 100);
+  return [browser?.[1], os?.[1]].filter(Boolean).join(' on ');
+}
+
+// req.ip already honours TRUST_PROXY, so a client cannot spoof it with headers
+function clientIp(req) {
+  const ip = req.ip || req.socket?.remoteAddress || null;
+  return ip ? ip.slice(0, 45) : null;
+}
+
+function signAccessToken(user, roleName, sessionId, minutes) {
+  return jwt.sign(
+    { userId: user.id, email: user.email, role: roleName, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: `${minutes}m` }
+  );
+}
+
+function sessionExpiry(createdAt, timeoutMinutes) {
+  const idleExpiry = Date.now() + timeoutMinutes * MINUTE_MS;
+  const hardExpiry = new Date(createdAt).getTime() + SESSION_MAX_DAYS * 24 * 60 * MINUTE_MS;
+  return new Date(Math.min(idleExpiry, hardExpiry));
+}
+
+async function issueTokens(user, roleName, session, timeoutMinutes) {
+  const accessMinutes = Math.min(ACCESS_TOKEN_MINUTES, timeoutMinutes);
+  return {
+    token: signAccessToken(user, roleName, session.id, accessMinutes),
+    refreshToken: session.refreshToken,
+    expiresIn: accessMinutes * 60,
+    sessionId: session.id
+  };
+}
+
+// Opens a session for a user who has just proven who they are
+async function createSession(user, roleName, req) {
+  const timeoutMinutes = await getSessionTimeoutMinutes();
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const now = new Date();
+
+  const sessionId = await db.insert('user_sessions', {
+    user_id: user.id,
+    refresh_token_hash: hashToken(refreshToken),
+    device_name: describeDevice(req.headers?.['user-agent']),
+    user_agent: String(req.headers?.['user-agent'] || '').slice(0, 255) || null,
+    ip_address: clientIp(req),
+    created_at: now,
+    last_used_at: now,
+    expires_at: sessionExpiry(now, timeoutMinutes)
+  });
+
+  return await issueTokens(user, roleName, { id: sessionId, refreshToken }, timeoutMinutes);
+}
+
+// The user a session belongs to and their role name, or an error result when
+// the session can no longer be used
+async function loadSessionUser(session) {
+  if (session.revoked_at || new Date(session.expires_at) <= new Date()) {
+    return { success: false, status: 401, error: 'Session expired. Please log in again.', code: 'SESSION_EXPIRED' };
+  }
+
+  const user = await db.getOne('SELECT * FROM users WHERE id = ?', [session.user_id]);
+  if (!user || !user.is_active) {
+    await revokeSession(session.id, { reason: 'deactivated' });
+    return { success: false, status: 401, error: 'User not found or inactive', code: 'SESSION_EXPIRED' };
+  }
+
+  const role = user.role_id ? await db.getOne('SELECT name FROM roles WHERE id = ?', [user.role_id]) : null;
+  return { success: true, user, roleName: role?.name || 'student' };
+}
+
+// A refresh that lost the race to another tab: it gets a new access token,
+// and the client keeps the refresh token the winner stored (refreshToken is null)
+async function issueAfterRotation(session) {
+  const loaded = await loadSessionUser(session);
+  if (!loaded.success) return loaded;
+
+  const timeoutMinutes = await getSessionTimeoutMinutes();
+  return {
+    success: true,
+    ...(await issueTokens(loaded.user, loaded.roleName, { id: session.id, refreshToken: null }, timeoutMinutes))
+  };
+}
+
+// Swaps a refresh token for a new access and refresh token pair
+async function refreshSession(refreshToken, req) {
+  if (!refreshToken) {
+    return { success: false, status: 400, error: 'Refresh token is required' };
+  }
+
+  const hash = hashToken(refreshToken);
+  const session = await db.getOne('SELECT * FROM user_sessions WHERE refresh_token_hash = ?', [hash]);
+
+  if (!session) {
+    const rotated = await db.getOne('SELECT * FROM user_sessions WHERE previous_token_hash = ?', [hash]);
+    if (!rotated || rotated.revoked_at) {
+      return { success: false, status: 401, error: 'Session expired. Please log in again.', code: 'SESSION_EXPIRED' };
+    }
+    if (Date.now() - new Date(rotated.rotated_at).getTime() <= ROTATION_GRACE_MS) {
+      return await issueAfterRotation(rotated);
+    }
+    // An old refresh token coming back long after rotation means it was copied
+    await revokeSession(rotated.id, { reason: 'token_reuse' });
+    console.warn(`[Sessions] Refresh token reuse on session ${rotated.id} (user ${rotated.user_id}); session revoked`);
+    return { success: false, status: 401, error: 'Session expired. Please log in again.', code: 'SESSION_EXPIRED' };
+  }
+
+  const loaded = await loadSessionUser(session);
+  if (!loaded.success) return loaded;
+
+  const timeoutMinutes = await getSessionTimeoutMinutes();
+  const newRefreshToken = crypto.randomBytes(48).toString('hex');
+  const now = new Date();
+
+  // Only the request holding the current hash may rotate it
+  const result = await db.query(`
+    UPDATE user_sessions
+    SET refresh_token_hash = ?, previous_token_hash = ?, rotated_at = ?, last_used_at = ?,
+        expires_at = ?, ip_address = ?
+    WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL
+  `, [hashToken(newRefreshToken), hash, now, now, sessionExpiry(session.created_at, timeoutMinutes), clientIp(req), session.id, hash]);
+
+  if (!result.affectedRows) {
+    return await issueAfterRotation(session);
+  }
+
+  return {
+    success: true,
+    ...(await issueTokens(loaded.user, loaded.roleName, { id: session.id, refreshToken: newRefreshToken }, timeoutMinutes))
+  };
+}
+
+// The session an access token belongs to, if it is still usable
+async function getActiveSession(sessionId, userId) {
+  if (!sessionId) return null;
+
+  const now = Date.now();
+  const cached = sessionCache.get(sessionId);
+  if (cached && cached.until > now && cached.session.user_id === userId) {
+    return cached.session;
+  }
+
+  const session = await db.getOne(`
+    SELECT * FROM user_sessions
+    WHERE id = ? AND user_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+  `, [sessionId, userId]);
+
+  if (!session) {
+    sessionCache.delete(sessionId);
+    return null;
+  }
+  if (sessionCache.size >= SESSION_CACHE_LIMIT) sessionCache.clear();
+  sessionCache.set(sessionId, {
+    session,
+    until: Math.min(now + SESSION_CACHE_MS, new Date(session.expires_at).getTime())
+  });
+  return session;
+}
+
+// Of the given session IDs, those still usable
+async function filterActiveSessionIds(sessionIds) {
+  if (!sessionIds.length) return [];
+  const rows = await db.query(`
+    SELECT id FROM user_sessions
+    WHERE id IN (?) AND revoked_at IS NULL AND expires_at > NOW()
+  `, [sessionIds]);
+  return rows.map(r => r.id);
+}
+
+async function revokeSession(sessionId, { userId = null, reason = 'logout' } = {}) {
+  const params = [new Date(), reason, sessionId];
+  let sql = 'UPDATE user_sessions SET revoked_at = ?, revoke_reason = ? WHERE id = ? AND revoked_at IS NULL';
+  if (userId) {
+    sql += ' AND user_id = ?';
+    params.push(userId);
+  }
+  const result = await db.query(sql, params);
+  if (result.affectedRows) notifyRevoked([sessionId], reason);
+  return result.affectedRows > 0;
+}
+
+// Signs a user out everywhere (or everywhere but exceptSessionId).
+// Returns how many sessions were ended.
+async function revokeUserSessions(userId, { exceptSessionId = null, reason = 'logout_all' } = {}) {
+  const sessions = await db.query(`
+    SELECT id FROM user_sessions
+    WHERE user_id = ? AND revoked_at IS NULL AND expires_at > NOW() ${exceptSessionId ? 'AND id <> ?' : ''}
+  `, exceptSessionId ? [userId, exceptSessionId] : [userId]);
+  const ids = sessions.map(s => s.id);
+  if (!ids.length) return 0;
+
+  await db.query(
+    'UPDATE user_sessions SET revoked_at = ?, revoke_reason = ? WHERE id IN (?) AND revoked_at IS NULL',
+    [new Date(), reason, ids]
+  );
+  notifyRevoked(ids, reason);
+  console.log(`[Sessions] Revoked ${ids.length} session(s) for user ${userId} (${reason})`);
+  return ids.length;
+}
+
+// A user's signed-in devices, newest activity first
+async function getUserSessions(userId, currentSessionId = null) {
+  const rows = await db.query(`
+    SELECT id, device_name, ip_address, created_at, last_used_at, expires_at
+    FROM user_sessions
+    WHERE user_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+    ORDER BY last_used_at DESC
+  `, [userId]);
+
+  return rows.map(row => ({
+    id: row.id,
+    device: row.device_name,
+    ipAddress: row.ip_address,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    expiresAt: row.expires_at,
+    current: row.id === currentSessionId
+  }));
+}
+
+// Drops sessions that ended more than a month ago
+async function pruneSessions() {
+  const result = await db.query(`
+    DELETE FROM user_sessions
+    WHERE expires_at < DATE_SUB(NOW(), INTERVAL 30 DAY)
+       OR revoked_at < DATE_SUB(NOW(), INTERVAL 30 DAY)
+  `);
+  return { deleted: result.affectedRows || 0 };
+}
+
+module.exports = {
+  ACCESS_TOKEN_MINUTES,
+  SESSION_MAX_DAYS,
+  onSessionsRevoked,
+  getSessionTimeoutMinutes,
+  describeDevice,
+  clientIp,
+  createSession,
+  refreshSession,
+  getActiveSession,
+  filterActiveSessionIds,
+  revokeSession,
+  revokeUserSessions,
+  getUserSessions,
+  pruneSessions
+};
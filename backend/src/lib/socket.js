@@ -1,9 +1,36 @@
 // lib/socket.js - Socket.IO real-time notification service (CommonJS)
 const { Server } = require('socket.io');
 const jwt = require('jsonwebtoken');
+const { getActiveSession, filterActiveSessionIds, onSessionsRevoked } = require('./sessions.js');
+
+// Sessions can also end by running out (idle timeout), which fires no event,
+// so connected sockets are re-checked this often
+const SESSION_SWEEP_MS = 60 * 1000;
 
 let io = null;
 
+function endSessionSockets(sessionIds, reason) {
+  if (!io) return;
+  for (const sessionId of sessionIds) {
+    const room = `session:${sessionId}`;
+    io.to(room).emit('session-revoked', { reason });
+    io.in(room).disconnectSockets(true);
+  }
+}
+
+async function sweepExpiredSessions() {
+  if (!io) return;
+  const sessionIds = [...new Set([...io.of('/').sockets.values()].map(socket => socket.sessionId))];
+  if (!sessionIds.length) return;
+
+  try {
+    const active = new Set(await filterActiveSessionIds(sessionIds));
+    endSessionSockets(sessionIds.filter(id => !active.has(id)), 'expired');
+  } catch (error) {
+    console.error('[Socket] Session sweep failed:', error.message);
+  }
+}
+
 function initSocket(server) {
   io = new Server(server, {
     cors: {
@@ -19,29 +46,44 @@ function initSocket(server) {
     path: '/socket.io'
   });
 
-  io.use((socket, next) => {
+  io.use(async (socket, next) => {
     const token = socket.handshake.auth?.token || socket.handshake.query?.token;
     if (!token) {
       return next(new Error('Authentication required'));
     }
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (err) {
+      return next(new Error('Invalid token'));
+    }
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const session = await getActiveSession(decoded.sid, decoded.userId);
+      if (!session) {
+        return next(new Error('Session expired'));
+      }
       socket.userId = decoded.userId;
+      socket.sessionId = session.id;
       next();
     } catch (err) {
-      next(new Error('Invalid token'));
+      console.error('[Socket] Session check failed:', err.message);
+      next(new Error('Authentication failed'));
     }
   });
 
   io.on('connection', (socket) => {
     console.log('[Socket] User connected:', socket.userId);
     socket.join(`user:${socket.userId}`);
+    socket.join(`session:${socket.sessionId}`);
 
     socket.on('disconnect', () => {
       console.log('[Socket] User disconnected:', socket.userId);
     });
   });
 
+  onSessionsRevoked(endSessionSockets);
+  setInterval(sweepExpiredSessions, SESSION_SWEEP_MS).unref();
+
   console.log('[Socket] Socket.IO initialized');
   return io;
 }
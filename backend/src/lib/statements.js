@@ -0,0 +1,199 @@
+// lib/statements.js - Chronological statement of account (CommonJS)
+const db = require('../config/database.js');
+const { roundMoney } = require('./ledger.js');
+
+const STATEMENT_FORMATS = ['json', 'csv', 'pdf'];
+
+function describeInvoice(invoice) {
+  if (invoice.type === 'monthly') return `Monthly installment${invoice.month_number ? ` (month ${invoice.month_number})` : ''}`;
+  if (invoice.type === 'penalty') return `Late fee on invoice #${invoice.parent_invoice_id}`;
+  return 'Deposit';
+}
+
+// Every movement on a student's account, oldest first. Debits are amounts the
+// student owes (charges, refunds paid out); credits reduce what they owe
+// (payments, discounts, credit notes, waivers).
+async function getAccountMovements(studentId) {
+  const movements = [];
+  const add = (date, type, description, reference, courseTitle, debit, credit) => {
+    movements.push({
+      date: new Date(date),
+      type,
+      description,
+      reference: reference || null,
+      courseTitle: courseTitle || null,
+      debit: roundMoney(debit),
+      credit: roundMoney(credit)
+    });
+  };
+
+  const invoices = await db.query(`
+    SELECT i.*, c.title as course_title
+    FROM invoices i
+    JOIN courses c ON i.course_id = c.id
+    WHERE i.student_id = ?
+  `, [studentId]);
+
+  for (const invoice of invoices) {
+    const gross = parseFloat(invoice.gross_amount ?? invoice.amount);
+    const discount = parseFloat(invoice.discount_amount || 0);
+    add(invoice.created_at, 'charge', describeInvoice(invoice), `#${invoice.id}`, invoice.course_title, gross, 0);
+    if (discount > 0) {
+      add(invoice.created_at, 'discount', `Discount on invoice #${invoice.id}`, `#${invoice.id}`, invoice.course_title, 0, discount);
+    }
+
+    // Invoices an admin marked paid without the money passing through the ledger
+    const shortfall = parseFloat(invoice.amount) - parseFloat(invoice.amount_paid || 0);
+    if (invoice.status === 'paid' && shortfall > 0 && invoice.paid_at) {
+      add(invoice.paid_at, 'adjustment', `Invoice #${invoice.id} marked paid by admin`, `#${invoice.id}`, invoice.course_title, 0, shortfall);
+    }
+  }
+
+  const entries = await db.query(`
+    SELECT le.*, c.title as course_title
+    FROM ledger_entries le
+    LEFT JOIN courses c ON le.course_id = c.id
+    WHERE le.student_id = ? AND le.entry_type IN ('payment', 'credit_note', 'refund')
+  `, [studentId]);
+
+  for (const entry of entries) {
+    const amount = parseFloat(entry.amount);
+    if (entry.entry_type === 'payment') {
+      add(entry.created_at, 'payment', `Payment received${entry.method ? ` (${entry.method})` : ''}`, entry.reference, entry.course_title, 0, amount);
+    } else if (entry.entry_type === 'refund') {
+      // Refunds leave the account as a debit; a failed refund comes back as a credit
+      add(entry.created_at, 'refund', entry.description || 'Refund', entry.reference, entry.course_title, amount < 0 ? -amount : 0, amount > 0 ? amount : 0);
+    }
+  }
+
+  // Credit notes cancel the whole invoice amount, including any part that was
+  // never paid, so they come from the credit notes themselves
+  const creditNotes = await db.query(`
+    SELECT cn.*, c.title as course_title
+    FROM credit_notes cn
+    JOIN courses c ON cn.course_id = c.id
+    WHERE cn.student_id = ?
+  `, [studentId]);
+
+  for (const note of creditNotes) {
+    add(note.created_at, 'credit_note', note.reason, note.credit_note_number, note.course_title, 0, parseFloat(note.amount));
+  }
+
+  const waivers = await db.query(`
+    SELECT w.*, c.title as course_title
+    FROM late_fee_waivers w
+    JOIN courses c ON w.course_id = c.id
+    WHERE w.student_id = ?
+  `, [studentId]);
+
+  for (const waiver of waivers) {
+    add(waiver.created_at, 'waiver', `Late fee #${waiver.invoice_id} waived: ${waiver.reason}`, `#${waiver.invoice_id}`, waiver.course_title, 0, parseFloat(waiver.amount));
+  }
+
+  movements.sort((a, b) => a.date - b.date);
+  return movements;
+}
+
+// Statement for a date range (inclusive, YYYY-MM-DD). Movements before the
+// range roll up into the opening balance. A positive balance is owed by the
+// student; a negative one is credit in their favour.
+async function buildStatement(studentId, { from = null, to = null } = {}) {
+  const student = await db.getOne('SELECT id, full_name, email, username FROM users WHERE id = ?', [studentId]);
+  if (!student) return null;
+
+  const start = from ? new Date(`${from}T00:00:00`) : null;
+  const end = to ? new Date(`${to}T23:59:59.999`) : null;
+
+  const movements = await getAccountMovements(studentId);
+
+  let openingBalance = 0;
+  let balance = 0;
+  const lines = [];
+  const totals = { debits: 0, credits: 0, charges: 0, payments: 0, refunds: 0, otherCredits: 0 };
+
+  for (const movement of movements) {
+    if (end && movement.date > end) break;
+
+    balance = roundMoney(balance + movement.debit - movement.credit);
+    if (start && movement.date < start) {
+      openingBalance = balance;
+      continue;
+    }
+
+    totals.debits += movement.debit;
+    totals.credits += movement.credit;
+    if (movement.type === 'charge') totals.charges += movement.debit;
+    else if (movement.type === 'payment') totals.payments += movement.credit;
+    else if (movement.type === 'refund') totals.refunds += movement.debit - movement.credit;
+    else totals.otherCredits += movement.credit;
+
+    lines.push({ ...movement, balance });
+  }
+
+  for (const key of Object.keys(totals)) totals[key] = roundMoney(totals[key]);
+
+  return {
+    student: {
+      id: student.id,
+      fullName: student.full_name,
+      email: student.email,
+      username: student.username
+    },
+    period: { from: from || null, to: to || null },
+    openingBalance,
+    closingBalance: balance,
+    totals,
+    lines,
+    generatedAt: new Date()
+  };
+}
+
+// Reads ?from=&to= (YYYY-MM-DD, both optional) from a request query
+function parseStatementRange(query) {
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  const from = query.from || null;
+  const to = query.to || null;
+
+  for (const value of [from, to]) {
+    if (value && (!datePattern.test(value) || isNaN(Date.parse(value)))) {
+      return { error: 'Dates must be in YYYY-MM-DD format' };
+    }
+  }
+  if (from && to && from > to) {
+    return { error: 'The start date must be before the end date' };
+  }
+  return { from, to };
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function statementToCsv(statement) {
+  const rows = [['Date', 'Type', 'Description', 'Reference', 'Course', 'Debit', 'Credit', 'Balance']];
+  rows.push([statement.period.from || '', 'opening', 'Opening balance', '', '', '', '', statement.openingBalance.toFixed(2)]);
+  for (const line of statement.lines) {
+    rows.push([
+      line.date.toISOString().slice(0, 10),
+      line.type,
+      line.description,
+      line.reference,
+      line.courseTitle,
+      line.debit ? line.debit.toFixed(2) : '',
+      line.credit ? line.credit.toFixed(2) : '',
+      line.balance.toFixed(2)
+    ]);
+  }
+  rows.push([statement.period.to || '', 'closing', 'Closing balance', '', '', '', '', statement.closingBalance.toFixed(2)]);
+  return rows.map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+module.exports = {
+  STATEMENT_FORMATS,
+  getAccountMovements,
+  buildStatement,
+  parseStatementRange,
+  csvCell,
+  statementToCsv
+};
@@ -0,0 +1,195 @@
+// lib/stkReconciliation.js - Settles payment attempts whose callback never came, and daily reports (CommonJS)
+const db = require('../config/database.js');
+const NotificationController = require('../controllers/notificationController.js');
+const { roundMoney } = require('./ledger.js');
+const { getGateway } = require('./paymentGateways.js');
+const { refreshAttempt, expireAttempt } = require('./paymentAttempts.js');
+
+// Give the callback (or webhook) this long before asking the gateway ourselves
+const QUERY_AFTER_MINUTES = 5;
+// Stop asking and expire the attempt after this long
+const EXPIRE_AFTER_MINUTES = 24 * 60;
+// Safaricom rate-limits the query API, so spread the calls out
+const QUERY_DELAY_MS = 1000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const REPORT_BUCKETS = {
+  succeeded: 'settled',
+  failed: 'failed',
+  cancelled: 'failed',
+  timed_out: 'failed',
+  initiated: 'unknown',
+  expired: 'unknown'
+};
+
+// Asks the gateway about every open attempt older than QUERY_AFTER_MINUTES and
+// applies the answer. Attempts the gateway still cannot answer for are expired
+// once they are EXPIRE_AFTER_MINUTES old. Attempts on a gateway that is no
+// longer configured are left alone.
+async function reconcilePendingAttempts() {
+  const summary = { checked: 0, settled: 0, failed: 0, expired: 0, stillPending: 0, skipped: 0, errors: 0 };
+
+  const now = Date.now();
+  const attempts = await db.query(`
+    SELECT * FROM payment_attempts
+    WHERE status = 'initiated' AND checkout_request_id IS NOT NULL AND created_at <= ?
+    ORDER BY id ASC
+  `, [new Date(now - QUERY_AFTER_MINUTES * 60 * 1000)]);
+
+  for (const attempt of attempts) {
+    const gateway = getGateway(attempt.gateway);
+    if (!gateway || !gateway.isConfigured()) {
+      summary.skipped++;
+      continue;
+    }
+
+    if (summary.checked > 0) await sleep(QUERY_DELAY_MS);
+    summary.checked++;
+
+    try {
+      const outcome = await refreshAttempt(attempt, { source: 'reconciliation' });
+
+      if (!outcome.pending) {
+        if (outcome.found && !outcome.duplicate) {
+          if (outcome.attempt.status === 'succeeded') summary.settled++;
+          else summary.failed++;
+        }
+        continue;
+      }
+
+      const ageMinutes = (now - new Date(attempt.created_at).getTime()) / 60000;
+      if (ageMinutes >= EXPIRE_AFTER_MINUTES) {
+        const detail = `No outcome after ${Math.round(ageMinutes / 60)} hours (${outcome.error || 'no result code'})`;
+        if (await expireAttempt(attempt, { source: 'reconciliation', detail })) summary.expired++;
+      } else {
+        summary.stillPending++;
+      }
+    } catch (error) {
+      summary.errors++;
+      console.error(`[Reconciliation] Attempt ${attempt.id} error:`, error);
+    }
+  }
+
+  if (summary.checked) {
+    console.log(`[Reconciliation] Checked ${summary.checked} open payment attempt(s): ${summary.settled} settled, ${summary.failed} failed, ${summary.expired} expired`);
+  }
+  if (summary.errors) {
+    throw new Error(`${summary.errors} of ${summary.checked} attempt(s) could not be reconciled`);
+  }
+  return summary;
+}
+
+function toDateString(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Builds (or rebuilds) the report for one day's attempts, yesterday by default
+async function generateDailyReport(reportDate = null) {
+  const date = reportDate || toDateString(new Date(Date.now() - 24 * 60 * 60 * 1000));
+
+  const attempts = await db.query(`
+    SELECT a.id, a.invoice_id, a.student_id, a.gateway, a.amount, a.amount_paid, a.status,
+           a.failure_reason, a.mpesa_receipt_number, a.checkout_request_id, a.created_at,
+           u.full_name as student_name
+    FROM payment_attempts a
+    JOIN users u ON a.student_id = u.id
+    WHERE DATE(a.created_at) = ?
+    ORDER BY a.id ASC
+  `, [date]);
+
+  const totals = {
+    settled: { count: 0, amount: 0 },
+    failed: { count: 0, amount: 0 },
+    unknown: { count: 0, amount: 0 }
+  };
+  const failureReasons = {};
+  const unknown = [];
+
+  for (const attempt of attempts) {
+    const bucket = REPORT_BUCKETS[attempt.status] || 'unknown';
+    totals[bucket].count++;
+    totals[bucket].amount = roundMoney(totals[bucket].amount + parseFloat(
+      bucket === 'settled' ? (attempt.amount_paid ?? attempt.amount) : attempt.amount
+    ));
+
+    if (bucket === 'failed') {
+      const reason = attempt.failure_reason || 'Unknown reason';
+      failureReasons[reason] = (failureReasons[reason] || 0) + 1;
+    } else if (bucket === 'unknown') {
+      unknown.push({
+        attemptId: attempt.id,
+        invoiceId: attempt.invoice_id,
+        studentId: attempt.student_id,
+        studentName: attempt.student_name,
+        gateway: attempt.gateway,
+        amount: parseFloat(attempt.amount),
+        status: attempt.status,
+        checkoutRequestId: attempt.checkout_request_id
+      });
+    }
+  }
+
+  const details = { failureReasons, unknown };
+  await db.query(`
+    REPLACE INTO stk_reconciliation_reports
+      (report_date, total_count, settled_count, settled_amount, failed_count, failed_amount,
+       unknown_count, unknown_amount, details, generated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    date, attempts.length,
+    totals.settled.count, totals.settled.amount,
+    totals.failed.count, totals.failed.amount,
+    totals.unknown.count, totals.unknown.amount,
+    JSON.stringify(details), new Date()
+  ]);
+
+  // Unknown outcomes may be money taken but not recorded, so admins are told
+  if (totals.unknown.count > 0) {
+    const admins = await db.query(`
+      SELECT u.id FROM users u JOIN roles r ON u.role_id = r.id WHERE r.name = 'admin'
+    `);
+    NotificationController.createNotificationsForUsers(
+      admins.map(a => a.id),
+      'Online Payments Need Checking',
+      `${totals.unknown.count} payment attempt(s) from ${date} (KES ${totals.unknown.amount.toLocaleString()}) have no confirmed outcome. Check them against the M-Pesa statement or the card gateway dashboard.`,
+      'warning',
+      '/admin-dashboard/jobs.html'
+    );
+  }
+
+  console.log(`[Reconciliation] Report for ${date}: ${totals.settled.count} settled, ${totals.failed.count} failed, ${totals.unknown.count} unknown`);
+  return { date, total: attempts.length, settled: totals.settled, failed: totals.failed, unknown: totals.unknown };
+}
+
+function formatReport(row) {
+  return {
+    date: toDateString(new Date(row.report_date)),
+    total: row.total_count,
+    settled: { count: row.settled_count, amount: parseFloat(row.settled_amount) },
+    failed: { count: row.failed_count, amount: parseFloat(row.failed_amount) },
+    unknown: { count: row.unknown_count, amount: parseFloat(row.unknown_amount) },
+    details: row.details ? JSON.parse(row.details) : null,
+    generatedAt: row.generated_at
+  };
+}
+
+async function getDailyReports({ limit = 30 } = {}) {
+  const rows = await db.query(`
+    SELECT * FROM stk_reconciliation_reports ORDER BY report_date DESC LIMIT ?
+  `, [limit]);
+  return rows.map(formatReport);
+}
+
+async function getDailyReport(date) {
+  const row = await db.getOne('SELECT * FROM stk_reconciliation_reports WHERE report_date = ?', [date]);
+  return row ? formatReport(row) : null;
+}
+
+module.exports = {
+  reconcilePendingAttempts,
+  generateDailyReport,
+  getDailyReports,
+  getDailyReport
+};
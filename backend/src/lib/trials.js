@@ -0,0 +1,204 @@
+// lib/trials.js - Free trial periods on paid courses (CommonJS)
+const db = require('../config/database.js');
+const NotificationController = require('../controllers/notificationController.js');
+
+const DEFAULT_TRIAL_DAYS = 7;
+const MAX_TRIAL_DAYS = 365;
+// How long before a trial ends the student is reminded to pay
+const TRIAL_REMINDER_DAYS = 2;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The platform-wide trial length from admin settings (0 turns trials off)
+async function getDefaultTrialDays() {
+  const row = await db.getOne("SELECT setting_value FROM settings WHERE setting_key = 'freeTrialDays'");
+  if (!row) return DEFAULT_TRIAL_DAYS;
+  const days = parseInt(row.setting_value);
+  return isNaN(days) || days < 0 ? 0 : Math.min(days, MAX_TRIAL_DAYS);
+}
+
+// null (inherit the platform default) or a whole number of days, or { error }
+function parseTrialDays(value) {
+  if (value === undefined || value === null || value === '' || value === 'inherit') {
+    return { days: null };
+  }
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 0 || days > MAX_TRIAL_DAYS) {
+    return { error: `Free trial days must be a whole number from 0 to ${MAX_TRIAL_DAYS}` };
+  }
+  return { days };
+}
+
+// Trial length for a course; free courses and courses without pricing have none
+async function getCourseTrialDays(courseId) {
+  const course = await db.getOne(`
+    SELECT c.is_free, cp.is_active, cp.free_trial_days
+    FROM courses c
+    LEFT JOIN course_pricing cp ON c.id = cp.course_id
+    WHERE c.id = ?
+  `, [courseId]);
+
+  if (!course || course.is_free || !course.is_active) return 0;
+  if (course.free_trial_days !== null && course.free_trial_days !== undefined) {
+    return course.free_trial_days;
+  }
+  return await getDefaultTrialDays();
+}
+
+// Starts a trial for a new enrollment. Each student gets one trial per course,
+// so re-enrolling after a withdrawal does not start another.
+async function startTrial(studentId, courseId) {
+  const days = await getCourseTrialDays(courseId);
+  if (days <= 0) return null;
+
+  const previous = await db.getOne(
+    'SELECT id FROM course_trials WHERE student_id = ? AND course_id = ?',
+    [studentId, courseId]
+  );
+  if (previous) return null;
+
+  const startedAt = new Date();
+  const endsAt = new Date(startedAt.getTime() + days * DAY_MS);
+  await db.insert('course_trials', {
+    student_id: studentId,
+    course_id: courseId,
+    trial_days: days,
+    started_at: startedAt,
+    ends_at: endsAt
+  });
+
+  console.log(`[Trial] Student ${studentId} started a ${days}-day trial of course ${courseId}`);
+  return { days, startedAt, endsAt };
+}
+
+// SQL condition: the student has paid for the course since starting the trial
+const CONVERTED_SQL = `EXISTS (
+  SELECT 1 FROM invoices i
+  WHERE i.student_id = t.student_id AND i.course_id = t.course_id
+    AND i.type IN ('initial', 'monthly') AND i.status = 'paid'
+)`;
+
+// Trials still running for a student, keyed by course ID
+async function getActiveTrials(studentId) {
+  const rows = await db.query(`
+    SELECT t.course_id, t.ends_at FROM course_trials t
+    WHERE t.student_id = ? AND t.ends_at > NOW() AND NOT ${CONVERTED_SQL}
+  `, [studentId]);
+
+  const trials = new Map();
+  for (const row of rows) {
+    trials.set(row.course_id, {
+      trialEndsAt: row.ends_at,
+      daysLeft: Math.max(0, Math.ceil((new Date(row.ends_at) - Date.now()) / DAY_MS))
+    });
+  }
+  return trials;
+}
+
+// Reminds students whose trial ends soon, and tells those whose trial has
+// ended unpaid that the course is locked. The lock itself comes from the
+// initial invoice, which falls due when the trial ends.
+async function sendTrialNotices() {
+  const now = new Date();
+  const remindBefore = new Date(now.getTime() + TRIAL_REMINDER_DAYS * DAY_MS);
+
+  const ending = await db.query(`
+    SELECT t.*, c.title as course_title FROM course_trials t
+    JOIN courses c ON t.course_id = c.id
+    JOIN enrollments e ON e.student_id = t.student_id AND e.course_id = t.course_id
+    WHERE t.reminder_sent_at IS NULL AND t.ends_at > ? AND t.ends_at <= ? AND NOT ${CONVERTED_SQL}
+  `, [now, remindBefore]);
+
+  for (const trial of ending) {
+    const daysLeft = Math.max(1, Math.ceil((new Date(trial.ends_at) - now) / DAY_MS));
+    await NotificationController.createNotification(
+      trial.student_id,
+      'Free Trial Ending Soon',
+      `Your free trial of ${trial.course_title} ends in ${daysLeft} day${daysLeft === 1 ? '' : 's'}. Pay your invoice to keep access.`,
+      'warning',
+      '/student-dashboard/payment.html'
+    );
+    await db.update('course_trials', trial.id, { reminder_sent_at: now });
+  }
+
+  const ended = await db.query(`
+    SELECT t.*, c.title as course_title FROM course_trials t
+    JOIN courses c ON t.course_id = c.id
+    JOIN enrollments e ON e.student_id = t.student_id AND e.course_id = t.course_id
+    WHERE t.ended_notice_sent_at IS NULL AND t.ends_at <= ? AND NOT ${CONVERTED_SQL}
+  `, [now]);
+
+  for (const trial of ended) {
+    await NotificationController.createNotification(
+      trial.student_id,
+      'Free Trial Ended',
+      `Your free trial of ${trial.course_title} has ended. The course is locked until your invoice is paid.`,
+      'error',
+      '/student-dashboard/payment.html'
+    );
+    await db.update('course_trials', trial.id, { ended_notice_sent_at: now });
+  }
+
+  return { reminded: ending.length, ended: ended.length };
+}
+
+function conversionRate(converted, finished) {
+  return finished > 0 ? Math.round(converted / finished * 1000) / 10 : null;
+}
+
+// Trial-to-paid conversion per course. The rate counts finished trials only
+// (converted or expired), since running trials can still go either way.
+async function getTrialConversion() {
+  const rows = await db.query(`
+    SELECT c.id, c.title, cp.free_trial_days,
+           COUNT(t.id) as trials,
+           SUM(CASE WHEN ${CONVERTED_SQL} THEN 1 ELSE 0 END) as converted,
+           SUM(CASE WHEN NOT ${CONVERTED_SQL} AND t.ends_at > NOW() THEN 1 ELSE 0 END) as active
+    FROM course_trials t
+    JOIN courses c ON t.course_id = c.id
+    LEFT JOIN course_pricing cp ON c.id = cp.course_id
+    GROUP BY c.id, c.title, cp.free_trial_days
+    ORDER BY c.title
+  `);
+
+  const courses = rows.map(row => {
+    const trials = parseInt(row.trials);
+    const converted = parseInt(row.converted || 0);
+    const active = parseInt(row.active || 0);
+    const expired = trials - converted - active;
+    return {
+      courseId: row.id,
+      courseTitle: row.title,
+      trialDays: row.free_trial_days,
+      trials,
+      active,
+      converted,
+      expired,
+      conversionRate: conversionRate(converted, converted + expired)
+    };
+  });
+
+  const total = key => courses.reduce((sum, c) => sum + c[key], 0);
+  return {
+    defaultTrialDays: await getDefaultTrialDays(),
+    courses,
+    totals: {
+      trials: total('trials'),
+      active: total('active'),
+      converted: total('converted'),
+      expired: total('expired'),
+      conversionRate: conversionRate(total('converted'), total('converted') + total('expired'))
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_TRIAL_DAYS,
+  MAX_TRIAL_DAYS,
+  getDefaultTrialDays,
+  parseTrialDays,
+  getCourseTrialDays,
+  startTrial,
+  getActiveTrials,
+  sendTrialNotices,
+  getTrialConversion
+};
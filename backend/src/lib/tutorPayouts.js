@@ -0,0 +1,452 @@
+// lib/tutorPayouts.js - Tutor revenue share and monthly payout statements (CommonJS)
+const db = require('../config/database.js');
+const NotificationController = require('../controllers/notificationController.js');
+const { roundMoney } = require('./ledger.js');
+const { csvCell } = require('./statements.js');
+
+const PAYOUT_STATUSES = ['pending', 'approved', 'paid'];
+
+// 'YYYY-MM' -> { month, periodStart, periodEnd, nextStart } as YYYY-MM-DD
+// strings; periodEnd is the month's last day. Returns { error } when invalid.
+function parseMonth(value) {
+  const match = String(value || '').match(/^(\d{4})-(\d{2})$/);
+  const month = match ? parseInt(match[2]) : 0;
+  if (!match || month < 1 || month > 12) {
+    return { error: 'Month must be given as YYYY-MM' };
+  }
+  const year = parseInt(match[1]);
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const next = month === 12 ? `${year + 1}-01` : `${year}-${String(month + 1).padStart(2, '0')}`;
+  return {
+    month: value,
+    periodStart: `${value}-01`,
+    periodEnd: `${value}-${lastDay}`,
+    nextStart: `${next}-01`
+  };
+}
+
+function monthOf(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+function previousMonth(date = new Date()) {
+  return monthOf(new Date(date.getFullYear(), date.getMonth() - 1, 1));
+}
+
+// Each course's tutors with the percentage of course revenue each one earns:
+// the course's tutor share, split by tutor_revenue_splits or equally.
+async function getRevenueShares(courseIds = null) {
+  let sql = `
+    SELECT c.id, c.title, rs.tutor_share_percent, rs.updated_at
+    FROM courses c
+    LEFT JOIN course_revenue_shares rs ON rs.course_id = c.id
+  `;
+  const params = [];
+  if (courseIds) {
+    if (!courseIds.length) return [];
+    sql += ' WHERE c.id IN (?)';
+    params.push(courseIds);
+  }
+  sql += ' ORDER BY c.title';
+  const courses = await db.query(sql, params);
+  if (!courses.length) return [];
+
+  const ids = courses.map(c => c.id);
+  const tutors = await db.query(`
+    SELECT ct.course_id, u.id as tutor_id, u.full_name, u.username, s.split_percent
+    FROM course_tutors ct
+    JOIN users u ON ct.tutor_id = u.id
+    LEFT JOIN tutor_revenue_splits s ON s.course_id = ct.course_id AND s.tutor_id = ct.tutor_id
+    WHERE ct.course_id IN (?)
+    ORDER BY u.full_name
+  `, [ids]);
+
+  return courses.map(course => {
+    const courseTutors = tutors.filter(t => t.course_id === course.id);
+    const tutorShare = course.tutor_share_percent !== null ? parseFloat(course.tutor_share_percent) : 0;
+    const customSplit = courseTutors.some(t => t.split_percent !== null);
+
+    return {
+      courseId: course.id,
+      courseTitle: course.title,
+      configured: course.tutor_share_percent !== null,
+      tutorSharePercent: tutorShare,
+      customSplit,
+      updatedAt: course.updated_at || null,
+      tutors: courseTutors.map(t => {
+        const splitPercent = customSplit ? parseFloat(t.split_percent || 0) : 100 / courseTutors.length;
+        return {
+          tutorId: t.tutor_id,
+          name: t.full_name || t.username,
+          splitPercent: Math.round(splitPercent * 100) / 100,
+          sharePercent: Math.round(tutorShare * splitPercent / 100 * 10000) / 10000
+        };
+      })
+    };
+  });
+}
+
+// Sets a course's tutor share. splits is [{ tutorId, splitPercent }] covering
+// the course's tutors and adding up to 100, or null to split equally.
+async function setRevenueShare(courseId, { tutorSharePercent, splits = null, adminId = null }) {
+  const course = await db.getOne('SELECT id FROM courses WHERE id = ?', [courseId]);
+  if (!course) {
+    return { success: false, status: 404, error: 'Course not found' };
+  }
+
+  const share = parseFloat(tutorSharePercent);
+  if (isNaN(share) || share < 0 || share > 100) {
+    return { success: false, status: 400, error: 'Tutor share must be between 0 and 100 percent' };
+  }
+
+  if (splits) {
+    if (!Array.isArray(splits) || !splits.length) {
+      return { success: false, status: 400, error: 'Splits must list the course tutors' };
+    }
+    const tutorIds = (await db.query('SELECT tutor_id FROM course_tutors WHERE course_id = ?', [courseId])).map(t => t.tutor_id);
+    for (const split of splits) {
+      const percent = parseFloat(split.splitPercent);
+      if (!tutorIds.includes(parseInt(split.tutorId))) {
+        return { success: false, status: 400, error: `Tutor ${split.tutorId} does not teach this course` };
+      }
+      if (isNaN(percent) || percent < 0) {
+        return { success: false, status: 400, error: 'Each split must be zero or more percent' };
+      }
+    }
+    const total = splits.reduce((sum, split) => sum + parseFloat(split.splitPercent), 0);
+    if (Math.abs(total - 100) > 0.01) {
+      return { success: false, status: 400, error: `Splits must add up to 100 percent (they add up to ${roundMoney(total)})` };
+    }
+  }
+
+  await db.query(`
+    INSERT INTO course_revenue_shares (course_id, tutor_share_percent, updated_by, updated_at)
+    VALUES (?, ?, ?, NOW())
+    ON DUPLICATE KEY UPDATE tutor_share_percent = VALUES(tutor_share_percent), updated_by = VALUES(updated_by), updated_at = NOW()
+  `, [courseId, share, adminId]);
+
+  await db.query('DELETE FROM tutor_revenue_splits WHERE course_id = ?', [courseId]);
+  for (const split of splits || []) {
+    await db.insert('tutor_revenue_splits', {
+      course_id: courseId,
+      tutor_id: parseInt(split.tutorId),
+      split_percent: parseFloat(split.splitPercent)
+    });
+  }
+
+  console.log(`[Payouts] Course ${courseId} tutor share set to ${share}% by admin ${adminId}${splits ? ' with custom splits' : ''}`);
+  return { success: true, data: (await getRevenueShares([courseId]))[0] };
+}
+
+// Revenue each course earned between two dates: what was applied to its
+// invoices, less what credit notes gave back
+async function getCourseRevenue(fromDate, toDate) {
+  const rows = await db.query(`
+    SELECT course_id,
+           SUM(CASE WHEN entry_type = 'allocation' THEN amount ELSE -amount END) as revenue
+    FROM ledger_entries
+    WHERE entry_type IN ('allocation', 'credit_note') AND course_id IS NOT NULL
+      AND created_at >= ? AND created_at < ?
+    GROUP BY course_id
+  `, [fromDate, toDate]);
+  return rows
+    .map(row => ({ courseId: row.course_id, revenue: roundMoney(parseFloat(row.revenue) || 0) }))
+    .filter(row => row.revenue !== 0);
+}
+
+// What each tutor earned between two dates, per course
+async function calculateEarnings(fromDate, toDate, { tutorId = null } = {}) {
+  const revenue = await getCourseRevenue(fromDate, toDate);
+  const shares = await getRevenueShares(revenue.map(r => r.courseId));
+  const earnings = new Map();
+
+  for (const course of shares) {
+    const courseRevenue = revenue.find(r => r.courseId === course.courseId).revenue;
+    for (const tutor of course.tutors) {
+      if (tutorId && tutor.tutorId !== tutorId) continue;
+      if (!(tutor.sharePercent > 0)) continue;
+
+      if (!earnings.has(tutor.tutorId)) earnings.set(tutor.tutorId, []);
+      earnings.get(tutor.tutorId).push({
+        courseId: course.courseId,
+        courseTitle: course.courseTitle,
+        courseRevenue,
+        sharePercent: tutor.sharePercent,
+        amount: roundMoney(courseRevenue * tutor.sharePercent / 100)
+      });
+    }
+  }
+  return earnings;
+}
+
+// Creates or recalculates the statements for a month. Approved and paid
+// statements are left as they are.
+async function generatePayoutStatements(monthValue = null) {
+  const period = parseMonth(monthValue || previousMonth());
+  if (period.error) {
+    return { success: false, status: 400, error: period.error };
+  }
+
+  const earnings = await calculateEarnings(period.periodStart, period.nextStart);
+  const existing = await db.query('SELECT * FROM tutor_payouts WHERE period_start = ?', [period.periodStart]);
+  const summary = { month: period.month, created: 0, updated: 0, removed: 0, locked: 0, totalAmount: 0 };
+
+  for (const payout of existing) {
+    if (payout.status !== 'pending') {
+      summary.locked++;
+      earnings.delete(payout.tutor_id);
+    } else if (!earnings.has(payout.tutor_id)) {
+      // Nothing to pay any more (e.g. the share was removed)
+      await db.query('DELETE FROM tutor_payouts WHERE id = ?', [payout.id]);
+      summary.removed++;
+    }
+  }
+
+  for (const [tutorId, lines] of earnings) {
+    const courseRevenue = roundMoney(lines.reduce((sum, line) => sum + line.courseRevenue, 0));
+    const amount = roundMoney(lines.reduce((sum, line) => sum + line.amount, 0));
+    const current = existing.find(p => p.tutor_id === tutorId);
+
+    let payoutId;
+    if (current) {
+      payoutId = current.id;
+      await db.update('tutor_payouts', payoutId, { course_revenue: courseRevenue, amount, updated_at: new Date() });
+      await db.query('DELETE FROM tutor_payout_lines WHERE payout_id = ?', [payoutId]);
+      summary.updated++;
+    } else {
+      payoutId = await db.insert('tutor_payouts', {
+        tutor_id: tutorId,
+        period_start: period.periodStart,
+        period_end: period.periodEnd,
+        course_revenue: courseRevenue,
+        amount,
+        status: 'pending',
+        created_at: new Date()
+      });
+      summary.created++;
+    }
+
+    for (const line of lines) {
+      await db.insert('tutor_payout_lines', {
+        payout_id: payoutId,
+        course_id: line.courseId,
+        course_revenue: line.courseRevenue,
+        share_percent: line.sharePercent,
+        amount: line.amount
+      });
+    }
+    summary.totalAmount = roundMoney(summary.totalAmount + amount);
+  }
+
+  console.log(`[Payouts] ${period.month}: ${summary.created} created, ${summary.updated} recalculated, ${summary.locked} already approved or paid`);
+  return { success: true, ...summary };
+}
+
+async function getPayoutLines(payoutIds) {
+  if (!payoutIds.length) return {};
+  const lines = await db.query(`
+    SELECT l.*, c.title as course_title
+    FROM tutor_payout_lines l
+    JOIN courses c ON l.course_id = c.id
+    WHERE l.payout_id IN (?)
+    ORDER BY c.title
+  `, [payoutIds]);
+
+  const byPayout = {};
+  for (const line of lines) {
+    if (!byPayout[line.payout_id]) byPayout[line.payout_id] = [];
+    byPayout[line.payout_id].push({
+      courseId: line.course_id,
+      courseTitle: line.course_title,
+      courseRevenue: parseFloat(line.course_revenue),
+      sharePercent: parseFloat(line.share_percent),
+      amount: parseFloat(line.amount)
+    });
+  }
+  return byPayout;
+}
+
+function formatPayout(row, lines = []) {
+  return {
+    id: row.id,
+    tutor: { id: row.tutor_id, name: row.tutor_name || null, email: row.tutor_email || null },
+    month: String(row.period_start instanceof Date ? monthOf(row.period_start) : row.period_start).slice(0, 7),
+    periodStart: row.period_start,
+    periodEnd: row.period_end,
+    courseRevenue: parseFloat(row.course_revenue),
+    amount: parseFloat(row.amount),
+    status: row.status,
+    approvedBy: row.approved_by_name || null,
+    approvedAt: row.approved_at,
+    paidBy: row.paid_by_name || null,
+    paidAt: row.paid_at,
+    paymentReference: row.payment_reference,
+    notes: row.notes,
+    lines
+  };
+}
+
+async function getPayouts({ month = null, status = null, tutorId = null, id = null } = {}) {
+  let sql = `
+    SELECT p.*, u.full_name as tutor_name, u.email as tutor_email,
+           a.full_name as approved_by_name, pb.full_name as paid_by_name
+    FROM tutor_payouts p
+    JOIN users u ON p.tutor_id = u.id
+    LEFT JOIN users a ON p.approved_by = a.id
+    LEFT JOIN users pb ON p.paid_by = pb.id
+    WHERE 1 = 1
+  `;
+  const params = [];
+  if (id) {
+    sql += ' AND p.id = ?';
+    params.push(id);
+  }
+  if (month) {
+    sql += ' AND p.period_start = ?';
+    params.push(`${month}-01`);
+  }
+  if (status) {
+    sql += ' AND p.status = ?';
+    params.push(status);
+  }
+  if (tutorId) {
+    sql += ' AND p.tutor_id = ?';
+    params.push(tutorId);
+  }
+  sql += ' ORDER BY p.period_start DESC, u.full_name';
+
+  const rows = await db.query(sql, params);
+  const lines = await getPayoutLines(rows.map(r => r.id));
+  return rows.map(row => formatPayout(row, lines[row.id] || []));
+}
+
+async function getPayout(id) {
+  const payouts = await getPayouts({ id });
+  return payouts[0] || null;
+}
+
+// pending -> approved, once the month is over
+async function approvePayout(id, { adminId }) {
+  const payout = await db.getOne('SELECT * FROM tutor_payouts WHERE id = ?', [id]);
+  if (!payout) {
+    return { success: false, status: 404, error: 'Payout not found' };
+  }
+  if (payout.status !== 'pending') {
+    return { success: false, status: 400, error: `This payout is already ${payout.status}` };
+  }
+  if (new Date(payout.period_end) >= new Date(new Date().toDateString())) {
+    return { success: false, status: 400, error: 'The month has not ended yet' };
+  }
+
+  const approved = await db.query(`
+    UPDATE tutor_payouts SET status = 'approved', approved_by = ?, approved_at = NOW(), updated_at = NOW()
+    WHERE id = ? AND status = 'pending'
+  `, [adminId, id]);
+  if (approved.affectedRows !== 1) {
+    return { success: false, status: 409, error: 'This payout was changed by someone else' };
+  }
+
+  console.log(`[Payouts] Payout ${id} approved by admin ${adminId}`);
+  return { success: true, data: await getPayout(id) };
+}
+
+// approved -> paid, recording how the money was sent
+async function markPayoutPaid(id, { adminId, reference = null, notes = null }) {
+  const payout = await db.getOne('SELECT * FROM tutor_payouts WHERE id = ?', [id]);
+  if (!payout) {
+    return { success: false, status: 404, error: 'Payout not found' };
+  }
+  if (payout.status !== 'approved') {
+    return { success: false, status: 400, error: payout.status === 'paid' ? 'This payout is already paid' : 'Approve the payout before marking it paid' };
+  }
+
+  const paid = await db.query(`
+    UPDATE tutor_payouts
+    SET status = 'paid', paid_by = ?, paid_at = NOW(), payment_reference = ?, notes = COALESCE(?, notes), updated_at = NOW()
+    WHERE id = ? AND status = 'approved'
+  `, [adminId, reference ? String(reference).slice(0, 100) : null, notes, id]);
+  if (paid.affectedRows !== 1) {
+    return { success: false, status: 409, error: 'This payout was changed by someone else' };
+  }
+
+  const result = await getPayout(id);
+  NotificationController.createNotification(
+    payout.tutor_id,
+    'Payout Sent',
+    `Your earnings of KES ${parseFloat(payout.amount).toLocaleString()} for ${result.month} have been paid${reference ? ` (reference ${reference})` : ''}.`,
+    'success',
+    '/tutor-dashboard/transactions.html'
+  );
+
+  console.log(`[Payouts] Payout ${id} marked paid by admin ${adminId}`);
+  return { success: true, data: result };
+}
+
+// One row per course line, for finance
+function payoutsToCsv(payouts) {
+  const rows = [['Payout ID', 'Month', 'Tutor', 'Email', 'Course', 'Course Revenue', 'Share %', 'Amount', 'Status', 'Approved At', 'Paid At', 'Payment Reference']];
+  const date = value => value ? new Date(value).toISOString().slice(0, 10) : '';
+  for (const payout of payouts) {
+    for (const line of payout.lines) {
+      rows.push([
+        payout.id,
+        payout.month,
+        payout.tutor.name,
+        payout.tutor.email,
+        line.courseTitle,
+        line.courseRevenue.toFixed(2),
+        line.sharePercent,
+        line.amount.toFixed(2),
+        payout.status,
+        date(payout.approvedAt),
+        date(payout.paidAt),
+        payout.paymentReference
+      ]);
+    }
+  }
+  return rows.map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+// A tutor's statements plus what the current month has earned so far
+async function getTutorEarnings(tutorId) {
+  const payouts = await getPayouts({ tutorId });
+  const current = parseMonth(monthOf(new Date()));
+  const earnings = await calculateEarnings(current.periodStart, current.nextStart, { tutorId });
+  const lines = earnings.get(tutorId) || [];
+
+  const shares = (await getRevenueShares(
+    (await db.query('SELECT course_id FROM course_tutors WHERE tutor_id = ?', [tutorId])).map(c => c.course_id)
+  )).map(course => ({
+    courseId: course.courseId,
+    courseTitle: course.courseTitle,
+    sharePercent: (course.tutors.find(t => t.tutorId === tutorId) || {}).sharePercent || 0
+  }));
+
+  const total = status => roundMoney(payouts.filter(p => p.status === status).reduce((sum, p) => sum + p.amount, 0));
+  return {
+    currentMonth: {
+      month: current.month,
+      amount: roundMoney(lines.reduce((sum, line) => sum + line.amount, 0)),
+      lines
+    },
+    totals: { pending: total('pending'), approved: total('approved'), paid: total('paid') },
+    shares,
+    payouts
+  };
+}
+
+module.exports = {
+  PAYOUT_STATUSES,
+  parseMonth,
+  previousMonth,
+  getRevenueShares,
+  setRevenueShare,
+  calculateEarnings,
+  generatePayoutStatements,
+  getPayouts,
+  getPayout,
+  approvePayout,
+  markPayoutPaid,
+  payoutsToCsv,
+  getTutorEarnings
+};
@@ -0,0 +1,375 @@
+// lib/twoFactor.js - TOTP two-factor authentication and recovery codes (CommonJS)
+//
+// Codes follow RFC 6238 (HMAC-SHA1, 6 digits, 30-second steps), which every
+// authenticator app understands. Secrets are stored encrypted with a key
+// derived from TWO_FACTOR_KEY (or JWT_SECRET when that is not set), and
+// recovery codes are stored as hashes.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../config/database.js');
+
+const ISSUER = 'NURU Foundation';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Steps either side of now that are still accepted, for clock drift
+const TOTP_WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_MINUTES = 5;
+const MAX_FAILED_CODES = 5;
+const FAILED_CODE_WINDOW_MINUTES = 15;
+// Roles that must use 2FA when the twoFactorAuth setting is on; everyone
+// else may opt in from their profile
+const ENFORCED_ROLES = ['admin', 'tutor'];
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/[^A-Z2-7]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    value = (value << 5) | BASE32_ALPHABET.indexOf(char);
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function totpCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+function currentStep() {
+  return Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+}
+
+// The time step a code belongs to, or null. Steps at or before lastStep were
+// already used and are refused so a code cannot be replayed.
+function matchTotpStep(secret, code, lastStep = null) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const now = currentStep();
+  for (let step = now - TOTP_WINDOW; step <= now + TOTP_WINDOW; step++) {
+    if (lastStep !== null && step <= lastStep) continue;
+    const expected = totpCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+function encryptionKey() {
+  return crypto.createHash('sha256').update(process.env.TWO_FACTOR_KEY || process.env.JWT_SECRET).digest();
+}
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+}
+
+function decryptSecret(stored) {
+  const [iv, tag, encrypted] = String(stored).split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+function otpauthUrl(secret, accountName) {
+  // Percent-encoded by hand: some apps show URLSearchParams' "+" for spaces literally
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const query = Object.entries({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: TOTP_DIGITS,
+    period: TOTP_STEP_SECONDS
+  }).map(([key, value]) => `${key}=${encodeURIComponent(value)}`).join('&');
+  return `otpauth://totp/${label}?${query}`;
+}
+
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(String(code).toUpperCase().replace(/[^A-Z0-9]/g, '')).digest('hex');
+}
+
+// Codes look like ABCD-EFGH; ambiguous characters are left out
+function generateRecoveryCode() {
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  let code = '';
+  for (let i = 0; i < 8; i++) {
+    code += alphabet[crypto.randomInt(alphabet.length)];
+  }
+  return `${code.slice(0, 4)}-${code.slice(4)}`;
+}
+
+async function logTwoFactorEvent(userId, action, { actorId = null, reason = null, ipAddress = null } = {}) {
+  await db.insert('two_factor_events', {
+    user_id: userId,
+    actor_id: actorId,
+    action,
+    reason: reason ? String(reason).slice(0, 255) : null,
+    ip_address: ipAddress,
+    created_at: new Date()
+  });
+}
+
+async function isTwoFactorEnforced() {
+  const row = await db.getOne("SELECT setting_value FROM settings WHERE setting_key = 'twoFactorAuth'");
+  return row?.setting_value === 'true';
+}
+
+async function isTwoFactorRequired(roleName) {
+  return ENFORCED_ROLES.includes(roleName) && await isTwoFactorEnforced();
+}
+
+async function getTwoFactorStatus(userId, roleName) {
+  const user = await db.getOne(
+    'SELECT two_factor_enabled, two_factor_enabled_at FROM users WHERE id = ?',
+    [userId]
+  );
+  const remaining = await db.getOne(
+    'SELECT COUNT(*) as count FROM two_factor_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+    [userId]
+  );
+
+  return {
+    enabled: !!user?.two_factor_enabled,
+    enabledAt: user?.two_factor_enabled_at || null,
+    required: await isTwoFactorRequired(roleName),
+    recoveryCodesRemaining: user?.two_factor_enabled ? parseInt(remaining?.count || 0) : 0
+  };
+}
+
+// Starts enrollment with a fresh secret. 2FA stays off until enableTwoFactor
+// confirms the user's app produces matching codes.
+async function beginTwoFactorSetup(userId) {
+  const user = await db.getOne('SELECT id, email, two_factor_enabled FROM users WHERE id = ?', [userId]);
+  if (!user) {
+    return { success: false, status: 404, error: 'User not found' };
+  }
+  if (user.two_factor_enabled) {
+    return { success: false, status: 409, error: 'Two-factor authentication is already enabled' };
+  }
+
+  const secret = generateSecret();
+  await db.update('users', userId, { two_factor_pending_secret: encryptSecret(secret) });
+
+  return { success: true, secret, otpauthUrl: otpauthUrl(secret, user.email) };
+}
+
+async function replaceRecoveryCodes(userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+  await db.query('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+  for (const code of codes) {
+    await db.insert('two_factor_recovery_codes', {
+      user_id: userId,
+      code_hash: hashRecoveryCode(code),
+      created_at: new Date()
+    });
+  }
+  return codes;
+}
+
+async function recentFailures(userId) {
+  const row = await db.getOne(`
+    SELECT COUNT(*) as count FROM two_factor_events
+    WHERE user_id = ? AND action = 'code_failed' AND created_at > DATE_SUB(NOW(), INTERVAL ? MINUTE)
+  `, [userId, FAILED_CODE_WINDOW_MINUTES]);
+  return parseInt(row?.count || 0);
+}
+
+// Wrong codes at setup and at login share one budget, so neither can be used
+// to keep guessing
+async function checkCodeLimit(userId) {
+  if (await recentFailures(userId) < MAX_FAILED_CODES) return null;
+  return {
+    success: false,
+    status: 429,
+    error: `Too many incorrect codes. Try again in ${FAILED_CODE_WINDOW_MINUTES} minutes.`
+  };
+}
+
+async function enableTwoFactor(userId, code, { ipAddress = null } = {}) {
+  const user = await db.getOne(
+    'SELECT id, two_factor_enabled, two_factor_pending_secret FROM users WHERE id = ?',
+    [userId]
+  );
+  if (!user) {
+    return { success: false, status: 404, error: 'User not found' };
+  }
+  if (user.two_factor_enabled) {
+    return { success: false, status: 409, error: 'Two-factor authentication is already enabled' };
+  }
+  if (!user.two_factor_pending_secret) {
+    return { success: false, status: 400, error: 'Start two-factor setup first' };
+  }
+
+  const limited = await checkCodeLimit(userId);
+  if (limited) return limited;
+
+  const secret = decryptSecret(user.two_factor_pending_secret);
+  const step = matchTotpStep(secret, code);
+  if (step === null) {
+    await logTwoFactorEvent(userId, 'code_failed', { ipAddress });
+    return { success: false, status: 400, error: 'That code is not correct. Check the time on your phone and try again.' };
+  }
+
+  await db.update('users', userId, {
+    two_factor_enabled: 1,
+    two_factor_secret: user.two_factor_pending_secret,
+    two_factor_pending_secret: null,
+    two_factor_enabled_at: new Date(),
+    two_factor_last_step: step
+  });
+  const recoveryCodes = await replaceRecoveryCodes(userId);
+  await logTwoFactorEvent(userId, 'enabled', { actorId: userId, ipAddress });
+
+  return { success: true, recoveryCodes };
+}
+
+
+// Checks an authenticator code or an unused recovery code for a user with 2FA on
+async function verifyTwoFactor(userId, { code, recoveryCode } = {}, { ipAddress = null } = {}) {
+  if (!code && !recoveryCode) {
+    return { success: false, status: 400, error: 'Enter the code from your authenticator app' };
+  }
+
+  const user = await db.getOne(
+    'SELECT id, two_factor_enabled, two_factor_secret, two_factor_last_step FROM users WHERE id = ?',
+    [userId]
+  );
+  if (!user || !user.two_factor_enabled || !user.two_factor_secret) {
+    return { success: false, status: 400, error: 'Two-factor authentication is not enabled' };
+  }
+
+  const limited = await checkCodeLimit(userId);
+  if (limited) return limited;
+
+  if (recoveryCode) {
+    const result = await db.query(
+      'UPDATE two_factor_recovery_codes SET used_at = ? WHERE user_id = ? AND code_hash = ? AND used_at IS NULL',
+      [new Date(), userId, hashRecoveryCode(recoveryCode)]
+    );
+    if (result.affectedRows) {
+      await logTwoFactorEvent(userId, 'recovery_code_used', { actorId: userId, ipAddress });
+      return { success: true, method: 'recovery_code' };
+    }
+  } else {
+    const lastStep = user.two_factor_last_step === null ? null : Number(user.two_factor_last_step);
+    const step = matchTotpStep(decryptSecret(user.two_factor_secret), code, lastStep);
+    if (step !== null) {
+      await db.update('users', userId, { two_factor_last_step: step });
+      return { success: true, method: 'totp' };
+    }
+  }
+
+  await logTwoFactorEvent(userId, 'code_failed', { ipAddress });
+  return {
+    success: false,
+    status: 401,
+    error: recoveryCode ? 'That recovery code is not valid or was already used' : 'That code is not correct'
+  };
+}
+
+async function regenerateRecoveryCodes(userId, code, { ipAddress = null } = {}) {
+  const verified = await verifyTwoFactor(userId, { code }, { ipAddress });
+  if (!verified.success) return verified;
+
+  const recoveryCodes = await replaceRecoveryCodes(userId);
+  await logTwoFactorEvent(userId, 'recovery_codes_regenerated', { actorId: userId, ipAddress });
+  return { success: true, recoveryCodes };
+}
+
+// Turns 2FA off. action is 'disabled' when users do it themselves and
+// 'admin_reset' when an admin clears it for them.
+async function disableTwoFactor(userId, { action = 'disabled', actorId = null, reason = null, ipAddress = null } = {}) {
+  await db.update('users', userId, {
+    two_factor_enabled: 0,
+    two_factor_secret: null,
+    two_factor_pending_secret: null,
+    two_factor_enabled_at: null,
+    two_factor_last_step: null
+  });
+  await db.query('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+  await logTwoFactorEvent(userId, action, { actorId, reason, ipAddress });
+}
+
+async function getTwoFactorEvents(userId, limit = 20) {
+  return await db.query(`
+    SELECT e.id, e.action, e.reason, e.ip_address, e.created_at,
+           a.full_name as actor_name, a.email as actor_email
+    FROM two_factor_events e
+    LEFT JOIN users a ON e.actor_id = a.id
+    WHERE e.user_id = ?
+    ORDER BY e.created_at DESC
+    LIMIT ?
+  `, [userId, limit]);
+}
+
+// Short-lived proof that a user got past the password step. purpose is
+// 'verify' (enter a code) or 'setup' (enroll first, because 2FA is required).
+// It carries no session, so authenticateToken refuses it as an access token.
+function signChallenge(userId, purpose) {
+  return jwt.sign(
+    { userId, twoFactor: purpose },
+    process.env.JWT_SECRET,
+    { expiresIn: `${CHALLENGE_MINUTES}m` }
+  );
+}
+
+function readChallenge(token, purpose) {
+  try {
+    const decoded = jwt.verify(String(token || ''), process.env.JWT_SECRET);
+    return decoded.twoFactor === purpose ? decoded.userId : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  ENFORCED_ROLES,
+  isTwoFactorRequired,
+  getTwoFactorStatus,
+  beginTwoFactorSetup,
+  enableTwoFactor,
+  verifyTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  getTwoFactorEvents,
+  signChallenge,
+  readChallenge
+};
@@ -0,0 +1,138 @@
+// lib/xlsx.js - Minimal reader for the first worksheet of an .xlsx file (CommonJS)
+//
+// Enough for exported statements: shared, inline and plain cell values of the
+// first sheet, as text. Formulas, styles and dates are not interpreted; a date
+// cell comes back as its Excel serial number.
+const zlib = require('zlib');
+
+const MAX_ENTRY_BYTES = 50 * 1024 * 1024;
+
+// Reads the zip central directory into { name -> { method, offset, size } }
+function readZipEntries(buffer) {
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) throw new Error('Not an .xlsx file');
+
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const entries = {};
+
+  for (let n = 0; n < count; n++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error('Damaged .xlsx file');
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    entries[name] = { method, compressedSize, size, localOffset };
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+function readZipFile(buffer, entries, name) {
+  const entry = entries[name];
+  if (!entry) return null;
+  if (entry.size > MAX_ENTRY_BYTES) throw new Error('Spreadsheet is too large');
+
+  const local = entry.localOffset;
+  const start = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+  const data = buffer.subarray(start, start + entry.compressedSize);
+
+  if (entry.method === 0) return data.toString('utf8');
+  if (entry.method === 8) return zlib.inflateRawSync(data, { maxOutputLength: MAX_ENTRY_BYTES }).toString('utf8');
+  throw new Error('Unsupported .xlsx compression');
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (m, code) => String.fromCodePoint(parseInt(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (m, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+}
+
+// Joins every <t> run inside a shared or inline string
+function textOf(xml) {
+  let text = '';
+  const runs = /<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g;
+  let match;
+  while ((match = runs.exec(xml))) text += decodeXml(match[1]);
+  return text;
+}
+
+function columnIndex(ref) {
+  const letters = ref.replace(/\d+$/, '');
+  let index = 0;
+  for (const letter of letters) index = index * 26 + (letter.charCodeAt(0) - 64);
+  return index - 1;
+}
+
+// Finds the first sheet's file through the workbook's relationships
+function firstSheetPath(buffer, entries) {
+  const workbook = readZipFile(buffer, entries, 'xl/workbook.xml') || '';
+  const rels = readZipFile(buffer, entries, 'xl/_rels/workbook.xml.rels') || '';
+  const sheet = workbook.match(/<sheet\b[^>]*\br:id="([^"]+)"/);
+  if (sheet) {
+    const rel = rels.match(new RegExp(`<Relationship\\b[^>]*\\bId="${sheet[1]}"[^>]*>`));
+    const target = rel && rel[0].match(/\bTarget="([^"]+)"/);
+    if (target) {
+      const path = target[1].startsWith('/') ? target[1].slice(1) : `xl/${target[1]}`;
+      if (entries[path]) return path;
+    }
+  }
+  return Object.keys(entries).filter(name => /^xl\/worksheets\/sheet\d+\.xml$/.test(name)).sort()[0];
+}
+
+// Returns the first worksheet as an array of rows, each an array of strings
+function readFirstSheet(buffer) {
+  const entries = readZipEntries(buffer);
+  const sheetPath = firstSheetPath(buffer, entries);
+  if (!sheetPath) throw new Error('The spreadsheet has no worksheets');
+
+  const sharedXml = readZipFile(buffer, entries, 'xl/sharedStrings.xml') || '';
+  const shared = [];
+  const items = /<si>([\s\S]*?)<\/si>/g;
+  let item;
+  while ((item = items.exec(sharedXml))) shared.push(textOf(item[1]));
+
+  const sheetXml = readZipFile(buffer, entries, sheetPath);
+  const rows = [];
+  const rowPattern = /<row\b[^>]*>([\s\S]*?)<\/row>/g;
+  let rowMatch;
+  while ((rowMatch = rowPattern.exec(sheetXml))) {
+    const row = [];
+    const cellPattern = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+    let cell;
+    while ((cell = cellPattern.exec(rowMatch[1]))) {
+      const attrs = cell[1];
+      const body = cell[2] || '';
+      const ref = attrs.match(/\br="([A-Z]+\d+)"/);
+      const type = (attrs.match(/\bt="([^"]+)"/) || [])[1];
+      const value = (body.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+
+      let text = '';
+      if (type === 's') text = shared[parseInt(value)] || '';
+      else if (type === 'inlineStr') text = textOf(body);
+      else if (value !== undefined) text = decodeXml(value);
+
+      row[ref ? columnIndex(ref[1]) : row.length] = text;
+    }
+    rows.push(Array.from(row, value => value ?? ''));
+  }
+  return rows;
+}
+
+module.exports = { readFirstSheet };
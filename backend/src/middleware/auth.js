@@ -1,7 +1,9 @@
 // middleware/auth.js - Authentication Middleware (CommonJS)
 const jwt = require('jsonwebtoken');
 const db = require('../config/database.js');
-const { isStudentLocked, checkAndUpdateInvoiceStatuses } = require('../lib/invoices.js');
+const { getLockScope, getLockedCourseIds } = require('../lib/invoices.js');
+const { getActiveSession } = require('../lib/sessions.js');
+const { isEmailVerificationRequired } = require('../lib/emailVerification.js');
 
 async function authenticateToken(req, res, next) {
   try {
@@ -13,6 +15,13 @@ async function authenticateToken(req, res, next) {
     const token = authHeader.slice(7);
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Tokens are only as good as the session they were issued for, so logging
+    // out, "log out all devices" and admin revocation take effect at once
+    const session = await getActiveSession(decoded.sid, decoded.userId);
+    if (!session) {
+      return res.status(401).json({ error: 'Session expired', code: 'SESSION_EXPIRED' });
+    }
+
     const user = await db.getOne('SELECT * FROM users WHERE id = ?', [decoded.userId]);
 
     if (!user || !user.is_active) {
@@ -24,10 +33,10 @@ async function authenticateToken(req, res, next) {
       role = await db.getOne('SELECT name FROM roles WHERE id = ?', [user.role_id]);
     }
 
+    let lockedCourseIds = [];
     if (role?.name === 'student') {
-      await checkAndUpdateInvoiceStatuses();
-      const locked = await isStudentLocked(user.id);
-      req.userIsLocked = locked;
+      lockedCourseIds = await getLockedCourseIds(user.id);
+      req.userIsLocked = lockedCourseIds.length > 0 && (await getLockScope()) === 'account';
     }
 
     req.user = {
@@ -36,7 +45,10 @@ async function authenticateToken(req, res, next) {
       roleName: role?.name || 'student',
       username: user.username,
       email: user.email,
-      isLocked: !!req.userIsLocked
+      sessionId: session.id,
+      emailVerified: !!user.email_verified,
+      isLocked: !!req.userIsLocked,
+      lockedCourseIds
     };
 
     next();
@@ -45,12 +57,14 @@ async function authenticateToken(req, res, next) {
       console.warn('Token expired for user');
       return res.status(401).json({ error: 'Token expired' });
     }
-    if (error.name === 'JsonWebTokenError') {
+    if (error instanceof jwt.JsonWebTokenError) {
       console.warn('Invalid token:', error.message);
       return res.status(401).json({ error: 'Invalid token' });
     }
+    // A database failure says nothing about the session; answering 401 would
+    // log the user out
     console.error('Token verification error:', error);
-    return res.status(401).json({ error: 'Authentication failed' });
+    return res.status(500).json({ error: 'Authentication is unavailable right now. Please try again.' });
   }
 }
 
@@ -68,7 +82,7 @@ function requireRole(allowedRoles) {
   };
 }
 
-// Blocks access for students whose invoices are past due (locked) until they pay.
+// Blocks access for students whose whole account is locked (the 'account' lock policy).
 // Paywall-exempt routes (payment, profile, notifications) must NOT use this middleware.
 function blockLockedStudent(req, res, next) {
   if (req.user?.roleName === 'student' && req.user.isLocked) {
@@ -80,6 +94,77 @@ function blockLockedStudent(req, res, next) {
   next();
 }
 
+// Blocks enrolling and paying until a self-registered user confirms their
+// email address. Only enforced while the emailVerification setting is on, so
+// switching it off releases anyone still waiting.
+async function requireVerifiedEmail(req, res, next) {
+  if (req.user?.emailVerified) return next();
+
+  try {
+    if (!(await isEmailVerificationRequired())) return next();
+  } catch (error) {
+    console.error('Email verification check error:', error);
+    return res.status(500).json({ error: 'Failed to check email verification' });
+  }
+
+  res.status(403).json({
+    error: 'Please confirm your email address first. Check your inbox for the link, or request a new one from your dashboard.',
+    code: 'EMAIL_NOT_VERIFIED'
+  });
+}
+
+function lookupCourse(sql, param) {
+  return async (req) => {
+    const row = await db.getOne(sql, [req.params[param]]);
+    return row?.course_id;
+  };
+}
+
+// Resolvers that work out which course a request targets, for blockLockedCourse
+const courseFrom = {
+  param: (name) => (req) => req.params[name],
+  query: (name) => (req) => req.query[name],
+  body: (name) => (req) => req.body?.[name],
+  enrollment: (param) => lookupCourse('SELECT course_id FROM enrollments WHERE id = ?', param),
+  lesson: (param) => lookupCourse('SELECT course_id FROM lessons WHERE id = ?', param),
+  note: (param) => lookupCourse('SELECT course_id FROM course_notes WHERE id = ?', param),
+  assignment: (param) => lookupCourse(`
+    SELECT l.course_id FROM assignments a
+    JOIN lessons l ON a.lesson_id = l.id
+    WHERE a.id = ?
+  `, param),
+  forumPost: (param) => lookupCourse('SELECT course_id FROM forum_posts WHERE id = ?', param)
+};
+
+// Blocks students from a single course whose invoices are locked, leaving their
+// other courses reachable. Also honours the account-wide lock.
+function blockLockedCourse(resolveCourseId) {
+  return async (req, res, next) => {
+    if (req.user?.roleName !== 'student') return next();
+
+    if (req.user.isLocked) {
+      return blockLockedStudent(req, res, next);
+    }
+
+    if (!req.user.lockedCourseIds || req.user.lockedCourseIds.length === 0) return next();
+
+    try {
+      const courseId = parseInt(await resolveCourseId(req));
+      if (!isNaN(courseId) && req.user.lockedCourseIds.includes(courseId)) {
+        return res.status(403).json({
+          error: 'This course is locked due to unpaid invoices. Please complete payment to regain access.',
+          locked: true,
+          courseId
+        });
+      }
+      next();
+    } catch (error) {
+      console.error('Course lock check error:', error);
+      return res.status(500).json({ error: 'Failed to check course access' });
+    }
+  };
+}
+
 const requireStudent = [authenticateToken, requireRole(['student'])];
 const requireTutor = [authenticateToken, requireRole(['tutor'])];
 const requireAdmin = [authenticateToken, requireRole(['admin'])];
@@ -92,5 +177,8 @@ module.exports = {
   requireTutor,
   requireAdmin,
   blockLockedStudent,
+  requireVerifiedEmail,
+  blockLockedCourse,
+  courseFrom,
   requireStudentNotLocked
 };
@@ -0,0 +1,41 @@
+// middleware/mpesaCallback.js - Checks that M-Pesa callbacks come from Safaricom (CommonJS)
+const crypto = require('crypto');
+const { MPESA_CONFIG, getCallbackIpAllowlist } = require('../lib/mpesa.js');
+
+// Compares digests so the check takes the same time whatever was sent
+function secretMatches(given, expected) {
+  const a = crypto.createHash('sha256').update(String(given || '')).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+function clientIp(req) {
+  return String(req.ip || '').replace(/^::ffff:/, '');
+}
+
+// Guards every Daraja callback route (STK, B2C and C2B). MPESA_CALLBACK_SECRET
+// must be the last segment of the callback path, and MPESA_CALLBACK_IPS lists
+// the addresses callbacks may come from. In production a missing secret
+// rejects everything; elsewhere unset checks are skipped so the Daraja
+// stand-in works out of the box.
+function verifyMpesaCallback(req, res, next) {
+  if (!MPESA_CONFIG.callbackSecret && process.env.NODE_ENV === 'production') {
+    console.error(`[M-Pesa] Callback rejected from ${clientIp(req)}: MPESA_CALLBACK_SECRET is not set`);
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  if (MPESA_CONFIG.callbackSecret && !secretMatches(req.params.secret, MPESA_CONFIG.callbackSecret)) {
+    console.warn(`[M-Pesa] Callback rejected from ${clientIp(req)}: missing or wrong secret`);
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  const allowlist = getCallbackIpAllowlist();
+  if (allowlist.length && !allowlist.includes(clientIp(req))) {
+    console.warn(`[M-Pesa] Callback rejected from ${clientIp(req)}: address not allowed`);
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  next();
+}
+
+module.exports = { verifyMpesaCallback };
@@ -0,0 +1,63 @@
+// middleware/rateLimits.js - Per-route request limits for abuse-prone endpoints (CommonJS)
+//
+// Counters live in memory, so each app instance counts on its own and a
+// restart clears them. Failed logins are tracked in the database as well (see
+// lib/loginProtection.js); these limits only cap raw request volume.
+const crypto = require('crypto');
+const { rateLimit, ipKeyGenerator } = require('express-rate-limit');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+function limiter(windowMs, limit, error, options = {}) {
+  return rateLimit({
+    windowMs,
+    limit,
+    standardHeaders: 'draft-8',
+    legacyHeaders: false,
+    message: { error, code: 'RATE_LIMITED' },
+    ...options
+  });
+}
+
+// Login, registration and the two-factor steps. Generous because a whole
+// classroom may sign in from one school address at once.
+const authLimiter = limiter(15 * MINUTE, 100,
+  'Too many sign-in requests. Please wait a few minutes and try again.');
+
+// Reset emails cost money and can be used to flood someone's inbox
+const passwordResetLimiter = limiter(HOUR, 5,
+  'Too many password reset requests. Please try again in an hour.');
+
+// Setting the new password sends nothing, and a user may need a few tries to
+// satisfy the password policy, so it is counted per reset link and address
+// rather than against the reset emails
+const resetPasswordLimiter = limiter(HOUR, 10,
+  'Too many attempts with this reset link. Please try again in an hour.', {
+    keyGenerator: (req) => {
+      const token = crypto.createHash('sha256').update(String(req.body?.token || '')).digest('hex');
+      return `${ipKeyGenerator(req.ip)}:${token}`;
+    }
+  });
+
+const contactLimiter = limiter(HOUR, 5,
+  'Too many messages sent. Please try again later.');
+
+const newsletterLimiter = limiter(HOUR, 5,
+  'Too many subscription requests. Please try again later.');
+
+// Each initiation sends an STK push to a phone, so limit per signed-in user
+// rather than per address; goes after authenticateToken
+const paymentLimiter = limiter(15 * MINUTE, 10,
+  'Too many payment attempts. Please wait a few minutes before trying again.', {
+    keyGenerator: (req) => req.user?.userId ? `user:${req.user.userId}` : ipKeyGenerator(req.ip)
+  });
+
+module.exports = {
+  authLimiter,
+  passwordResetLimiter,
+  resetPasswordLimiter,
+  contactLimiter,
+  newsletterLimiter,
+  paymentLimiter
+};
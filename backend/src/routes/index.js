@@ -11,24 +11,54 @@ const AdminController = require('../controllers/adminController.js');
 const MpesaController = require('../controllers/mpesaController.js');
 const PaymentController = require('../controllers/paymentController.js');
 const CohortController = require('../controllers/cohortController.js');
+const DiscountController = require('../controllers/discountController.js');
+const RefundController = require('../controllers/refundController.js');
+const DocumentController = require('../controllers/documentController.js');
+const StatementController = require('../controllers/statementController.js');
+const JobController = require('../controllers/jobController.js');
+const MpesaStatementController = require('../controllers/mpesaStatementController.js');
+const PaymentGatewayController = require('../controllers/paymentGatewayController.js');
+const PayoutController = require('../controllers/payoutController.js');
 const UploadController = require('../controllers/uploadController.js');
 const SessionController = require('../controllers/sessionController.js');
 const ForumController = require('../controllers/forumController.js');
 const NotificationController = require('../controllers/notificationController.js');
 const ContactController = require('../controllers/contactController.js');
+const ReportController = require('../controllers/reportController.js');
 const { sendWelcomeEmail, getEmailStatus } = require('../lib/email.js');
-const { authenticateToken, requireRole, blockLockedStudent, requireStudentNotLocked } = require('../middleware/auth.js');
-const { generateInitialInvoices, checkAndUpdateInvoiceStatuses, isStudentLocked } = require('../lib/invoices.js');
+const { authenticateToken, requireRole, blockLockedStudent, requireVerifiedEmail, blockLockedCourse, courseFrom, requireStudentNotLocked } = require('../middleware/auth.js');
+const { verifyMpesaCallback } = require('../middleware/mpesaCallback.js');
+const {
+  authLimiter,
+  passwordResetLimiter,
+  resetPasswordLimiter,
+  contactLimiter,
+  newsletterLimiter,
+  paymentLimiter
+} = require('../middleware/rateLimits.js');
+const { runJob } = require('../lib/scheduler.js');
+require('../lib/jobs.js');
 
 const requireTutor = [authenticateToken, requireRole(['tutor'])];
 const requireAdmin = [authenticateToken, requireRole(['admin'])];
 
 // ==================== AUTH ROUTES ====================
-router.post('/auth/login', AuthController.login);
-router.post('/auth/register', AuthController.register);
+router.post('/auth/login', authLimiter, AuthController.login);
+router.post('/auth/register', authLimiter, AuthController.register);
 router.get('/auth/verify', authenticateToken, AuthController.verify);
-router.post('/auth/forgot-password', AuthController.forgotPassword);
-router.post('/auth/reset-password', AuthController.resetPassword);
+router.post('/auth/forgot-password', passwordResetLimiter, AuthController.forgotPassword);
+router.post('/auth/reset-password', resetPasswordLimiter, AuthController.resetPassword);
+router.get('/auth/password-policy', AuthController.getPasswordPolicyRules);
+router.post('/auth/verify-email', authLimiter, AuthController.verifyEmail);
+router.post('/auth/resend-verification', authenticateToken, AuthController.resendVerification);
+router.post('/auth/2fa/verify', authLimiter, AuthController.verifyTwoFactorLogin);
+router.post('/auth/2fa/setup', authLimiter, AuthController.setupTwoFactorLogin);
+router.post('/auth/2fa/enable', authLimiter, AuthController.enableTwoFactorLogin);
+router.post('/auth/refresh', AuthController.refresh);
+router.post('/auth/logout', authenticateToken, AuthController.logout);
+router.post('/auth/logout-all', authenticateToken, AuthController.logoutAll);
+router.get('/auth/sessions', authenticateToken, AuthController.getSessions);
+router.delete('/auth/sessions/:id', authenticateToken, AuthController.deleteSession);
 
 // ==================== USER ROUTES ====================
 router.get('/users/me', authenticateToken, UserController.getCurrentUser);
@@ -36,47 +66,57 @@ router.put('/users/profile', authenticateToken, UserController.updateProfile);
 router.put('/users/change-password', authenticateToken, UserController.changePassword);
 router.put('/users/set-password', authenticateToken, UserController.setPassword);
 router.put('/users/skip-password-change', authenticateToken, UserController.skipPasswordChange);
+router.get('/users/2fa', authenticateToken, UserController.getTwoFactorStatus);
+router.post('/users/2fa/setup', authenticateToken, UserController.setupTwoFactor);
+router.post('/users/2fa/enable', authenticateToken, UserController.enableTwoFactor);
+router.post('/users/2fa/recovery-codes', authenticateToken, UserController.regenerateRecoveryCodes);
+router.post('/users/2fa/disable', authenticateToken, UserController.disableTwoFactor);
 
 // ==================== COURSE ROUTES ====================
 router.get('/courses', CourseController.getAllCourses);
 router.get('/courses/:id', CourseController.getCourseById);
 router.get('/courses/slug/:slug', CourseController.getCourseBySlug);
-router.post('/courses/:id/enroll', authenticateToken, CourseController.enrollInCourse);
+router.get('/courses/:id/billing-preview', CourseController.getBillingPreview);
+router.post('/courses/:id/enroll', authenticateToken, requireVerifiedEmail, CourseController.enrollInCourse);
 
 // ==================== STUDENT DASHBOARD ROUTES ====================
 router.get('/student/courses', authenticateToken, requireRole(['student', 'tutor', 'admin']), blockLockedStudent, StudentController.getStudentCourses);
 router.get('/student/courses/progress', authenticateToken, requireRole(['student', 'admin']), blockLockedStudent, StudentController.getProgress);
-router.put('/student/courses/:enrollmentId/progress', requireStudentNotLocked, StudentController.updateProgress);
-router.post('/student/lessons/:lessonId/complete', requireStudentNotLocked, StudentController.completeLesson);
-router.delete('/student/courses/:enrollmentId/unenroll', requireStudentNotLocked, StudentController.unenrollFromCourse);
+router.put('/student/courses/:enrollmentId/progress', requireStudentNotLocked, blockLockedCourse(courseFrom.enrollment('enrollmentId')), StudentController.updateProgress);
+router.post('/student/lessons/:lessonId/complete', requireStudentNotLocked, blockLockedCourse(courseFrom.lesson('lessonId')), StudentController.completeLesson);
+router.delete('/student/courses/:enrollmentId/unenroll', requireStudentNotLocked, blockLockedCourse(courseFrom.enrollment('enrollmentId')), StudentController.unenrollFromCourse);
 
 // ==================== STUDENT LESSON ROUTES ====================
-router.get('/student/lessons', authenticateToken, requireRole(['student', 'tutor', 'admin']), blockLockedStudent, StudentController.getLessons);
+router.get('/student/lessons', authenticateToken, requireRole(['student', 'tutor', 'admin']), blockLockedCourse(courseFrom.query('courseId')), StudentController.getLessons);
 router.post('/student/lessons', authenticateToken, requireRole(['tutor', 'admin']), StudentController.createLesson);
-router.get('/student/lessons/:id', authenticateToken, requireRole(['student', 'tutor', 'admin']), blockLockedStudent, StudentController.getLesson);
+router.get('/student/lessons/:id', authenticateToken, requireRole(['student', 'tutor', 'admin']), blockLockedCourse(courseFrom.lesson('id')), StudentController.getLesson);
 router.put('/student/lessons/:id', authenticateToken, requireRole(['tutor', 'admin']), StudentController.updateLesson);
 router.delete('/student/lessons/:id', authenticateToken, requireRole(['tutor', 'admin']), StudentController.deleteLesson);
 
 // ==================== STUDENT NOTES ROUTES ====================
-router.get('/student/notes/:courseId', authenticateToken, requireRole(['student', 'tutor', 'admin']), blockLockedStudent, StudentController.getCourseNotes);
-router.post('/student/notes/:noteId/mark-read', requireStudentNotLocked, StudentController.markNoteRead);
+router.get('/student/notes/:courseId', authenticateToken, requireRole(['student', 'tutor', 'admin']), blockLockedCourse(courseFrom.param('courseId')), StudentController.getCourseNotes);
+router.post('/student/notes/:noteId/mark-read', requireStudentNotLocked, blockLockedCourse(courseFrom.note('noteId')), StudentController.markNoteRead);
 
 // ==================== STUDENT PAYMENT ROUTES ====================
 router.get('/student/credit-balance', authenticateToken, requireRole(['student']), StudentController.getCreditBalance);
+router.get('/student/credit-notes', authenticateToken, requireRole(['student']), RefundController.getMyCreditNotes);
+router.get('/student/statement', authenticateToken, requireRole(['student']), StatementController.getMyStatement);
 router.get('/student/is-locked', authenticateToken, requireRole(['student']), StudentController.isLocked);
 router.get('/student/invoices', authenticateToken, requireRole(['student']), StudentController.getInvoices);
-router.post('/student/pay/:invoiceId', authenticateToken, requireRole(['student']), MpesaController.initiatePayment);
+router.post('/student/pay/:invoiceId', authenticateToken, requireRole(['student']), requireVerifiedEmail, paymentLimiter, PaymentGatewayController.initiatePayment);
 router.get('/student/payment-status/:invoiceId', authenticateToken, requireRole(['student']), MpesaController.checkPaymentStatus);
+router.get('/student/payment-attempts', authenticateToken, requireRole(['student']), MpesaController.getMyPaymentAttempts);
 router.get('/student/course-notes-access/:courseId', authenticateToken, requireRole(['student']), StudentController.checkNotesAccess);
 
 // Student Payment Submission
-router.post('/student/submit-transaction', authenticateToken, requireRole(['student']), PaymentController.submitTransaction);
+router.post('/student/submit-transaction', authenticateToken, requireRole(['student']), requireVerifiedEmail, paymentLimiter, PaymentController.submitTransaction);
 router.get('/student/my-submissions', authenticateToken, requireRole(['student']), PaymentController.getMySubmissions);
 
 // ==================== TUTOR DASHBOARD ROUTES ====================
 router.get('/tutor/courses', authenticateToken, requireRole(['tutor', 'admin']), TutorController.getTutorCourses);
 router.get('/tutor/courses/:courseId/lessons', authenticateToken, requireTutor, TutorController.getCourseLessons);
 router.get('/tutor/transactions', authenticateToken, requireTutor, TutorController.getTransactions);
+router.get('/tutor/earnings', authenticateToken, requireTutor, PayoutController.getMyEarnings);
 
 // Tutor Lesson Management
 router.get('/tutor/lessons', authenticateToken, requireTutor, TutorController.getTutorLessons);
@@ -124,9 +164,18 @@ router.get('/admin/users', authenticateToken, requireAdmin, AdminController.getU
 router.post('/admin/users', authenticateToken, requireAdmin, AdminController.createUser);
 router.put('/admin/users/:id', authenticateToken, requireAdmin, AdminController.updateUser);
 router.delete('/admin/users/:id', authenticateToken, requireAdmin, AdminController.deleteUser);
+router.get('/admin/users/:id/sessions', authenticateToken, requireAdmin, AdminController.getUserSessions);
+router.post('/admin/users/:id/revoke-sessions', authenticateToken, requireAdmin, AdminController.revokeUserSessions);
+router.post('/admin/users/:id/reset-password', authenticateToken, requireAdmin, AdminController.resetUserPassword);
+router.post('/admin/users/:id/reset-2fa', authenticateToken, requireAdmin, AdminController.resetUserTwoFactor);
+router.get('/admin/users/:id/2fa-events', authenticateToken, requireAdmin, AdminController.getUserTwoFactorEvents);
+router.post('/admin/users/:id/verify-email', authenticateToken, requireAdmin, AdminController.verifyUserEmail);
+router.get('/admin/login-lockouts', authenticateToken, requireAdmin, AdminController.getLoginLockouts);
+router.post('/admin/login-lockouts/:userId/unlock', authenticateToken, requireAdmin, AdminController.unlockLoginAccount);
 
 // Admin Analytics
 router.get('/admin/analytics', authenticateToken, requireAdmin, AdminController.getAnalytics);
+router.get('/admin/reports/finance{/:report}', authenticateToken, requireAdmin, ReportController.getFinanceReports);
 
 // Admin Settings
 router.get('/admin/settings', authenticateToken, requireAdmin, AdminController.getSettings);
@@ -135,10 +184,13 @@ router.put('/admin/settings', authenticateToken, requireAdmin, AdminController.u
 // Admin Course Pricing
 router.get('/admin/course-pricing', authenticateToken, requireAdmin, AdminController.getCoursePricing);
 router.post('/admin/course-pricing', authenticateToken, requireAdmin, AdminController.createOrUpdatePricing);
+router.get('/admin/trials', authenticateToken, requireAdmin, AdminController.getTrialStats);
+router.get('/admin/payment-gateways', authenticateToken, requireAdmin, PaymentGatewayController.getPaymentGateways);
 
 // Admin Global Settings
 router.get('/admin/global-settings', authenticateToken, requireAdmin, AdminController.getGlobalSettings);
 router.post('/admin/global-settings', authenticateToken, requireAdmin, AdminController.updateGlobalSettings);
+router.get('/admin/global-settings/history', authenticateToken, requireAdmin, AdminController.getGlobalSettingsHistory);
 
 // Admin Transactions
 router.get('/admin/transactions', authenticateToken, requireAdmin, AdminController.getAdminTransactions);
@@ -146,9 +198,12 @@ router.get('/admin/transactions', authenticateToken, requireAdmin, AdminControll
 // Admin Invoices
 router.get('/admin/invoices', authenticateToken, requireAdmin, AdminController.getAdminInvoices);
 router.post('/admin/invoices/:id/unlock', authenticateToken, requireAdmin, AdminController.unlockInvoice);
+router.post('/admin/invoices/:id/waive-late-fee', authenticateToken, requireAdmin, AdminController.waiveLateFee);
+router.get('/admin/late-fee-waivers', authenticateToken, requireAdmin, AdminController.getLateFeeWaivers);
 
 // Admin Student Payment Summary
 router.get('/admin/students/:id/payment-summary', authenticateToken, requireAdmin, AdminController.getStudentPaymentSummary);
+router.get('/admin/students/:id/statement', authenticateToken, requireAdmin, StatementController.getStudentStatement);
 
 // Admin Payment Submission Verification
 router.get('/admin/payment-submissions', authenticateToken, requireAdmin, PaymentController.getPaymentSubmissions);
@@ -158,6 +213,19 @@ router.post('/admin/reject-submission/:id', authenticateToken, requireAdmin, Pay
 // Admin Enrollment Edit/Delete
 router.put('/admin/enrollments/:id', authenticateToken, requireAdmin, AdminController.updateEnrollment);
 router.delete('/admin/enrollments/:id', authenticateToken, requireAdmin, AdminController.adminDeleteEnrollment);
+router.post('/admin/enrollments/:id/withdraw', authenticateToken, requireAdmin, RefundController.withdrawEnrollment);
+router.get('/admin/refunds', authenticateToken, requireAdmin, RefundController.getRefunds);
+router.post('/admin/refunds', authenticateToken, requireAdmin, RefundController.createRefund);
+router.get('/admin/credit-notes', authenticateToken, requireAdmin, RefundController.getCreditNotes);
+
+// ==================== TUTOR PAYOUT ROUTES ====================
+router.get('/admin/revenue-shares', authenticateToken, requireAdmin, PayoutController.getShares);
+router.put('/admin/revenue-shares/:courseId', authenticateToken, requireAdmin, PayoutController.updateShare);
+router.get('/admin/tutor-payouts', authenticateToken, requireAdmin, PayoutController.listPayouts);
+router.post('/admin/tutor-payouts/generate', authenticateToken, requireAdmin, PayoutController.generateStatements);
+router.get('/admin/tutor-payouts/:id', authenticateToken, requireAdmin, PayoutController.getPayoutDetail);
+router.post('/admin/tutor-payouts/:id/approve', authenticateToken, requireAdmin, PayoutController.approve);
+router.post('/admin/tutor-payouts/:id/paid', authenticateToken, requireAdmin, PayoutController.markPaid);
 
 // Student Installment Schedule
 router.get('/student/installments/:courseId', authenticateToken, requireRole(['student']), AdminController.getInstallmentSchedule);
@@ -172,121 +240,90 @@ router.post('/admin/cohorts/:id/students', authenticateToken, requireAdmin, Coho
 router.delete('/admin/cohorts/:id/students/:studentId', authenticateToken, requireAdmin, CohortController.removeStudentFromCohort);
 router.get('/admin/cohorts/:id/available-students', authenticateToken, requireAdmin, CohortController.getAvailableStudents);
 
+// ==================== DISCOUNT ROUTES ====================
+router.get('/admin/discount-codes', authenticateToken, requireAdmin, DiscountController.getDiscountCodes);
+router.post('/admin/discount-codes', authenticateToken, requireAdmin, DiscountController.createDiscountCode);
+router.put('/admin/discount-codes/:id', authenticateToken, requireAdmin, DiscountController.updateDiscountCode);
+router.delete('/admin/discount-codes/:id', authenticateToken, requireAdmin, DiscountController.deleteDiscountCode);
+router.get('/admin/student-discounts', authenticateToken, requireAdmin, DiscountController.getStudentDiscounts);
+router.post('/admin/student-discounts', authenticateToken, requireAdmin, DiscountController.grantStudentDiscount);
+router.delete('/admin/student-discounts/:id', authenticateToken, requireAdmin, DiscountController.revokeStudentDiscount);
+router.get('/admin/discounts/report', authenticateToken, requireAdmin, DiscountController.getRevenueForgoneReport);
+router.get('/student/discounts', authenticateToken, requireRole(['student']), DiscountController.getMyDiscounts);
+router.post('/student/discounts/redeem', authenticateToken, requireRole(['student']), DiscountController.redeemCode);
+
 // ==================== MPESA ROUTES ====================
-router.post('/mpesa/callback', MpesaController.handleCallback);
-router.post('/mpesa/initiate', authenticateToken, requireRole(['student']), MpesaController.initiatePayment);
+router.post('/mpesa/callback{/:secret}', verifyMpesaCallback, MpesaController.handleCallback);
+router.post('/mpesa/b2c/result{/:secret}', verifyMpesaCallback, MpesaController.handleB2CResultCallback);
+router.post('/mpesa/b2c/timeout{/:secret}', verifyMpesaCallback, MpesaController.handleB2CTimeout);
+router.post('/mpesa/initiate', authenticateToken, requireRole(['student']), requireVerifiedEmail, paymentLimiter, PaymentGatewayController.initiatePayment);
 router.get('/mpesa/status/:checkoutRequestId', authenticateToken, requireRole(['student']), MpesaController.checkPaymentStatus);
 router.get('/mpesa/config', authenticateToken, requireAdmin, MpesaController.getConfiguration);
 router.post('/mpesa/simulate', authenticateToken, requireAdmin, MpesaController.simulateCallback);
-
-// ==================== CRON WEBHOOK ROUTES (for external cron-job.org) ====================
-router.get('/cron/generate-monthly-invoices', async (req, res) => {
-  try {
-    const token = req.query.token || req.headers['x-cron-token'];
-    if (token !== process.env.CRON_SECRET) {
-      return res.status(401).json({ error: 'Invalid token' });
-    }
-    await generateMonthlyInvoices();
-    await checkAndUpdateInvoiceStatuses();
-    res.json({ success: true, message: 'Monthly invoices generated and statuses updated' });
-  } catch (error) {
-    console.error('Cron error:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-router.get('/cron/check-overdue', async (req, res) => {
-  try {
-    const token = req.query.token || req.headers['x-cron-token'];
-    if (token !== process.env.CRON_SECRET) {
-      return res.status(401).json({ error: 'Invalid token' });
-    }
-    await checkAndUpdateInvoiceStatuses();
-    res.json({ success: true, message: 'Overdue invoices checked and locked' });
-  } catch (error) {
-    console.error('Cron error:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// ==================== RECEIPT ROUTES ====================
-router.get('/receipt/:invoiceId', async (req, res) => {
-  try {
-    const invoiceId = parseInt(req.params.invoiceId);
-    if (isNaN(invoiceId)) {
-      return res.status(400).send('Invalid invoice ID');
+router.post('/payments/card/webhook', PaymentGatewayController.handleCardWebhook);
+router.post('/mpesa/c2b/validation{/:secret}', verifyMpesaCallback, MpesaController.handleC2BValidation);
+router.post('/mpesa/c2b/confirmation{/:secret}', verifyMpesaCallback, MpesaController.handleC2BConfirmation);
+router.post('/admin/mpesa/c2b/register', authenticateToken, requireAdmin, MpesaController.registerC2B);
+router.get('/admin/mpesa/c2b', authenticateToken, requireAdmin, MpesaController.getC2BTransactions);
+router.post('/admin/mpesa/c2b/:id/assign', authenticateToken, requireAdmin, MpesaController.assignC2BTransaction);
+router.post('/admin/mpesa/c2b/:id/dismiss', authenticateToken, requireAdmin, MpesaController.dismissC2BTransaction);
+router.get('/admin/payment-attempts', authenticateToken, requireAdmin, MpesaController.getPaymentAttempts);
+router.get('/admin/payment-attempts/:id/events', authenticateToken, requireAdmin, MpesaController.getPaymentAttemptEvents);
+router.get('/admin/mpesa/reconciliation-reports', authenticateToken, requireAdmin, MpesaController.getReconciliationReports);
+router.post('/admin/mpesa/reconciliation-reports', authenticateToken, requireAdmin, MpesaController.generateReconciliationReport);
+router.get('/admin/mpesa/reconciliation-reports/:date', authenticateToken, requireAdmin, MpesaController.getReconciliationReport);
+router.post('/admin/mpesa/statements', authenticateToken, requireAdmin, MpesaStatementController.upload.single('file'), MpesaStatementController.uploadStatement);
+router.get('/admin/mpesa/statements', authenticateToken, requireAdmin, MpesaStatementController.getStatements);
+router.get('/admin/mpesa/statements/:id', authenticateToken, requireAdmin, MpesaStatementController.getStatementReconciliation);
+
+// ==================== CRON WEBHOOK ROUTES ====================
+// Jobs run on the built-in scheduler; these routes trigger a run by hand
+// (e.g. from an external cron service) and are recorded in the job history.
+function cronTrigger(jobNames) {
+  return async (req, res) => {
+    try {
+      const token = req.query.token || req.headers['x-cron-token'];
+      if (!process.env.CRON_SECRET || token !== process.env.CRON_SECRET) {
+        return res.status(401).json({ error: 'Invalid token' });
+      }
+
+      const runs = [];
+      for (const name of jobNames) {
+        const run = await runJob(name, { trigger: 'manual' });
+        runs.push({ job: name, ...run });
+        if (!run.success) {
+          return res.status(run.status || 500).json({ error: run.error, runs });
+        }
+      }
+      res.json({ success: true, message: `Ran ${jobNames.join(', ')}`, runs });
+    } catch (error) {
+      console.error('Cron error:', error);
+      res.status(500).json({ error: error.message });
     }
-
-    const invoice = await db.getOne(`
-      SELECT i.*, u.full_name, u.email, u.username, c.title as course_title
-      FROM invoices i
-      JOIN users u ON i.student_id = u.id
-      JOIN courses c ON i.course_id = c.id
-      WHERE i.id = ?
-    `, [invoiceId]);
-
-    if (!invoice) {
-      return res.status(404).send('Invoice not found');
-    }
-
-    const html = `<!DOCTYPE html>
-<html lang="en">
-<head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0">
-<title>Receipt - Nuru Foundation</title>
-<link href="https://fonts.googleapis.com/css2?family=Poppins:wght@300;400;600;700&display=swap" rel="stylesheet">
-<style>
-* { margin:0; padding:0; box-sizing:border-box; }
-body { font-family:'Poppins',sans-serif; background:#f8f9fa; padding:40px; display:flex; justify-content:center; }
-.receipt { max-width:600px; width:100%; background:white; border-radius:15px; padding:40px; box-shadow:0 10px 40px rgba(0,0,0,0.1); }
-.header { text-align:center; margin-bottom:30px; padding-bottom:20px; border-bottom:2px solid #27ae60; }
-.header h1 { color:#27ae60; font-size:1.5rem; margin-bottom:5px; }
-.header p { color:#6c757d; font-size:0.9rem; }
-.receipt-title { text-align:center; margin-bottom:30px; }
-.receipt-title h2 { color:#2c3e50; font-size:1.2rem; }
-.receipt-table { width:100%; border-collapse:collapse; }
-.receipt-table td { padding:10px 12px; border-bottom:1px solid #eee; }
-.receipt-table td:first-child { font-weight:600; color:#6c757d; width:120px; }
-.receipt-table td:last-child { color:#2c3e50; }
-.total-row td { font-weight:700; font-size:1.1rem; border-top:2px solid #27ae60; border-bottom:none; padding-top:15px; }
-.total-row td:last-child { color:#27ae60; }
-.status-badge { display:inline-block; padding:4px 12px; border-radius:12px; font-size:0.85rem; font-weight:600; }
-.status-badge.paid { background:#d4edda; color:#155724; }
-.status-badge.pending { background:#fef3cd; color:#856404; }
-.footer { text-align:center; margin-top:30px; padding-top:20px; border-top:1px solid #eee; font-size:0.8rem; color:#6c757d; }
-@media print { body { padding:0; } .receipt { box-shadow:none; } }
-</style></head>
-<body>
-<div class="receipt">
-<div class="header"><h1>NURU Foundation</h1><p>Payment Receipt</p></div>
-<div class="receipt-title"><h2>${invoice.status === 'paid' ? 'Payment Confirmed' : 'Invoice'}</h2></div>
-<table class="receipt-table">
-<tr><td>Invoice #</td><td>${invoice.id}</td></tr>
-<tr><td>Student</td><td>${invoice.full_name} (${invoice.email})</td></tr>
-<tr><td>Course</td><td>${invoice.course_title}</td></tr>
-<tr><td>Type</td><td>${invoice.type === 'initial' ? 'Deposit' : invoice.type === 'monthly' ? 'Monthly Installment' : invoice.type}</td></tr>
-${invoice.month_number ? '<tr><td>Month</td><td>' + invoice.month_number + '</td></tr>' : ''}
-<tr><td>Amount</td><td>KES ${parseFloat(invoice.amount).toLocaleString()}</td></tr>
-<tr><td>Status</td><td><span class="status-badge ${invoice.status}">${invoice.status.toUpperCase()}</span></td></tr>
-<tr><td>Date</td><td>${invoice.paid_at ? new Date(invoice.paid_at).toLocaleDateString() : new Date(invoice.created_at).toLocaleDateString()}</td></tr>
-${invoice.mpesa_receipt ? '<tr><td>M-Pesa Ref</td><td>' + invoice.mpesa_receipt + '</td></tr>' : ''}
-${invoice.transaction_id ? '<tr><td>Trans. ID</td><td>' + invoice.transaction_id + '</td></tr>' : ''}
-<tr class="total-row"><td>Total Paid</td><td>KES ${parseFloat(invoice.amount).toLocaleString()}</td></tr>
-</table>
-<div class="footer"><p>Nuru Foundation — Empowering Through Education</p><p>Thank you for your payment!</p></div>
-</div>
-<script>window.print();</script></body></html>`;
-
-    res.send(html);
-  } catch (error) {
-    console.error('Receipt error:', error);
-    res.status(500).send('Error generating receipt');
-  }
-});
+  };
+}
+
+router.get('/cron/generate-monthly-invoices', cronTrigger(['generate-monthly-invoices', 'check-overdue']));
+router.get('/cron/check-overdue', cronTrigger(['check-overdue']));
+
+// ==================== SCHEDULED JOB ROUTES ====================
+router.get('/admin/jobs', authenticateToken, requireAdmin, JobController.getJobs);
+router.get('/admin/jobs/runs', authenticateToken, requireAdmin, JobController.getJobRuns);
+router.post('/admin/jobs/:name/run', authenticateToken, requireAdmin, JobController.runJob);
+router.put('/admin/jobs/:name', authenticateToken, requireAdmin, JobController.updateJob);
+
+// ==================== DOCUMENT ROUTES ====================
+router.get('/documents/invoices/:invoiceId', authenticateToken, DocumentController.downloadInvoice);
+router.get('/documents/invoices/:invoiceId/receipt', authenticateToken, DocumentController.downloadReceipt);
+router.get('/documents/statements/:studentId', authenticateToken, DocumentController.downloadStatement);
+// Older receipt links were opened straight from the browser, which sends no
+// bearer token; the receipt page fetches the PDF with the signed-in user's
+router.get('/receipt/:invoiceId', DocumentController.redirectToReceiptPage);
 
 // ==================== STUDENT ASSIGNMENT ROUTES ====================
 router.get('/student/assignments', requireStudentNotLocked, StudentController.getStudentAssignments);
-router.get('/assignments/:id', requireStudentNotLocked, StudentController.getAssignment);
-router.post('/assignments/:id/submit', requireStudentNotLocked, StudentController.submitAssignment);
+router.get('/assignments/:id', requireStudentNotLocked, blockLockedCourse(courseFrom.assignment('id')), StudentController.getAssignment);
+router.post('/assignments/:id/submit', requireStudentNotLocked, blockLockedCourse(courseFrom.assignment('id')), StudentController.submitAssignment);
 
 // ==================== FILE UPLOAD ROUTES ====================
 router.post('/upload/image', authenticateToken, requireRole(['tutor', 'admin']), UploadController.upload.single('file'), UploadController.uploadImage);
@@ -294,18 +331,18 @@ router.post('/upload/file', authenticateToken, requireRole(['tutor', 'admin']),
 
 // ==================== LIVE SESSION ROUTES ====================
 router.get('/sessions/upcoming', authenticateToken, blockLockedStudent, SessionController.getUpcomingSessions);
-router.get('/sessions/course/:courseId', authenticateToken, blockLockedStudent, SessionController.getCourseSessions);
+router.get('/sessions/course/:courseId', authenticateToken, blockLockedCourse(courseFrom.param('courseId')), SessionController.getCourseSessions);
 router.post('/sessions', authenticateToken, requireRole(['tutor', 'admin']), SessionController.createSession);
 router.put('/sessions/:id', authenticateToken, requireRole(['tutor', 'admin']), SessionController.updateSession);
 router.delete('/sessions/:id', authenticateToken, requireRole(['tutor', 'admin']), SessionController.deleteSession);
 router.get('/tutor/sessions', authenticateToken, requireRole(['tutor', 'admin']), SessionController.getTutorSessions);
 
 // ==================== FORUM ROUTES ====================
-router.get('/forum/course/:courseId', authenticateToken, blockLockedStudent, ForumController.getCoursePosts);
-router.get('/forum/posts/:id', authenticateToken, blockLockedStudent, ForumController.getPost);
-router.post('/forum/posts', authenticateToken, blockLockedStudent, ForumController.createPost);
-router.post('/forum/posts/:postId/comments', authenticateToken, blockLockedStudent, ForumController.createComment);
-router.delete('/forum/posts/:id', authenticateToken, blockLockedStudent, ForumController.deletePost);
+router.get('/forum/course/:courseId', authenticateToken, blockLockedCourse(courseFrom.param('courseId')), ForumController.getCoursePosts);
+router.get('/forum/posts/:id', authenticateToken, blockLockedCourse(courseFrom.forumPost('id')), ForumController.getPost);
+router.post('/forum/posts', authenticateToken, blockLockedCourse(courseFrom.body('courseId')), ForumController.createPost);
+router.post('/forum/posts/:postId/comments', authenticateToken, blockLockedCourse(courseFrom.forumPost('postId')), ForumController.createComment);
+router.delete('/forum/posts/:id', authenticateToken, blockLockedCourse(courseFrom.forumPost('id')), ForumController.deletePost);
 
 // ==================== NOTIFICATION ROUTES ====================
 router.get('/notifications', authenticateToken, NotificationController.getNotifications);
@@ -315,8 +352,8 @@ router.put('/notifications/read-all', authenticateToken, NotificationController.
 router.post('/admin/notifications/bulk', authenticateToken, requireAdmin, NotificationController.bulkCreateNotifications);
 
 // ==================== CONTACT & NEWSLETTER ROUTES ====================
-router.post('/contact', ContactController.submitContact);
-router.post('/newsletter/subscribe', ContactController.subscribeNewsletter);
+router.post('/contact', contactLimiter, ContactController.submitContact);
+router.post('/newsletter/subscribe', newsletterLimiter, ContactController.subscribeNewsletter);
 
 // ==================== EMAIL DIAGNOSTIC ROUTES ====================
 router.get('/admin/email-status', authenticateToken, requireAdmin, (req, res) => {
@@ -0,0 +1,129 @@
+// test/billingSettings.test.js - Versioned billing settings and their history (CommonJS)
+//
+// Runs lib/billingSettings.js against an in-memory stand-in for the
+// billing_settings_versions table. Versions are numbered like its
+// AUTO_INCREMENT key.
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+let versions;
+
+const fakeDb = {
+  async getOne(sql) {
+    if (/FROM billing_settings_versions ORDER BY version DESC LIMIT 1/.test(sql)) {
+      return versions.length ? { ...versions[versions.length - 1] } : null;
+    }
+    return null;
+  },
+  async query(sql, params = []) {
+    if (/INSERT IGNORE INTO billing_settings_versions/.test(sql)) {
+      if (versions.some(v => v.version === 1)) return { affectedRows: 0 };
+      versions.push({ version: 1, settings: params[0], change_note: params[1] });
+      return { affectedRows: 1 };
+    }
+    if (/FROM billing_settings_versions v/.test(sql)) {
+      return versions.slice().reverse().slice(0, params[0]).map(v => ({ invoice_count: '0', ...v }));
+    }
+    return /^\s*(UPDATE|DELETE|INSERT)/.test(sql) ? { affectedRows: 0 } : [];
+  },
+  async insert(table, data) {
+    const version = versions.length + 1;
+    versions.push({ ...data, version });
+    return version;
+  },
+  async update() {},
+  async remove() {}
+};
+const dbPath = require.resolve('../src/config/database.js');
+require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: fakeDb };
+
+const {
+  DEFAULT_BILLING_SETTINGS, getBillingSettings, mergeBillingSettings, diffSettings,
+  updateBillingSettings, getBillingSettingsHistory
+} = require('../src/lib/billingSettings.js');
+
+beforeEach(() => {
+  versions = [];
+});
+
+test('the first read saves the defaults as version 1', async () => {
+  const settings = await getBillingSettings();
+  assert.strictEqual(settings.version, 1);
+  assert.strictEqual(settings.billingDay, DEFAULT_BILLING_SETTINGS.billingDay);
+  assert.strictEqual(versions.length, 1);
+
+  await getBillingSettings();
+  assert.strictEqual(versions.length, 1);
+});
+
+test('a change is saved as a new version with what changed', async () => {
+  await getBillingSettings();
+
+  const result = await updateBillingSettings(
+    { billingDay: '5', lateFee: { enabled: 'on', type: 'flat', value: '200', graceDays: '3' } },
+    { adminId: 1, note: 'New term' }
+  );
+  assert.strictEqual(result.success, true, result.error);
+  assert.strictEqual(result.settings.version, 2);
+  assert.deepStrictEqual(result.changes.map(c => c.field).sort(), [
+    'billingDay', 'lateFee.enabled', 'lateFee.graceDays', 'lateFee.value'
+  ]);
+  assert.deepStrictEqual(result.changes.find(c => c.field === 'billingDay'), { field: 'billingDay', from: 1, to: 5 });
+
+  const current = await getBillingSettings();
+  assert.strictEqual(current.version, 2);
+  assert.strictEqual(current.billingDay, 5);
+  assert.deepStrictEqual(current.lateFee, { enabled: true, type: 'flat', value: 200, cap: null, graceDays: 3 });
+  assert.strictEqual(versions[1].changed_by, 1);
+  assert.strictEqual(versions[1].change_note, 'New term');
+});
+
+test('saving the same values writes no new version', async () => {
+  await getBillingSettings();
+  const result = await updateBillingSettings({ billingDay: 1, gracePeriodDays: '2' });
+  assert.strictEqual(result.unchanged, true);
+  assert.strictEqual(versions.length, 1);
+});
+
+test('invalid values are refused and nothing is saved', async () => {
+  await getBillingSettings();
+
+  assert.match((await updateBillingSettings({ billingDay: 31 })).error, /between 1 and 28/);
+  assert.match((await updateBillingSettings({ prorationMode: 'weekly' })).error, /Proration mode/);
+  assert.match((await updateBillingSettings({ lateFee: { enabled: true, type: 'percentage', value: 150 } })).error, /100%/);
+  assert.strictEqual(versions.length, 1);
+});
+
+test('a disabled late fee is not validated', () => {
+  const { settings, error } = mergeBillingSettings(DEFAULT_BILLING_SETTINGS, {
+    lateFee: { enabled: 'false', type: 'daily', value: 'x' }
+  });
+  assert.strictEqual(error, undefined);
+  assert.strictEqual(settings.lateFee.enabled, false);
+});
+
+test('nested settings are diffed field by field', () => {
+  const before = { billingDay: 1, lateFee: { enabled: false, value: 0 }, version: 3 };
+  const after = { billingDay: 1, lateFee: { enabled: true, value: 0 }, smsAutoVerify: true, version: 4 };
+  assert.deepStrictEqual(diffSettings(before, after), [
+    { field: 'lateFee.enabled', from: false, to: true },
+    { field: 'smsAutoVerify', from: null, to: true }
+  ]);
+});
+
+test('the history lists each version with its changes from the one before', async () => {
+  await getBillingSettings();
+  await updateBillingSettings({ gracePeriodDays: 5 }, { adminId: 1 });
+  await updateBillingSettings({ prorationMode: 'daily' }, { adminId: 1 });
+
+  const history = await getBillingSettingsHistory();
+  assert.deepStrictEqual(history.map(h => [h.version, h.changes.map(c => c.field)]), [
+    [3, ['prorationMode']],
+    [2, ['gracePeriodDays']],
+    [1, []]
+  ]);
+
+  const latest = await getBillingSettingsHistory({ limit: 1 });
+  assert.strictEqual(latest.length, 1);
+  assert.deepStrictEqual(latest[0].changes, [{ field: 'prorationMode', from: 'none', to: 'daily' }]);
+});
@@ -0,0 +1,124 @@
+// test/c2b.test.js - Matching paybill (C2B) payments to students and invoices (CommonJS)
+//
+// Runs lib/c2b.js against an in-memory stand-in for the database. Ledger
+// bookkeeping is covered elsewhere, so recordPayment is swapped for a
+// recorder before c2b.js loads.
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const students = new Set([12, 13]);
+const invoices = {
+  45: { id: 45, student_id: 12, course_id: 2, status: 'pending', course_title: 'Web Development' },
+  46: { id: 46, student_id: 13, course_id: 2, status: 'pending', course_title: 'Web Development' }
+};
+const documents = { 'INV-000045': 45 };
+let submission;
+let transactions;
+let notifications;
+
+const fakeDb = {
+  async getOne(sql, params = []) {
+    if (/FROM documents/.test(sql)) {
+      return documents[params[0]] ? { invoice_id: documents[params[0]] } : null;
+    }
+    if (/FROM invoices i/.test(sql)) return invoices[params[0]] || null;
+    if (/FROM users u/.test(sql)) return students.has(params[0]) ? { id: params[0], full_name: `Student ${params[0]}` } : null;
+    if (/FROM payment_submissions/.test(sql)) return submission;
+    if (/FROM mpesa_c2b_transactions WHERE id/.test(sql)) return transactions[params[0] - 1];
+    return null;
+  },
+  async query(sql, params) {
+    if (/r.name = 'admin'/.test(sql)) return [{ id: 1 }];
+    if (/INSERT INTO notifications/.test(sql)) notifications.push(params[2]);
+    return [];
+  },
+  async insert(table, data) {
+    transactions.push({ ...data, id: transactions.length + 1 });
+    return transactions.length;
+  },
+  async update(table, id, data) {
+    Object.assign(transactions[id - 1], data);
+  },
+  async remove() {}
+};
+const dbPath = require.resolve('../src/config/database.js');
+require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: fakeDb };
+
+const invoicesLib = require('../src/lib/invoices.js');
+const payments = [];
+invoicesLib.recordPayment = async (studentId, payment) => {
+  payments.push({ studentId, ...payment });
+  return { entryId: payments.length, allocations: [] };
+};
+
+const { resolveAccountReference, recordC2BConfirmation } = require('../src/lib/c2b.js');
+
+function confirmation(accountReference) {
+  return {
+    transactionId: 'SGH7ABC123',
+    transactionType: 'Pay Bill',
+    amount: 1500,
+    shortCode: '600000',
+    accountReference,
+    phoneNumber: '254712345678',
+    payerName: 'Jane'
+  };
+}
+
+beforeEach(() => {
+  submission = null;
+  transactions = [];
+  notifications = [];
+  payments.length = 0;
+});
+
+test('account numbers resolve by prefix, not by any bare number', async () => {
+  assert.deepStrictEqual(await resolveAccountReference('STU-12'), { studentId: 12, invoiceId: null, matchedBy: 'student_id' });
+  assert.deepStrictEqual(await resolveAccountReference('student 13'), { studentId: 13, invoiceId: null, matchedBy: 'student_id' });
+  assert.deepStrictEqual(await resolveAccountReference('INV-45'), { studentId: 12, invoiceId: 45, matchedBy: 'invoice_number' });
+  assert.deepStrictEqual(await resolveAccountReference('#46'), { studentId: 13, invoiceId: 46, matchedBy: 'invoice_id' });
+
+  assert.strictEqual(await resolveAccountReference('12'), null);
+  assert.strictEqual(await resolveAccountReference('45'), null);
+  assert.deepStrictEqual(await resolveAccountReference('000045'), { studentId: 12, invoiceId: 45, matchedBy: 'invoice_number' });
+});
+
+test('the account number decides who is credited', async () => {
+  const result = await recordC2BConfirmation(confirmation('INV-000045'));
+  assert.strictEqual(result.status, 'matched');
+  assert.strictEqual(payments[0].studentId, 12);
+  assert.strictEqual(payments[0].invoiceId, 45);
+  assert.strictEqual(transactions[0].matched_by, 'invoice_number');
+});
+
+test("the student's own submission fills in the invoice the account number leaves out", async () => {
+  submission = { student_id: 12, invoice_id: 45 };
+  const result = await recordC2BConfirmation(confirmation('STU-12'));
+  assert.strictEqual(result.status, 'matched');
+  assert.strictEqual(payments[0].invoiceId, 45);
+  assert.strictEqual(transactions[0].matched_by, 'student_id');
+});
+
+test('a submission from another student holds the payment for an admin', async () => {
+  submission = { student_id: 13, invoice_id: 46 };
+  const result = await recordC2BConfirmation(confirmation('STU-12'));
+  assert.strictEqual(result.status, 'suspense');
+  assert.deepStrictEqual(payments, []);
+  assert.strictEqual(notifications.length, 1);
+  assert.match(notifications[0], /student 13 submitted the same code/);
+});
+
+test('a submission matches a payment whose account number does not resolve', async () => {
+  submission = { student_id: 13, invoice_id: 46 };
+  const result = await recordC2BConfirmation(confirmation('12'));
+  assert.strictEqual(result.status, 'matched');
+  assert.strictEqual(payments[0].studentId, 13);
+  assert.strictEqual(transactions[0].matched_by, 'submission');
+});
+
+test('a payment nothing matches waits in suspense', async () => {
+  const result = await recordC2BConfirmation(confirmation('12'));
+  assert.strictEqual(result.status, 'suspense');
+  assert.deepStrictEqual(payments, []);
+  assert.match(notifications[0], /account "12" could not be matched/);
+});
@@ -0,0 +1,192 @@
+// test/cardPayments.test.js - Starting card payments against the card gateway mock (CommonJS)
+//
+// Calls PaymentGatewayController.initiatePayment with the Paystack gateway
+// pointed at scripts/card-gateway-mock.js and checks what reaches the mock.
+// The database is replaced by a small in-memory stand-in that answers the
+// queries this path makes.
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+
+process.env.PAYSTACK_SECRET_KEY = 'sk_test_card_mock';
+
+const STUDENT_ID = 3;
+let invoice;
+let paidMonths;
+let inserts;
+
+const fakeDb = {
+  async getOne(sql) {
+    if (/billing_duration/.test(sql)) return { billing_duration: 6, paid_months: paidMonths };
+    if (/FROM invoices i/.test(sql)) return { ...invoice };
+    if (/FROM billing_settings_versions/.test(sql)) return { version: 1, settings: '{}' };
+    if (/FROM users/.test(sql)) return { id: STUDENT_ID, email: 'student@example.com' };
+    return null;
+  },
+  async query() {
+    return [];
+  },
+  async insert(table, data) {
+    inserts.push({ table, data });
+    return inserts.length;
+  },
+  async update() {},
+  async remove() {}
+};
+const dbPath = require.resolve('../src/config/database.js');
+require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: fakeDb };
+
+const { PAYSTACK_CONFIG } = require('../src/lib/paystack.js');
+const { MPESA_CONFIG } = require('../src/lib/mpesa.js');
+const { createCardGatewayMock } = require('../scripts/card-gateway-mock.js');
+const { initiatePayment } = require('../src/controllers/paymentGatewayController.js');
+const { getGateway } = require('../src/lib/paymentGateways.js');
+
+let mock;
+let mockServer;
+
+function depositInvoice() {
+  return {
+    id: 7, student_id: STUDENT_ID, course_id: 2, type: 'deposit', status: 'pending',
+    amount: '1000.00', amount_paid: '0.00', monthly_amount: '1500.00',
+    payment_gateways: 'paystack', course_title: 'Web Development'
+  };
+}
+
+function monthlyInvoice() {
+  return { ...depositInvoice(), id: 8, type: 'monthly', amount: '1500.00', amount_paid: '500.00' };
+}
+
+async function pay(body) {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(data) {
+      this.body = data;
+      return this;
+    }
+  };
+  await initiatePayment({ params: { invoiceId: String(invoice.id) }, body: { gateway: 'paystack', ...body }, user: { userId: STUDENT_ID } }, res);
+  return res;
+}
+
+async function mockTransactions() {
+  const { data } = await axios.get(`${PAYSTACK_CONFIG.baseUrl}/mock/transactions`);
+  return data.transactions;
+}
+
+before(async () => {
+  mock = createCardGatewayMock({ secretKey: process.env.PAYSTACK_SECRET_KEY, log: () => {} });
+  mockServer = await new Promise(resolve => {
+    const server = mock.listen(0, '127.0.0.1', () => resolve(server));
+  });
+  PAYSTACK_CONFIG.baseUrl = `http://127.0.0.1:${mockServer.address().port}`;
+});
+
+after(() => {
+  mock.close();
+  mockServer.close();
+});
+
+beforeEach(async () => {
+  invoice = depositInvoice();
+  paidMonths = 0;
+  inserts = [];
+  await axios.post(`${PAYSTACK_CONFIG.baseUrl}/mock/reset`);
+});
+
+test('a deposit with months in advance is charged from the invoice and pricing', async () => {
+  const res = await pay({ months: 2 });
+  assert.strictEqual(res.statusCode, 200, JSON.stringify(res.body));
+  assert.strictEqual(res.body.totalAmount, 4000);
+  assert.ok(res.body.checkoutUrl);
+
+  const [tx] = await mockTransactions();
+  assert.strictEqual(tx.amount, 400000);
+  assert.strictEqual(tx.metadata.invoiceId, invoice.id);
+  const attempt = inserts.find(i => i.table === 'payment_attempts');
+  assert.strictEqual(attempt.data.amount, 4000);
+  assert.strictEqual(attempt.data.months_count, 2);
+});
+
+test('a part payment of a monthly invoice is charged as asked', async () => {
+  invoice = monthlyInvoice();
+  const res = await pay({ amount: 600 });
+  assert.strictEqual(res.statusCode, 200, JSON.stringify(res.body));
+
+  const [tx] = await mockTransactions();
+  assert.strictEqual(tx.amount, 60000);
+});
+
+test('an amount above the balance due is refused', async () => {
+  invoice = monthlyInvoice();
+  const res = await pay({ amount: 1000.01 });
+  assert.strictEqual(res.statusCode, 400);
+  assert.strictEqual((await mockTransactions()).length, 0);
+});
+
+for (const amount of [0, -500, 'abc']) {
+  test(`an amount of ${JSON.stringify(amount)} is refused`, async () => {
+    invoice = monthlyInvoice();
+    const res = await pay({ amount });
+    assert.strictEqual(res.statusCode, 400);
+    assert.strictEqual((await mockTransactions()).length, 0);
+  });
+}
+
+test('months beyond the rest of the course are refused', async () => {
+  paidMonths = 4;
+  const res = await pay({ months: 3 });
+  assert.strictEqual(res.statusCode, 400);
+  assert.match(res.body.error, /from 1 to 2/);
+
+  for (const months of [0, 1.5, 'two']) {
+    assert.strictEqual((await pay({ months })).statusCode, 400, `months ${months}`);
+  }
+  assert.strictEqual((await mockTransactions()).length, 0);
+});
+
+test('a gateway that is not configured never marks the invoice paid', async () => {
+  const { secretKey } = PAYSTACK_CONFIG;
+  PAYSTACK_CONFIG.secretKey = '';
+  try {
+    const res = await pay({ months: 1 });
+    assert.strictEqual(res.statusCode, 503);
+  } finally {
+    PAYSTACK_CONFIG.secretKey = secretKey;
+  }
+
+  const { consumerKey } = MPESA_CONFIG;
+  MPESA_CONFIG.consumerKey = '';
+  try {
+    invoice.payment_gateways = 'mpesa';
+    const res = await pay({ gateway: 'mpesa', phoneNumber: '0712345678', months: 1 });
+    assert.strictEqual(res.statusCode, 503);
+  } finally {
+    MPESA_CONFIG.consumerKey = consumerKey;
+  }
+
+  assert.deepStrictEqual(inserts, []);
+});
+
+test('refunds through a gateway that is not configured fail instead of completing', async () => {
+  const { secretKey } = PAYSTACK_CONFIG;
+  const { initiatorName } = MPESA_CONFIG;
+  PAYSTACK_CONFIG.secretKey = '';
+  MPESA_CONFIG.initiatorName = '';
+  try {
+    const card = await getGateway('paystack').refund({ amount: 500, paymentReference: 'NF-7-1' });
+    assert.strictEqual(card.success, false);
+    assert.ok(!card.simulated);
+
+    const mpesa = await getGateway('mpesa').refund({ amount: 500, phoneNumber: '254712345678', refundReference: 'RF-1' });
+    assert.strictEqual(mpesa.success, false);
+    assert.ok(!mpesa.simulated);
+  } finally {
+    PAYSTACK_CONFIG.secretKey = secretKey;
+    MPESA_CONFIG.initiatorName = initiatorName;
+  }
+});
@@ -0,0 +1,209 @@
+// test/discounts.test.js - Stacking scholarships, sponsorships and coupons on an invoice (CommonJS)
+//
+// Runs applyInvoiceDiscounts and redeemDiscountCode against an in-memory
+// stand-in for the invoices, invoice_line_items, student_discounts and
+// discount_codes tables.
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+let invoice;
+let grants;
+let lineItems;
+let ledger;
+let discountCode;
+let redeemed;
+let unlocked;
+
+const fakeDb = {
+  async getOne(sql) {
+    if (/FROM invoices WHERE id = \?/.test(sql)) return invoice ? { ...invoice } : null;
+    if (/FROM invoice_line_items WHERE invoice_id = \? AND line_type = 'charge'/.test(sql)) {
+      return lineItems.find(l => l.line_type === 'charge') || null;
+    }
+    if (/FROM discount_codes WHERE code = \?/.test(sql)) return discountCode ? { ...discountCode } : null;
+    if (/FROM student_discounts WHERE student_id = \? AND discount_code_id = \?/.test(sql)) {
+      return redeemed ? { id: 1 } : null;
+    }
+    // No other open invoices, so a waiver unlocks the student
+    return null;
+  },
+  async query(sql, params = []) {
+    if (/FROM student_discounts/.test(sql) && /^\s*SELECT/.test(sql)) {
+      const scope = params[2];
+      return grants
+        .filter(g => g.is_active && ['all', scope].includes(g.applies_to))
+        .filter(g => g.months_covered == null || g.months_used < g.months_covered)
+        .map(g => ({ ...g }));
+    }
+    if (/UPDATE student_discounts SET months_used = months_used \+ 1/.test(sql)) {
+      grants.find(g => g.id === params[0]).months_used += 1;
+      return { affectedRows: 1 };
+    }
+    if (/UPDATE student_discounts SET months_used = GREATEST/.test(sql)) {
+      const grant = grants.find(g => g.id === params[0]);
+      if (grant.months_covered != null) grant.months_used = Math.max(grant.months_used - 1, 0);
+      return { affectedRows: 1 };
+    }
+    if (/SELECT student_discount_id FROM invoice_line_items/.test(sql)) {
+      return lineItems.filter(l => l.line_type === 'discount' && l.student_discount_id);
+    }
+    if (/DELETE FROM invoice_line_items/.test(sql)) {
+      lineItems = lineItems.filter(l => l.line_type !== 'discount');
+      return { affectedRows: 1 };
+    }
+    if (/UPDATE discount_codes SET uses_count/.test(sql)) {
+      const free = discountCode.max_uses == null || discountCode.uses_count < discountCode.max_uses;
+      if (free) discountCode.uses_count += 1;
+      return { affectedRows: free ? 1 : 0 };
+    }
+    if (/UPDATE users SET is_locked = 0/.test(sql)) {
+      unlocked = true;
+      return { affectedRows: 1 };
+    }
+    if (/SELECT id FROM invoices WHERE student_id = \?/.test(sql)) return invoice ? [{ id: invoice.id }] : [];
+    return /^\s*(UPDATE|DELETE)/.test(sql) ? { affectedRows: 0 } : [];
+  },
+  async insert(table, data) {
+    if (table === 'invoice_line_items') lineItems.push({ ...data });
+    if (table === 'ledger_entries') ledger.push(data);
+    if (table === 'student_discounts') {
+      grants.push({ ...data, id: grants.length + 1, months_used: 0 });
+      return grants.length;
+    }
+    return 1;
+  },
+  async update(table, id, data) {
+    if (table === 'invoices') Object.assign(invoice, data);
+  },
+  async remove() {}
+};
+const dbPath = require.resolve('../src/config/database.js');
+require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: fakeDb };
+
+const { applyInvoiceDiscounts, redeemDiscountCode } = require('../src/lib/discounts.js');
+
+function grant(id, kind, discountType, value, extra = {}) {
+  return {
+    id, kind, discount_type: discountType, value: String(value), applies_to: 'all',
+    months_covered: null, months_used: 0, is_active: 1, label: null, sponsor_name: null, ...extra
+  };
+}
+
+function discountLines() {
+  return lineItems.filter(l => l.line_type === 'discount').map(l => [l.student_discount_id, l.amount]);
+}
+
+beforeEach(() => {
+  invoice = {
+    id: 30, student_id: 4, course_id: 2, type: 'monthly', month_number: 2, status: 'pending',
+    amount: '3000.00', gross_amount: null, amount_paid: '0.00'
+  };
+  grants = [];
+  lineItems = [];
+  ledger = [];
+  discountCode = null;
+  redeemed = false;
+  unlocked = false;
+});
+
+test('a sponsorship comes off before a coupon, whatever order they were granted in', async () => {
+  grants = [
+    grant(1, 'coupon', 'fixed', 500),
+    grant(2, 'sponsorship', 'percentage', 50, { sponsor_name: 'Rotary' })
+  ];
+
+  const priced = await applyInvoiceDiscounts(invoice.id);
+  assert.deepStrictEqual(discountLines(), [[2, -1500], [1, -500]]);
+  assert.strictEqual(priced.amount, 1000);
+  assert.strictEqual(priced.discount_amount, 2000);
+  assert.strictEqual(lineItems.find(l => l.student_discount_id === 2).description, 'Sponsorship - Rotary (50%)');
+});
+
+test('percentages are taken of the gross amount, not of what the last discount left', async () => {
+  grants = [
+    grant(1, 'scholarship', 'percentage', 50),
+    grant(2, 'coupon', 'percentage', 20)
+  ];
+
+  const priced = await applyInvoiceDiscounts(invoice.id);
+  assert.deepStrictEqual(discountLines(), [[1, -1500], [2, -600]]);
+  assert.strictEqual(priced.amount, 900);
+});
+
+test('stacked discounts stop at zero and settle the invoice as a waiver', async () => {
+  grants = [
+    grant(1, 'scholarship', 'percentage', 80),
+    grant(2, 'coupon', 'fixed', 1000),
+    grant(3, 'coupon', 'fixed', 200)
+  ];
+
+  const priced = await applyInvoiceDiscounts(invoice.id);
+  assert.deepStrictEqual(discountLines(), [[1, -2400], [2, -600]]);
+  assert.strictEqual(priced.amount, 0);
+  assert.strictEqual(invoice.status, 'paid');
+  assert.strictEqual(invoice.payment_method, 'waiver');
+  assert.strictEqual(unlocked, true);
+});
+
+test('repricing does not count a limited discount month twice', async () => {
+  grants = [grant(1, 'scholarship', 'fixed', 1000, { months_covered: 3 })];
+
+  await applyInvoiceDiscounts(invoice.id);
+  await applyInvoiceDiscounts(invoice.id);
+  assert.strictEqual(grants[0].months_used, 1);
+  assert.deepStrictEqual(discountLines(), [[1, -1000]]);
+  assert.strictEqual(lineItems.filter(l => l.line_type === 'charge').length, 1);
+  assert.strictEqual(invoice.amount, 2000);
+});
+
+test('a part payment above the discounted amount goes back to credit', async () => {
+  invoice.amount_paid = '2500.00';
+  grants = [grant(1, 'scholarship', 'percentage', 50)];
+
+  await applyInvoiceDiscounts(invoice.id);
+  assert.strictEqual(invoice.status, 'paid');
+  assert.strictEqual(invoice.amount_paid, 1500);
+  assert.strictEqual(invoice.payment_method, undefined);
+  assert.strictEqual(ledger.length, 1);
+  assert.strictEqual(ledger[0].entry_type, 'allocation');
+  assert.strictEqual(ledger[0].amount, -1000);
+});
+
+test('a paid invoice is left alone', async () => {
+  invoice.status = 'paid';
+  grants = [grant(1, 'coupon', 'fixed', 500)];
+
+  assert.strictEqual(await applyInvoiceDiscounts(invoice.id), null);
+  assert.deepStrictEqual(lineItems, []);
+});
+
+test('a redeemed code stacks on an existing scholarship and cannot be used twice', async () => {
+  grants = [grant(1, 'scholarship', 'percentage', 50)];
+  discountCode = {
+    id: 7, code: 'WELCOME', is_active: 1, discount_type: 'fixed', value: '300.00',
+    applies_to: 'monthly', max_uses: 10, uses_count: 0, course_id: null, duration_months: null
+  };
+
+  const result = await redeemDiscountCode(' welcome ', invoice.student_id, invoice.course_id);
+  assert.strictEqual(result.success, true, result.error);
+  assert.strictEqual(discountCode.uses_count, 1);
+  assert.deepStrictEqual(discountLines(), [[1, -1500], [2, -300]]);
+  assert.strictEqual(invoice.amount, 1200);
+
+  redeemed = true;
+  const again = await redeemDiscountCode('WELCOME', invoice.student_id, invoice.course_id);
+  assert.strictEqual(again.success, false);
+  assert.strictEqual(discountCode.uses_count, 1);
+});
+
+test('a code at its usage limit is refused', async () => {
+  discountCode = {
+    id: 7, code: 'FULL', is_active: 1, discount_type: 'fixed', value: '300.00',
+    applies_to: 'all', max_uses: 2, uses_count: 2, course_id: null
+  };
+
+  const result = await redeemDiscountCode('FULL', invoice.student_id);
+  assert.strictEqual(result.success, false);
+  assert.match(result.error, /usage limit/);
+  assert.deepStrictEqual(grants, []);
+});
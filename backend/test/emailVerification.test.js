@@ -0,0 +1,124 @@
+// test/emailVerification.test.js - Verification links for self-registered accounts (CommonJS)
+//
+// Runs lib/emailVerification.js against an in-memory stand-in for the users
+// and settings tables. Verification emails are swapped for a recorder before
+// the module loads.
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+let user;
+let setting;
+let sent;
+let sendFails;
+
+const fakeDb = {
+  async getOne(sql, params = []) {
+    if (/setting_key = 'emailVerification'/.test(sql)) return setting === undefined ? null : { setting_value: setting };
+    if (/FROM users WHERE id = \?/.test(sql)) return user && user.id === params[0] ? { ...user } : null;
+    return null;
+  },
+  async query(sql, params = []) {
+    if (/SET email_verified = 1, email_verified_at = \? WHERE id = \? AND email_verified = 0/.test(sql)) {
+      const matched = user.id === params[1] && !user.email_verified;
+      if (matched) Object.assign(user, { email_verified: 1, email_verified_at: params[0] });
+      return { affectedRows: matched ? 1 : 0 };
+    }
+    return /^\s*(UPDATE|DELETE|INSERT)/.test(sql) ? { affectedRows: 0 } : [];
+  },
+  async insert() {
+    return 1;
+  },
+  async update(table, id, data) {
+    if (table === 'users') Object.assign(user, data);
+  },
+  async remove() {}
+};
+const dbPath = require.resolve('../src/config/database.js');
+require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: fakeDb };
+
+const email = require('../src/lib/email.js');
+email.sendVerificationEmail = async (to, details) => {
+  if (sendFails) return { success: false, error: 'SMTP unavailable' };
+  sent.push({ to, ...details });
+  return { success: true };
+};
+
+const {
+  isEmailVerificationRequired, sendVerificationLink, resendVerificationLink, verifyEmailToken
+} = require('../src/lib/emailVerification.js');
+
+function tokenFrom(link) {
+  return new URL(link).searchParams.get('token');
+}
+
+beforeEach(() => {
+  user = { id: 4, email: 'amina@example.com', username: 'amina', full_name: 'Amina', email_verified: 0, email_verification_sent_at: null };
+  setting = undefined;
+  sent = [];
+  sendFails = false;
+});
+
+test('verification is only required once an admin turns it on', async () => {
+  assert.strictEqual(await isEmailVerificationRequired(), false);
+  setting = 'true';
+  assert.strictEqual(await isEmailVerificationRequired(), true);
+});
+
+test('the emailed link verifies the account, and works again harmlessly', async () => {
+  const status = await sendVerificationLink(user);
+  assert.deepStrictEqual(status, { sent: true, error: null });
+  assert.ok(user.email_verification_sent_at instanceof Date);
+  assert.deepStrictEqual([sent[0].to, sent[0].name, sent[0].hours], ['amina@example.com', 'Amina', 24]);
+  assert.match(sent[0].verifyLink, /\/verify-email\.html\?token=/);
+
+  const token = tokenFrom(sent[0].verifyLink);
+  assert.deepStrictEqual(await verifyEmailToken(token), { success: true, alreadyVerified: false });
+  assert.strictEqual(user.email_verified, 1);
+  assert.deepStrictEqual(await verifyEmailToken(token), { success: true, alreadyVerified: true });
+});
+
+test('a link stops working once the email address changes', async () => {
+  await sendVerificationLink(user);
+  user.email = 'amina.w@example.com';
+
+  const result = await verifyEmailToken(tokenFrom(sent[0].verifyLink));
+  assert.strictEqual(result.code, 'LINK_INVALID');
+  assert.strictEqual(user.email_verified, 0);
+});
+
+test('expired, tampered and other-purpose tokens are refused', async () => {
+  const expired = jwt.sign(
+    { userId: 4, email: user.email, purpose: 'email-verify', exp: Math.floor(Date.now() / 1000) - 60 },
+    process.env.JWT_SECRET
+  );
+  assert.strictEqual((await verifyEmailToken(expired)).code, 'LINK_EXPIRED');
+  assert.strictEqual((await verifyEmailToken('not.a.token')).code, 'LINK_INVALID');
+  assert.strictEqual((await verifyEmailToken()).code, 'LINK_INVALID');
+
+  const otherPurpose = jwt.sign({ userId: 4, email: user.email, purpose: 'reset' }, process.env.JWT_SECRET);
+  assert.strictEqual((await verifyEmailToken(otherPurpose)).code, 'LINK_INVALID');
+  assert.strictEqual(user.email_verified, 0);
+});
+
+test('a new link is sent at most once a minute, and not once verified', async () => {
+  assert.strictEqual((await resendVerificationLink(4)).success, true);
+  assert.strictEqual((await resendVerificationLink(4)).status, 429);
+  assert.strictEqual(sent.length, 1);
+
+  user.email_verification_sent_at = new Date(Date.now() - 61 * 1000);
+  assert.strictEqual((await resendVerificationLink(4)).success, true);
+
+  user.email_verified = 1;
+  assert.match((await resendVerificationLink(4)).error, /already verified/);
+  assert.strictEqual((await resendVerificationLink(99)).status, 404);
+});
+
+test('a resend reports when the email could not go out', async () => {
+  sendFails = true;
+  const result = await resendVerificationLink(4);
+  assert.strictEqual(result.status, 502);
+  assert.match(result.error, /could not be sent/);
+});
@@ -0,0 +1,164 @@
+// test/financeReports.test.js - Aging, revenue, collection and debtor reports (CommonJS)
+//
+// The grouping and sums the reports leave to MySQL come back from an
+// in-memory stand-in as the rows it would return; these cases check what the
+// reports build from them and which filters reach the SQL.
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+let openInvoices;
+let revenueRows;
+let collectionRows;
+let queries;
+
+const fakeDb = {
+  async getOne() {
+    return null;
+  },
+  async query(sql, params = []) {
+    queries.push({ sql, params });
+    if (/DATEDIFF/.test(sql)) return openInvoices;
+    if (/FROM credit_notes cn/.test(sql)) return revenueRows.credited;
+    if (/entry_type = 'allocation'/.test(sql)) return revenueRows.collected;
+    if (/entry_type = 'refund'/.test(sql)) return revenueRows.refunded;
+    if (/DATE_FORMAT\(COALESCE\(i.billing_period_start/.test(sql)) return revenueRows.billed;
+    if (/FROM invoices i\s+JOIN cohort_students/.test(sql)) return collectionRows.cohorts;
+    if (/FROM invoices i\s+JOIN courses c/.test(sql)) return collectionRows.courses;
+    return [];
+  },
+  async insert() {
+    return 1;
+  },
+  async update() {},
+  async remove() {}
+};
+const dbPath = require.resolve('../src/config/database.js');
+require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: fakeDb };
+
+const {
+  parseReportFilters, getAgingReport, getRevenueReport, getCollectionReport, getTopDebtors, financeReportToCsv
+} = require('../src/lib/financeReports.js');
+
+function open(id, studentId, name, outstanding, daysOverdue, dueDate = '2026-09-01') {
+  return {
+    id, student_id: studentId, full_name: name, email: `${name.toLowerCase()}@example.com`,
+    outstanding: String(outstanding), days_overdue: daysOverdue, due_date: new Date(dueDate)
+  };
+}
+
+function filters(extra = {}) {
+  return { courseId: null, cohortId: null, from: null, to: null, limit: 10, ...extra };
+}
+
+beforeEach(() => {
+  openInvoices = [];
+  revenueRows = { billed: [], credited: [], collected: [], refunded: [] };
+  collectionRows = { courses: [], cohorts: [] };
+  queries = [];
+});
+
+test('open invoices fall into aging buckets at the day boundaries', async () => {
+  openInvoices = [
+    open(1, 4, 'Amina', 1000, -5),
+    open(2, 4, 'Amina', 500, 0),
+    open(3, 5, 'Brian', 300, 1),
+    open(4, 5, 'Brian', 300, 30),
+    open(5, 5, 'Brian', 200, 31),
+    open(6, 6, 'Chep', 150.25, 60),
+    open(7, 6, 'Chep', 100, 61),
+    open(8, 6, 'Chep', 50, 90),
+    open(9, 6, 'Chep', 2500, 91)
+  ];
+
+  const report = await getAgingReport(filters());
+  assert.deepStrictEqual(report.buckets.map(b => [b.key, b.count, b.amount]), [
+    ['current', 2, 1500],
+    ['days1to30', 2, 600],
+    ['days31to60', 2, 350.25],
+    ['days61to90', 2, 150],
+    ['over90', 1, 2500]
+  ]);
+  assert.strictEqual(report.total, 5100.25);
+  assert.deepStrictEqual(report.students.map(s => [s.name, s.total]), [['Chep', 2800.25], ['Amina', 1500], ['Brian', 800]]);
+  assert.strictEqual(report.students[0].over90, 2500);
+});
+
+test('course and cohort filters reach the open invoice query', async () => {
+  await getAgingReport(filters({ courseId: 2, cohortId: 7, from: '2026-01-01', to: '2026-06-30' }));
+
+  const { sql, params } = queries[0];
+  assert.match(sql, /i.course_id = \?/);
+  assert.match(sql, /co.id = \? AND cs.student_id = i.student_id AND co.course_id = i.course_id/);
+  assert.match(sql, /DATE\(i.due_date\) >= \? AND DATE\(i.due_date\) <= \?/);
+  assert.deepStrictEqual(params.slice(1), [2, 7, '2026-01-01', '2026-06-30']);
+});
+
+test('revenue is billed less credit notes, month by month, with empty months shown', async () => {
+  revenueRows = {
+    billed: [{ month: '2026-01', total: '10000.00' }, { month: '2026-03', total: '4000.00' }],
+    credited: [{ month: '2026-01', total: '1500.00' }],
+    collected: [{ month: '2026-01', total: '6000.00' }, { month: '2026-02', total: '2500.00' }],
+    refunded: [{ month: '2026-02', total: '500.00' }]
+  };
+
+  const report = await getRevenueReport(filters({ from: '2026-01-15', to: '2026-03-31' }));
+  assert.deepStrictEqual(report.months, [
+    { month: '2026-01', recognised: 8500, collected: 6000, refunded: 0, netCollected: 6000 },
+    { month: '2026-02', recognised: 0, collected: 2500, refunded: 500, netCollected: 2000 },
+    { month: '2026-03', recognised: 4000, collected: 0, refunded: 0, netCollected: 0 }
+  ]);
+  assert.deepStrictEqual(report.totals, { recognised: 12500, collected: 8500, refunded: 500, netCollected: 8000 });
+});
+
+test('revenue defaults to the twelve months up to this one', async () => {
+  const report = await getRevenueReport(filters());
+  assert.strictEqual(report.months.length, 12);
+  assert.strictEqual(report.months[11].month, new Date().toISOString().slice(0, 7));
+});
+
+test('the collection rate is what was paid of what fell due', async () => {
+  collectionRows = {
+    courses: [
+      { id: 1, title: 'Guitar', invoice_count: 3, billed: '9000.00', collected: '6000.00' },
+      { id: 2, title: 'Piano', invoice_count: 0, billed: null, collected: null }
+    ],
+    cohorts: [{ id: 7, name: 'September', course_title: 'Guitar', invoice_count: 2, billed: '6000.00', collected: '2000.00' }]
+  };
+
+  const report = await getCollectionReport(filters({ to: '2026-09-30' }));
+  assert.deepStrictEqual(report.courses[0], {
+    courseId: 1, courseTitle: 'Guitar', invoiceCount: 3, billed: 9000, collected: 6000, outstanding: 3000, collectionRate: 66.7
+  });
+  assert.strictEqual(report.courses[1].collectionRate, null);
+  assert.strictEqual(report.cohorts[0].collectionRate, 33.3);
+  assert.deepStrictEqual(report.overall, { invoiceCount: 3, billed: 9000, collected: 6000, outstanding: 3000, collectionRate: 66.7 });
+  assert.strictEqual(queries[0].params[0], '2026-09-30');
+});
+
+test('top debtors are ranked by what they owe, overdue counted separately', async () => {
+  openInvoices = [
+    open(1, 4, 'Amina', 1000, -5, '2026-10-25'),
+    open(2, 5, 'Brian', 300, 12, '2026-10-07'),
+    open(3, 5, 'Brian', 900, 40, '2026-09-09'),
+    open(4, 6, 'Chep', 50, 3, '2026-10-16')
+  ];
+
+  const debtors = await getTopDebtors(filters({ limit: 2 }));
+  assert.deepStrictEqual(debtors.map(d => [d.name, d.outstanding, d.overdue, d.invoiceCount, d.maxDaysOverdue]), [
+    ['Brian', 1200, 1200, 2, 40],
+    ['Amina', 1000, 0, 1, 0]
+  ]);
+  assert.deepStrictEqual(debtors[0].oldestDueDate, new Date('2026-09-09'));
+
+  const csv = financeReportToCsv('debtors', debtors).trim().split('\n');
+  assert.strictEqual(csv[1], '5,Brian,brian@example.com,1200.00,1200.00,2,2026-09-09,40');
+});
+
+test('report filters are read and checked from the query string', () => {
+  assert.deepStrictEqual(parseReportFilters({ courseId: '2', limit: '25', from: '2026-01-01' }), {
+    courseId: 2, cohortId: null, from: '2026-01-01', to: null, limit: 25
+  });
+  assert.match(parseReportFilters({ cohortId: 'abc' }).error, /Invalid cohort ID/);
+  assert.match(parseReportFilters({ limit: '500' }).error, /between 1 and 100/);
+  assert.match(parseReportFilters({ from: '2026-05-01', to: '2026-04-01' }).error, /before the end date/);
+});
@@ -0,0 +1,153 @@
+// test/lateFees.test.js - Late fee rules, penalty invoices and waivers (CommonJS)
+//
+// The rule and fee calculations need no database. applyLateFees and
+// waiveLateFee run against an in-memory stand-in for the invoices,
+// invoice_line_items, late_fee_waivers and ledger_entries tables.
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+let overdue;
+let invoice;
+let otherUnpaid;
+let inserts;
+let unlocked;
+
+const fakeDb = {
+  async getOne(sql) {
+    if (/SELECT \* FROM invoices WHERE id = \?/.test(sql)) return invoice ? { ...invoice } : null;
+    if (/SELECT id FROM invoices/.test(sql)) return otherUnpaid ? { id: 1 } : null;
+    return null;
+  },
+  async query(sql) {
+    if (/LEFT JOIN invoices p ON p.parent_invoice_id/.test(sql)) return overdue.map(i => ({ ...i }));
+    if (/UPDATE users SET is_locked = 0/.test(sql)) {
+      unlocked = true;
+      return { affectedRows: 1 };
+    }
+    return /^\s*(UPDATE|DELETE|INSERT)/.test(sql) ? { affectedRows: 0 } : [];
+  },
+  async insert(table, data) {
+    inserts.push({ table, data });
+    return 100 + inserts.length;
+  },
+  async update(table, id, data) {
+    if (table === 'invoices' && invoice && invoice.id === id) Object.assign(invoice, data);
+  },
+  async remove() {}
+};
+const dbPath = require.resolve('../src/config/database.js');
+require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: fakeDb };
+
+const {
+  validateLateFeeRule, resolveLateFeeRule, calculateLateFee, applyLateFees, waiveLateFee
+} = require('../src/lib/lateFees.js');
+
+function overdueInvoice(id, daysOverdue, extra = {}) {
+  return {
+    id, student_id: 4, course_id: 2, type: 'monthly', status: 'locked', course_title: 'Guitar',
+    amount: '3000.00', amount_paid: '1000.00', due_date: new Date(Date.now() - daysOverdue * DAY_MS),
+    late_fee_type: null, late_fee_value: null, late_fee_cap: null, late_fee_grace_days: null, ...extra
+  };
+}
+
+function inserted(table) {
+  return inserts.filter(i => i.table === table).map(i => i.data);
+}
+
+beforeEach(() => {
+  overdue = [];
+  invoice = null;
+  otherUnpaid = false;
+  inserts = [];
+  unlocked = false;
+});
+
+test("a course's own rule wins over the global one, and 'none' switches fees off", () => {
+  const settings = { lateFee: { enabled: true, type: 'flat', value: 200, graceDays: 3 } };
+
+  assert.deepStrictEqual(resolveLateFeeRule({ late_fee_type: null }, settings), { type: 'flat', value: 200, cap: null, graceDays: 3 });
+  assert.deepStrictEqual(
+    resolveLateFeeRule({ late_fee_type: 'percentage', late_fee_value: '5', late_fee_cap: '400', late_fee_grace_days: 1 }, settings),
+    { type: 'percentage', value: 5, cap: 400, graceDays: 1 }
+  );
+  assert.strictEqual(resolveLateFeeRule({ late_fee_type: 'none' }, settings), null);
+  assert.strictEqual(resolveLateFeeRule({ late_fee_type: null }, { lateFee: { enabled: false, value: 200 } }), null);
+});
+
+test('a percentage fee is taken of the balance still owed and held to its cap', () => {
+  assert.strictEqual(calculateLateFee({ type: 'percentage', value: 10, cap: null }, 2000), 200);
+  assert.strictEqual(calculateLateFee({ type: 'percentage', value: 10, cap: 150 }, 2000), 150);
+  assert.strictEqual(calculateLateFee({ type: 'percentage', value: 2.5, cap: null }, 333.33), 8.33);
+  assert.strictEqual(calculateLateFee({ type: 'flat', value: 250, cap: 100 }, 2000), 100);
+});
+
+test('rules from the admin form are checked', () => {
+  assert.strictEqual(validateLateFeeRule({ type: 'flat', value: '200', cap: '', graceDays: '3' }), null);
+  assert.match(validateLateFeeRule({ type: 'daily', value: 1 }), /must be one of/);
+  assert.match(validateLateFeeRule({ type: 'percentage', value: 120 }), /cannot exceed 100%/);
+  assert.match(validateLateFeeRule({ type: 'flat', value: 100, cap: 0 }), /cap must be greater than zero/);
+  assert.match(validateLateFeeRule({ type: 'flat', value: 100, graceDays: -1 }), /grace days/);
+});
+
+test('a penalty invoice is charged only once the grace days have passed', async () => {
+  overdue = [
+    overdueInvoice(20, 5, { late_fee_type: 'percentage', late_fee_value: '10', late_fee_grace_days: 3 }),
+    overdueInvoice(21, 2, { late_fee_type: 'percentage', late_fee_value: '10', late_fee_grace_days: 3 })
+  ];
+
+  const penalties = await applyLateFees({ version: 4, gracePeriodDays: 2 });
+  assert.deepStrictEqual(penalties.map(p => [p.parentInvoiceId, p.amount]), [[20, 200]]);
+
+  const penalty = inserted('invoices')[0];
+  assert.strictEqual(penalty.type, 'penalty');
+  assert.strictEqual(penalty.parent_invoice_id, 20);
+  assert.strictEqual(penalty.billing_settings_version, 4);
+  assert.strictEqual(inserted('invoice_line_items')[0].description, 'Late fee on invoice #20 (10%)');
+});
+
+test('invoices under a course with fees off are not charged', async () => {
+  overdue = [overdueInvoice(22, 30, { late_fee_type: 'none' })];
+  const penalties = await applyLateFees({ lateFee: { enabled: true, type: 'flat', value: 200 } });
+  assert.deepStrictEqual(penalties, []);
+  assert.deepStrictEqual(inserts, []);
+});
+
+test('waiving a part-paid late fee returns the payment to credit', async () => {
+  invoice = { id: 50, student_id: 4, course_id: 2, type: 'penalty', status: 'pending', amount: '200.00', amount_paid: '50.00' };
+
+  const result = await waiveLateFee(50, { reason: 'Bank delay', adminId: 1 });
+  assert.strictEqual(result.success, true, result.error);
+  assert.strictEqual(result.refundedToCredit, 50);
+  assert.strictEqual(invoice.status, 'waived');
+  assert.strictEqual(invoice.amount_paid, 0);
+
+  const [waiver] = inserted('late_fee_waivers');
+  assert.strictEqual(waiver.reason, 'Bank delay');
+  assert.strictEqual(waiver.amount, 200);
+  const [entry] = inserted('ledger_entries');
+  assert.strictEqual(entry.entry_type, 'allocation');
+  assert.strictEqual(entry.amount, -50);
+  assert.strictEqual(unlocked, true);
+});
+
+test('the account stays locked while other invoices are unpaid', async () => {
+  invoice = { id: 50, student_id: 4, course_id: 2, type: 'penalty', status: 'pending', amount: '200.00', amount_paid: '0.00' };
+  otherUnpaid = true;
+
+  await waiveLateFee(50, { reason: 'Goodwill' });
+  assert.deepStrictEqual(inserted('ledger_entries'), []);
+  assert.strictEqual(unlocked, false);
+});
+
+test('only an unwaived penalty invoice can be waived', async () => {
+  invoice = { id: 51, type: 'monthly', status: 'pending', amount: '3000.00' };
+  assert.strictEqual((await waiveLateFee(51, { reason: 'x' })).status, 400);
+
+  invoice = { id: 52, type: 'penalty', status: 'waived', amount: '200.00' };
+  assert.match((await waiveLateFee(52, { reason: 'x' })).error, /already been waived/);
+
+  invoice = null;
+  assert.strictEqual((await waiveLateFee(53, { reason: 'x' })).status, 404);
+  assert.deepStrictEqual(inserts, []);
+});
@@ -0,0 +1,165 @@
+// test/ledger.test.js - Payments on the credit ledger and their allocation to invoices (CommonJS)
+//
+// Runs recordPayment and applyStudentCredit against an in-memory stand-in for
+// the ledger_entries and invoices tables. The balance is summed the way
+// BALANCE_SQL does: allocations count against the credit, everything else for it.
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const STUDENT_ID = 4;
+let invoices;
+let ledger;
+let unlocked;
+let raceOnInsert;
+
+function balance() {
+  return ledger.reduce((sum, e) => sum + (e.entry_type === 'allocation' ? -e.amount : e.amount), 0);
+}
+
+const fakeDb = {
+  async getOne(sql, params = []) {
+    if (/entry_type = 'payment' AND reference = \?/.test(sql)) {
+      return ledger.find(e => e.entry_type === 'payment' && e.reference === params[0]) || null;
+    }
+    if (/FROM ledger_entries WHERE student_id = \?/.test(sql)) return { balance: String(balance()) };
+    if (/SELECT course_id FROM invoices WHERE id = \?/.test(sql)) {
+      return invoices.find(i => i.id === params[0]) || null;
+    }
+    if (/FROM billing_settings_versions/.test(sql)) return { version: 1, settings: JSON.stringify({}) };
+    if (/SELECT id FROM invoices/.test(sql)) {
+      return invoices.find(i => ['pending', 'locked'].includes(i.status)) || null;
+    }
+    return null;
+  },
+  async query(sql, params = []) {
+    if (/SELECT \* FROM invoices/.test(sql)) {
+      const [, preferredId, preferredCourse] = params;
+      return invoices
+        .filter(i => ['pending', 'locked'].includes(i.status))
+        .sort((a, b) => (b.id === preferredId) - (a.id === preferredId)
+          || (b.course_id === preferredCourse) - (a.course_id === preferredCourse)
+          || a.due_date - b.due_date
+          || a.id - b.id)
+        .map(i => ({ ...i }));
+    }
+    if (/UPDATE invoices SET amount_paid = amount_paid \+ \?/.test(sql)) {
+      const invoice = invoices.find(i => i.id === params[1]);
+      invoice.amount_paid = String(parseFloat(invoice.amount_paid) + params[0]);
+      return { affectedRows: 1 };
+    }
+    if (/UPDATE users SET is_locked = 0/.test(sql)) {
+      unlocked = true;
+      return { affectedRows: 1 };
+    }
+    return /^\s*(UPDATE|DELETE|INSERT)/.test(sql) ? { affectedRows: 0 } : [];
+  },
+  async insert(table, data) {
+    if (table === 'ledger_entries') {
+      if (raceOnInsert && data.entry_type === 'payment') {
+        ledger.push({ ...data, id: 99 });
+        const error = new Error('Duplicate entry');
+        error.code = 'ER_DUP_ENTRY';
+        throw error;
+      }
+      ledger.push({ ...data, id: ledger.length + 1 });
+      return ledger.length;
+    }
+    return 1;
+  },
+  async update(table, id, data) {
+    if (table === 'invoices') Object.assign(invoices.find(i => i.id === id), data);
+  },
+  async remove() {}
+};
+const dbPath = require.resolve('../src/config/database.js');
+require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: fakeDb };
+
+const { recordPayment, applyStudentCredit } = require('../src/lib/invoices.js');
+
+function invoice(id, courseId, amount, dueDate, extra = {}) {
+  return {
+    id, student_id: STUDENT_ID, course_id: courseId, type: 'monthly', status: 'pending',
+    amount: String(amount), amount_paid: '0.00', due_date: dueDate, ...extra
+  };
+}
+
+beforeEach(() => {
+  invoices = [];
+  ledger = [];
+  unlocked = false;
+  raceOnInsert = false;
+});
+
+test('an underpayment leaves the rest of the invoice due', async () => {
+  invoices = [invoice(10, 2, 3000, new Date(2026, 2, 1))];
+
+  const result = await recordPayment(STUDENT_ID, { amount: 1200, invoiceId: 10, receiptNumber: 'QAB1' });
+  assert.strictEqual(result.duplicate, false);
+  assert.deepStrictEqual(result.allocations, [{ invoiceId: 10, amount: 1200, settled: false, remaining: 1800 }]);
+  assert.strictEqual(invoices[0].status, 'pending');
+  assert.strictEqual(result.creditBalance, 0);
+  assert.strictEqual(unlocked, false);
+});
+
+test('an overpayment settles the invoice and stays on the ledger as credit', async () => {
+  invoices = [invoice(10, 2, 3000, new Date(2026, 2, 1), { status: 'locked' })];
+
+  const result = await recordPayment(STUDENT_ID, { amount: 3500, invoiceId: 10, receiptNumber: 'QAB2', method: 'mpesa' });
+  assert.strictEqual(result.allocations[0].settled, true);
+  assert.strictEqual(invoices[0].status, 'paid');
+  assert.strictEqual(invoices[0].mpesa_receipt, 'QAB2');
+  assert.strictEqual(result.creditBalance, 500);
+  assert.strictEqual(unlocked, true);
+});
+
+test('the same receipt is recorded only once', async () => {
+  invoices = [invoice(10, 2, 3000, new Date(2026, 2, 1))];
+
+  await recordPayment(STUDENT_ID, { amount: 1000, invoiceId: 10, receiptNumber: 'QAB3' });
+  const again = await recordPayment(STUDENT_ID, { amount: 1000, invoiceId: 10, receiptNumber: 'QAB3' });
+  assert.strictEqual(again.duplicate, true);
+  assert.strictEqual(ledger.filter(e => e.entry_type === 'payment').length, 1);
+  assert.strictEqual(invoices[0].amount_paid, '1000');
+});
+
+test('a receipt recorded by a concurrent callback is not applied twice', async () => {
+  invoices = [invoice(10, 2, 3000, new Date(2026, 2, 1))];
+  raceOnInsert = true;
+
+  const result = await recordPayment(STUDENT_ID, { amount: 1000, invoiceId: 10, receiptNumber: 'QAB4' });
+  assert.deepStrictEqual(result, { duplicate: true, entryId: 99, allocations: [] });
+  assert.strictEqual(ledger.filter(e => e.entry_type === 'allocation').length, 0);
+});
+
+test('credit goes to the paid invoice first, then its course, then the oldest due', async () => {
+  invoices = [
+    invoice(11, 3, 1000, new Date(2026, 0, 1)),
+    invoice(12, 2, 1000, new Date(2026, 1, 1)),
+    invoice(13, 2, 1000, new Date(2026, 2, 1)),
+    invoice(14, 2, 1000, new Date(2026, 3, 1))
+  ];
+
+  const result = await recordPayment(STUDENT_ID, { amount: 2500, invoiceId: 13, receiptNumber: 'QAB5' });
+  assert.deepStrictEqual(result.allocations.map(a => [a.invoiceId, a.amount, a.settled]), [
+    [13, 1000, true],
+    [12, 1000, true],
+    [14, 500, false]
+  ]);
+  assert.strictEqual(invoices[0].status, 'pending');
+  assert.strictEqual(result.creditBalance, 0);
+});
+
+test('held credit is applied to a new invoice when it is billed', async () => {
+  ledger = [{ id: 1, entry_type: 'payment', amount: 800, reference: 'QAB6' }];
+  invoices = [invoice(15, 2, 3000, new Date(2026, 4, 1))];
+
+  const allocations = await applyStudentCredit(STUDENT_ID);
+  assert.deepStrictEqual(allocations, [{ invoiceId: 15, amount: 800, settled: false, remaining: 2200 }]);
+  assert.strictEqual(balance(), 0);
+});
+
+test('nothing is allocated without credit', async () => {
+  invoices = [invoice(15, 2, 3000, new Date(2026, 4, 1))];
+  assert.deepStrictEqual(await applyStudentCredit(STUDENT_ID), []);
+  assert.deepStrictEqual(ledger, []);
+});
@@ -0,0 +1,143 @@
+// test/loginProtection.test.js - Account lockouts, their escalation and IP blocks (CommonJS)
+//
+// Runs lib/loginProtection.js against an in-memory stand-in for the users,
+// settings and login_attempts tables. Lockout emails are swapped for a
+// recorder before the module loads.
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const IP = '10.0.0.9';
+let user;
+let attempts;
+let maxAttempts;
+
+const fakeDb = {
+  async getOne(sql, params = []) {
+    if (/FROM login_attempts/.test(sql)) {
+      return { count: attempts.filter(a => !a.success && a.ip_address === params[0]).length };
+    }
+    if (/setting_key = 'maxLoginAttempts'/.test(sql)) return maxAttempts === undefined ? null : { setting_value: maxAttempts };
+    if (/FROM users WHERE id = \?/.test(sql)) return user && user.id === params[0] ? { ...user } : null;
+    return null;
+  },
+  async query(sql) {
+    if (/SET failed_login_count = failed_login_count \+ 1/.test(sql)) {
+      user.failed_login_count += 1;
+      return { affectedRows: 1 };
+    }
+    return /^\s*(UPDATE|DELETE|INSERT)/.test(sql) ? { affectedRows: 0 } : [];
+  },
+  async insert(table, data) {
+    if (table === 'login_attempts') attempts.push(data);
+    return 1;
+  },
+  async update(table, id, data) {
+    if (table === 'users') Object.assign(user, data);
+  },
+  async remove() {}
+};
+const dbPath = require.resolve('../src/config/database.js');
+require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: fakeDb };
+
+const email = require('../src/lib/email.js');
+let lockoutEmails;
+email.sendAccountLockedEmail = async (to, details) => {
+  lockoutEmails.push({ to, ...details });
+};
+
+const {
+  IP_FAILURE_LIMIT, getMaxLoginAttempts, checkLoginAllowed, recordLoginFailure, recordLoginSuccess, unlockAccount
+} = require('../src/lib/loginProtection.js');
+
+async function failTimes(count) {
+  let result;
+  for (let i = 0; i < count; i++) {
+    result = await recordLoginFailure(user.email, user, IP);
+  }
+  return result;
+}
+
+beforeEach(() => {
+  user = {
+    id: 3, email: 'amina@example.com', full_name: 'Amina',
+    failed_login_count: 0, login_lockouts: 0, login_locked_until: null
+  };
+  attempts = [];
+  maxAttempts = undefined;
+  lockoutEmails = [];
+});
+
+test('the attempt limit is five unless an admin sets another', async () => {
+  assert.strictEqual(await getMaxLoginAttempts(), 5);
+  maxAttempts = '3';
+  assert.strictEqual(await getMaxLoginAttempts(), 3);
+  maxAttempts = '0';
+  assert.strictEqual(await getMaxLoginAttempts(), 5);
+});
+
+test('failures slow down, then lock the account and email its owner', async () => {
+  const delays = [];
+  for (let i = 0; i < 4; i++) {
+    const result = await recordLoginFailure(user.email, user, IP);
+    assert.strictEqual(result.locked, false);
+    assert.strictEqual(result.remaining, 4 - i);
+    delays.push(result.delayMs);
+  }
+  assert.deepStrictEqual(delays, [0, 500, 1000, 2000]);
+
+  const locked = await recordLoginFailure(user.email, user, IP);
+  assert.strictEqual(locked.locked, true);
+  assert.strictEqual(locked.minutes, 15);
+  assert.strictEqual(user.failed_login_count, 0);
+  assert.strictEqual(user.login_lockouts, 1);
+  assert.deepStrictEqual(lockoutEmails.map(e => [e.to, e.minutes, e.ipAddress]), [['amina@example.com', 15, IP]]);
+
+  const check = await checkLoginAllowed(user, '10.0.0.10');
+  assert.strictEqual(check.allowed, false);
+  assert.strictEqual(check.code, 'ACCOUNT_LOCKED');
+  assert.match(check.error, /Try again in 15 minutes/);
+});
+
+test('each further lockout doubles, up to a day', async () => {
+  maxAttempts = '2';
+  const minutes = [];
+  for (let i = 0; i < 9; i++) {
+    minutes.push((await failTimes(2)).minutes);
+  }
+  assert.deepStrictEqual(minutes, [15, 30, 60, 120, 240, 480, 960, 1440, 1440]);
+});
+
+test('a successful login resets the escalation', async () => {
+  maxAttempts = '2';
+  await failTimes(4);
+  assert.strictEqual(user.login_lockouts, 2);
+
+  await recordLoginSuccess(user, IP);
+  assert.deepStrictEqual([user.failed_login_count, user.login_lockouts, user.login_locked_until], [0, 0, null]);
+  assert.strictEqual((await failTimes(2)).minutes, 15);
+  assert.deepStrictEqual(attempts.map(a => a.success), [0, 0, 0, 0, 1, 0, 0]);
+});
+
+test('unlocking lifts the lock and says whether there was one', async () => {
+  await failTimes(5);
+  assert.strictEqual(await unlockAccount(user.id), true);
+  assert.strictEqual(user.login_locked_until, null);
+  assert.strictEqual((await checkLoginAllowed(user, IP)).allowed, true);
+
+  assert.strictEqual(await unlockAccount(user.id), false);
+  assert.strictEqual(await unlockAccount(99), false);
+});
+
+test('an address that keeps failing is refused for every account', async () => {
+  for (let i = 0; i < IP_FAILURE_LIMIT; i++) {
+    const result = await recordLoginFailure(`nobody${i}@example.com`, null, IP, 'unknown_email');
+    assert.strictEqual(result.locked, false);
+  }
+  assert.strictEqual(attempts[0].reason, 'unknown_email');
+  assert.strictEqual(attempts[0].user_id, null);
+
+  const blocked = await checkLoginAllowed(user, IP);
+  assert.strictEqual(blocked.code, 'IP_BLOCKED');
+  assert.strictEqual(blocked.retryAfter, 15 * 60);
+  assert.strictEqual((await checkLoginAllowed(user, '10.0.0.10')).allowed, true);
+});
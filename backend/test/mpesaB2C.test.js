@@ -0,0 +1,112 @@
+// test/mpesaB2C.test.js - B2C refund callbacks against the Daraja stand-in (CommonJS)
+//
+// Sends a refund through lib/mpesa.js to scripts/daraja-simulator.js and
+// checks that its result and timeout callbacks reach the real routes only
+// with the callback secret. Refund bookkeeping needs MySQL, so
+// handleB2CResult is swapped for a recorder before the routes load.
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const axios = require('axios');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.MPESA_CALLBACK_SECRET = 'test-callback-secret';
+process.env.MPESA_CALLBACK_IPS = '';
+process.env.MPESA_CONSUMER_KEY = 'test-key';
+process.env.MPESA_CONSUMER_SECRET = 'test-secret';
+process.env.MPESA_SHORT_CODE = '600000';
+process.env.MPESA_INITIATOR_NAME = 'testapi';
+process.env.MPESA_SECURITY_CREDENTIAL = 'test-credential';
+
+const refunds = require('../src/lib/refunds.js');
+const received = [];
+let onReceived = () => {};
+refunds.handleB2CResult = async (parsed, timedOut) => {
+  received.push({ parsed, timedOut });
+  onReceived();
+  return { found: true };
+};
+
+const { MPESA_CONFIG, initiateB2CPayment } = require('../src/lib/mpesa.js');
+const { createSimulator } = require('../scripts/daraja-simulator.js');
+const routes = require('../src/routes/index.js');
+
+let simulator;
+let simulatorServer;
+let backendServer;
+let backendUrl;
+
+function listen(app) {
+  return new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+function nextCallback() {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('No B2C callback received')), 5000);
+    onReceived = () => {
+      clearTimeout(timer);
+      resolve(received[received.length - 1]);
+    };
+  });
+}
+
+before(async () => {
+  simulator = createSimulator({ processingMs: 10, log: () => {} });
+  simulatorServer = await listen(simulator);
+  MPESA_CONFIG.baseUrl = `http://127.0.0.1:${simulatorServer.address().port}`;
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api', routes);
+  backendServer = await listen(app);
+  backendUrl = `http://127.0.0.1:${backendServer.address().port}/api`;
+  MPESA_CONFIG.b2cResultUrl = `${backendUrl}/mpesa/b2c/result`;
+  MPESA_CONFIG.b2cTimeoutUrl = `${backendUrl}/mpesa/b2c/timeout`;
+});
+
+after(() => {
+  simulator.close();
+  simulatorServer.close();
+  backendServer.close();
+});
+
+beforeEach(async () => {
+  received.length = 0;
+  await axios.post(`${MPESA_CONFIG.baseUrl}/simulator/reset`);
+});
+
+test('a completed refund reaches the result route with the secret', async () => {
+  const callback = nextCallback();
+  const push = await initiateB2CPayment('254712345678', 500, 'Refund');
+  assert.strictEqual(push.success, true);
+
+  const { parsed, timedOut } = await callback;
+  assert.strictEqual(timedOut, false);
+  assert.strictEqual(parsed.conversationId, push.conversationId);
+  assert.strictEqual(Number(parsed.resultCode), 0);
+  assert.strictEqual(Number(parsed.amount), 500);
+});
+
+test('a refund that times out reaches the timeout route', async () => {
+  await axios.post(`${MPESA_CONFIG.baseUrl}/simulator/scenario`, { scenario: 'timeout' });
+  const callback = nextCallback();
+  const push = await initiateB2CPayment('254712345678', 500, 'Refund');
+  assert.strictEqual(push.success, true);
+
+  const { parsed, timedOut } = await callback;
+  assert.strictEqual(timedOut, true);
+  assert.strictEqual(parsed.conversationId, push.conversationId);
+});
+
+for (const path of ['/mpesa/b2c/result', '/mpesa/b2c/timeout', '/mpesa/c2b/validation', '/mpesa/c2b/confirmation', '/mpesa/callback']) {
+  test(`${path} rejects callbacks without the secret`, async () => {
+    const body = { Result: { ResultCode: 0, ConversationID: 'AG_forged' } };
+    for (const url of [`${backendUrl}${path}`, `${backendUrl}${path}/wrong-secret`]) {
+      const response = await axios.post(url, body, { validateStatus: () => true });
+      assert.strictEqual(response.status, 403, url);
+    }
+    assert.strictEqual(received.length, 0);
+  });
+}
@@ -0,0 +1,67 @@
+// test/mpesaSms.test.js - Reading pasted M-Pesa confirmation messages (CommonJS)
+//
+// Pure parsing; no database involved.
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  normalizeReceipt, isValidReceipt, parseSmsDate, parseMpesaSms, sameBusinessName
+} = require('../src/lib/mpesaSms.js');
+
+test('a paybill confirmation gives the receipt, amount, business and account', () => {
+  const sms = 'SJK3ABC12X Confirmed. Ksh1,500.00 sent to NURU FOUNDATION for account INV-000021 on 5/6/24 at 10:15 AM. New M-PESA balance is Ksh2,300.00. Transaction cost, Ksh0.00.';
+
+  assert.deepStrictEqual(parseMpesaSms(sms), {
+    success: true,
+    receiptNumber: 'SJK3ABC12X',
+    amount: 1500,
+    type: 'paybill',
+    recipient: 'NURU FOUNDATION',
+    accountNumber: 'INV-000021',
+    recipientPhone: null,
+    // 10:15 East Africa Time is 07:15 UTC
+    paidAt: new Date(Date.UTC(2024, 5, 5, 7, 15))
+  });
+});
+
+test('a till confirmation is read even when wrapped across lines', () => {
+  const sms = 'sjk3abc12y Confirmed. Ksh 750.50 paid to NURU\n  FOUNDATION. on 28/12/2024 at 9:05 PM.New M-PESA balance is Ksh10.00.';
+  const parsed = parseMpesaSms(sms);
+
+  assert.strictEqual(parsed.success, true);
+  assert.strictEqual(parsed.receiptNumber, 'SJK3ABC12Y');
+  assert.strictEqual(parsed.amount, 750.5);
+  assert.strictEqual(parsed.type, 'till');
+  assert.strictEqual(parsed.recipient, 'NURU FOUNDATION');
+  assert.deepStrictEqual(parsed.paidAt, new Date(Date.UTC(2024, 11, 28, 18, 5)));
+});
+
+test('money sent to a person is read with their phone number', () => {
+  const parsed = parseMpesaSms('SJK3ABC12Z Confirmed. Ksh2,000.00 sent to JANE DOE 0712345678 on 1/2/24 at 12:30 PM. New M-PESA balance is Ksh0.00.');
+  assert.strictEqual(parsed.type, 'person');
+  assert.strictEqual(parsed.recipient, 'JANE DOE');
+  assert.strictEqual(parsed.recipientPhone, '0712345678');
+  assert.deepStrictEqual(parsed.paidAt, new Date(Date.UTC(2024, 1, 1, 9, 30)));
+});
+
+test('messages that are not payment confirmations are refused with a reason', () => {
+  assert.match(parseMpesaSms('   ').error, /empty/);
+  assert.match(parseMpesaSms('I paid yesterday, code SJK3ABC12X').error, /No M-Pesa transaction code/);
+  assert.match(parseMpesaSms('SJK3ABC12X Confirmed. You have received Ksh1,500.00 from JOHN').error, /payment you sent/);
+  assert.match(parseMpesaSms('SJK3ABC12X Confirmed. Ksh1,500.00 sent to').error, /who the payment was sent to/);
+});
+
+test('dates are day first, and unreadable ones give null', () => {
+  assert.deepStrictEqual(parseSmsDate('12/1/2025', '12:00 AM'), new Date(Date.UTC(2025, 0, 11, 21, 0)));
+  assert.strictEqual(parseSmsDate('1/13/24', '10:15 AM'), null);
+  assert.strictEqual(parseSmsDate('5/6/24', '10:15'), null);
+});
+
+test('receipt codes and business names are compared loosely', () => {
+  assert.strictEqual(normalizeReceipt(' sjk3abc12x '), 'SJK3ABC12X');
+  assert.strictEqual(isValidReceipt('sjk3abc12x'), true);
+  assert.strictEqual(isValidReceipt('SJK3ABC12'), false);
+  assert.strictEqual(sameBusinessName('Nuru Foundation.', 'NURU  FOUNDATION'), true);
+  assert.strictEqual(sameBusinessName('', ''), false);
+  assert.strictEqual(sameBusinessName('NURU FOUNDATION', 'NURU ACADEMY'), false);
+});
@@ -0,0 +1,190 @@
+// test/mpesaStatements.test.js - Reading M-Pesa statement exports (CommonJS)
+//
+// Parses CSV and .xlsx statements the way the portal exports them. The
+// .xlsx files are zipped here from a few lines of sheet XML; importStatement
+// runs against an in-memory stand-in that records what it inserts.
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+
+let inserts;
+let lineBatches;
+
+const fakeDb = {
+  async getOne() {
+    return null;
+  },
+  async query(sql, params = []) {
+    if (/INSERT INTO mpesa_statement_lines/.test(sql)) {
+      lineBatches.push(params[0]);
+      return { affectedRows: params[0].length };
+    }
+    return [];
+  },
+  async insert(table, data) {
+    inserts.push({ table, data });
+    return 12;
+  },
+  async update() {},
+  async remove() {}
+};
+const dbPath = require.resolve('../src/config/database.js');
+require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: fakeDb };
+
+const { parseCsv, parseStatementFile, importStatement } = require('../src/lib/mpesaStatements.js');
+
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (const byte of data) {
+    crc ^= byte;
+    for (let k = 0; k < 8; k++) crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// A zip archive of the given { name: text } files, deflated like Excel saves them
+function zip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const [name, text] of Object.entries(files)) {
+    const data = Buffer.from(text, 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const nameBytes = Buffer.from(name, 'utf8');
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(crc32(data), 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    locals.push(local, nameBytes, compressed);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(crc32(data), 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBytes);
+
+    offset += local.length + nameBytes.length + compressed.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(centrals.length / 2, 8);
+  end.writeUInt16LE(centrals.length / 2, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+function workbook(sheetRows, sharedStrings) {
+  return zip({
+    'xl/workbook.xml': '<workbook><sheets><sheet name="Statement" sheetId="1" r:id="rId1"/></sheets></workbook>',
+    'xl/_rels/workbook.xml.rels': '<Relationships><Relationship Id="rId1" Type="worksheet" Target="worksheets/sheet1.xml"/></Relationships>',
+    'xl/sharedStrings.xml': `<sst>${sharedStrings.map(s => `<si><t>${s}</t></si>`).join('')}</sst>`,
+    'xl/worksheets/sheet1.xml': `<worksheet><sheetData>${sheetRows.join('')}</sheetData></worksheet>`
+  });
+}
+
+const CSV_STATEMENT = [
+  '\uFEFFCustomer Name:,NURU FOUNDATION',
+  'Time Period:,01-01-2024 - 31-01-2024',
+  '',
+  'Receipt No.,Completion Time,Details,Transaction Status,Paid In,Withdrawn,Balance,Other Party Info,A/C No.',
+  'qab1xyz123,15-01-2024 14:32:10,"Pay Bill from 2547****678 - Amina W, Acc. INV-000021",Completed,"1,500.00",,"12,000.00",2547****678 - AMINA W,INV-000021',
+  'QAB2XYZ456,2024-01-16 09:05,"Business Payment to ""Tutor"" Ltd",Completed,,-200.00,"11,800.00",Tutor Ltd,',
+  ',,,,,,,,',
+  'QAB3XYZ789,2024-01-17,Reversal,Failed,(300.00),,,,'
+].join('\r\n');
+
+beforeEach(() => {
+  inserts = [];
+  lineBatches = [];
+});
+
+test('quoted CSV fields keep their commas, quotes and line breaks', () => {
+  assert.deepStrictEqual(parseCsv('a,"b, c","say ""hi"""\r\n"two\nlines",x\n'), [
+    ['a', 'b, c', 'say "hi"'],
+    ['two\nlines', 'x']
+  ]);
+  assert.deepStrictEqual(parseCsv('last,row'), [['last', 'row']]);
+});
+
+test('a CSV statement is read from the row with the column headers', () => {
+  const parsed = parseStatementFile(Buffer.from(CSV_STATEMENT, 'utf8'), 'Statement.CSV');
+  assert.strictEqual(parsed.format, 'csv');
+  assert.strictEqual(parsed.lines.length, 3);
+
+  const [paid, withdrawn, reversed] = parsed.lines;
+  assert.strictEqual(paid.lineNumber, 5);
+  assert.strictEqual(paid.receipt, 'QAB1XYZ123');
+  assert.deepStrictEqual(paid.completionTime, new Date(2024, 0, 15, 14, 32, 10));
+  assert.strictEqual(paid.details, 'Pay Bill from 2547****678 - Amina W, Acc. INV-000021');
+  assert.strictEqual(paid.paidIn, 1500);
+  assert.strictEqual(paid.balance, 12000);
+  assert.strictEqual(paid.accountRef, 'INV-000021');
+
+  assert.strictEqual(withdrawn.details, 'Business Payment to "Tutor" Ltd');
+  assert.deepStrictEqual(withdrawn.completionTime, new Date(2024, 0, 16, 9, 5));
+  assert.strictEqual(withdrawn.paidIn, 0);
+  assert.strictEqual(withdrawn.withdrawn, 200);
+  assert.strictEqual(withdrawn.accountRef, null);
+
+  assert.strictEqual(reversed.lineNumber, 8);
+  assert.strictEqual(reversed.paidIn, -300);
+  assert.strictEqual(reversed.balance, null);
+});
+
+test('an .xlsx statement is read from shared, inline and number cells', () => {
+  const shared = ['Receipt No.', 'Completion Time', 'Paid In', 'Transaction Status', 'Completed', 'Fees &amp; charges'];
+  const buffer = workbook([
+    '<row r="1"><c r="A1" t="inlineStr"><is><t>Account Statement</t></is></c></row>',
+    '<row r="2"><c r="A2" t="s"><v>0</v></c><c r="B2" t="s"><v>1</v></c><c r="C2" t="s"><v>2</v></c><c r="D2" t="s"><v>3</v></c><c r="E2" t="inlineStr"><is><t>Details</t></is></c></row>',
+    '<row r="3"><c r="A3" t="inlineStr"><is><t>QAB4XYZ000</t></is></c><c r="B3"><v>45306.5</v></c><c r="C3"><v>2500</v></c><c r="D3" t="s"><v>4</v></c><c r="E3" t="s"><v>5</v></c></row>',
+    // The time cell is missing entirely, as Excel leaves empty cells out
+    '<row r="4"><c r="A4" t="inlineStr"><is><t>QAB5XYZ000</t></is></c><c r="C4"><v>750.5</v></c></row>'
+  ], shared);
+
+  const parsed = parseStatementFile(buffer, 'january.xlsx');
+  assert.strictEqual(parsed.format, 'xlsx', parsed.error);
+  assert.deepStrictEqual(parsed.lines.map(l => [l.lineNumber, l.receipt, l.paidIn, l.status]), [
+    [3, 'QAB4XYZ000', 2500, 'Completed'],
+    [4, 'QAB5XYZ000', 750.5, null]
+  ]);
+  assert.deepStrictEqual(parsed.lines[0].completionTime, new Date(2024, 0, 15, 12, 0, 0));
+  assert.strictEqual(parsed.lines[0].details, 'Fees & charges');
+  assert.strictEqual(parsed.lines[1].completionTime, null);
+});
+
+test('files that are not statements are refused with a reason', () => {
+  assert.match(parseStatementFile(Buffer.from('x'), 'statement.pdf').error, /\.csv or \.xlsx/);
+  assert.match(parseStatementFile(Buffer.from('not a zip'), 'statement.xlsx').error, /Could not read the file: Not an \.xlsx file/);
+  assert.match(parseStatementFile(Buffer.from('Date,Amount\n2024-01-01,5\n'), 'bank.csv').error, /"Receipt No\." and "Paid In"/);
+  assert.match(parseStatementFile(Buffer.from('Receipt No.,Paid In\n,\n'), 'empty.csv').error, /no transactions/);
+});
+
+test('importing counts only completed money in and records the period', async () => {
+  const result = await importStatement(Buffer.from(CSV_STATEMENT, 'utf8'), 'january.csv', { adminId: 1 });
+  assert.deepStrictEqual(result, { success: true, importId: 12 });
+
+  const statement = inserts[0].data;
+  assert.strictEqual(inserts[0].table, 'mpesa_statement_imports');
+  assert.strictEqual(statement.line_count, 3);
+  assert.strictEqual(statement.paid_in_count, 1);
+  assert.strictEqual(statement.paid_in_total, 1500);
+  assert.deepStrictEqual(statement.period_start, new Date(2024, 0, 15, 14, 32, 10));
+  assert.deepStrictEqual(statement.period_end, new Date(2024, 0, 17));
+  assert.strictEqual(lineBatches[0].length, 3);
+  assert.deepStrictEqual(lineBatches[0][0].slice(0, 3), [12, 5, 'QAB1XYZ123']);
+});
@@ -0,0 +1,147 @@
+// test/passwordPolicy.test.js - Password rules, reuse history and rotation (CommonJS)
+//
+// Runs lib/passwordPolicy.js against an in-memory stand-in for the settings
+// and password_history tables. Hashes use a low bcrypt cost to stay quick.
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const bcrypt = require('bcryptjs');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+let settings;
+let history;
+let userUpdates;
+
+const fakeDb = {
+  async getOne() {
+    return null;
+  },
+  async query(sql, params = []) {
+    if (/FROM settings WHERE setting_key IN/.test(sql)) {
+      return params[0].filter(key => key in settings).map(key => ({ setting_key: key, setting_value: settings[key] }));
+    }
+    if (/SELECT password_hash FROM password_history/.test(sql)) {
+      return history.filter(h => h.user_id === params[0]).reverse().slice(0, params[1]);
+    }
+    if (/^\s*DELETE FROM password_history/.test(sql)) {
+      const [userId, , keep] = params;
+      const kept = history.filter(h => h.user_id === userId).slice(-keep);
+      const before = history.length;
+      history = history.filter(h => h.user_id !== userId || kept.includes(h));
+      return { affectedRows: before - history.length };
+    }
+    return /^\s*(UPDATE|DELETE|INSERT)/.test(sql) ? { affectedRows: 0 } : [];
+  },
+  async insert(table, data) {
+    if (table === 'password_history') history.push(data);
+    return history.length;
+  },
+  async update(table, id, data) {
+    if (table === 'users') userUpdates.push({ id, data });
+  },
+  async remove() {}
+};
+const dbPath = require.resolve('../src/config/database.js');
+require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: fakeDb };
+
+const {
+  POLICY_LEVELS, getPasswordPolicy, validatePasswordStrength, checkNewPassword, recordPasswordChange, isPasswordExpired
+} = require('../src/lib/passwordPolicy.js');
+
+const USER = { id: 7, email: 'amina.wanjiru@example.com', username: 'aminaw', password_hash: null };
+
+// Stores each password as the user's latest, like a password change does
+async function changePasswords(...passwords) {
+  for (const password of passwords) {
+    await recordPasswordChange(USER.id, bcrypt.hashSync(password, 4));
+  }
+}
+
+beforeEach(() => {
+  settings = {};
+  history = [];
+  userUpdates = [];
+});
+
+test('the policy falls back to basic with five remembered passwords', async () => {
+  const policy = await getPasswordPolicy();
+  assert.deepStrictEqual(
+    [policy.level, policy.minLength, policy.maxLength, policy.historyCount, policy.maxAgeDays],
+    ['basic', 8, 128, 5, 0]
+  );
+
+  settings = { passwordPolicy: 'strong', passwordHistoryCount: '50', passwordMaxAgeDays: '90' };
+  const strong = await getPasswordPolicy();
+  assert.deepStrictEqual([strong.level, strong.minLength, strong.historyCount, strong.maxAgeDays], ['strong', 12, 24, 90]);
+
+  settings = { passwordPolicy: 'extreme', passwordHistoryCount: '0', passwordMaxAgeDays: '-5' };
+  const fallback = await getPasswordPolicy();
+  assert.deepStrictEqual([fallback.level, fallback.historyCount, fallback.maxAgeDays], ['basic', 0, 0]);
+});
+
+test('each level asks for its own length and character classes', () => {
+  assert.deepStrictEqual(validatePasswordStrength('short', POLICY_LEVELS.basic), ['Use at least 8 characters']);
+  assert.deepStrictEqual(validatePasswordStrength('alllowercase', POLICY_LEVELS.medium), ['Include an uppercase letter']);
+  assert.deepStrictEqual(validatePasswordStrength('Mixed-case-only', POLICY_LEVELS.strong), ['Include a number']);
+  assert.deepStrictEqual(validatePasswordStrength('Tea4TwoPlease', POLICY_LEVELS.strong), ['Include a symbol such as ! or #']);
+  assert.deepStrictEqual(validatePasswordStrength('Tea4Two-Please', POLICY_LEVELS.strong), []);
+  assert.deepStrictEqual(validatePasswordStrength('', POLICY_LEVELS.basic), ['Password is required']);
+  assert.deepStrictEqual(validatePasswordStrength('x'.repeat(129), POLICY_LEVELS.basic), ['Use at most 128 characters']);
+});
+
+test('common passwords are refused even with digits and symbols tacked on', () => {
+  const common = 'This password is too common. Choose something harder to guess';
+  assert.deepStrictEqual(validatePasswordStrength('sunshine', POLICY_LEVELS.basic), [common]);
+  assert.deepStrictEqual(validatePasswordStrength('Password2024!', POLICY_LEVELS.basic), [common]);
+  assert.deepStrictEqual(validatePasswordStrength('12345678', POLICY_LEVELS.basic), [common]);
+});
+
+test("passwords built from the user's own email or username are refused", () => {
+  const personal = 'Do not use your email address or username in your password';
+  assert.deepStrictEqual(validatePasswordStrength('my-Amina.Wanjiru-key', POLICY_LEVELS.basic, USER), [personal]);
+  assert.deepStrictEqual(validatePasswordStrength('AminaW-rocks', POLICY_LEVELS.basic, USER), [personal]);
+  // Parts shorter than four characters are too likely to appear by chance
+  assert.deepStrictEqual(validatePasswordStrength('bob-is-great', POLICY_LEVELS.basic, { email: 'bob@example.com', username: 'bob' }), []);
+});
+
+test('the last few passwords cannot be reused, older ones can', async () => {
+  settings = { passwordHistoryCount: '3' };
+  await changePasswords('first-passphrase', 'second-passphrase', 'third-passphrase', 'fourth-passphrase');
+  assert.strictEqual(history.length, 3);
+
+  const reused = await checkNewPassword('second-passphrase', USER);
+  assert.strictEqual(reused.status, 400);
+  assert.strictEqual(reused.error, 'Choose a password different from your last 3');
+  assert.strictEqual((await checkNewPassword('first-passphrase', USER)).success, true);
+});
+
+test('with history off only the current password is compared', async () => {
+  settings = { passwordHistoryCount: '1' };
+  const user = { ...USER, password_hash: bcrypt.hashSync('current-passphrase', 4) };
+  assert.strictEqual((await checkNewPassword('current-passphrase', user)).error, 'Choose a password you have not used before');
+
+  settings = { passwordHistoryCount: '0' };
+  assert.strictEqual((await checkNewPassword('current-passphrase', user)).success, true);
+});
+
+test('strength problems are reported together and skip the history check', async () => {
+  settings = { passwordPolicy: 'medium' };
+  const result = await checkNewPassword('aminaw', USER);
+  assert.deepStrictEqual(result.errors, [
+    'Use at least 8 characters',
+    'Include an uppercase letter',
+    'Do not use your email address or username in your password'
+  ]);
+  assert.strictEqual(result.error, result.errors.join('. '));
+});
+
+test('a change restarts the rotation clock, which expires after the maximum age', async () => {
+  await changePasswords('first-passphrase');
+  assert.strictEqual(userUpdates[0].id, USER.id);
+  assert.ok(userUpdates[0].data.password_changed_at instanceof Date);
+
+  const policy = { maxAgeDays: 90 };
+  assert.strictEqual(isPasswordExpired({ password_changed_at: new Date(Date.now() - 91 * DAY_MS) }, policy), true);
+  assert.strictEqual(isPasswordExpired({ password_changed_at: new Date(Date.now() - 89 * DAY_MS) }, policy), false);
+  assert.strictEqual(isPasswordExpired({ password_changed_at: null, created_at: new Date(Date.now() - 100 * DAY_MS) }, policy), true);
+  assert.strictEqual(isPasswordExpired({ password_changed_at: new Date(0) }, { maxAgeDays: 0 }), false);
+});
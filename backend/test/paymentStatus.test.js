@@ -0,0 +1,112 @@
+// test/paymentStatus.test.js - Payment status checks while M-Pesa is not configured (CommonJS)
+//
+// Calls MpesaController.checkPaymentStatus with M-Pesa credentials removed and
+// checks that an invoice is only marked paid when MPESA_FORCE_SIMULATION is on
+// outside production. The database is an in-memory stand-in.
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const STUDENT_ID = 3;
+let invoice;
+let attempt;
+let writes;
+
+const fakeDb = {
+  async getOne(sql) {
+    if (/FROM payment_attempts/.test(sql)) return attempt;
+    if (/FROM invoices/.test(sql)) return invoice && { ...invoice };
+    return null;
+  },
+  async query() {
+    return [];
+  },
+  async insert(table, data) {
+    writes.push({ table, data });
+    return writes.length;
+  },
+  async update(table, id, data) {
+    writes.push({ table, id, data });
+  },
+  async remove() {}
+};
+const dbPath = require.resolve('../src/config/database.js');
+require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: fakeDb };
+
+const invoices = require('../src/lib/invoices.js');
+const marked = [];
+invoices.markInvoicePaid = async (invoiceId, paymentData) => {
+  marked.push({ invoiceId, paymentData });
+};
+invoices.markDepositAndMonthsPaid = async (invoiceId, months, paymentData) => {
+  marked.push({ invoiceId, months, paymentData });
+};
+
+const { MPESA_CONFIG } = require('../src/lib/mpesa.js');
+const { checkPaymentStatus } = require('../src/controllers/mpesaController.js');
+
+const saved = { consumerKey: MPESA_CONFIG.consumerKey, forceSimulation: MPESA_CONFIG.forceSimulation };
+const nodeEnv = process.env.NODE_ENV;
+
+async function checkStatus() {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(data) {
+      this.body = data;
+      return this;
+    }
+  };
+  await checkPaymentStatus({ params: { invoiceId: String(invoice.id) }, user: { userId: STUDENT_ID } }, res);
+  return res;
+}
+
+beforeEach(() => {
+  invoice = { id: 8, student_id: STUDENT_ID, type: 'monthly', status: 'pending', amount: '1500.00', amount_paid: '0.00' };
+  attempt = null;
+  writes = [];
+  marked.length = 0;
+  MPESA_CONFIG.consumerKey = '';
+  MPESA_CONFIG.forceSimulation = false;
+});
+
+afterEach(() => {
+  Object.assign(MPESA_CONFIG, saved);
+  process.env.NODE_ENV = nodeEnv;
+});
+
+test('an unconfigured M-Pesa gateway answers 503 and marks nothing paid', async () => {
+  const res = await checkStatus();
+  assert.strictEqual(res.statusCode, 503);
+  assert.deepStrictEqual(marked, []);
+  assert.deepStrictEqual(writes, []);
+});
+
+test('forced simulation is ignored in production', async () => {
+  MPESA_CONFIG.forceSimulation = true;
+  process.env.NODE_ENV = 'production';
+  const res = await checkStatus();
+  assert.strictEqual(res.statusCode, 503);
+  assert.deepStrictEqual(marked, []);
+});
+
+test('forced simulation outside production marks the invoice paid', async () => {
+  MPESA_CONFIG.forceSimulation = true;
+  process.env.NODE_ENV = 'development';
+  const res = await checkStatus();
+  assert.strictEqual(res.statusCode, 200, JSON.stringify(res.body));
+  assert.strictEqual(res.body.simulated, true);
+  assert.strictEqual(marked.length, 1);
+  assert.strictEqual(marked[0].paymentData.method, 'simulated');
+});
+
+test('another student gets a 404 before any simulation', async () => {
+  MPESA_CONFIG.forceSimulation = true;
+  process.env.NODE_ENV = 'development';
+  invoice.student_id = STUDENT_ID + 1;
+  const res = await checkStatus();
+  assert.strictEqual(res.statusCode, 404);
+  assert.deepStrictEqual(marked, []);
+});
@@ -0,0 +1,98 @@
+// test/paymentSubmissions.test.js - Which manual M-Pesa submissions are accepted (CommonJS)
+//
+// Calls lib/paymentSubmissions.js createSubmission against an in-memory
+// stand-in for the database and checks the months and invoice status it
+// accepts before anything is written.
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const STUDENT_ID = 3;
+let invoice;
+let paidMonths;
+let inserts;
+
+const fakeDb = {
+  async getOne(sql) {
+    if (/billing_duration/.test(sql)) return { billing_duration: 6, paid_months: paidMonths };
+    if (/FROM invoices i/.test(sql)) return invoice && { ...invoice };
+    if (/FROM billing_settings_versions/.test(sql)) return { version: 1, settings: '{}' };
+    return null;
+  },
+  async query() {
+    return [];
+  },
+  async insert(table, data) {
+    inserts.push({ table, data });
+    return inserts.length;
+  },
+  async update() {},
+  async remove() {}
+};
+const dbPath = require.resolve('../src/config/database.js');
+require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: fakeDb };
+
+const { createSubmission } = require('../src/lib/paymentSubmissions.js');
+
+function submit(fields) {
+  return createSubmission({ studentId: STUDENT_ID, invoiceId: invoice.id, transactionId: 'SGH7ABC123', phoneNumber: '0712345678', ...fields });
+}
+
+beforeEach(() => {
+  invoice = {
+    id: 7, student_id: STUDENT_ID, course_id: 2, type: 'deposit', status: 'pending',
+    amount: '1000.00', amount_paid: '0.00', monthly_amount: '1500.00', course_title: 'Web Development'
+  };
+  paidMonths = 0;
+  inserts = [];
+});
+
+test('a deposit with months in advance is held for review at the amount owed', async () => {
+  const result = await submit({ months: 2 });
+  assert.strictEqual(result.success, true, result.error);
+  assert.strictEqual(result.status, 'pending');
+
+  const [submission] = inserts;
+  assert.strictEqual(submission.table, 'payment_submissions');
+  assert.strictEqual(submission.data.months_paid, 2);
+  assert.strictEqual(submission.data.amount, 4000);
+  assert.strictEqual(submission.data.transaction_id, 'SGH7ABC123');
+});
+
+test('months default to one', async () => {
+  const result = await submit({});
+  assert.strictEqual(result.success, true, result.error);
+  assert.strictEqual(inserts[0].data.months_paid, 1);
+});
+
+for (const months of [0, -3, 1.5, 'two']) {
+  test(`months of ${JSON.stringify(months)} are refused`, async () => {
+    const result = await submit({ months });
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.status, 400);
+    assert.deepStrictEqual(inserts, []);
+  });
+}
+
+test('months beyond the rest of the course are refused', async () => {
+  paidMonths = 4;
+  const result = await submit({ months: 3 });
+  assert.strictEqual(result.status, 400);
+  assert.match(result.error, /from 1 to 2/);
+  assert.deepStrictEqual(inserts, []);
+});
+
+test('a locked invoice still takes a submission', async () => {
+  invoice.status = 'locked';
+  const result = await submit({ months: 1 });
+  assert.strictEqual(result.success, true, result.error);
+});
+
+for (const status of ['paid', 'cancelled', 'waived']) {
+  test(`a ${status} invoice is refused`, async () => {
+    invoice.status = status;
+    const result = await submit({ months: 1 });
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.status, 400);
+    assert.deepStrictEqual(inserts, []);
+  });
+}
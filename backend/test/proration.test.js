@@ -0,0 +1,138 @@
+// test/proration.test.js - Pricing a mid-cycle enrollment's first monthly invoice (CommonJS)
+//
+// prorateCycle and buildInstallmentSchedule need no database. The
+// generateMonthlyInvoices cases run against an in-memory stand-in holding
+// one enrollment.
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+let settings;
+let enrollment;
+let existingMonthly;
+let inserts;
+
+const fakeDb = {
+  async getOne(sql) {
+    if (/FROM billing_settings_versions/.test(sql)) return { version: 3, settings: JSON.stringify(settings) };
+    if (/FROM ledger_entries/.test(sql)) return { balance: '0' };
+    return null;
+  },
+  async query(sql) {
+    if (/FROM enrollments e/.test(sql)) return enrollment ? [{ ...enrollment }] : [];
+    if (/type = 'monthly'/.test(sql) && /SELECT id, due_date/.test(sql)) return existingMonthly;
+    return [];
+  },
+  async insert(table, data) {
+    inserts.push({ table, data });
+    return inserts.length;
+  },
+  async update() {},
+  async remove() {}
+};
+const dbPath = require.resolve('../src/config/database.js');
+require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: fakeDb };
+
+const { prorateCycle, buildInstallmentSchedule, generateMonthlyInvoices } = require('../src/lib/invoices.js');
+
+function ymd(date) {
+  return [date.getFullYear(), date.getMonth() + 1, date.getDate()].join('-');
+}
+
+beforeEach(() => {
+  settings = { billingDay: 1, gracePeriodDays: 3, prorationMode: 'daily' };
+  enrollment = null;
+  existingMonthly = [];
+  inserts = [];
+});
+
+test('daily proration charges only the days enrolled', () => {
+  // February 2026 has 28 days; enrolled for the last 14 of them
+  const cycle = prorateCycle(3000, new Date(2026, 1, 15), new Date(2026, 2, 1), 'daily');
+  assert.strictEqual(cycle.amount, 1500);
+  assert.strictEqual(cycle.prorated, true);
+  assert.strictEqual(cycle.activeDays, 14);
+  assert.strictEqual(cycle.cycleDays, 28);
+  assert.strictEqual(ymd(cycle.periodStart), '2026-2-15');
+});
+
+test('amounts are rounded to the cent', () => {
+  const cycle = prorateCycle(1000, new Date(2026, 2, 22), new Date(2026, 3, 1), 'daily');
+  // 10 of March's 31 days
+  assert.strictEqual(cycle.amount, 322.58);
+});
+
+test('an enrollment from the start of the cycle pays in full', () => {
+  const cycle = prorateCycle(3000, new Date(2026, 0, 20), new Date(2026, 2, 1), 'daily');
+  assert.strictEqual(cycle.amount, 3000);
+  assert.strictEqual(cycle.prorated, false);
+});
+
+test("'skip_first' waives the partial cycle and 'none' bills it in full", () => {
+  const skipped = prorateCycle(3000, new Date(2026, 1, 15), new Date(2026, 2, 1), 'skip_first');
+  assert.strictEqual(skipped.skipped, true);
+  assert.strictEqual(skipped.amount, 0);
+
+  const full = prorateCycle(3000, new Date(2026, 1, 15), new Date(2026, 2, 1), 'none');
+  assert.strictEqual(full.amount, 3000);
+  assert.strictEqual(full.prorated, false);
+});
+
+test('enrolling on the billing day itself is not charged for a partial cycle', () => {
+  const cycle = prorateCycle(3000, new Date(2026, 2, 1), new Date(2026, 2, 1), 'daily');
+  assert.strictEqual(cycle.skipped, true);
+});
+
+test('the installment schedule prorates only the first month', () => {
+  const pricing = { monthly_amount: '3000.00', billing_duration: 3 };
+  const schedule = buildInstallmentSchedule(pricing, new Date(2026, 1, 15), settings);
+
+  assert.deepStrictEqual(schedule.map(s => [s.monthNumber, ymd(s.dueDate), s.amount, s.prorated]), [
+    [1, '2026-3-1', 1500, true],
+    [2, '2026-4-1', 3000, false],
+    [3, '2026-5-1', 3000, false]
+  ]);
+});
+
+test('a skipped first cycle still leaves the full number of installments', () => {
+  const pricing = { monthly_amount: '3000.00', billing_duration: 3 };
+  const schedule = buildInstallmentSchedule(pricing, new Date(2026, 1, 15), { ...settings, prorationMode: 'skip_first' });
+
+  assert.deepStrictEqual(schedule.map(s => [ymd(s.dueDate), s.amount]), [
+    ['2026-4-1', 3000],
+    ['2026-5-1', 3000],
+    ['2026-6-1', 3000]
+  ]);
+});
+
+test('the monthly run prorates a new enrollment and records the settings version', async () => {
+  const today = new Date();
+  const dueDate = today.getDate() > 1
+    ? new Date(today.getFullYear(), today.getMonth() + 1, 1)
+    : new Date(today.getFullYear(), today.getMonth(), 1);
+  const enrolledAt = new Date(dueDate.getFullYear(), dueDate.getMonth(), dueDate.getDate() - 10);
+  enrollment = { student_id: 3, course_id: 2, monthly_amount: '3000.00', billing_duration: 3, is_active: 1, enrolled_at: enrolledAt };
+
+  const result = await generateMonthlyInvoices();
+  assert.strictEqual(result.created, 1);
+
+  const invoice = inserts.find(i => i.table === 'invoices').data;
+  const expected = prorateCycle(3000, enrolledAt, dueDate, 'daily');
+  assert.strictEqual(invoice.amount, expected.amount);
+  assert.strictEqual(invoice.is_prorated, true);
+  assert.strictEqual(invoice.month_number, 1);
+  assert.strictEqual(ymd(invoice.due_date), ymd(dueDate));
+  assert.strictEqual(invoice.billing_settings_version, 3);
+});
+
+test('the monthly run bills a due month only once', async () => {
+  const today = new Date();
+  const dueDate = today.getDate() > 1
+    ? new Date(today.getFullYear(), today.getMonth() + 1, 1)
+    : new Date(today.getFullYear(), today.getMonth(), 1);
+  enrollment = { student_id: 3, course_id: 2, monthly_amount: '3000.00', billing_duration: 3, is_active: 1, enrolled_at: new Date(2025, 0, 1) };
+  existingMonthly = [{ id: 40, due_date: dueDate }];
+
+  const result = await generateMonthlyInvoices();
+  assert.strictEqual(result.created, 0);
+  assert.deepStrictEqual(inserts, []);
+});
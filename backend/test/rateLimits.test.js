@@ -0,0 +1,52 @@
+// test/rateLimits.test.js - Password reset request limits (CommonJS)
+//
+// Mounts the real limiters in front of stand-in handlers: asking for reset
+// emails and setting the new password must not share one budget.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const axios = require('axios');
+
+const { passwordResetLimiter, resetPasswordLimiter } = require('../src/middleware/rateLimits.js');
+
+let server;
+let baseUrl;
+
+function post(path, body) {
+  return axios.post(`${baseUrl}${path}`, body, { validateStatus: () => true });
+}
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.post('/forgot-password', passwordResetLimiter, (req, res) => res.json({ success: true }));
+  app.post('/reset-password', resetPasswordLimiter, (req, res) => res.json({ success: true }));
+  server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+test('reset emails run out without blocking the reset link itself', async () => {
+  for (let i = 0; i < 5; i++) {
+    assert.strictEqual((await post('/forgot-password', { email: 'a@example.com' })).status, 200);
+  }
+  assert.strictEqual((await post('/forgot-password', { email: 'a@example.com' })).status, 429);
+
+  assert.strictEqual((await post('/reset-password', { token: 'first-link', newPassword: 'x' })).status, 200);
+});
+
+test('attempts are counted per reset link', async () => {
+  for (let i = 0; i < 9; i++) {
+    assert.strictEqual((await post('/reset-password', { token: 'first-link', newPassword: 'x' })).status, 200);
+  }
+  const limited = await post('/reset-password', { token: 'first-link', newPassword: 'x' });
+  assert.strictEqual(limited.status, 429);
+  assert.strictEqual(limited.data.code, 'RATE_LIMITED');
+
+  assert.strictEqual((await post('/reset-password', { token: 'second-link', newPassword: 'x' })).status, 200);
+});
@@ -0,0 +1,39 @@
+// test/receiptLinks.test.js - Older receipt links reach the receipt page (CommonJS)
+//
+// Emailed and bookmarked /api/receipt/:invoiceId links are opened without a
+// bearer token, so they must redirect rather than answer 401.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const axios = require('axios');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+const routes = require('../src/routes/index.js');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use('/api', routes);
+  server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+after(() => {
+  server.close();
+});
+
+test('an old receipt link without a token redirects to the receipt page', async () => {
+  const response = await axios.get(`${baseUrl}/receipt/42`, { maxRedirects: 0, validateStatus: () => true });
+  assert.strictEqual(response.status, 302);
+  assert.strictEqual(response.headers.location, '/receipt.html?invoice=42');
+});
+
+test('the PDF itself still needs a token', async () => {
+  const response = await axios.get(`${baseUrl}/documents/invoices/42/receipt`, { validateStatus: () => true });
+  assert.strictEqual(response.status, 401);
+});
@@ -0,0 +1,195 @@
+// test/scheduler.test.js - Scheduled jobs, retries, locks and run history (CommonJS)
+//
+// Runs lib/scheduler.js against an in-memory stand-in for the scheduled_jobs
+// and job_runs tables, with test jobs whose handlers the cases control.
+// Loading lib/jobs.js checks the real jobs register too.
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+let jobs;
+let runs;
+
+const fakeDb = {
+  async getOne(sql, params = []) {
+    if (/FROM scheduled_jobs WHERE name = \?/.test(sql)) {
+      return jobs.has(params[0]) ? { ...jobs.get(params[0]) } : null;
+    }
+    return null;
+  },
+  async query(sql, params = []) {
+    if (/INSERT IGNORE INTO scheduled_jobs/.test(sql)) {
+      const [name, description, interval, maxRetries, retryDelay, nextRunAt] = params;
+      if (jobs.has(name)) return { affectedRows: 0 };
+      jobs.set(name, {
+        name, description, interval_minutes: interval, max_retries: maxRetries, retry_delay_minutes: retryDelay,
+        is_enabled: 1, next_run_at: nextRunAt, retry_count: 0, locked_by: null, locked_until: null
+      });
+      return { affectedRows: 1 };
+    }
+    if (/SET locked_by = \?, locked_until = \?/.test(sql)) {
+      const [instance, until, name, now] = params;
+      const job = jobs.get(name);
+      if (!job || (job.locked_until && job.locked_until >= now)) return { affectedRows: 0 };
+      Object.assign(job, { locked_by: instance, locked_until: until });
+      return { affectedRows: 1 };
+    }
+    if (/SET locked_by = NULL, locked_until = NULL/.test(sql)) {
+      const job = jobs.get(params[0]);
+      if (job && job.locked_by === params[1]) Object.assign(job, { locked_by: null, locked_until: null });
+      return { affectedRows: 1 };
+    }
+    if (/^\s*UPDATE scheduled_jobs SET/.test(sql)) {
+      const fields = sql.match(/SET (.*) WHERE/)[1].split(', ').map(f => f.replace(' = ?', ''));
+      const job = jobs.get(params[fields.length]);
+      fields.forEach((field, i) => {
+        job[field] = params[i];
+      });
+      return { affectedRows: 1 };
+    }
+    if (/SELECT name, retry_count FROM scheduled_jobs/.test(sql)) {
+      const now = params[0];
+      return [...jobs.values()]
+        .filter(j => j.is_enabled && j.next_run_at <= now && (!j.locked_until || j.locked_until < now))
+        .sort((a, b) => a.next_run_at - b.next_run_at);
+    }
+    if (/SELECT \* FROM scheduled_jobs/.test(sql)) return [...jobs.values()];
+    return /^\s*(UPDATE|DELETE|INSERT)/.test(sql) ? { affectedRows: 0 } : [];
+  },
+  async insert(table, data) {
+    runs.push({ ...data, id: runs.length + 1 });
+    return runs.length;
+  },
+  async update(table, id, data) {
+    if (table === 'job_runs') Object.assign(runs[id - 1], data);
+  },
+  async remove() {}
+};
+const dbPath = require.resolve('../src/config/database.js');
+require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: fakeDb };
+
+const { INSTANCE_ID, defineJob, runJob, tick, getJobs, updateJob } = require('../src/lib/scheduler.js');
+
+let failuresLeft;
+let handlerCalls;
+
+defineJob('test-flaky', {
+  description: 'Fails until failuresLeft runs out',
+  intervalMinutes: 60,
+  maxRetries: 2,
+  retryDelayMinutes: 5,
+  handler: async () => {
+    handlerCalls += 1;
+    if (failuresLeft > 0) {
+      failuresLeft -= 1;
+      throw new Error('Gateway timed out');
+    }
+    return { created: 3 };
+  }
+});
+
+function minutesFromNow(date) {
+  return Math.round((date - Date.now()) / 60000);
+}
+
+beforeEach(async () => {
+  jobs = new Map();
+  runs = [];
+  failuresLeft = 0;
+  handlerCalls = 0;
+  await getJobs();
+});
+
+test('a successful scheduled run is recorded and the next run set an interval later', async () => {
+  const result = await runJob('test-flaky', { trigger: 'schedule' });
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(result.result, { created: 3 });
+
+  assert.strictEqual(runs[0].status, 'succeeded');
+  assert.strictEqual(runs[0].result, '{"created":3}');
+  assert.strictEqual(runs[0].instance_id, INSTANCE_ID);
+
+  const job = jobs.get('test-flaky');
+  assert.strictEqual(job.last_status, 'succeeded');
+  assert.strictEqual(minutesFromNow(job.next_run_at), 60);
+  assert.strictEqual(job.locked_until, null);
+});
+
+test('a failed run is retried after the retry delay until the retries run out', async () => {
+  failuresLeft = 10;
+
+  await runJob('test-flaky', { trigger: 'schedule' });
+  let job = jobs.get('test-flaky');
+  assert.strictEqual(job.retry_count, 1);
+  assert.strictEqual(minutesFromNow(job.next_run_at), 5);
+  assert.strictEqual(runs[0].error, 'Gateway timed out');
+
+  await runJob('test-flaky', { trigger: 'retry' });
+  assert.strictEqual(jobs.get('test-flaky').retry_count, 2);
+
+  // The third failure is past max_retries, so it waits for the next interval
+  await runJob('test-flaky', { trigger: 'retry' });
+  job = jobs.get('test-flaky');
+  assert.strictEqual(job.retry_count, 0);
+  assert.strictEqual(minutesFromNow(job.next_run_at), 60);
+  assert.deepStrictEqual(runs.map(r => r.attempt), [1, 2, 3]);
+});
+
+test('a manual run leaves the schedule alone', async () => {
+  failuresLeft = 1;
+  const nextRunAt = jobs.get('test-flaky').next_run_at;
+
+  const result = await runJob('test-flaky', { triggeredBy: 1 });
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.runStatus, 'failed');
+  assert.strictEqual(runs[0].trigger_type, 'manual');
+  assert.strictEqual(runs[0].triggered_by, 1);
+  assert.strictEqual(jobs.get('test-flaky').next_run_at, nextRunAt);
+  assert.strictEqual(jobs.get('test-flaky').retry_count, 0);
+});
+
+test('a job locked by another instance is not run again', async () => {
+  Object.assign(jobs.get('test-flaky'), { locked_by: 'other-host:1', locked_until: new Date(Date.now() + 60000) });
+
+  const result = await runJob('test-flaky');
+  assert.strictEqual(result.status, 409);
+  assert.strictEqual(handlerCalls, 0);
+  assert.deepStrictEqual(runs, []);
+});
+
+test('a tick runs due jobs only, as retries when a retry is pending', async () => {
+  jobs.get('test-flaky').retry_count = 1;
+  await tick();
+  assert.strictEqual(handlerCalls, 1);
+  assert.strictEqual(runs[0].trigger_type, 'retry');
+  assert.strictEqual(runs[0].attempt, 2);
+
+  await tick();
+  assert.strictEqual(handlerCalls, 1);
+});
+
+test('admins can change the interval, which reschedules the next run', async () => {
+  jobs.get('test-flaky').last_run_at = new Date();
+
+  assert.strictEqual((await updateJob('test-flaky', { intervalMinutes: '30', isEnabled: false })).success, true);
+  const job = jobs.get('test-flaky');
+  assert.strictEqual(job.interval_minutes, 30);
+  assert.strictEqual(job.is_enabled, 0);
+  assert.strictEqual(minutesFromNow(job.next_run_at), 30);
+
+  assert.strictEqual((await updateJob('test-flaky', { intervalMinutes: 0 })).status, 400);
+  assert.strictEqual((await updateJob('test-flaky', { maxRetries: -1 })).status, 400);
+  assert.strictEqual((await updateJob('missing', {})).status, 404);
+});
+
+test('the billing, payment and housekeeping jobs are all registered', async () => {
+  require('../src/lib/jobs.js');
+  const registered = (await getJobs()).filter(j => j.isRegistered).map(j => j.name);
+
+  for (const name of [
+    'generate-monthly-invoices', 'check-overdue', 'trial-notices', 'reconcile-stk-payments',
+    'stk-daily-report', 'generate-tutor-payouts', 'prune-sessions', 'prune-login-attempts'
+  ]) {
+    assert.ok(registered.includes(name), `${name} is registered`);
+  }
+  assert.strictEqual(jobs.get('reconcile-stk-payments').interval_minutes, 5);
+});
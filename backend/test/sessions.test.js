@@ -0,0 +1,224 @@
+// test/sessions.test.js - Sessions behind access tokens and refresh token rotation (CommonJS)
+//
+// Runs lib/sessions.js and the authenticateToken middleware against an
+// in-memory stand-in for the user_sessions and users tables.
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+const USER = { id: 5, email: 'tutor@example.com', role_id: 2, is_active: 1, username: 'tutor' };
+let sessions;
+let sessionLookups;
+let failLookups;
+let userActive;
+
+function isActive(session) {
+  return !session.revoked_at && new Date(session.expires_at) > new Date();
+}
+
+const fakeDb = {
+  async getOne(sql, params = []) {
+    if (/FROM user_sessions\s+WHERE id = \? AND user_id = \?/.test(sql)) {
+      sessionLookups += 1;
+      if (failLookups) throw new Error('connect ETIMEDOUT');
+      const session = sessions.find(s => s.id === params[0] && s.user_id === params[1]);
+      return session && isActive(session) ? { ...session } : null;
+    }
+    if (/WHERE refresh_token_hash = \?/.test(sql)) {
+      const session = sessions.find(s => s.refresh_token_hash === params[0]);
+      return session ? { ...session } : null;
+    }
+    if (/WHERE previous_token_hash = \?/.test(sql)) {
+      const session = sessions.find(s => s.previous_token_hash === params[0]);
+      return session ? { ...session } : null;
+    }
+    if (/FROM users WHERE id = \?/.test(sql)) return { ...USER, is_active: userActive ? 1 : 0 };
+    if (/FROM roles/.test(sql)) return { name: 'tutor' };
+    return null;
+  },
+  async query(sql, params = []) {
+    if (/SET refresh_token_hash = \?/.test(sql)) {
+      const [newHash, previousHash, rotatedAt, lastUsedAt, expiresAt, ipAddress, id, currentHash] = params;
+      const session = sessions.find(s => s.id === id && s.refresh_token_hash === currentHash && !s.revoked_at);
+      if (!session) return { affectedRows: 0 };
+      Object.assign(session, {
+        refresh_token_hash: newHash, previous_token_hash: previousHash, rotated_at: rotatedAt,
+        last_used_at: lastUsedAt, expires_at: expiresAt, ip_address: ipAddress
+      });
+      return { affectedRows: 1 };
+    }
+    if (/SET revoked_at = \?, revoke_reason = \? WHERE id = \?/.test(sql)) {
+      const session = sessions.find(s => s.id === params[2] && !s.revoked_at);
+      if (session) Object.assign(session, { revoked_at: params[0], revoke_reason: params[1] });
+      return { affectedRows: session ? 1 : 0 };
+    }
+    if (/SELECT id FROM user_sessions\s+WHERE user_id = \?/.test(sql)) {
+      const [userId, exceptId] = params;
+      return sessions.filter(s => s.user_id === userId && isActive(s) && s.id !== exceptId).map(s => ({ id: s.id }));
+    }
+    if (/SET revoked_at = \?, revoke_reason = \? WHERE id IN \(\?\)/.test(sql)) {
+      const matched = sessions.filter(s => params[2].includes(s.id) && !s.revoked_at);
+      matched.forEach(s => Object.assign(s, { revoked_at: params[0], revoke_reason: params[1] }));
+      return { affectedRows: matched.length };
+    }
+    return [];
+  },
+  async insert(table, data) {
+    sessions.push({ ...data, id: sessions.length + 1 });
+    return sessions.length;
+  },
+  async update() {},
+  async remove() {}
+};
+const dbPath = require.resolve('../src/config/database.js');
+require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: fakeDb };
+
+const {
+  createSession, refreshSession, revokeSession, revokeUserSessions, describeDevice
+} = require('../src/lib/sessions.js');
+const { authenticateToken } = require('../src/middleware/auth.js');
+
+const req = { ip: '10.0.0.7', headers: { 'user-agent': 'Mozilla/5.0 (Windows NT 10.0) Chrome/120.0' } };
+
+async function authenticate(token) {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(data) {
+      this.body = data;
+      return this;
+    }
+  };
+  let passed = false;
+  await authenticateToken({ headers: { authorization: `Bearer ${token}` } }, res, () => {
+    passed = true;
+  });
+  return { passed, statusCode: res.statusCode, body: res.body };
+}
+
+beforeEach(() => {
+  sessions = [];
+  sessionLookups = 0;
+  failLookups = false;
+  userActive = true;
+});
+
+test('an active session lets requests through, and is not looked up on every one', async () => {
+  const { token } = await createSession(USER, 'tutor', req);
+
+  assert.strictEqual((await authenticate(token)).passed, true);
+  assert.strictEqual((await authenticate(token)).passed, true);
+  assert.strictEqual(sessionLookups, 1);
+});
+
+test('a revoked session is rejected at once', async () => {
+  const { token, sessionId } = await createSession(USER, 'tutor', req);
+  assert.strictEqual((await authenticate(token)).passed, true);
+
+  await revokeSession(sessionId, { userId: USER.id });
+  const result = await authenticate(token);
+  assert.strictEqual(result.passed, false);
+  assert.strictEqual(result.statusCode, 401);
+  assert.strictEqual(result.body.code, 'SESSION_EXPIRED');
+});
+
+test('a database error answers 500 instead of ending the session', async () => {
+  const { token } = await createSession(USER, 'tutor', req);
+  failLookups = true;
+
+  const result = await authenticate(token);
+  assert.strictEqual(result.passed, false);
+  assert.strictEqual(result.statusCode, 500);
+  assert.strictEqual(sessions[0].revoked_at, undefined);
+});
+
+test('refreshing swaps the refresh token for a new one', async () => {
+  const { refreshToken } = await createSession(USER, 'tutor', req);
+
+  const refreshed = await refreshSession(refreshToken, req);
+  assert.strictEqual(refreshed.success, true, refreshed.error);
+  assert.ok(refreshed.refreshToken);
+  assert.notStrictEqual(refreshed.refreshToken, refreshToken);
+  assert.strictEqual(jwt.verify(refreshed.token, process.env.JWT_SECRET).sid, sessions[0].id);
+});
+
+test('a token rotated by another tab moments ago still gets an access token', async () => {
+  const { refreshToken } = await createSession(USER, 'tutor', req);
+  const winner = await refreshSession(refreshToken, req);
+
+  const loser = await refreshSession(refreshToken, req);
+  assert.strictEqual(loser.success, true, loser.error);
+  assert.ok(loser.token);
+  assert.strictEqual(loser.refreshToken, null);
+
+  // The winner's token is still the current one
+  const next = await refreshSession(winner.refreshToken, req);
+  assert.strictEqual(next.success, true, next.error);
+  assert.ok(!sessions[0].revoked_at);
+});
+
+test('a rotated token coming back after the grace period revokes the session', async () => {
+  const { refreshToken } = await createSession(USER, 'tutor', req);
+  await refreshSession(refreshToken, req);
+  sessions[0].rotated_at = new Date(Date.now() - 5 * 60 * 1000);
+
+  const reused = await refreshSession(refreshToken, req);
+  assert.strictEqual(reused.success, false);
+  assert.strictEqual(reused.status, 401);
+  assert.strictEqual(sessions[0].revoke_reason, 'token_reuse');
+});
+
+test('once reuse is detected the newer refresh token stops working too', async () => {
+  const { refreshToken } = await createSession(USER, 'tutor', req);
+  const rotated = await refreshSession(refreshToken, req);
+  sessions[0].rotated_at = new Date(Date.now() - 5 * 60 * 1000);
+  await refreshSession(refreshToken, req);
+
+  const next = await refreshSession(rotated.refreshToken, req);
+  assert.strictEqual(next.success, false);
+  assert.strictEqual(next.code, 'SESSION_EXPIRED');
+});
+
+test('missing, unknown and expired refresh tokens are refused', async () => {
+  assert.strictEqual((await refreshSession('', req)).status, 400);
+  assert.strictEqual((await refreshSession('not-a-token', req)).status, 401);
+
+  const { refreshToken } = await createSession(USER, 'tutor', req);
+  sessions[0].expires_at = new Date(Date.now() - 1000);
+  const expired = await refreshSession(refreshToken, req);
+  assert.strictEqual(expired.status, 401);
+  assert.strictEqual(expired.code, 'SESSION_EXPIRED');
+});
+
+test('refreshing for a deactivated user ends the session', async () => {
+  const { refreshToken } = await createSession(USER, 'tutor', req);
+  userActive = false;
+
+  const result = await refreshSession(refreshToken, req);
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(sessions[0].revoke_reason, 'deactivated');
+});
+
+test('signing out everywhere else keeps the current session', async () => {
+  const current = await createSession(USER, 'tutor', req);
+  await createSession(USER, 'tutor', req);
+  await createSession(USER, 'tutor', req);
+
+  const ended = await revokeUserSessions(USER.id, { exceptSessionId: current.sessionId });
+  assert.strictEqual(ended, 2);
+  assert.deepStrictEqual(sessions.map(s => s.revoke_reason || null), [null, 'logout_all', 'logout_all']);
+  assert.strictEqual((await authenticate(current.token)).passed, true);
+});
+
+test('devices are named from the browser and system in the user agent', () => {
+  assert.strictEqual(describeDevice(req.headers['user-agent']), 'Chrome on Windows');
+  assert.strictEqual(describeDevice('Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 Version/17.0 Mobile/15E148 Safari/604.1'), 'Safari on iOS');
+  assert.strictEqual(describeDevice('Mozilla/5.0 (Windows NT 10.0) Chrome/120.0 Safari/537.36 Edg/120.0'), 'Edge on Windows');
+  assert.strictEqual(describeDevice(''), 'Unknown device');
+  assert.strictEqual(describeDevice('curl/8.4.0'), 'curl/8.4.0');
+});
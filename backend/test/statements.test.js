@@ -0,0 +1,113 @@
+// test/statements.test.js - Statement of account balances, date ranges and CSV (CommonJS)
+//
+// Runs buildStatement against an in-memory stand-in holding one student's
+// invoices, ledger entries and late fee waiver from January to March 2026.
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const at = (month, day) => new Date(2026, month - 1, day, 10);
+
+const INVOICES = [
+  { id: 1, type: 'initial', course_title: 'Guitar', amount: '5000.00', gross_amount: '5000.00', discount_amount: '0.00', amount_paid: '5000.00', status: 'paid', created_at: at(1, 5), paid_at: at(1, 6) },
+  { id: 2, type: 'monthly', month_number: 1, course_title: 'Guitar', amount: '2500.00', gross_amount: '3000.00', discount_amount: '500.00', amount_paid: '2500.00', status: 'paid', created_at: at(2, 1), paid_at: at(2, 3) },
+  { id: 3, type: 'penalty', parent_invoice_id: 2, course_title: 'Guitar', amount: '200.00', gross_amount: '200.00', amount_paid: '0.00', status: 'waived', created_at: at(3, 1) },
+  // Marked paid by an admin without any money on the ledger
+  { id: 4, type: 'monthly', month_number: 2, course_title: 'Guitar', amount: '2500.00', gross_amount: '2500.00', amount_paid: '0.00', status: 'paid', created_at: at(3, 2), paid_at: at(3, 10) }
+];
+const LEDGER = [
+  { entry_type: 'payment', amount: '5000.00', method: 'mpesa', reference: 'QAA1', course_title: 'Guitar', created_at: at(1, 6) },
+  { entry_type: 'payment', amount: '3000.00', method: 'mpesa', reference: 'QAA2', course_title: 'Guitar', created_at: at(2, 3) },
+  { entry_type: 'refund', amount: '-500.00', description: 'Refund of overpayment', reference: 'RF1', course_title: 'Guitar', created_at: at(2, 10) }
+];
+const WAIVERS = [
+  { invoice_id: 3, amount: '200.00', reason: 'Bank delay, confirmed', course_title: 'Guitar', created_at: at(3, 5) }
+];
+
+const fakeDb = {
+  async getOne(sql) {
+    if (/FROM users WHERE id = \?/.test(sql)) return { id: 4, full_name: 'Amina W', email: 'amina@example.com', username: 'amina' };
+    return null;
+  },
+  async query(sql) {
+    if (/FROM invoices i/.test(sql)) return INVOICES;
+    if (/FROM ledger_entries le/.test(sql)) return LEDGER;
+    if (/FROM late_fee_waivers w/.test(sql)) return WAIVERS;
+    return [];
+  },
+  async insert() {
+    return 1;
+  },
+  async update() {},
+  async remove() {}
+};
+const dbPath = require.resolve('../src/config/database.js');
+require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: fakeDb };
+
+const { buildStatement, parseStatementRange, statementToCsv } = require('../src/lib/statements.js');
+
+test('the running balance follows every movement in date order', async () => {
+  const statement = await buildStatement(4);
+
+  assert.deepStrictEqual(statement.lines.map(l => [l.type, l.debit, l.credit, l.balance]), [
+    ['charge', 5000, 0, 5000],
+    ['payment', 0, 5000, 0],
+    ['charge', 3000, 0, 3000],
+    ['discount', 0, 500, 2500],
+    ['payment', 0, 3000, -500],
+    ['refund', 500, 0, 0],
+    ['charge', 200, 0, 200],
+    ['charge', 2500, 0, 2700],
+    ['waiver', 0, 200, 2500],
+    ['adjustment', 0, 2500, 0]
+  ]);
+  assert.strictEqual(statement.openingBalance, 0);
+  assert.strictEqual(statement.closingBalance, 0);
+  assert.strictEqual(statement.lines[6].description, 'Late fee on invoice #2');
+});
+
+test('movements before the range roll up into the opening balance', async () => {
+  const statement = await buildStatement(4, { from: '2026-02-05', to: '2026-03-03' });
+
+  assert.strictEqual(statement.openingBalance, -500);
+  assert.deepStrictEqual(statement.lines.map(l => l.type), ['refund', 'charge', 'charge']);
+  assert.strictEqual(statement.closingBalance, 2700);
+  assert.deepStrictEqual(statement.totals, {
+    debits: 3200, credits: 0, charges: 2700, payments: 0, refunds: 500, otherCredits: 0
+  });
+});
+
+test('totals split payments from discounts within the range', async () => {
+  const statement = await buildStatement(4, { from: '2026-02-01', to: '2026-02-28' });
+
+  assert.strictEqual(statement.openingBalance, 0);
+  assert.deepStrictEqual(statement.totals, {
+    debits: 3500, credits: 3500, charges: 3000, payments: 3000, refunds: 500, otherCredits: 500
+  });
+});
+
+test('the CSV carries opening and closing rows and quotes commas', async () => {
+  const statement = await buildStatement(4, { from: '2026-03-01', to: '2026-03-31' });
+  const rows = statementToCsv(statement).trim().split('\n');
+
+  assert.strictEqual(rows[0], 'Date,Type,Description,Reference,Course,Debit,Credit,Balance');
+  assert.strictEqual(rows[1], '2026-03-01,opening,Opening balance,,,,,0.00');
+  assert.ok(rows.includes('2026-03-05,waiver,"Late fee #3 waived: Bank delay, confirmed",#3,Guitar,,200.00,2500.00'));
+  assert.strictEqual(rows[rows.length - 1], '2026-03-31,closing,Closing balance,,,,,0.00');
+});
+
+test('a missing student has no statement', async () => {
+  const original = fakeDb.getOne;
+  fakeDb.getOne = async () => null;
+  try {
+    assert.strictEqual(await buildStatement(99), null);
+  } finally {
+    fakeDb.getOne = original;
+  }
+});
+
+test('date ranges must be real YYYY-MM-DD dates in order', () => {
+  assert.deepStrictEqual(parseStatementRange({ from: '2026-01-01' }), { from: '2026-01-01', to: null });
+  assert.match(parseStatementRange({ from: '01/02/2026' }).error, /YYYY-MM-DD/);
+  assert.match(parseStatementRange({ to: '2026-13-40' }).error, /YYYY-MM-DD/);
+  assert.match(parseStatementRange({ from: '2026-03-01', to: '2026-02-01' }).error, /before the end date/);
+});
@@ -0,0 +1,189 @@
+// test/stkReconciliation.test.js - Settling payment attempts whose callback never came (CommonJS)
+//
+// Runs reconcilePendingAttempts and generateDailyReport against an in-memory
+// stand-in for the payment_attempts table. The M-Pesa gateway's status query
+// answers from a table the cases fill in, and recording the payment itself
+// is swapped for a recorder before the attempt code loads.
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const MINUTE_MS = 60 * 1000;
+let attempts;
+let events;
+let reports;
+let notified;
+
+const fakeDb = {
+  async getOne(sql, params = []) {
+    if (/FROM payment_attempts WHERE checkout_request_id = \?/.test(sql)) {
+      const attempt = attempts.find(a => a.checkout_request_id === params[0]);
+      return attempt ? { ...attempt } : null;
+    }
+    if (/FROM payment_attempts WHERE id = \?/.test(sql)) return { ...attempts.find(a => a.id === params[0]) };
+    if (/SELECT id, type FROM invoices/.test(sql)) return { id: params[0], type: 'monthly' };
+    return null;
+  },
+  async query(sql, params = []) {
+    if (/FROM payment_attempts\s+WHERE status = 'initiated'/.test(sql)) {
+      return attempts.filter(a => a.status === 'initiated' && a.created_at <= params[0]).map(a => ({ ...a }));
+    }
+    if (/SET status = \?, result_code = \?/.test(sql)) {
+      const attempt = attempts.find(a => a.id === params[8] && ['initiated', 'expired'].includes(a.status));
+      if (!attempt) return { affectedRows: 0 };
+      Object.assign(attempt, { status: params[0], failure_reason: params[3], mpesa_receipt_number: params[4], amount_paid: params[5] });
+      return { affectedRows: 1 };
+    }
+    if (/SET status = 'expired'/.test(sql)) {
+      const attempt = attempts.find(a => a.id === params[2] && a.status === 'initiated');
+      if (!attempt) return { affectedRows: 0 };
+      Object.assign(attempt, { status: 'expired', failure_reason: params[0] });
+      return { affectedRows: 1 };
+    }
+    if (/FROM payment_attempts a\s+JOIN users u/.test(sql)) return attempts.map(a => ({ student_name: 'Amina W', ...a }));
+    if (/REPLACE INTO stk_reconciliation_reports/.test(sql)) {
+      reports.push(params);
+      return { affectedRows: 1 };
+    }
+    if (/r.name = 'admin'/.test(sql)) return [{ id: 1 }, { id: 2 }];
+    if (/INSERT INTO notifications/.test(sql)) {
+      notified.push(params);
+      return { affectedRows: 1 };
+    }
+    return /^\s*(UPDATE|DELETE|INSERT)/.test(sql) ? { affectedRows: 0 } : [];
+  },
+  async insert(table, data) {
+    if (table === 'payment_attempt_events') events.push(data);
+    return 1;
+  },
+  async update(table, id, data) {
+    if (table === 'payment_attempts') Object.assign(attempts.find(a => a.id === id), data);
+  },
+  async remove() {}
+};
+const dbPath = require.resolve('../src/config/database.js');
+require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: fakeDb };
+
+const invoices = require('../src/lib/invoices.js');
+const payments = [];
+invoices.markInvoicePaid = async (invoiceId, paymentData) => {
+  payments.push({ invoiceId, ...paymentData });
+  return { duplicate: false, entryId: 500 + payments.length, allocations: [] };
+};
+
+const { getGateway } = require('../src/lib/paymentGateways.js');
+const { reconcilePendingAttempts, generateDailyReport } = require('../src/lib/stkReconciliation.js');
+
+// What the M-Pesa status query answers, by checkout request ID
+let answers;
+const mpesa = getGateway('mpesa');
+mpesa.isConfigured = () => true;
+mpesa.query = async (checkoutRequestId) => {
+  const answer = answers[checkoutRequestId];
+  if (answer instanceof Error) throw answer;
+  return answer || { success: true, status: 'pending', error: 'The transaction is being processed' };
+};
+
+function attempt(id, gateway, minutesOld, extra = {}) {
+  return {
+    id, gateway, invoice_id: 20 + id, student_id: 4, amount: '1500.00', status: 'initiated',
+    checkout_request_id: `ws_CO_${id}`, months_count: null, created_at: new Date(Date.now() - minutesOld * MINUTE_MS), ...extra
+  };
+}
+
+beforeEach(() => {
+  attempts = [];
+  events = [];
+  reports = [];
+  notified = [];
+  answers = {};
+  payments.length = 0;
+});
+
+test('open attempts are settled, failed, left pending or expired by what M-Pesa answers', async () => {
+  attempts = [
+    attempt(1, 'mpesa', 10),
+    attempt(2, 'mpesa', 10),
+    attempt(3, 'mpesa', 120),
+    attempt(4, 'mpesa', 25 * 60),
+    attempt(5, 'paystack', 60),
+    attempt(6, 'mpesa', 2)
+  ];
+  answers = {
+    ws_CO_1: { success: true, checkoutRequestId: 'ws_CO_1', status: 'succeeded', resultCode: 0, resultDesc: 'Processed', amount: 1500, receiptNumber: 'QAB7' },
+    ws_CO_2: { success: true, checkoutRequestId: 'ws_CO_2', status: 'cancelled', resultCode: 1032, resultDesc: 'Request cancelled by user', failureReason: 'You cancelled the M-Pesa prompt' }
+  };
+
+  const summary = await reconcilePendingAttempts();
+  assert.deepStrictEqual(summary, { checked: 4, settled: 1, failed: 1, expired: 1, stillPending: 1, skipped: 1, errors: 0 });
+
+  assert.deepStrictEqual(attempts.map(a => a.status), ['succeeded', 'cancelled', 'initiated', 'expired', 'initiated', 'initiated']);
+  assert.strictEqual(payments.length, 1);
+  assert.strictEqual(payments[0].invoiceId, 21);
+  assert.strictEqual(payments[0].receiptNumber, 'QAB7');
+  assert.strictEqual(attempts[0].ledger_entry_id, 501);
+  assert.match(attempts[3].failure_reason, /never confirmed/);
+  assert.ok(events.every(e => e.source === 'reconciliation'));
+});
+
+test('an attempt settled meanwhile by its callback is not paid twice', async () => {
+  attempts = [attempt(1, 'mpesa', 10)];
+  answers = {
+    ws_CO_1: { success: true, checkoutRequestId: 'ws_CO_1', status: 'succeeded', resultCode: 0, amount: 1500, receiptNumber: 'QAB8' }
+  };
+  // The callback lands between the open-attempts query and the status query
+  const query = mpesa.query;
+  mpesa.query = async (id) => {
+    attempts[0].status = 'succeeded';
+    return query(id);
+  };
+
+  try {
+    const summary = await reconcilePendingAttempts();
+    assert.strictEqual(summary.settled, 0);
+    assert.deepStrictEqual(payments, []);
+    assert.match(events[0].detail, /Repeated result ignored/);
+  } finally {
+    mpesa.query = query;
+  }
+});
+
+test('a gateway error fails the run so the scheduler retries it', async () => {
+  attempts = [attempt(1, 'mpesa', 10)];
+  answers = { ws_CO_1: new Error('socket hang up') };
+
+  await assert.rejects(reconcilePendingAttempts(), /1 of 1 attempt\(s\) could not be reconciled/);
+  assert.strictEqual(attempts[0].status, 'initiated');
+});
+
+test("the daily report buckets a day's attempts and asks admins to check unknown ones", async () => {
+  attempts = [
+    attempt(1, 'mpesa', 0, { status: 'succeeded', amount_paid: '1500.00' }),
+    attempt(2, 'mpesa', 0, { status: 'cancelled', failure_reason: 'You cancelled the M-Pesa prompt' }),
+    attempt(3, 'mpesa', 0, { status: 'timed_out', failure_reason: 'You cancelled the M-Pesa prompt' }),
+    attempt(4, 'paystack', 0, { status: 'expired', amount: '2000.00' }),
+    attempt(5, 'mpesa', 0, { status: 'initiated', amount: '500.00' })
+  ];
+
+  const report = await generateDailyReport('2026-10-18');
+  assert.deepStrictEqual(report, {
+    date: '2026-10-18',
+    total: 5,
+    settled: { count: 1, amount: 1500 },
+    failed: { count: 2, amount: 3000 },
+    unknown: { count: 2, amount: 2500 }
+  });
+
+  const details = JSON.parse(reports[0][8]);
+  assert.deepStrictEqual(details.failureReasons, { 'You cancelled the M-Pesa prompt': 2 });
+  assert.deepStrictEqual(details.unknown.map(u => [u.attemptId, u.gateway, u.status]), [[4, 'paystack', 'expired'], [5, 'mpesa', 'initiated']]);
+
+  assert.strictEqual(notified.length, 1);
+  assert.deepStrictEqual([notified[0][0], notified[0][5]], [1, 2]);
+});
+
+test('a day with every attempt settled notifies nobody', async () => {
+  attempts = [attempt(1, 'mpesa', 0, { status: 'succeeded', amount_paid: '1500.00' })];
+  await generateDailyReport('2026-10-18');
+  assert.strictEqual(reports.length, 1);
+  assert.deepStrictEqual(notified, []);
+});
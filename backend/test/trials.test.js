@@ -0,0 +1,152 @@
+// test/trials.test.js - Free trials, their notices and conversion (CommonJS)
+//
+// Runs lib/trials.js against an in-memory stand-in for the settings,
+// course_pricing, course_trials and notifications tables.
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+let defaultDays;
+let course;
+let previousTrial;
+let ending;
+let ended;
+let conversionRows;
+let inserts;
+let updates;
+let notifications;
+
+const fakeDb = {
+  async getOne(sql) {
+    if (/setting_key = 'freeTrialDays'/.test(sql)) return defaultDays === undefined ? null : { setting_value: defaultDays };
+    if (/FROM courses c\s+LEFT JOIN course_pricing/.test(sql)) return course;
+    if (/FROM course_trials WHERE student_id = \? AND course_id = \?/.test(sql)) return previousTrial ? { id: 1 } : null;
+    return null;
+  },
+  async query(sql, params = []) {
+    if (/INSERT INTO notifications/.test(sql)) {
+      notifications.push({ userId: params[0], title: params[1], body: params[2] });
+      return { affectedRows: 1 };
+    }
+    if (/WHERE t.reminder_sent_at IS NULL/.test(sql)) return ending;
+    if (/WHERE t.ended_notice_sent_at IS NULL/.test(sql)) return ended;
+    if (/COUNT\(t.id\) as trials/.test(sql)) return conversionRows;
+    return [];
+  },
+  async insert(table, data) {
+    inserts.push({ table, data });
+    return 1;
+  },
+  async update(table, id, data) {
+    updates.push({ table, id, data });
+  },
+  async remove() {}
+};
+const dbPath = require.resolve('../src/config/database.js');
+require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: fakeDb };
+
+const {
+  getDefaultTrialDays, parseTrialDays, getCourseTrialDays, startTrial, sendTrialNotices, getTrialConversion
+} = require('../src/lib/trials.js');
+
+beforeEach(() => {
+  defaultDays = undefined;
+  course = { is_free: 0, is_active: 1, free_trial_days: null };
+  previousTrial = false;
+  ending = [];
+  ended = [];
+  conversionRows = [];
+  inserts = [];
+  updates = [];
+  notifications = [];
+});
+
+test('the platform default is seven days until an admin sets it', async () => {
+  assert.strictEqual(await getDefaultTrialDays(), 7);
+  defaultDays = '14';
+  assert.strictEqual(await getDefaultTrialDays(), 14);
+  defaultDays = '1000';
+  assert.strictEqual(await getDefaultTrialDays(), 365);
+  defaultDays = 'off';
+  assert.strictEqual(await getDefaultTrialDays(), 0);
+});
+
+test("a course's own length wins, and free or unpriced courses have no trial", async () => {
+  defaultDays = '10';
+  assert.strictEqual(await getCourseTrialDays(2), 10);
+
+  course.free_trial_days = 0;
+  assert.strictEqual(await getCourseTrialDays(2), 0);
+  course.free_trial_days = 3;
+  assert.strictEqual(await getCourseTrialDays(2), 3);
+
+  course = { is_free: 1, is_active: 1, free_trial_days: 3 };
+  assert.strictEqual(await getCourseTrialDays(2), 0);
+  course = { is_free: 0, is_active: null, free_trial_days: null };
+  assert.strictEqual(await getCourseTrialDays(2), 0);
+});
+
+test('a trial starts once per student and course', async () => {
+  course.free_trial_days = 5;
+  const trial = await startTrial(4, 2);
+  assert.strictEqual(trial.days, 5);
+  assert.strictEqual(trial.endsAt - trial.startedAt, 5 * DAY_MS);
+  assert.deepStrictEqual(inserts.map(i => [i.table, i.data.student_id, i.data.course_id, i.data.trial_days]), [['course_trials', 4, 2, 5]]);
+
+  previousTrial = true;
+  assert.strictEqual(await startTrial(4, 2), null);
+  assert.strictEqual(inserts.length, 1);
+});
+
+test('no trial starts on a course with trials off', async () => {
+  course.free_trial_days = 0;
+  assert.strictEqual(await startTrial(4, 2), null);
+  assert.deepStrictEqual(inserts, []);
+});
+
+test('trial lengths from the admin form are whole days, or blank to inherit', () => {
+  assert.deepStrictEqual(parseTrialDays(''), { days: null });
+  assert.deepStrictEqual(parseTrialDays('inherit'), { days: null });
+  assert.deepStrictEqual(parseTrialDays('0'), { days: 0 });
+  assert.deepStrictEqual(parseTrialDays(30), { days: 30 });
+  assert.match(parseTrialDays('2.5').error, /whole number from 0 to 365/);
+  assert.match(parseTrialDays(366).error, /whole number/);
+});
+
+test('students are reminded before the trial ends and told once it has', async () => {
+  const now = Date.now();
+  ending = [
+    { id: 1, student_id: 4, course_title: 'Guitar', ends_at: new Date(now + 20 * 60 * 60 * 1000) },
+    { id: 2, student_id: 5, course_title: 'Piano', ends_at: new Date(now + 1.5 * DAY_MS) }
+  ];
+  ended = [{ id: 3, student_id: 6, course_title: 'Drums', ends_at: new Date(now - DAY_MS) }];
+
+  assert.deepStrictEqual(await sendTrialNotices(), { reminded: 2, ended: 1 });
+  assert.deepStrictEqual(notifications.map(n => [n.userId, n.title]), [
+    [4, 'Free Trial Ending Soon'],
+    [5, 'Free Trial Ending Soon'],
+    [6, 'Free Trial Ended']
+  ]);
+  assert.match(notifications[0].body, /ends in 1 day\./);
+  assert.match(notifications[1].body, /ends in 2 days\./);
+  assert.deepStrictEqual(updates.map(u => [u.id, Object.keys(u.data)[0]]), [
+    [1, 'reminder_sent_at'],
+    [2, 'reminder_sent_at'],
+    [3, 'ended_notice_sent_at']
+  ]);
+});
+
+test('conversion counts finished trials only', async () => {
+  conversionRows = [
+    { id: 1, title: 'Guitar', free_trial_days: 7, trials: '10', converted: '3', active: '4' },
+    { id: 2, title: 'Piano', free_trial_days: null, trials: '2', converted: '0', active: '2' }
+  ];
+
+  const report = await getTrialConversion();
+  assert.deepStrictEqual(report.courses.map(c => [c.courseTitle, c.active, c.converted, c.expired, c.conversionRate]), [
+    ['Guitar', 4, 3, 3, 50],
+    ['Piano', 2, 0, 0, null]
+  ]);
+  assert.deepStrictEqual(report.totals, { trials: 12, active: 6, converted: 3, expired: 3, conversionRate: 50 });
+  assert.strictEqual(report.defaultTrialDays, 7);
+});
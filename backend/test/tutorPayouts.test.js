@@ -0,0 +1,192 @@
+// test/tutorPayouts.test.js - Tutor revenue shares, splits and monthly payouts (CommonJS)
+//
+// Runs lib/tutorPayouts.js against an in-memory stand-in holding four courses,
+// their tutors and a month of course revenue:
+//   Guitar  40% to tutors, split equally between Amina and Brian, KES 10,000
+//   Piano   50% to tutors, split 70/30 between Amina and Chep,    KES 3,000
+//   Drums   no share set (Brian),                                  KES 5,000
+//   Violin  40% split equally three ways, no revenue
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const COURSES = [
+  { id: 1, title: 'Guitar', tutor_share_percent: '40.00' },
+  { id: 2, title: 'Piano', tutor_share_percent: '50.00' },
+  { id: 3, title: 'Drums', tutor_share_percent: null },
+  { id: 4, title: 'Violin', tutor_share_percent: '40.00' }
+];
+const COURSE_TUTORS = [
+  { course_id: 1, tutor_id: 10, full_name: 'Amina', split_percent: null },
+  { course_id: 1, tutor_id: 11, full_name: 'Brian', split_percent: null },
+  { course_id: 2, tutor_id: 10, full_name: 'Amina', split_percent: '70.00' },
+  { course_id: 2, tutor_id: 12, full_name: 'Chep', split_percent: '30.00' },
+  { course_id: 3, tutor_id: 11, full_name: 'Brian', split_percent: null },
+  { course_id: 4, tutor_id: 10, full_name: 'Amina', split_percent: null },
+  { course_id: 4, tutor_id: 11, full_name: 'Brian', split_percent: null },
+  { course_id: 4, tutor_id: 12, full_name: 'Chep', split_percent: null }
+];
+const REVENUE = [
+  { course_id: 1, revenue: '10000.00' },
+  { course_id: 2, revenue: '3000.00' },
+  { course_id: 3, revenue: '5000.00' }
+];
+
+let existingPayouts;
+let payout;
+let removed;
+let inserts;
+let updates;
+let writes;
+
+const fakeDb = {
+  async getOne(sql, params = []) {
+    if (/SELECT id FROM courses WHERE id = \?/.test(sql)) return COURSES.find(c => c.id === params[0]) || null;
+    if (/SELECT \* FROM tutor_payouts WHERE id = \?/.test(sql)) return payout ? { ...payout } : null;
+    return null;
+  },
+  async query(sql, params = []) {
+    if (/FROM courses c\s+LEFT JOIN course_revenue_shares/.test(sql)) {
+      return COURSES.filter(c => !params.length || params[0].includes(c.id));
+    }
+    if (/FROM course_tutors ct/.test(sql)) return COURSE_TUTORS.filter(t => params[0].includes(t.course_id));
+    if (/SELECT tutor_id FROM course_tutors WHERE course_id = \?/.test(sql)) {
+      return COURSE_TUTORS.filter(t => t.course_id === params[0]);
+    }
+    if (/FROM ledger_entries/.test(sql)) return REVENUE;
+    if (/SELECT \* FROM tutor_payouts WHERE period_start = \?/.test(sql)) return existingPayouts;
+    if (/DELETE FROM tutor_payouts WHERE id = \?/.test(sql)) {
+      removed.push(params[0]);
+      return { affectedRows: 1 };
+    }
+    if (/^\s*(INSERT|UPDATE|DELETE)/.test(sql)) {
+      writes.push(sql.trim().split(/\s+/).slice(0, 3).join(' '));
+      return { affectedRows: 1 };
+    }
+    return [];
+  },
+  async insert(table, data) {
+    inserts.push({ table, data });
+    return 60 + inserts.length;
+  },
+  async update(table, id, data) {
+    updates.push({ table, id, data });
+  },
+  async remove() {}
+};
+const dbPath = require.resolve('../src/config/database.js');
+require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: fakeDb };
+
+const {
+  parseMonth, getRevenueShares, setRevenueShare, calculateEarnings, generatePayoutStatements,
+  approvePayout, markPayoutPaid
+} = require('../src/lib/tutorPayouts.js');
+
+function inserted(table) {
+  return inserts.filter(i => i.table === table).map(i => i.data);
+}
+
+beforeEach(() => {
+  existingPayouts = [];
+  payout = null;
+  removed = [];
+  inserts = [];
+  updates = [];
+  writes = [];
+});
+
+test("each tutor's share is the course share times their split", async () => {
+  const shares = await getRevenueShares([1, 2, 3, 4]);
+  const byCourse = Object.fromEntries(shares.map(c => [c.courseTitle, c.tutors.map(t => [t.name, t.splitPercent, t.sharePercent])]));
+
+  assert.deepStrictEqual(byCourse, {
+    Guitar: [['Amina', 50, 20], ['Brian', 50, 20]],
+    Piano: [['Amina', 70, 35], ['Chep', 30, 15]],
+    Drums: [['Brian', 100, 0]],
+    Violin: [['Amina', 33.33, 13.3333], ['Brian', 33.33, 13.3333], ['Chep', 33.33, 13.3333]]
+  });
+  assert.strictEqual(shares.find(c => c.courseId === 3).configured, false);
+  assert.strictEqual(shares.find(c => c.courseId === 2).customSplit, true);
+});
+
+test('earnings add up per tutor across the courses they teach', async () => {
+  const earnings = await calculateEarnings('2026-09-01', '2026-10-01');
+
+  assert.deepStrictEqual(earnings.get(10).map(l => [l.courseTitle, l.courseRevenue, l.amount]), [
+    ['Guitar', 10000, 2000],
+    ['Piano', 3000, 1050]
+  ]);
+  assert.deepStrictEqual(earnings.get(11).map(l => [l.courseTitle, l.amount]), [['Guitar', 2000]]);
+  assert.deepStrictEqual(earnings.get(12).map(l => [l.courseTitle, l.amount]), [['Piano', 450]]);
+
+  const amina = await calculateEarnings('2026-09-01', '2026-10-01', { tutorId: 10 });
+  assert.deepStrictEqual([...amina.keys()], [10]);
+});
+
+test('regenerating a month leaves approved statements alone and drops ones with nothing to pay', async () => {
+  existingPayouts = [
+    { id: 50, tutor_id: 10, status: 'approved' },
+    { id: 51, tutor_id: 11, status: 'pending' },
+    { id: 52, tutor_id: 13, status: 'pending' }
+  ];
+
+  const summary = await generatePayoutStatements('2026-09');
+  assert.deepStrictEqual(summary, {
+    success: true, month: '2026-09', created: 1, updated: 1, removed: 1, locked: 1, totalAmount: 2450
+  });
+
+  assert.deepStrictEqual(removed, [52]);
+  assert.deepStrictEqual(updates.map(u => [u.id, u.data.amount]), [[51, 2000]]);
+  const [created] = inserted('tutor_payouts');
+  assert.deepStrictEqual(
+    [created.tutor_id, created.period_start, created.period_end, created.amount, created.status],
+    [12, '2026-09-01', '2026-09-30', 450, 'pending']
+  );
+  assert.deepStrictEqual(inserted('tutor_payout_lines').map(l => [l.payout_id, l.course_id, l.share_percent, l.amount]), [
+    [51, 1, 20, 2000],
+    [62, 2, 15, 450]
+  ]);
+});
+
+test('months are given as YYYY-MM', async () => {
+  assert.deepStrictEqual(parseMonth('2024-02'), {
+    month: '2024-02', periodStart: '2024-02-01', periodEnd: '2024-02-29', nextStart: '2024-03-01'
+  });
+  assert.strictEqual(parseMonth('2026-12').nextStart, '2027-01-01');
+  assert.strictEqual((await generatePayoutStatements('2026-13')).status, 400);
+});
+
+test('custom splits must cover the course tutors and add up to 100', async () => {
+  let result = await setRevenueShare(2, { tutorSharePercent: 50, splits: [{ tutorId: 10, splitPercent: 60 }, { tutorId: 12, splitPercent: 30 }] });
+  assert.match(result.error, /add up to 100 percent \(they add up to 90\)/);
+
+  result = await setRevenueShare(2, { tutorSharePercent: 50, splits: [{ tutorId: 11, splitPercent: 100 }] });
+  assert.match(result.error, /Tutor 11 does not teach this course/);
+
+  result = await setRevenueShare(2, { tutorSharePercent: 120 });
+  assert.match(result.error, /between 0 and 100/);
+
+  assert.strictEqual((await setRevenueShare(99, { tutorSharePercent: 10 })).status, 404);
+  assert.deepStrictEqual(writes, []);
+
+  result = await setRevenueShare(2, { tutorSharePercent: '45', splits: [{ tutorId: '10', splitPercent: '60' }, { tutorId: 12, splitPercent: 40 }], adminId: 1 });
+  assert.strictEqual(result.success, true, result.error);
+  assert.deepStrictEqual(inserted('tutor_revenue_splits'), [
+    { course_id: 2, tutor_id: 10, split_percent: 60 },
+    { course_id: 2, tutor_id: 12, split_percent: 40 }
+  ]);
+});
+
+test('a statement is approved only after its month, and paid only once approved', async () => {
+  const today = new Date();
+  payout = { id: 70, tutor_id: 10, status: 'pending', amount: '3050.00', period_end: new Date(today.getFullYear(), today.getMonth() + 1, 0) };
+  assert.match((await approvePayout(70, { adminId: 1 })).error, /has not ended yet/);
+  assert.match((await markPayoutPaid(70, { adminId: 1 })).error, /Approve the payout before/);
+
+  payout.status = 'paid';
+  assert.match((await approvePayout(70, { adminId: 1 })).error, /already paid/);
+  assert.match((await markPayoutPaid(70, { adminId: 1 })).error, /already paid/);
+
+  payout = null;
+  assert.strictEqual((await approvePayout(70, { adminId: 1 })).status, 404);
+  assert.deepStrictEqual(writes, []);
+});
@@ -0,0 +1,175 @@
+// test/twoFactor.test.js - TOTP setup, codes and their failure limit (CommonJS)
+//
+// Runs lib/twoFactor.js against an in-memory stand-in for the users,
+// two_factor_events and two_factor_recovery_codes tables.
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+const USER_ID = 9;
+let user;
+let events;
+let recoveryCodes;
+let enforced;
+
+const fakeDb = {
+  async getOne(sql) {
+    if (/FROM two_factor_events/.test(sql)) {
+      return { count: events.filter(e => e.action === 'code_failed').length };
+    }
+    if (/FROM users WHERE id = \?/.test(sql)) return { ...user };
+    if (/setting_key = 'twoFactorAuth'/.test(sql)) return { setting_value: String(enforced) };
+    return null;
+  },
+  async query(sql, params = []) {
+    if (/^\s*DELETE FROM two_factor_recovery_codes/.test(sql)) {
+      recoveryCodes = [];
+    }
+    if (/^\s*UPDATE two_factor_recovery_codes/.test(sql)) {
+      const [usedAt, , codeHash] = params;
+      const row = recoveryCodes.find(r => r.code_hash === codeHash && !r.used_at);
+      if (row) row.used_at = usedAt;
+      return { affectedRows: row ? 1 : 0 };
+    }
+    return [];
+  },
+  async insert(table, data) {
+    if (table === 'two_factor_events') events.push(data);
+    if (table === 'two_factor_recovery_codes') recoveryCodes.push({ ...data });
+    return 1;
+  },
+  async update(table, id, data) {
+    if (table === 'users') Object.assign(user, data);
+  },
+  async remove() {}
+};
+const dbPath = require.resolve('../src/config/database.js');
+require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: fakeDb };
+
+const {
+  beginTwoFactorSetup, enableTwoFactor, verifyTwoFactor, disableTwoFactor, isTwoFactorRequired,
+  signChallenge, readChallenge
+} = require('../src/lib/twoFactor.js');
+
+// RFC 6238 code for the 30-second step offset steps from now
+function totp(base32Secret, offset = 0) {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+  let bits = '';
+  for (const char of base32Secret) bits += alphabet.indexOf(char).toString(2).padStart(5, '0');
+  const key = Buffer.from(bits.match(/.{8}/g).map(byte => parseInt(byte, 2)));
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(Date.now() / 30000) + offset));
+  const hmac = crypto.createHmac('sha1', key).update(counter).digest();
+  const index = hmac[hmac.length - 1] & 15;
+  return String((hmac.readUInt32BE(index) & 0x7fffffff) % 1e6).padStart(6, '0');
+}
+
+function wrongCode(secret) {
+  const valid = [-1, 0, 1].map(offset => totp(secret, offset));
+  let code = 0;
+  while (valid.includes(String(code).padStart(6, '0'))) code++;
+  return String(code).padStart(6, '0');
+}
+
+beforeEach(() => {
+  user = { id: USER_ID, email: 'tutor@example.com', two_factor_enabled: 0 };
+  events = [];
+  recoveryCodes = [];
+  enforced = false;
+});
+
+// Turns 2FA on and clears the events from doing so
+async function enrolled() {
+  const { secret } = await beginTwoFactorSetup(USER_ID);
+  const code = totp(secret);
+  const result = await enableTwoFactor(USER_ID, code);
+  events = [];
+  return { secret, code, codes: result.recoveryCodes };
+}
+
+test('setup confirmation stops after five wrong codes in a row', async () => {
+  const { secret } = await beginTwoFactorSetup(USER_ID);
+
+  for (let i = 0; i < 5; i++) {
+    const result = await enableTwoFactor(USER_ID, wrongCode(secret));
+    assert.strictEqual(result.status, 400);
+  }
+  assert.strictEqual(events.filter(e => e.action === 'code_failed').length, 5);
+
+  // Even the right code waits out the window now
+  const limited = await enableTwoFactor(USER_ID, totp(secret));
+  assert.strictEqual(limited.status, 429);
+  assert.strictEqual(user.two_factor_enabled, 0);
+});
+
+test('the right code at setup turns 2FA on with ten recovery codes', async () => {
+  const { secret } = await beginTwoFactorSetup(USER_ID);
+  const result = await enableTwoFactor(USER_ID, totp(secret));
+
+  assert.strictEqual(result.success, true, result.error);
+  assert.strictEqual(user.two_factor_enabled, 1);
+  assert.strictEqual(user.two_factor_pending_secret, null);
+  assert.strictEqual(result.recoveryCodes.length, 10);
+  assert.strictEqual(recoveryCodes.length, 10);
+});
+
+test('a code signs in once; the same code is refused a second time', async () => {
+  const { secret, code } = await enrolled();
+  // The code used to turn 2FA on is already spent
+  assert.strictEqual((await verifyTwoFactor(USER_ID, { code })).status, 401);
+
+  const next = totp(secret, 1);
+  assert.deepStrictEqual(await verifyTwoFactor(USER_ID, { code: next.slice(0, 3) + ' ' + next.slice(3) }), { success: true, method: 'totp' });
+  assert.strictEqual((await verifyTwoFactor(USER_ID, { code: next })).status, 401);
+  assert.strictEqual(events.filter(e => e.action === 'code_failed').length, 2);
+});
+
+test('each recovery code works once, in any case and with or without the dash', async () => {
+  const { codes } = await enrolled();
+  const [first] = codes;
+  assert.match(first, /^[A-Z2-9]{4}-[A-Z2-9]{4}$/);
+
+  const used = await verifyTwoFactor(USER_ID, { recoveryCode: first.replace('-', '').toLowerCase() });
+  assert.deepStrictEqual(used, { success: true, method: 'recovery_code' });
+
+  const again = await verifyTwoFactor(USER_ID, { recoveryCode: first });
+  assert.strictEqual(again.status, 401);
+  assert.match(again.error, /already used/);
+  assert.deepStrictEqual(events.map(e => e.action), ['recovery_code_used', 'code_failed']);
+});
+
+test('sign-in codes share the five-failure limit with setup', async () => {
+  const { secret } = await enrolled();
+  for (let i = 0; i < 5; i++) {
+    assert.strictEqual((await verifyTwoFactor(USER_ID, { code: wrongCode(secret) })).status, 401);
+  }
+  assert.strictEqual((await verifyTwoFactor(USER_ID, { code: totp(secret, 1) })).status, 429);
+});
+
+test('codes are refused when 2FA is off or no code is given', async () => {
+  assert.strictEqual((await verifyTwoFactor(USER_ID, {})).status, 400);
+  assert.match((await verifyTwoFactor(USER_ID, { code: '123456' })).error, /not enabled/);
+
+  await enrolled();
+  await disableTwoFactor(USER_ID, { action: 'admin_reset', actorId: 1, reason: 'Lost phone' });
+  assert.strictEqual(user.two_factor_secret, null);
+  assert.deepStrictEqual(recoveryCodes, []);
+  assert.deepStrictEqual(events.map(e => [e.action, e.actor_id, e.reason]), [['admin_reset', 1, 'Lost phone']]);
+});
+
+test('2FA is required only for admins and tutors, and only when switched on', async () => {
+  assert.strictEqual(await isTwoFactorRequired('admin'), false);
+  enforced = true;
+  assert.strictEqual(await isTwoFactorRequired('admin'), true);
+  assert.strictEqual(await isTwoFactorRequired('tutor'), true);
+  assert.strictEqual(await isTwoFactorRequired('student'), false);
+});
+
+test('a challenge token is only read back for its own purpose', () => {
+  const token = signChallenge(USER_ID, 'verify');
+  assert.strictEqual(readChallenge(token, 'verify'), USER_ID);
+  assert.strictEqual(readChallenge(token, 'setup'), null);
+  assert.strictEqual(readChallenge('garbage', 'verify'), null);
+});
@@ -0,0 +1,173 @@
+// test/twoFactorLogin.test.js - Login lockout across the password and 2FA steps (CommonJS)
+//
+// Drives AuthController.login and verifyTwoFactorLogin for an account with
+// two-factor authentication on, against an in-memory stand-in for the users,
+// login_attempts and two_factor_events tables. Lockout emails are swapped for
+// a recorder before the login code loads.
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+const PASSWORD = 'Correct-Horse-42';
+const MAX_ATTEMPTS = 3;
+let user;
+let attempts;
+let codeFailures;
+
+const fakeDb = {
+  async getOne(sql) {
+    if (/FROM login_attempts/.test(sql)) {
+      return { count: attempts.filter(a => !a.success).length };
+    }
+    if (/FROM two_factor_events/.test(sql)) return { count: codeFailures };
+    if (/FROM users WHERE (email|id) = \?/.test(sql)) return { ...user };
+    if (/FROM roles/.test(sql)) return { name: 'admin' };
+    if (/setting_key = 'maxLoginAttempts'/.test(sql)) return { setting_value: String(MAX_ATTEMPTS) };
+    return null;
+  },
+  async query(sql) {
+    if (/SET failed_login_count = failed_login_count \+ 1/.test(sql)) {
+      user.failed_login_count += 1;
+    }
+    return /^\s*(UPDATE|DELETE)/.test(sql) ? { affectedRows: 0 } : [];
+  },
+  async insert(table, data) {
+    if (table === 'login_attempts') attempts.push(data);
+    if (table === 'two_factor_events' && data.action === 'code_failed') codeFailures += 1;
+    return 1;
+  },
+  async update(table, id, data) {
+    if (table === 'users') Object.assign(user, data);
+  },
+  async remove() {}
+};
+const dbPath = require.resolve('../src/config/database.js');
+require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: fakeDb };
+
+const email = require('../src/lib/email.js');
+const lockoutEmails = [];
+email.sendAccountLockedEmail = async (to) => {
+  lockoutEmails.push(to);
+};
+
+const { beginTwoFactorSetup } = require('../src/lib/twoFactor.js');
+const { login, verifyTwoFactorLogin } = require('../src/controllers/authController.js');
+
+let secret;
+let encryptedSecret;
+const passwordHash = bcrypt.hashSync(PASSWORD, 4);
+
+// RFC 6238 code for the current 30-second step
+function totp(base32Secret) {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+  let bits = '';
+  for (const char of base32Secret) bits += alphabet.indexOf(char).toString(2).padStart(5, '0');
+  const key = Buffer.from(bits.match(/.{8}/g).map(byte => parseInt(byte, 2)));
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(Date.now() / 30000)));
+  const hmac = crypto.createHmac('sha1', key).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  return String((hmac.readUInt32BE(offset) & 0x7fffffff) % 1e6).padStart(6, '0');
+}
+
+function wrongCode() {
+  return String((Number(totp(secret)) + 1) % 1e6).padStart(6, '0');
+}
+
+async function call(handler, body) {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    set(name, value) {
+      this.headers[name] = value;
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(data) {
+      this.body = data;
+      return this;
+    }
+  };
+  await handler({ body, ip: '10.0.0.5', headers: {} }, res);
+  return res;
+}
+
+async function passwordStep() {
+  const res = await call(login, { email: user.email, password: PASSWORD });
+  assert.strictEqual(res.statusCode, 200, JSON.stringify(res.body));
+  assert.strictEqual(res.body.twoFactorRequired, true);
+  return res.body.challengeToken;
+}
+
+before(async () => {
+  user = { id: 9, email: 'admin@example.com', two_factor_enabled: 0 };
+  const setup = await beginTwoFactorSetup(user.id);
+  secret = setup.secret;
+  encryptedSecret = user.two_factor_pending_secret;
+});
+
+beforeEach(() => {
+  user = {
+    id: 9, email: 'admin@example.com', full_name: 'Admin', role_id: 1, is_active: 1,
+    password_hash: passwordHash, two_factor_enabled: 1, two_factor_secret: encryptedSecret,
+    two_factor_last_step: null, failed_login_count: 0, login_lockouts: 0, login_locked_until: null
+  };
+  attempts = [];
+  codeFailures = 0;
+  lockoutEmails.length = 0;
+});
+
+test('the right password alone does not clear earlier failures', async () => {
+  user.failed_login_count = 2;
+  await passwordStep();
+  assert.strictEqual(user.failed_login_count, 2);
+  assert.ok(!attempts.some(a => a.success), 'no successful login recorded yet');
+});
+
+test('wrong codes count towards the account lockout', async () => {
+  const challengeToken = await passwordStep();
+
+  let res = await call(verifyTwoFactorLogin, { challengeToken, code: wrongCode() });
+  assert.strictEqual(res.statusCode, 401);
+  assert.strictEqual(user.failed_login_count, 1);
+  assert.strictEqual(attempts[attempts.length - 1].reason, 'bad_2fa_code');
+
+  // A wrong password and another wrong code reach the limit of three
+  res = await call(login, { email: user.email, password: 'wrong' });
+  assert.strictEqual(res.statusCode, 401);
+  res = await call(verifyTwoFactorLogin, { challengeToken, code: wrongCode() });
+  assert.strictEqual(res.statusCode, 429);
+  assert.strictEqual(res.body.code, 'ACCOUNT_LOCKED');
+  assert.ok(new Date(user.login_locked_until) > new Date());
+  assert.deepStrictEqual(lockoutEmails, [user.email]);
+});
+
+test('a locked account cannot finish a login it started earlier', async () => {
+  const challengeToken = await passwordStep();
+  user.login_locked_until = new Date(Date.now() + 15 * 60000);
+
+  const res = await call(verifyTwoFactorLogin, { challengeToken, code: totp(secret) });
+  assert.strictEqual(res.statusCode, 429);
+  assert.strictEqual(res.body.code, 'ACCOUNT_LOCKED');
+  assert.strictEqual(res.body.token, undefined);
+});
+
+test('the right code completes the login and clears earlier failures', async () => {
+  user.failed_login_count = 2;
+  user.login_lockouts = 1;
+  const challengeToken = await passwordStep();
+
+  const res = await call(verifyTwoFactorLogin, { challengeToken, code: totp(secret) });
+  assert.strictEqual(res.statusCode, 200, JSON.stringify(res.body));
+  assert.ok(res.body.token);
+  assert.strictEqual(res.body.twoFactorMethod, 'totp');
+  assert.strictEqual(user.failed_login_count, 0);
+  assert.strictEqual(user.login_lockouts, 0);
+  assert.ok(attempts[attempts.length - 1].success);
+});
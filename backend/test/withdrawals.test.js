@@ -0,0 +1,113 @@
+// test/withdrawals.test.js - What a course withdrawal credits and cancels (CommonJS)
+//
+// Runs lib/refunds.js withdrawEnrollment against an in-memory stand-in for
+// the database holding one enrollment and its invoices.
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const STUDENT_ID = 3;
+const COURSE_ID = 2;
+let invoices;
+let ledger;
+let creditNotes;
+
+function daysFromNow(days) {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  return date;
+}
+
+const fakeDb = {
+  async getOne(sql) {
+    if (/FROM enrollments e/.test(sql)) {
+      return { id: 11, student_id: STUDENT_ID, course_id: COURSE_ID, course_title: 'Web Development' };
+    }
+    if (/SUM|balance/i.test(sql) && /FROM ledger_entries/.test(sql)) {
+      return { balance: ledger.reduce((sum, entry) => sum + entry.amount, 0) };
+    }
+    if (/FROM invoices/.test(sql)) {
+      return invoices.find(i => ['pending', 'locked'].includes(i.status)) || null;
+    }
+    return null;
+  },
+  async query(sql, params = []) {
+    if (/type = 'penalty' AND parent_invoice_id IN/.test(sql)) {
+      return invoices.filter(i => i.type === 'penalty' && params[0].includes(i.parent_invoice_id) && ['pending', 'locked'].includes(i.status));
+    }
+    if (/FROM invoices/.test(sql)) {
+      return invoices.filter(i => ['monthly', 'initial', 'deposit'].includes(i.type) && ['pending', 'locked', 'paid'].includes(i.status));
+    }
+    return [];
+  },
+  async insert(table, data) {
+    if (table === 'ledger_entries') ledger.push(data);
+    if (table === 'credit_notes') creditNotes.push(data);
+    return ledger.length + creditNotes.length;
+  },
+  async update(table, id, data) {
+    if (table === 'invoices') Object.assign(invoices.find(i => i.id === id), data);
+  },
+  async remove() {}
+};
+const dbPath = require.resolve('../src/config/database.js');
+require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: fakeDb };
+
+const { withdrawEnrollment } = require('../src/lib/refunds.js');
+
+function invoice(fields) {
+  return { student_id: STUDENT_ID, course_id: COURSE_ID, amount_paid: '0.00', month_number: null, ...fields };
+}
+
+beforeEach(() => {
+  ledger = [];
+  creditNotes = [];
+  invoices = [
+    invoice({ id: 1, type: 'deposit', status: 'pending', amount: '1000.00', amount_paid: '200.00', due_date: daysFromNow(-40) }),
+    invoice({ id: 2, type: 'penalty', status: 'pending', amount: '100.00', parent_invoice_id: 1 }),
+    invoice({ id: 3, type: 'monthly', status: 'pending', amount: '1500.00', month_number: 1, due_date: daysFromNow(-5) }),
+    invoice({ id: 4, type: 'penalty', status: 'pending', amount: '150.00', parent_invoice_id: 3 }),
+    invoice({ id: 5, type: 'monthly', status: 'paid', amount: '1500.00', amount_paid: '1500.00', month_number: 2, due_date: daysFromNow(60) }),
+    invoice({ id: 6, type: 'monthly', status: 'pending', amount: '1500.00', month_number: 3, due_date: daysFromNow(90) })
+  ];
+});
+
+function statusOf(id) {
+  return invoices.find(i => i.id === id).status;
+}
+
+test('an unpaid deposit is cancelled with its late fee and what was paid is credited', async () => {
+  const result = await withdrawEnrollment(11, { reason: 'Moving abroad' });
+  assert.strictEqual(result.success, true, result.error);
+
+  assert.strictEqual(statusOf(1), 'cancelled');
+  assert.strictEqual(statusOf(2), 'cancelled');
+  const note = creditNotes.find(n => n.invoice_id === 1);
+  assert.strictEqual(note.amount, 1000);
+  assert.strictEqual(note.credited_amount, 200);
+});
+
+test('a month under way stays billed with its late fee', async () => {
+  await withdrawEnrollment(11, { reason: 'Moving abroad' });
+  assert.strictEqual(statusOf(3), 'pending');
+  assert.strictEqual(statusOf(4), 'pending');
+});
+
+test('future months are credited when paid and cancelled when not', async () => {
+  const result = await withdrawEnrollment(11, { reason: 'Moving abroad' });
+  assert.strictEqual(statusOf(5), 'paid');
+  assert.strictEqual(statusOf(6), 'cancelled');
+
+  // 200 paid towards the deposit and the unused paid month 2
+  assert.strictEqual(result.credited, 1700);
+  // The rest of the deposit, its late fee and month 3
+  assert.strictEqual(result.cancelled, 800 + 100 + 1500);
+  assert.deepStrictEqual(ledger.map(e => e.amount).sort((a, b) => a - b), [200, 1500]);
+});
+
+test('a paid deposit is kept', async () => {
+  Object.assign(invoices[0], { status: 'paid', amount_paid: '1000.00' });
+  await withdrawEnrollment(11, { reason: 'Moving abroad' });
+  assert.strictEqual(statusOf(1), 'paid');
+  assert.strictEqual(statusOf(2), 'pending');
+  assert.ok(!creditNotes.some(n => n.invoice_id === 1));
+});
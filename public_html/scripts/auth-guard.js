@@ -1,4 +1,158 @@
 (function() {
+    // Access tokens last 15 minutes. The refresh token trades in for a new
+    // pair and lives in localStorage so every tab sees the latest one.
+    var REFRESH_KEY = 'refreshToken';
+    var nativeFetch = window.fetch ? window.fetch.bind(window) : null;
+    var refreshing = null;
+
+    function getRefreshToken() {
+        return localStorage.getItem(REFRESH_KEY);
+    }
+
+    // A refresh that raced another tab gets no new refresh token; the one the
+    // other tab stored stays current
+    function storeTokens(data) {
+        sessionStorage.setItem('token', data.token);
+        localStorage.setItem('token', data.token);
+        if (data.refreshToken) localStorage.setItem(REFRESH_KEY, data.refreshToken);
+    }
+
+    function clearSession() {
+        ['token', 'user', REFRESH_KEY].forEach(function(key) {
+            sessionStorage.removeItem(key);
+            localStorage.removeItem(key);
+        });
+    }
+
+    function goToLogin() {
+        clearSession();
+        location.replace('/login.html');
+    }
+
+    // Another tab refreshed with the same token a moment earlier; its new
+    // access token is already in localStorage
+    function adoptRotatedToken(previousToken) {
+        var latest = localStorage.getItem('token');
+        if (latest && latest !== previousToken) {
+            sessionStorage.setItem('token', latest);
+            return true;
+        }
+        return false;
+    }
+
+    function handleRefreshResponse(status, data, previousToken) {
+        if (status === 200 && data && data.token) {
+            storeTokens(data);
+            return true;
+        }
+        if (status === 409 && data && data.code === 'REFRESH_ROTATED') {
+            return adoptRotatedToken(previousToken);
+        }
+        return false;
+    }
+
+    // Blocking refresh, used before the page renders
+    function refreshSync() {
+        var refreshToken = getRefreshToken();
+        if (!refreshToken) return false;
+
+        var previousToken = sessionStorage.getItem('token');
+        var x = new XMLHttpRequest();
+        x.open('POST', '/api/auth/refresh', false);
+        x.setRequestHeader('Content-Type', 'application/json');
+        try {
+            x.send(JSON.stringify({ refreshToken: refreshToken }));
+            var data = null;
+            try { data = JSON.parse(x.responseText); } catch (e) {}
+            return handleRefreshResponse(x.status, data, previousToken);
+        } catch (e) {
+            return false;
+        }
+    }
+
+    // Resolves true once a fresh access token is stored. Concurrent callers
+    // share one request so the refresh token is only rotated once.
+    function refresh() {
+        if (refreshing) return refreshing;
+
+        var refreshToken = getRefreshToken();
+        if (!refreshToken || !nativeFetch) return Promise.resolve(false);
+
+        var previousToken = sessionStorage.getItem('token');
+        refreshing = nativeFetch('/api/auth/refresh', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken: refreshToken })
+        }).then(function(response) {
+            return response.json().catch(function() { return null; }).then(function(data) {
+                if (handleRefreshResponse(response.status, data, previousToken)) return true;
+                if (response.status !== 409) return false;
+                // Lost the race to a tab that has not stored its result yet
+                return new Promise(function(resolve) {
+                    setTimeout(function() { resolve(adoptRotatedToken(previousToken)); }, 1500);
+                });
+            });
+        }).catch(function() {
+            return false;
+        }).then(function(ok) {
+            refreshing = null;
+            return ok;
+        });
+        return refreshing;
+    }
+
+    function logout() {
+        var token = sessionStorage.getItem('token') || localStorage.getItem('token');
+        if (token && nativeFetch) {
+            nativeFetch('/api/auth/logout', {
+                method: 'POST',
+                headers: { 'Authorization': 'Bearer ' + token },
+                keepalive: true
+            }).catch(function() {});
+        }
+        goToLogin();
+    }
+
+    function withToken(init, token) {
+        var options = Object.assign({}, init);
+        var headers = new Headers(options.headers || {});
+        headers.set('Authorization', 'Bearer ' + token);
+        options.headers = headers;
+        return options;
+    }
+
+    function hasBearer(init) {
+        if (!init || !init.headers) return false;
+        var value = new Headers(init.headers).get('Authorization');
+        return !!value && value.indexOf('Bearer ') === 0;
+    }
+
+    // An expired access token surfaces as a 401 from any API call; refresh it
+    // once and replay the request before the page ever sees the failure
+    if (nativeFetch) {
+        window.fetch = function(input, init) {
+            var url = typeof input === 'string' ? input : (input && input.url) || '';
+            var retriable = url.indexOf('/api/') !== -1 && url.indexOf('/api/auth/') === -1 && hasBearer(init);
+
+            return nativeFetch(input, init).then(function(response) {
+                if (response.status !== 401 || !retriable || !getRefreshToken()) return response;
+                return refresh().then(function(ok) {
+                    if (!ok) {
+                        goToLogin();
+                        return response;
+                    }
+                    return nativeFetch(input, withToken(init, sessionStorage.getItem('token')));
+                });
+            });
+        };
+    }
+
+    window.NuruSession = {
+        refresh: refresh,
+        logout: logout,
+        expire: goToLogin
+    };
+
     function checkAuth() {
         var token = sessionStorage.getItem('token');
         var user = sessionStorage.getItem('user');
@@ -22,9 +176,9 @@
         try {
             var payload = JSON.parse(atob(token.split('.')[1]));
             if (payload.exp && Date.now() >= payload.exp * 1000) {
-                sessionStorage.removeItem('token');
-                sessionStorage.removeItem('user');
-                location.replace('/login.html');
+                if (!refreshSync()) {
+                    goToLogin();
+                }
                 return;
             }
         } catch (e) {
@@ -35,15 +189,11 @@
         x.setRequestHeader('Authorization', 'Bearer ' + token);
         try {
             x.send();
-            if (x.status === 401 || x.status === 403) {
-                sessionStorage.removeItem('token');
-                sessionStorage.removeItem('user');
-                location.replace('/login.html');
+            if ((x.status === 401 && !refreshSync()) || x.status === 403) {
+                goToLogin();
             }
         } catch (e) {
-            sessionStorage.removeItem('token');
-            sessionStorage.removeItem('user');
-            location.replace('/login.html');
+            goToLogin();
         }
     }
 
@@ -18,16 +18,18 @@ class AuthService {
 
             const data = await response.json();
 
-            if (response.ok) {
-                this.token = data.token;
-                sessionStorage.setItem(this.config.tokenKey, this.token);
-                sessionStorage.setItem(this.config.userKey, JSON.stringify(data.user));
-                return { 
-                    success: true, 
-                    user: data.user, 
-                    token: data.token,
-                    mustChangePassword: data.user?.mustChangePassword || false 
+            if (response.ok && (data.twoFactorRequired || data.twoFactorSetupRequired)) {
+                // Password accepted; the session starts after the second step
+                return {
+                    success: false,
+                    twoFactor: data.twoFactorRequired ? 'verify' : 'setup',
+                    challengeToken: data.challengeToken,
+                    message: data.message
                 };
+            }
+
+            if (response.ok) {
+                return this.storeSession(data);
             } else {
                 return { success: false, message: data.message || data.error || 'Login failed' };
             }
@@ -36,6 +38,52 @@ class AuthService {
         }
     }
 
+    storeSession(data) {
+        this.token = data.token;
+        sessionStorage.setItem(this.config.tokenKey, this.token);
+        sessionStorage.setItem(this.config.userKey, JSON.stringify(data.user));
+        // Shared by every tab so whichever refreshes first keeps the others signed in
+        localStorage.setItem(this.config.refreshTokenKey || 'refreshToken', data.refreshToken);
+        return {
+            success: true,
+            user: data.user,
+            token: data.token,
+            recoveryCodes: data.recoveryCodes || null,
+            mustChangePassword: data.user?.mustChangePassword || false
+        };
+    }
+
+    async postTwoFactor(path, body) {
+        try {
+            const response = await fetch(`${this.getApiUrl()}/auth/2fa/${path}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body),
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                return { success: false, message: data.error || 'Verification failed', expired: data.code === 'CHALLENGE_EXPIRED' };
+            }
+            return data.token ? this.storeSession(data) : { success: true, ...data };
+        } catch (error) {
+            return { success: false, message: error.message || 'Network error during verification' };
+        }
+    }
+
+    // Second login step: { code } from the authenticator app, or { recoveryCode }
+    verifyTwoFactor(challengeToken, codes) {
+        return this.postTwoFactor('verify', { challengeToken, ...codes });
+    }
+
+    // Enrollment during login, for accounts that must use 2FA
+    startTwoFactorSetup(challengeToken) {
+        return this.postTwoFactor('setup', { challengeToken });
+    }
+
+    enableTwoFactor(challengeToken, code) {
+        return this.postTwoFactor('enable', { challengeToken, code });
+    }
+
     async register(userData) {
         try {
             const response = await fetch(`${this.getApiUrl()}/auth/register`, {
@@ -61,11 +109,21 @@ class AuthService {
     }
 
     logout() {
+        if (this.token) {
+            // Ends the session server-side; keepalive lets it finish after we navigate away
+            fetch(`${this.getApiUrl()}/auth/logout`, {
+                method: 'POST',
+                headers: { 'Authorization': `Bearer ${this.token}` },
+                keepalive: true
+            }).catch(() => {});
+        }
         this.token = null;
+        const refreshTokenKey = this.config.refreshTokenKey || 'refreshToken';
         sessionStorage.removeItem(this.config.tokenKey);
         sessionStorage.removeItem(this.config.userKey);
         localStorage.removeItem(this.config.tokenKey);
         localStorage.removeItem(this.config.userKey);
+        localStorage.removeItem(refreshTokenKey);
         window.location.href = this.config.routes?.login || '/login.html';
     }
 
@@ -133,6 +191,19 @@ class AuthService {
             return { success: false, error: error.message };
         }
     }
+
+    async verifyEmail(token) {
+        try {
+            const response = await fetch(`${this.getApiUrl()}/auth/verify-email`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ token }),
+            });
+            return await response.json();
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
 }
 
 const authService = new AuthService();
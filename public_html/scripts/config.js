@@ -6,6 +6,7 @@ const config = {
   appName: 'NURU Foundation',
   
   tokenKey: 'token',
+  refreshTokenKey: 'refreshToken',
   userKey: 'user',
   
   pagination: {
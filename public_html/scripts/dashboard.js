@@ -25,7 +25,8 @@ function connectSocket() {
     script.onload = () => {
         if (typeof io !== 'undefined') {
             socket = io(API_BASE.replace('/api', ''), {
-                auth: { token },
+                // Read on every (re)connect so a refreshed access token is picked up
+                auth: (cb) => cb({ token: sessionStorage.getItem('token') }),
                 path: '/socket.io',
                 transports: ['websocket', 'polling']
             });
@@ -53,8 +54,24 @@ function connectSocket() {
                 console.log('[Socket] Disconnected');
             });
 
+            // The session was logged out elsewhere, revoked by an admin or timed out
+            socket.on('session-revoked', () => {
+                disconnectSocket();
+                if (window.NuruSession) NuruSession.expire();
+            });
+
             socket.on('connect_error', (err) => {
                 console.warn('[Socket] Connection error:', err.message);
+                // A rejected handshake is not retried automatically; get a fresh
+                // access token and try once more
+                if (err.message === 'Invalid token' && window.NuruSession) {
+                    NuruSession.refresh().then((ok) => {
+                        if (ok && socket) socket.connect();
+                    });
+                } else if (err.message === 'Session expired' && window.NuruSession) {
+                    disconnectSocket();
+                    NuruSession.expire();
+                }
             });
         }
     };
@@ -108,6 +125,33 @@ async function fetchAPI(endpoint, options = {}) {
     return response.json();
 }
 
+// Downloads an authenticated file (e.g. a PDF receipt) and opens it in a new tab
+async function downloadFile(endpoint, filename) {
+    const token = sessionStorage.getItem('token');
+    const response = await fetch(`${API_BASE}${endpoint}`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+
+    if (!response.ok) {
+        if (response.status === 401) {
+            logout();
+            throw new Error('Session expired. Please log in again.');
+        }
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || `Download failed: ${response.status}`);
+    }
+
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.target = '_blank';
+    if (filename) link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+}
+
 // ==========================================
 // AUTH FUNCTIONS
 // ==========================================
@@ -142,10 +186,15 @@ function checkAuth(requiredRole = null) {
 }
 
 function logout() {
+    if (window.NuruSession) {
+        NuruSession.logout();
+        return;
+    }
     sessionStorage.removeItem('token');
     sessionStorage.removeItem('user');
     localStorage.removeItem('token');
     localStorage.removeItem('user');
+    localStorage.removeItem('refreshToken');
     window.location.href = '/login.html';
 }
 
@@ -368,7 +417,11 @@ class DashboardSidebar extends HTMLElement {
                 { href: '/admin-dashboard/invoices.html', icon: 'fa-file-invoice', label: 'Invoices' },
                 { href: '/admin-dashboard/student-payments.html', icon: 'fa-money-check', label: 'Student Payments' },
                 { href: '/admin-dashboard/payment-confirmations.html', icon: 'fa-check-double', label: 'Payment Confirmations' },
+                { href: '/admin-dashboard/mpesa-statements.html', icon: 'fa-file-import', label: 'M-Pesa Statements' },
+                { href: '/admin-dashboard/tutor-payouts.html', icon: 'fa-hand-holding-usd', label: 'Tutor Payouts' },
+                { href: '/admin-dashboard/discounts.html', icon: 'fa-tags', label: 'Discounts' },
                 { href: '/admin-dashboard/cohorts.html', icon: 'fa-users', label: 'Cohorts' },
+                { href: '/admin-dashboard/jobs.html', icon: 'fa-clock', label: 'Scheduled Jobs' },
                 { href: '/admin-dashboard/settings.html', icon: 'fa-cog', label: 'Settings' }
             ]
         };
@@ -490,6 +543,7 @@ customElements.define('stats-grid', StatsGrid);
 // Export for use
 window.DashboardUtils = {
     fetchAPI,
+    downloadFile,
     checkAuth,
     logout,
     showToast,
@@ -0,0 +1,91 @@
+// Signed-in devices list for the profile pages. Expects #deviceSessionsList
+// and #sessionsAlert, and the page's .alert-box / .btn styles.
+(function() {
+    function authHeaders() {
+        return { 'Authorization': `Bearer ${sessionStorage.getItem('token')}` };
+    }
+
+    function escapeText(text) {
+        const div = document.createElement('div');
+        div.textContent = text == null ? '' : String(text);
+        return div.innerHTML;
+    }
+
+    function showAlert(type, message) {
+        const icon = type === 'success' ? 'fa-check-circle' : 'fa-exclamation-circle';
+        document.getElementById('sessionsAlert').innerHTML =
+            `<div class="alert-box ${type}"><i class="fas ${icon}"></i> ${escapeText(message)}</div>`;
+    }
+
+    function formatTime(value) {
+        return value ? new Date(value).toLocaleString() : '—';
+    }
+
+    async function loadDeviceSessions() {
+        const list = document.getElementById('deviceSessionsList');
+        if (!list) return;
+
+        try {
+            const response = await fetch('/api/auth/sessions', { headers: authHeaders() });
+            const data = await response.json();
+            if (!data.success) throw new Error(data.error || 'Failed to load sessions');
+
+            if (data.sessions.length === 0) {
+                list.innerHTML = '<p style="color: #666;">No active sessions.</p>';
+                return;
+            }
+
+            list.innerHTML = data.sessions.map(s => `
+                <div class="info-item" style="display: flex; justify-content: space-between; align-items: center; gap: 15px; margin-bottom: 10px;">
+                    <div>
+                        <div class="value">
+                            <i class="fas fa-laptop"></i> ${escapeText(s.device || 'Unknown device')}
+                            ${s.current ? '<span style="color: #28a745; font-size: 0.85rem;">(this device)</span>' : ''}
+                        </div>
+                        <div class="label" style="margin: 5px 0 0 0;">
+                            ${escapeText(s.ipAddress || 'Unknown IP')} · Signed in ${escapeText(formatTime(s.createdAt))} · Last active ${escapeText(formatTime(s.lastUsedAt))}
+                        </div>
+                    </div>
+                    ${s.current ? '' : `<button class="btn btn-secondary btn-sm" onclick="logoutDevice(${s.id})">Log out</button>`}
+                </div>
+            `).join('');
+        } catch (error) {
+            list.innerHTML = `<p style="color: #dc3545;">${escapeText(error.message)}</p>`;
+        }
+    }
+
+    async function logoutDevice(sessionId) {
+        try {
+            const response = await fetch(`/api/auth/sessions/${sessionId}`, { method: 'DELETE', headers: authHeaders() });
+            const data = await response.json();
+            if (!data.success) throw new Error(data.error || 'Failed to log out device');
+            showAlert('success', data.message);
+            loadDeviceSessions();
+        } catch (error) {
+            showAlert('error', error.message);
+        }
+    }
+
+    async function logoutAllDevices() {
+        if (!confirm('Log out of every device, including this one?')) return;
+
+        try {
+            const response = await fetch('/api/auth/logout-all', { method: 'POST', headers: authHeaders() });
+            const data = await response.json();
+            if (!data.success) throw new Error(data.error || 'Failed to log out of all devices');
+            NuruSession.expire();
+        } catch (error) {
+            showAlert('error', error.message);
+        }
+    }
+
+    window.loadDeviceSessions = loadDeviceSessions;
+    window.logoutDevice = logoutDevice;
+    window.logoutAllDevices = logoutAllDevices;
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', loadDeviceSessions);
+    } else {
+        loadDeviceSessions();
+    }
+})();
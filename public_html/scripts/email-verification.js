@@ -0,0 +1,62 @@
+// Shows a "confirm your email" notice at the top of .dashboard-main while the
+// signed-in user's address is unconfirmed, with a button to resend the link.
+// Enrolling and paying are refused by the server until it is confirmed.
+(function() {
+    function banner() {
+        const el = document.createElement('div');
+        el.id = 'emailVerificationBanner';
+        el.style.cssText = 'background: #fff3cd; color: #856404; border: 1px solid #ffc107; padding: 15px 20px; border-radius: 8px; margin-bottom: 25px; display: flex; align-items: center; justify-content: space-between; gap: 15px; flex-wrap: wrap;';
+        el.innerHTML = `
+            <div>
+                <i class="fas fa-envelope"></i>
+                <strong>Please confirm your email address.</strong>
+                <span id="emailVerificationText">We sent you a link. You can enroll in courses and make payments once it is confirmed.</span>
+            </div>
+            <button class="btn btn-secondary" id="emailVerificationResend">Resend Link</button>
+        `;
+        el.querySelector('#emailVerificationResend').addEventListener('click', resend);
+        return el;
+    }
+
+    async function resend(event) {
+        const button = event.currentTarget;
+        const text = document.getElementById('emailVerificationText');
+        button.disabled = true;
+
+        try {
+            const response = await fetch('/api/auth/resend-verification', {
+                method: 'POST',
+                headers: { 'Authorization': `Bearer ${sessionStorage.getItem('token')}` }
+            });
+            const result = await response.json();
+            text.textContent = result.success ? result.message : (result.error || 'Could not send the link. Please try again later.');
+        } catch (error) {
+            text.textContent = 'Could not send the link. Please try again later.';
+        }
+        button.disabled = false;
+    }
+
+    async function check() {
+        const token = sessionStorage.getItem('token');
+        const main = document.querySelector('.dashboard-main');
+        if (!token || !main || document.getElementById('emailVerificationBanner')) return;
+
+        try {
+            const response = await fetch('/api/auth/verify', {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const data = await response.json();
+            if (data.valid && data.user.emailVerified === false) {
+                main.insertBefore(banner(), main.firstChild);
+            }
+        } catch (error) {
+            console.error('Email verification check failed:', error);
+        }
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', check);
+    } else {
+        check();
+    }
+})();
@@ -0,0 +1,76 @@
+// Live password requirements for set/change/reset password forms. The rules
+// come from /api/auth/password-policy; the server checks them again, along
+// with the common-password list and reuse history, when the form is sent.
+//
+//   PasswordPolicy.attach('newPassword', 'newPasswordRules');
+//   const problems = await PasswordPolicy.check(password);  // [] when fine
+(function() {
+    let policyPromise = null;
+
+    function load() {
+        if (!policyPromise) {
+            policyPromise = fetch('/api/auth/password-policy')
+                .then(response => response.json())
+                .then(data => data.policy)
+                .catch(() => null);
+        }
+        return policyPromise;
+    }
+
+    // Fallback while the policy cannot be loaded, matching the basic level
+    const BASIC = { minLength: 8, maxLength: 128 };
+
+    function rules(policy) {
+        const list = [
+            { label: `At least ${policy.minLength} characters`, test: p => p.length >= policy.minLength }
+        ];
+        if (policy.requireUppercase) list.push({ label: 'An uppercase letter', test: p => /[A-Z]/.test(p) });
+        if (policy.requireLowercase) list.push({ label: 'A lowercase letter', test: p => /[a-z]/.test(p) });
+        if (policy.requireNumber) list.push({ label: 'A number', test: p => /[0-9]/.test(p) });
+        if (policy.requireSymbol) list.push({ label: 'A symbol such as ! or #', test: p => /[^A-Za-z0-9]/.test(p) });
+        return list;
+    }
+
+    function notes(policy) {
+        const list = [];
+        if (policy.blockCommon) list.push('Not a commonly used password, your email or your username');
+        if (policy.historyCount > 0) {
+            list.push(policy.historyCount === 1
+                ? 'Different from your current password'
+                : `Different from your last ${policy.historyCount} passwords`);
+        }
+        return list;
+    }
+
+    async function check(password) {
+        const policy = (await load()) || BASIC;
+        const problems = rules(policy).filter(rule => !rule.test(password)).map(rule => rule.label);
+        if (password.length > (policy.maxLength || BASIC.maxLength)) {
+            problems.push(`At most ${policy.maxLength || BASIC.maxLength} characters`);
+        }
+        return problems;
+    }
+
+    function render(container, policy, password) {
+        const items = rules(policy).map(rule => {
+            const met = rule.test(password);
+            return `<li style="color: ${met ? '#28a745' : '#888'};"><i class="fas ${met ? 'fa-check-circle' : 'fa-circle'}" style="width: 16px;"></i> ${rule.label}</li>`;
+        });
+        notes(policy).forEach(note => {
+            items.push(`<li style="color: #888;"><i class="fas fa-info-circle" style="width: 16px;"></i> ${note}</li>`);
+        });
+        container.innerHTML = `<ul style="list-style: none; padding: 0; margin: 8px 0 0; font-size: 0.85rem; text-align: left;">${items.join('')}</ul>`;
+    }
+
+    async function attach(inputId, containerId) {
+        const input = document.getElementById(inputId);
+        const container = document.getElementById(containerId);
+        if (!input || !container) return;
+
+        const policy = (await load()) || BASIC;
+        render(container, policy, input.value);
+        input.addEventListener('input', () => render(container, policy, input.value));
+    }
+
+    window.PasswordPolicy = { load, check, attach };
+})();
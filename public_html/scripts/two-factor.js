@@ -0,0 +1,185 @@
+// Two-factor authentication panel for the profile and settings pages. Renders
+// into #twoFactorPanel using the page's .btn / .btn-secondary styles; the QR
+// code needs qrcodejs loaded on the page.
+(function() {
+    let status = null;
+    let recoveryCodes = null;
+
+    function panel() {
+        return document.getElementById('twoFactorPanel');
+    }
+
+    function escapeText(text) {
+        const div = document.createElement('div');
+        div.textContent = text == null ? '' : String(text);
+        return div.innerHTML;
+    }
+
+    async function api(path, options = {}) {
+        const response = await fetch(`/api/users/2fa${path}`, {
+            ...options,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${sessionStorage.getItem('token')}`
+            }
+        });
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || 'Request failed');
+        }
+        return data;
+    }
+
+    function message(type, text) {
+        const colors = type === 'error'
+            ? 'background: #f8d7da; color: #721c24; border: 1px solid #dc3545;'
+            : type === 'warning'
+                ? 'background: #fff3cd; color: #856404; border: 1px solid #ffc107;'
+                : 'background: #d4edda; color: #155724; border: 1px solid #28a745;';
+        return `<div style="${colors} padding: 12px 15px; border-radius: 8px; margin-bottom: 15px;">${escapeText(text)}</div>`;
+    }
+
+    function codeInput(id, placeholder) {
+        return `<input type="text" id="${id}" placeholder="${placeholder}" inputmode="numeric" autocomplete="one-time-code" maxlength="6"
+            style="padding: 10px 12px; border: 2px solid #e1e1e1; border-radius: 8px; font-size: 16px; width: 180px; letter-spacing: 4px;">`;
+    }
+
+    function render(notice = '') {
+        if (!status) return;
+        const el = panel();
+
+        if (recoveryCodes) {
+            el.innerHTML = `
+                ${notice}
+                <p>Save these recovery codes somewhere safe. Each one signs you in once if you lose your phone, and they will not be shown again.</p>
+                <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 8px; font-family: monospace; font-size: 1.05rem; background: #f4f6f8; padding: 15px; border-radius: 8px; margin-bottom: 15px; max-width: 360px;">
+                    ${recoveryCodes.map(c => `<div>${escapeText(c)}</div>`).join('')}
+                </div>
+                <button class="btn btn-secondary" onclick="TwoFactorPanel.downloadCodes()">Download Codes</button>
+                <button class="btn" onclick="TwoFactorPanel.doneWithCodes()">Done</button>
+            `;
+            return;
+        }
+
+        if (!status.enabled) {
+            el.innerHTML = `
+                ${notice}
+                ${status.required ? message('warning', 'Two-factor authentication is required for your account. Set it up now or you will be asked to at your next login.') : ''}
+                <p style="color: #555;">Protect your account with a code from an authenticator app (Google Authenticator, Microsoft Authenticator, Authy) in addition to your password.</p>
+                <button class="btn" onclick="TwoFactorPanel.startSetup()"><i class="fas fa-shield-alt"></i> Set Up Two-Factor Authentication</button>
+            `;
+            return;
+        }
+
+        el.innerHTML = `
+            ${notice}
+            <p style="color: #155724;"><i class="fas fa-check-circle"></i> Two-factor authentication is <strong>on</strong>${status.enabledAt ? ` since ${escapeText(new Date(status.enabledAt).toLocaleDateString())}` : ''}.</p>
+            <p style="color: #555;">${status.recoveryCodesRemaining} unused recovery code${status.recoveryCodesRemaining === 1 ? '' : 's'} left.</p>
+            <div style="margin-bottom: 15px;">
+                ${codeInput('twoFactorManageCode', 'App code')}
+                ${status.required ? '' : `<input type="password" id="twoFactorPassword" placeholder="Password (to turn off)"
+                    style="padding: 10px 12px; border: 2px solid #e1e1e1; border-radius: 8px; font-size: 16px; width: 220px;">`}
+            </div>
+            <button class="btn btn-secondary" onclick="TwoFactorPanel.newCodes()">New Recovery Codes</button>
+            ${status.required ? '' : '<button class="btn btn-secondary" onclick="TwoFactorPanel.turnOff()">Turn Off</button>'}
+            ${status.required ? '<p style="color: #888; font-size: 0.85rem; margin-top: 10px;">Required for your account, so it cannot be turned off.</p>' : ''}
+        `;
+    }
+
+    async function load(notice = '') {
+        if (!panel()) return;
+        try {
+            const data = await api('');
+            status = data.twoFactor;
+            render(notice);
+        } catch (error) {
+            panel().innerHTML = message('error', error.message);
+        }
+    }
+
+    async function startSetup() {
+        try {
+            const data = await api('/setup', { method: 'POST' });
+            panel().innerHTML = `
+                <p>Scan this code with your authenticator app, then enter the 6-digit code it shows.</p>
+                <div id="twoFactorQrCode" style="margin: 10px 0 15px;"></div>
+                <p style="font-family: monospace; word-break: break-all; background: #f4f6f8; padding: 8px 12px; border-radius: 6px;">Or enter this key: ${escapeText(data.secret)}</p>
+                <div id="twoFactorSetupError"></div>
+                ${codeInput('twoFactorSetupCode', '123456')}
+                <button class="btn" onclick="TwoFactorPanel.confirmSetup()">Turn On</button>
+                <button class="btn btn-secondary" onclick="TwoFactorPanel.load()">Cancel</button>
+            `;
+            if (typeof QRCode !== 'undefined') {
+                new QRCode(document.getElementById('twoFactorQrCode'), { text: data.otpauthUrl, width: 180, height: 180 });
+            }
+        } catch (error) {
+            render(message('error', error.message));
+        }
+    }
+
+    async function confirmSetup() {
+        const code = document.getElementById('twoFactorSetupCode').value.trim();
+        try {
+            const data = await api('/enable', { method: 'POST', body: JSON.stringify({ code }) });
+            recoveryCodes = data.recoveryCodes;
+            status.enabled = true;
+            render(message('success', data.message));
+        } catch (error) {
+            document.getElementById('twoFactorSetupError').innerHTML = message('error', error.message);
+        }
+    }
+
+    async function newCodes() {
+        const code = document.getElementById('twoFactorManageCode').value.trim();
+        if (!code) {
+            render(message('error', 'Enter a code from your authenticator app first'));
+            return;
+        }
+        try {
+            const data = await api('/recovery-codes', { method: 'POST', body: JSON.stringify({ code }) });
+            recoveryCodes = data.recoveryCodes;
+            render(message('success', 'New recovery codes generated. Your old codes no longer work.'));
+        } catch (error) {
+            render(message('error', error.message));
+        }
+    }
+
+    async function turnOff() {
+        const code = document.getElementById('twoFactorManageCode').value.trim();
+        const password = document.getElementById('twoFactorPassword').value;
+        if (!code || !password) {
+            render(message('error', 'Enter your password and a code from your authenticator app'));
+            return;
+        }
+        if (!confirm('Turn off two-factor authentication?')) return;
+
+        try {
+            const data = await api('/disable', { method: 'POST', body: JSON.stringify({ code, password }) });
+            load(message('success', data.message));
+        } catch (error) {
+            render(message('error', error.message));
+        }
+    }
+
+    function downloadCodes() {
+        const blob = new Blob([`NURU Foundation recovery codes\n\n${recoveryCodes.join('\n')}\n`], { type: 'text/plain' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'nuru-recovery-codes.txt';
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    function doneWithCodes() {
+        recoveryCodes = null;
+        load();
+    }
+
+    window.TwoFactorPanel = { load, startSetup, confirmSetup, newCodes, turnOff, downloadCodes, doneWithCodes };
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => load());
+    } else {
+        load();
+    }
+})();